@@ -0,0 +1,3516 @@
+// app.js
+// The Express app. createApp(env) wires every route from an env-style
+// config map (process.env by default, merged over CONFIG_FILE, see
+// lib/config.js) so tests can build one against a mock upstream;
+// server.js is the entry point that listens.
+const crypto = require("crypto");
+const fs = require("fs");
+const express = require("express");
+const FormData = require("form-data");
+const fetch = require("node-fetch");
+const {
+  createKeyStore,
+  requireClientKey,
+  checkScope,
+  requestScope,
+} = require("./lib/auth");
+const { createModelRouter, withFallback } = require("./lib/routing");
+const { createTenants } = require("./lib/tenants");
+const { createSettings, checkValues } = require("./lib/config");
+const { corsGate, allowsOrigin } = require("./lib/cors");
+const {
+  createMemoryStore,
+  createFileStore,
+  createQuota,
+  estimateTokens,
+} = require("./lib/quota");
+const {
+  createUpstream,
+  sendUpstreamError,
+  UpstreamError,
+} = require("./lib/upstream");
+const {
+  createOpenAIStream,
+  wantsOpenAIFormat,
+  assistantModelName,
+} = require("./lib/assistant-stream");
+const {
+  openaiErrors,
+  createModelCatalog,
+  completionToChat,
+  chatToCompletion,
+  createCompletionStream,
+} = require("./lib/openai");
+const {
+  logger,
+  requestId,
+  createAuditSink,
+  auditTrail,
+} = require("./lib/logger");
+const {
+  newId,
+  createFileThreadStore,
+  createAzureThreadStore,
+  fitHistory,
+} = require("./lib/threads");
+const {
+  createMemoryCacheStore,
+  createDiskCacheStore,
+  createResponseCache,
+  chatCompletionFrom,
+  chatChunksFrom,
+  assistantLinesFrom,
+} = require("./lib/cache");
+const { createProxyMetrics } = require("./lib/metrics");
+const { createBlobStorage } = require("./lib/azure");
+const { createTemplateRegistry } = require("./lib/templates");
+const { INDEXABLE_TYPES, extractText } = require("./lib/documents");
+const {
+  COLLECTION_RE,
+  newDocumentId,
+  chunkText,
+  createFileIndex,
+  search,
+  queryOf,
+  withSources,
+} = require("./lib/rag");
+const { createStreamRegistry } = require("./lib/streams");
+const {
+  createGuardrails,
+  promptTextOf,
+  checkInput,
+  createTextFilter,
+  filterText,
+  createChatStreamGuard,
+  createAssistantStreamGuard,
+} = require("./lib/guardrails");
+const {
+  createToolRegistry,
+  createToolTurn,
+  sseChunks,
+} = require("./lib/tools");
+const { createWebSocketGateway } = require("./lib/websocket");
+const { validate, loadLogSchema, createLogBuffer } = require("./lib/logs");
+const {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  EXTENSIONS,
+  createScanner,
+  receiveUploads,
+} = require("./lib/uploads");
+const {
+  CONVERTIBLE_TYPES,
+  normaliseImage,
+  parseDataUrl,
+  toDataUrl,
+  mapImageUrls,
+} = require("./lib/images");
+const {
+  newImageId,
+  createFileAttachmentStore,
+  createRetentionJob,
+} = require("./lib/attachments");
+
+function createApp(env = process.env) {
+  const app = express();
+  // Validated settings; per-route values are re-read on settings.reload()
+  const settings = createSettings(env);
+  const config = settings.values;
+  app.locals.settings = settings;
+  const LANGDOCK_API_KEY = config.LANGDOCK_API_KEY;
+
+  if (!LANGDOCK_API_KEY && !config.TENANTS_FILE) {
+    throw new Error("Missing LANGDOCK_API_KEY (or TENANTS_FILE)");
+  }
+
+  // Client authentication: proxy-issued keys (see scripts/keys.js).
+  // AUTH_DISABLED=true turns the check off for local development only.
+  const AUTH_DISABLED = config.AUTH_DISABLED === "true";
+  const keyStore = createKeyStore(config.PROXY_KEYS_FILE || "keys.json");
+  const checkKey = AUTH_DISABLED
+    ? (_req, _res, next) => next()
+    : requireClientKey(keyStore);
+  const auth = (req, res, next) =>
+    checkKey(req, res, () => tenantGate(req, res, next));
+  if (AUTH_DISABLED) {
+    logger.warn("⚠️  AUTH_DISABLED=true: proxy routes are open to anyone");
+  }
+
+  // Prometheus metrics, served on GET /metrics
+  const metrics = createProxyMetrics();
+
+  // Azure Blob storage for logs, images and threads (see lib/azure.js)
+  const blobStorage = createBlobStorage(config);
+
+  // Upstream Langdock workspaces: one per tenant from TENANTS_FILE (see
+  // lib/tenants.js), else LANGDOCK_API_KEY for everyone
+  const tenants = createTenants(config.TENANTS_FILE, {
+    apiKey: LANGDOCK_API_KEY,
+  });
+
+  // Part of auth: picks the caller's tenant and applies its region and
+  // assistant limits. Upstream calls then use req.tenant.keys.
+  function tenantGate(req, res, next) {
+    const tenant = tenants.resolve(req);
+    if (!tenant) {
+      return res.status(403).json({
+        error: "forbidden",
+        detail: "No Langdock workspace is configured for this client",
+      });
+    }
+    const denied = checkScope(tenant, requestScope(req), `Tenant ${tenant.id}`);
+    if (denied) {
+      (req.log || logger).warn("tenant forbidden", {
+        tenant: tenant.id,
+        reason: denied,
+      });
+      return res.status(403).json({ error: "forbidden", detail: denied });
+    }
+    req.tenant = tenant;
+    if (req.log) req.log = req.log.child({ tenant: tenant.id });
+    next();
+  }
+
+  // One upstream client (retries, timeouts, circuit breaker) for all routes
+  const envInt = (name, fallback) =>
+    config[name] !== undefined ? Number(config[name]) : fallback;
+  const upstream = createUpstream({
+    keys: tenants.defaultKeys,
+    baseUrl: settings.route("/").baseUrl,
+    retries: envInt("UPSTREAM_RETRIES", 2),
+    backoffMs: envInt("UPSTREAM_BACKOFF_MS", 250),
+    connectTimeoutMs: envInt("UPSTREAM_CONNECT_TIMEOUT_MS", 5000),
+    firstByteTimeoutMs: envInt("UPSTREAM_FIRST_BYTE_TIMEOUT_MS", 120000),
+    breakerThreshold: envInt("UPSTREAM_BREAKER_THRESHOLD", 5),
+    breakerCooldownMs: envInt("UPSTREAM_BREAKER_COOLDOWN_MS", 30000),
+    onAttempt: metrics.onUpstreamAttempt,
+  });
+
+  // Response cache (see lib/cache.js); off unless RESPONSE_CACHE is set
+  const responseCache = createResponseCache(
+    config.RESPONSE_CACHE === "memory"
+      ? createMemoryCacheStore({
+          maxEntries: envInt("CACHE_MAX_ENTRIES", 500),
+        })
+      : config.RESPONSE_CACHE === "disk"
+      ? createDiskCacheStore({ dir: config.CACHE_DIR || "data/cache" })
+      : null,
+    { ttlMs: envInt("CACHE_TTL_SECONDS", 3600) * 1000 }
+  );
+  // Replies carrying tool calls cannot be replayed as plain text
+  const TOOL_CALLS_RE = /"tool_calls"\s*:\s*\[\s*\{|^[9b]:/m;
+
+  // Streams a reconnecting client can pick up again (Last-Event-ID)
+  const streams = createStreamRegistry({
+    graceMs: envInt("STREAM_GRACE_MS", 30000),
+    maxBytes: envInt("STREAM_BUFFER_BYTES", 1024 * 1024),
+  });
+
+  // Serve a cached completion as a normally framed SSE stream
+  function replaySSE(req, res, frames) {
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+    res.write(`:${" ".repeat(req.routeConfig.paddingBytes)}\n`);
+    res.write(":ok\n\n");
+    frames.forEach((f) => res.write(f));
+    res.write(":done\n\n");
+    res.end();
+  }
+
+  // Cached assistant reply in the assistant line framing, or as
+  // chat.completion.chunk frames for ?format=openai
+  function assistantReplay(req, body, entry) {
+    const lines = assistantLinesFrom(entry);
+    if (!wantsOpenAIFormat(req)) return lines;
+    const openai = createOpenAIStream({ model: assistantModelName(body) });
+    return [...lines.flatMap((l) => openai.push(l)), ...openai.end()];
+  }
+
+  // Model aliases and fallback chains (see lib/routing.js)
+  const modelRouter = createModelRouter(config.MODEL_ROUTES_FILE);
+
+  // Server-managed system prompts (see lib/templates.js)
+  const promptTemplates = createTemplateRegistry(config.TEMPLATES_DIR);
+
+  // Local document collections for retrieval (see lib/rag.js), kept per
+  // key like threads and attachments
+  const documentIndex = createFileIndex(config.INDEX_DIR || "data/index");
+  const ownerOf = (req) => req.clientKey?.id ?? null;
+  const embeddingModel =
+    config.INDEX_EMBEDDING_MODEL || "text-embedding-3-small";
+  const maxTopK = envInt("RETRIEVAL_MAX_TOP_K", 20);
+
+  // Keys and tenants may be limited to some collections
+  const collectionDenied = (req, name) =>
+    (req.clientKey && checkScope(req.clientKey, { collection: name })) ||
+    (req.tenant &&
+      checkScope(req.tenant, { collection: name }, `Tenant ${req.tenant.id}`));
+
+  // Embeds texts through Langdock in batches; each batch is charged to the
+  // caller like a /v1/embeddings call
+  async function embed(req, inputs, model) {
+    const region = req.query.region || req.routeConfig.region;
+    const vectors = [];
+    for (let i = 0; i < inputs.length; i += 64) {
+      const input = inputs.slice(i, i + 64);
+      const ldRes = await upstream.request(`/openai/${region}/v1/embeddings`, {
+        label: "/v1/embeddings",
+        log: req.log,
+        keys: req.tenant?.keys,
+        baseUrl: req.routeConfig.baseUrl,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input }),
+      });
+      const text = await ldRes.text();
+      if (!ldRes.ok) {
+        throw new UpstreamError(
+          `Embeddings returned ${ldRes.status}: ${text.slice(0, 200)}`,
+          {
+            status: ldRes.status < 500 ? ldRes.status : 502,
+            code: "embeddings_failed",
+          }
+        );
+      }
+      const meter = quota.meter(req, JSON.stringify(input));
+      meter.json(text);
+      meter.finish();
+      const data = [...(JSON.parse(text).data || [])];
+      data.sort((a, b) => a.index - b.index);
+      vectors.push(...data.map((d) => d.embedding));
+    }
+    return vectors;
+  }
+
+  // A chat request's retrieval option -> { messages, citations }, or
+  // { failure: { status, body } }
+  async function retrieve(req, retrieval, messages) {
+    const fail = (status, error, detail) => ({
+      failure: { status, body: { error, detail } },
+    });
+    const { collection: name, topK = 4 } = retrieval || {};
+    if (typeof name !== "string" || !COLLECTION_RE.test(name)) {
+      return fail(
+        400,
+        "invalid_request",
+        "retrieval.collection must name a collection"
+      );
+    }
+    if (!Number.isInteger(topK) || topK < 1 || topK > maxTopK) {
+      return fail(
+        400,
+        "invalid_request",
+        `retrieval.topK must be an integer from 1 to ${maxTopK}`
+      );
+    }
+    const denied = collectionDenied(req, name);
+    if (denied) return fail(403, "forbidden", denied);
+    const collection = await documentIndex.get(ownerOf(req), name);
+    if (!collection) {
+      return fail(404, "collection_not_found", `Unknown collection ${name}`);
+    }
+    const query = queryOf(messages).trim();
+    if (!query || !collection.chunks.length) return { messages, citations: [] };
+    const [vector] = await embed(req, [query], collection.model);
+    const hits = search(collection, vector, topK);
+    req.log.debug("retrieval", {
+      collection: name,
+      hits: hits.map((h) => `${h.document.name}#${h.chunk.seq}`),
+    });
+    return withSources(messages, hits);
+  }
+
+  // Guardrails (see lib/guardrails.js): input rules reject the request,
+  // output rules filter the reply as it streams
+  const guardrails = createGuardrails(config.GUARDRAILS_FILE);
+
+  // Runs after auth: picks the caller's policy and checks what they sent.
+  // GET /assistant-stream carries its body in ?q=.
+  function guardInput(req, res, next) {
+    let policy;
+    try {
+      policy = guardrails.policyFor(req.clientKey);
+    } catch (e) {
+      req.log.error("guardrail policy unavailable", { err: e });
+      return res
+        .status(500)
+        .json({ error: "guardrails_unavailable", detail: e.message });
+    }
+    req.guardPolicy = policy;
+    if (!policy?.input.length) return next();
+    let body = req.body;
+    if (req.method === "GET") {
+      try {
+        body = JSON.parse(req.query.q || "{}");
+      } catch {
+        body = {};
+      }
+    }
+    const hit = checkInput(policy, promptTextOf(body));
+    if (!hit) return next();
+    req.log.warn("guardrail blocked", {
+      stage: "input",
+      policy: policy.name,
+      rule: hit.rule.id,
+      kind: hit.kind,
+    });
+    res.status(400).json({
+      error: "content_blocked",
+      detail: `Prompt blocked by guardrail ${hit.rule.id}`,
+      rule: hit.rule.id,
+    });
+  }
+
+  // Callbacks that log what the output rules did to a reply
+  function guardEvents(req) {
+    const policy = req.guardPolicy.name;
+    return {
+      onMask: (rule) =>
+        req.log.info("guardrail masked", {
+          stage: "output",
+          policy,
+          rule: rule.id,
+        }),
+      onBlock: (rule) =>
+        req.log.warn("guardrail blocked", {
+          stage: "output",
+          policy,
+          rule: rule.id,
+        }),
+    };
+  }
+
+  // Stream rewriter for a reply ("chat" SSE chunks or "assistant" lines),
+  // or null when the caller's policy has no output rules
+  function outputGuard(req, format) {
+    if (!req.guardPolicy?.output.length) return null;
+    const filter = createTextFilter(req.guardPolicy, guardEvents(req));
+    return format === "chat"
+      ? createChatStreamGuard(filter)
+      : createAssistantStreamGuard(filter);
+  }
+
+  // Filters a non-streamed chat completion or assistant result in place
+  function guardReply(req, data) {
+    if (!req.guardPolicy?.output.length || !data) return data;
+    const check = (text) => filterText(req.guardPolicy, text, guardEvents(req));
+    for (const choice of data.choices || []) {
+      if (typeof choice.message?.content !== "string") continue;
+      const { text, blocked } = check(choice.message.content);
+      choice.message.content = text;
+      if (blocked) choice.finish_reason = "content_filter";
+    }
+    const result = Array.isArray(data.result) ? data.result : [];
+    for (let i = 0; i < result.length; i++) {
+      if (typeof result[i]?.content !== "string") continue;
+      const { text, blocked } = check(result[i].content);
+      result[i].content = text;
+      if (blocked) {
+        data.result = result.slice(0, i + 1);
+        data.finishReason = "content-filter";
+        break;
+      }
+    }
+    return data;
+  }
+
+  // Server-side tools run by the proxy (see lib/tools.js)
+  const toolRegistry = createToolRegistry(config.TOOLS_FILE, {
+    timeoutMs: envInt("TOOL_TIMEOUT_MS", 10000),
+  });
+  const maxToolRounds = envInt("TOOL_MAX_ROUNDS", 5);
+
+  // GET /v1/models: OPENAI_MODELS pins the list, else fetched and cached
+  const modelCatalog = createModelCatalog(upstream, {
+    configured: (config.OPENAI_MODELS || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean),
+    ttlMs: envInt("MODELS_CACHE_TTL_MS", 10 * 60 * 1000),
+  });
+
+  // Rate limits / token quotas (see lib/quota.js for the env knobs).
+  // QUOTA_STORE=file keeps counters in QUOTA_FILE across restarts.
+  const quota = createQuota(
+    config.QUOTA_STORE === "file"
+      ? createFileStore(config.QUOTA_FILE || "quota.json")
+      : createMemoryStore(),
+    { env: config }
+  );
+
+  // Auth, rate limits and input guardrails for the completion routes
+  const completionGate = [auth, quota.enforce, guardInput];
+  // Streaming routes pick up a Last-Event-ID reconnect right after auth:
+  // resuming is not a new call, so it is neither rate-limited nor screened
+  // again. streamed(req) says whether the request would stream at all.
+  const resumableGate = (streamed = () => true) => [
+    auth,
+    (req, res, next) => {
+      if (streamed(req) && streams.resume(req, res)) return;
+      next();
+    },
+    quota.enforce,
+    guardInput,
+  ];
+
+  // Request IDs + one structured line (and optional audit record) per call
+  app.use(requestId());
+  // This request's route settings, fixed for its lifetime (a reload does
+  // not change a stream that is already open)
+  const routeSettings = (req, _res, next) => {
+    req.routeConfig = settings.route(req.path);
+    next();
+  };
+  app.use(routeSettings);
+  const audit = auditTrail(
+    createAuditSink(config.AUDIT_SINK, {
+      file: config.AUDIT_FILE || "audit.jsonl",
+      appendToAzureBlob: (entry) => appendToAzureBlob(entry),
+    })
+  );
+  app.use(audit);
+  app.use(metrics.middleware);
+  // CORS per route (see lib/cors.js); rejected origins get a 403
+  app.use(
+    corsGate({
+      policyFor: (req) => req.routeConfig.cors,
+      // let browser clients read which model served them
+      exposedHeaders: [
+        "X-Request-Id",
+        "X-Served-Model",
+        "X-Served-Region",
+        "X-Prompt-Template",
+        "X-Stream-Id",
+      ],
+    })
+  );
+  // JSON bodies up to the route's limit; chat bodies may carry inline
+  // data: URL images, so they default to CHAT_BODY_LIMIT
+  const jsonParsers = new Map();
+  app.use((req, res, next) => {
+    const limit = req.routeConfig.bodyLimit;
+    if (!jsonParsers.has(limit))
+      jsonParsers.set(limit, express.json({ limit }));
+    jsonParsers.get(limit)(req, res, next);
+  });
+  // OpenAI SDKs expect { error: { message, type, code } } on the /v1 surface
+  app.use("/v1", openaiErrors);
+
+  // Health check (liveness: the process is up)
+  app.get("/health", (_req, res) => res.status(200).send("ok"));
+
+  // Prometheus scrape endpoint. METRICS_TOKEN, if set, is required as a
+  // bearer token; labels include client key ids.
+  app.get("/metrics", (req, res) => {
+    const token = config.METRICS_TOKEN;
+    if (token) {
+      // compared as sha256 digests: same length, constant time
+      const want = crypto.createHash("sha256").update(`Bearer ${token}`);
+      const got = crypto
+        .createHash("sha256")
+        .update(String(req.headers.authorization || ""));
+      if (!crypto.timingSafeEqual(got.digest(), want.digest())) {
+        return res.status(401).json({ error: "unauthorized" });
+      }
+    }
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(metrics.registry.render());
+  });
+
+  // Readiness: config is sane, Langdock accepts our key, Azure is reachable.
+  // Results are cached for READY_CACHE_MS so probes do not hammer upstream.
+  function checkConfig() {
+    const problems = checkValues(config);
+    if ([config.AUDIT_SINK, config.THREAD_STORE].includes("azure")) {
+      if (!blobStorage.configured)
+        problems.push("Azure storage selected but not configured");
+    }
+    if (config.MODEL_ROUTES_FILE) {
+      try {
+        JSON.parse(fs.readFileSync(config.MODEL_ROUTES_FILE, "utf8"));
+      } catch (e) {
+        problems.push(`model routes file unreadable: ${e.message}`);
+      }
+    }
+    if (config.GUARDRAILS_FILE) {
+      try {
+        JSON.parse(fs.readFileSync(config.GUARDRAILS_FILE, "utf8"));
+      } catch (e) {
+        problems.push(`guardrails file unreadable: ${e.message}`);
+      }
+    }
+    if (config.TENANTS_FILE) {
+      try {
+        JSON.parse(fs.readFileSync(config.TENANTS_FILE, "utf8"));
+      } catch (e) {
+        problems.push(`tenants file unreadable: ${e.message}`);
+      }
+    }
+    if (config.TOOLS_FILE) {
+      try {
+        JSON.parse(fs.readFileSync(config.TOOLS_FILE, "utf8"));
+      } catch (e) {
+        problems.push(`tools file unreadable: ${e.message}`);
+      }
+    }
+    if (!AUTH_DISABLED) {
+      try {
+        JSON.parse(fs.readFileSync(keyStore.file, "utf8"));
+      } catch (e) {
+        problems.push(`keys file unreadable: ${e.message}`);
+      }
+    }
+    return problems.length
+      ? { ok: false, detail: problems }
+      : { ok: true, detail: "valid" };
+  }
+
+  async function checkUpstream() {
+    try {
+      const ldRes = await upstream.request("/openai/eu/v1/models", {
+        method: "GET",
+        retry: false,
+        label: "readiness",
+        signal: AbortSignal.timeout(envInt("READY_TIMEOUT_MS", 5000)),
+      });
+      ldRes.body?.resume?.();
+      if (ldRes.status === 401 || ldRes.status === 403) {
+        return { ok: false, detail: `API key rejected (${ldRes.status})` };
+      }
+      if (ldRes.status >= 500) {
+        return { ok: false, detail: `Langdock returned ${ldRes.status}` };
+      }
+      return { ok: true, detail: "API key accepted" };
+    } catch (e) {
+      return { ok: false, detail: e.message };
+    }
+  }
+
+  async function checkAzure() {
+    if (!blobStorage.configured) return { ok: true, detail: "not configured" };
+    try {
+      const container = blobStorage
+        .service()
+        .getContainerClient(blobStorage.containerName("logs"));
+      await container.exists({
+        abortSignal: AbortSignal.timeout(envInt("READY_TIMEOUT_MS", 5000)),
+      });
+      return { ok: true, detail: `reachable (${blobStorage.auth})` };
+    } catch (e) {
+      return { ok: false, detail: e.message };
+    }
+  }
+
+  let readiness = null; // { at, promise }
+  app.get("/ready", async (req, res) => {
+    const ttl = envInt("READY_CACHE_MS", 10000);
+    if (!readiness || Date.now() - readiness.at > ttl) {
+      readiness = {
+        at: Date.now(),
+        promise: Promise.all([checkUpstream(), checkAzure()]).then(
+          ([upstreamCheck, azure]) => ({ upstream: upstreamCheck, azure })
+        ),
+      };
+    }
+    const checks = { config: checkConfig(), ...(await readiness.promise) };
+    const ready = Object.values(checks).every((c) => c.ok);
+    if (!ready) req.log.warn("not ready", { checks });
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      checks,
+    });
+  });
+
+  // Remaining request/token budget for the calling key and its user.
+  // User counters span every key, so ?user= (someone else's) is for admin
+  // keys only.
+  app.get("/quota", auth, (req, res) => {
+    if (req.query.user) {
+      if (req.clientKey && !req.clientKey.admin) {
+        return res.status(403).json({
+          error: "forbidden",
+          detail: "Only admin keys may read another user's quota",
+        });
+      }
+      req.headers["x-user-email"] = String(req.query.user);
+    }
+    res
+      .status(200)
+      .json({ key: req.clientKey?.id || null, quota: quota.status(req) });
+  });
+
+  // Prompt templates the caller may use. Only metadata: the prompts
+  // themselves never leave the proxy.
+  app.get("/templates", auth, (req, res) => {
+    const key = req.clientKey;
+    const locked =
+      key?.lockedTemplate && promptTemplates.get(key.lockedTemplate);
+    const templates = promptTemplates
+      .list()
+      .filter((t) =>
+        !key
+          ? true
+          : key.lockedTemplate
+          ? t === locked
+          : !checkScope(key, { template: t.id })
+      )
+      .map((t) => ({
+        id: t.id,
+        name: t.name,
+        version: t.version || null,
+        latest: promptTemplates.get(t.name) === t,
+        description: t.description || null,
+        variables: t.variables,
+      }));
+    res.status(200).json({ templates, locked: Boolean(locked) });
+  });
+
+  // Routes without the template option still honour a key's
+  // lockedTemplate: its prompt leads the messages and the caller may not
+  // bring a system prompt of their own. -> { messages, template } or
+  // { failure: { status, body } }
+  function withLockedPrompt(req, messages, variables) {
+    const locked = req.clientKey?.lockedTemplate;
+    if (!locked) return { messages };
+    const fail = (status, error, detail) => ({
+      failure: { status, body: { error, detail } },
+    });
+    if (messages.some((m) => ["system", "developer"].includes(m?.role))) {
+      return fail(
+        403,
+        "forbidden",
+        "System prompt is managed by the server for this key"
+      );
+    }
+    const template = promptTemplates.get(locked);
+    if (!template) {
+      return fail(400, "invalid_request", `Unknown template ${locked}`);
+    }
+    try {
+      const system = promptTemplates.renderSystem(template, variables);
+      return {
+        messages: [{ role: "system", content: system }, ...messages],
+        template,
+      };
+    } catch (e) {
+      return fail(400, "invalid_request", e.message);
+    }
+  }
+
+  // Aliases resolve to model + region, fallbacks following the primary.
+  // -> { route, targets } limited to what the key and tenant may use, or
+  // { denied } with the reason
+  function routeModel(req, model, region) {
+    const route = modelRouter.resolve(model, region);
+    if (req.clientKey) {
+      const denied = checkScope(req.clientKey, { model: route.requested });
+      if (denied) return { denied };
+    }
+    const targets = route.targets.filter(
+      (t) =>
+        ![req.clientKey, req.tenant].some(
+          (scope) => scope && checkScope(scope, { region: t.region })
+        )
+    );
+    if (!targets.length) {
+      return {
+        denied: `Key not allowed to use any region for ${route.requested}`,
+      };
+    }
+    return { route, targets };
+  }
+
+  // Sent after [DONE] when a chat request used retrieval
+  const citationsEvent = (citations) =>
+    `event: citations\ndata: ${JSON.stringify({ citations })}\n\n`;
+
+  // Agent loop for chat requests that use server tools: call the model, run
+  // the server tool calls it makes, append the results and call it again
+  // until it answers (or calls one of the client's own tools). The last
+  // allowed round forces an answer with tool_choice "none". Never cached,
+  // since tool results change.
+  async function chatWithTools(
+    req,
+    res,
+    { body, targets, toolNames, progress, citations }
+  ) {
+    const isServerTool = (name) => toolNames.includes(name);
+    const messages = [...(body.messages || [])];
+    let target = targets[0];
+    let ldRes = null;
+    let closed = false;
+    let hb = null;
+
+    const callModel = async (round) => {
+      const send = (t) =>
+        upstream.request(`/openai/${t.region}/v1/chat/completions`, {
+          label: "/chat/completions",
+          log: req.log,
+          keys: req.tenant?.keys,
+          baseUrl: req.routeConfig.baseUrl,
+          headers: {
+            "Content-Type": "application/json",
+            Accept: body.stream ? "text/event-stream" : "application/json",
+          },
+          body: JSON.stringify({
+            ...body,
+            model: t.model,
+            messages,
+            ...(round === maxToolRounds ? { tool_choice: "none" } : {}),
+          }),
+        });
+      if (round > 0) return send(target);
+      const first = await withFallback(targets, send, { log: req.log });
+      target = first.target;
+      req.servedModel = target.model;
+      res.setHeader("X-Served-Model", target.model ?? "");
+      res.setHeader("X-Served-Region", target.region);
+      return first.res;
+    };
+
+    const write = (s) => {
+      if (closed) return;
+      res.write(s);
+      res.flush?.();
+    };
+    // reply frames go through the output guardrails; progress events do not
+    const guard = outputGuard(req, "chat");
+    const send = (frame) => write(guard ? guard.push(frame) : frame);
+
+    // Runs a round's calls in parallel; resolves to the tool messages
+    const runCalls = (calls, round) =>
+      Promise.all(
+        calls.map(async (call) => {
+          const event = { round, id: call.id, name: call.function.name };
+          if (progress) {
+            write(
+              `event: tool\ndata: ${JSON.stringify({
+                ...event,
+                status: "running",
+              })}\n\n`
+            );
+          }
+          const { content, ok, ms } = await toolRegistry.execute(call, {
+            keyId: req.clientKey?.id,
+            log: req.log,
+          });
+          if (progress) {
+            write(
+              `event: tool\ndata: ${JSON.stringify({
+                ...event,
+                status: ok ? "done" : "failed",
+                ms,
+              })}\n\n`
+            );
+          }
+          return { role: "tool", tool_call_id: call.id, content };
+        })
+      );
+
+    if (!body.stream) {
+      for (let round = 0; ; round++) {
+        ldRes = await callModel(round);
+        const text = await ldRes.text();
+        if (!ldRes.ok) {
+          return res.status(ldRes.status).type("application/json").send(text);
+        }
+        const meter = quota.meter(req, JSON.stringify(messages));
+        meter.json(text);
+        meter.finish();
+        const data = JSON.parse(text);
+        const choice = data.choices?.[0];
+        const calls = choice?.message?.tool_calls || [];
+        if (
+          round < maxToolRounds &&
+          calls.length &&
+          calls.every((c) => isServerTool(c.function?.name))
+        ) {
+          messages.push(choice.message);
+          messages.push(...(await runCalls(calls, round)));
+          continue;
+        }
+        // a mixed turn goes to the client with its own calls only
+        const own = calls.filter((c) => !isServerTool(c.function?.name));
+        if (calls.length && own.length < calls.length) {
+          choice.message.tool_calls = own.length ? own : undefined;
+          if (!own.length) choice.finish_reason = "stop";
+        }
+        const reply = guardReply(req, data);
+        if (citations) reply.citations = citations;
+        return res.status(200).json(reply);
+      }
+    }
+
+    const stop = () => {
+      closed = true;
+      clearInterval(hb);
+      ldRes?.body?.destroy?.();
+    };
+    try {
+      for (let round = 0; !closed; round++) {
+        ldRes = await callModel(round);
+        if (!ldRes.ok) {
+          const errText = await ldRes.text().catch(() => "");
+          if (!res.headersSent) {
+            return res
+              .status(ldRes.status)
+              .type("application/json")
+              .send(errText);
+          }
+          req.log.warn("upstream failed during tool loop", {
+            status: ldRes.status,
+            round,
+          });
+          write(`:error upstream ${ldRes.status}\n\n`);
+          break;
+        }
+
+        if (!res.headersSent) {
+          res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+          res.setHeader("Cache-Control", "no-cache, no-transform");
+          res.setHeader("Connection", "keep-alive");
+          res.setHeader("X-Accel-Buffering", "no");
+          res.flushHeaders?.();
+          res.write(`:${" ".repeat(req.routeConfig.paddingBytes)}\n`);
+          res.write("retry: 1000\n");
+          res.write(":ok\n\n");
+          // heartbeats also cover slow tools
+          hb = setInterval(() => write(":hb\n\n"), req.routeConfig.heartbeatMs);
+          res.on("close", stop);
+        }
+
+        const meter = quota.meter(req, JSON.stringify(messages));
+        const turn = createToolTurn(isServerTool);
+        try {
+          for await (const chunk of sseChunks(ldRes.body, meter.push)) {
+            const out = turn.accept(chunk);
+            if (out) send(`data: ${JSON.stringify(out)}\n\n`);
+            if (guard?.blocked) break;
+          }
+        } finally {
+          meter.finish();
+        }
+        if (guard?.blocked) break;
+        const calls = round < maxToolRounds ? turn.serverCalls() : [];
+        if (!calls.length) break;
+        messages.push({
+          role: "assistant",
+          content: turn.content() || null,
+          tool_calls: calls,
+        });
+        messages.push(...(await runCalls(calls, round)));
+      }
+      send("data: [DONE]\n\n");
+      if (citations) write(citationsEvent(citations));
+      write(":done\n\n");
+    } catch (err) {
+      if (!res.headersSent) throw err;
+      if (!closed) {
+        req.log.error("tool loop stream error", { err });
+        write(`:error ${err?.message || ""}\n\n`);
+      }
+    } finally {
+      clearInterval(hb);
+    }
+    res.end();
+  }
+
+  // --- OpenAI-compatible Chat Completion endpoint (supports vision/images) ---
+  // /v1/chat/completions is the same route with OpenAI's non-streaming default.
+  async function chatCompletions(req, res) {
+    try {
+      const body = {
+        ...req.body,
+        stream: req.body.stream ?? !req.path.startsWith("/v1/"),
+      };
+
+      const { route, targets, denied } = routeModel(
+        req,
+        body.model,
+        req.query.region || req.routeConfig.region
+      );
+      if (denied) {
+        return res.status(403).json({ error: "forbidden", detail: denied });
+      }
+      const [primary] = targets;
+
+      // Server-managed system prompt: { template, variables } renders a
+      // template into a leading system message. A key with lockedTemplate
+      // always gets that template and may not bring its own system prompt.
+      const lockedTemplate = req.clientKey?.lockedTemplate;
+      if (lockedTemplate) {
+        if (
+          body.template !== undefined &&
+          promptTemplates.get(body.template) !==
+            promptTemplates.get(lockedTemplate)
+        ) {
+          return res.status(403).json({
+            error: "forbidden",
+            detail: `Key is locked to template ${lockedTemplate}`,
+          });
+        }
+        if (
+          (body.messages || []).some((m) =>
+            ["system", "developer"].includes(m?.role)
+          )
+        ) {
+          return res.status(403).json({
+            error: "forbidden",
+            detail: "System prompt is managed by the server for this key",
+          });
+        }
+      }
+      const templateRef = lockedTemplate ?? body.template;
+      if (templateRef !== undefined) {
+        const template = promptTemplates.get(templateRef);
+        if (!template) {
+          return res.status(400).json({
+            error: "invalid_request",
+            detail: `Unknown template ${templateRef}`,
+          });
+        }
+        const denied =
+          req.clientKey &&
+          !lockedTemplate &&
+          checkScope(req.clientKey, { template: template.id });
+        if (denied) {
+          return res.status(403).json({ error: "forbidden", detail: denied });
+        }
+        let system;
+        try {
+          system = promptTemplates.renderSystem(template, body.variables);
+        } catch (e) {
+          return res
+            .status(400)
+            .json({ error: "invalid_request", detail: e.message });
+        }
+        body.messages = [
+          { role: "system", content: system },
+          ...(body.messages || []),
+        ];
+        res.setHeader("X-Prompt-Template", template.id);
+      }
+      delete body.template;
+      delete body.variables;
+
+      // Retrieval: { collection, topK } adds the collection's closest
+      // chunks as numbered sources; they come back as citations
+      let citations = null;
+      if (body.retrieval !== undefined) {
+        const found = await retrieve(req, body.retrieval, body.messages);
+        if (found.failure) {
+          return res.status(found.failure.status).json(found.failure.body);
+        }
+        body.messages = found.messages;
+        citations = found.citations;
+      }
+      delete body.retrieval;
+
+      // Server tools: server_tools is true (every tool the key may use)
+      // or a list of names; tool_progress adds "event: tool" frames
+      let toolNames = [];
+      if (body.server_tools !== undefined && body.server_tools !== false) {
+        const allowed = (name) =>
+          !req.clientKey || !checkScope(req.clientKey, { tool: name });
+        if (body.server_tools === true) {
+          toolNames = toolRegistry.list().filter(allowed);
+        } else if (
+          Array.isArray(body.server_tools) &&
+          body.server_tools.every((n) => typeof n === "string")
+        ) {
+          toolNames = [...new Set(body.server_tools)];
+          const unknown = toolNames.find((n) => !toolRegistry.get(n));
+          if (unknown) {
+            return res.status(400).json({
+              error: "invalid_request",
+              detail: `Unknown tool ${unknown}`,
+            });
+          }
+          const denied = toolNames.find((n) => !allowed(n));
+          if (denied) {
+            return res.status(403).json({
+              error: "forbidden",
+              detail: checkScope(req.clientKey, { tool: denied }),
+            });
+          }
+        } else {
+          return res.status(400).json({
+            error: "invalid_request",
+            detail: "server_tools must be true or a list of tool names",
+          });
+        }
+        const clash = (body.tools || []).find((t) =>
+          toolNames.includes(t.function?.name)
+        );
+        if (clash) {
+          return res.status(400).json({
+            error: "invalid_request",
+            detail: `Tool ${clash.function.name} is provided by the server`,
+          });
+        }
+      }
+      const toolProgress = body.tool_progress === true;
+      delete body.server_tools;
+      delete body.tool_progress;
+      if (toolNames.length) {
+        body.tools = [
+          ...(body.tools || []),
+          ...toolRegistry.definitions(toolNames),
+        ];
+      }
+
+      const imageMode = req.query.images || config.CHAT_IMAGE_MODE || "off";
+      if (!CHAT_IMAGE_MODES.includes(imageMode)) {
+        return res.status(400).json({
+          error: "invalid_request",
+          detail: `images must be one of ${CHAT_IMAGE_MODES.join(", ")}`,
+        });
+      }
+      if (imageMode !== "off") {
+        try {
+          body.messages = await prepareChatImages(
+            req,
+            body.messages,
+            imageMode
+          );
+        } catch (e) {
+          req.log.warn("chat image preparation failed", { err: e });
+          return res.status(e.status || 400).json({
+            error: e.status >= 500 ? "image_store_failed" : "invalid_image",
+            detail: e.detail || e.message,
+          });
+        }
+      }
+
+      // --- debug summary ---
+      try {
+        const msgSummary = Array.isArray(body.messages)
+          ? body.messages.map((m) => {
+              const hasImages =
+                Array.isArray(m.content) &&
+                m.content.some((c) => c.type === "image_url");
+              return {
+                role: m.role,
+                hasImages,
+                contentType: typeof m.content === "string" ? "text" : "array",
+                contentPreview:
+                  typeof m.content === "string"
+                    ? m.content.slice(0, 60)
+                    : `[${m.content?.length || 0} items]`,
+              };
+            })
+          : [];
+        req.log.debug("chat completion request", {
+          model: route.requested,
+          targets,
+          stream: body.stream,
+          messages: msgSummary,
+        });
+      } catch (e) {
+        req.log.debug("chat summary failed", { err: e });
+      }
+
+      if (toolNames.length) {
+        return await chatWithTools(req, res, {
+          body,
+          targets,
+          toolNames,
+          progress: toolProgress,
+          citations,
+        });
+      }
+
+      // keyed on the concrete primary model so re-pointing an alias
+      // does not keep serving the old model's answers. Retrieval replies
+      // are not cached: the citations would not come back with them.
+      const cached = citations
+        ? { hit: null, write: false }
+        : await responseCache.lookup(req, res, `chat:${primary.region}`, {
+            ...body,
+            model: primary.model,
+          });
+      if (cached.hit) {
+        res.setHeader("X-Served-Model", cached.hit.model || "");
+        if (body.stream) return replaySSE(req, res, chatChunksFrom(cached.hit));
+        if (cached.hit.raw) {
+          return res
+            .status(200)
+            .type(cached.hit.contentType || "application/json")
+            .send(cached.hit.raw);
+        }
+        return res.status(200).json(chatCompletionFrom(cached.hit));
+      }
+
+      const { res: ldRes, target } = await withFallback(
+        targets,
+        (t) =>
+          upstream.request(`/openai/${t.region}/v1/chat/completions`, {
+            label: "/chat/completions",
+            log: req.log,
+            keys: req.tenant?.keys,
+            baseUrl: req.routeConfig.baseUrl,
+            headers: {
+              "Content-Type": "application/json",
+              Accept: body.stream ? "text/event-stream" : "application/json",
+            },
+            body: JSON.stringify({ ...body, model: t.model }),
+          }),
+        { log: req.log }
+      );
+      req.servedModel = target.model;
+      res.setHeader("X-Served-Model", target.model ?? "");
+      res.setHeader("X-Served-Region", target.region);
+
+      // If upstream isn't OK, forward its body
+      if (!ldRes.ok) {
+        const errText = await ldRes.text().catch(() => "");
+        return res.status(ldRes.status).type("application/json").send(errText);
+      }
+
+      const ct = ldRes.headers.get("content-type") || "";
+      req.log.debug("upstream response", { contentType: ct });
+      const meter = quota.meter(req, JSON.stringify(body.messages || []));
+
+      // If not streaming, just return the JSON response
+      if (!body.stream) {
+        const text = await ldRes.text();
+        meter.json(text);
+        meter.finish();
+        if (citations) {
+          const reply = guardReply(req, JSON.parse(text));
+          return res.status(200).json({ ...reply, citations });
+        }
+        if (req.guardPolicy?.output.length) {
+          return res.status(200).json(guardReply(req, JSON.parse(text)));
+        }
+        if (!TOOL_CALLS_RE.test(text)) {
+          responseCache.save(req, cached, {
+            text: meter.text(),
+            usage: req.tokenUsage,
+            model: target.model,
+            raw: text,
+            contentType: ct,
+          });
+        }
+        return res.status(200).type(ct).send(text);
+      }
+
+      // SSE with heartbeats; outlives a client disconnect (lib/streams.js)
+      const stream = streams.open(req, res);
+      const close = () => {
+        meter.finish();
+        try {
+          ldRes.body?.destroy?.();
+        } catch {}
+        stream.end();
+      };
+      stream.onCancel(close);
+
+      // Forward chunks as they arrive (through the output guardrails)
+      const guard = outputGuard(req, "chat");
+      let sawTools = false;
+      ldRes.body.on("data", (chunk) => {
+        if (guard?.blocked) return;
+        meter.push(chunk);
+        sawTools = sawTools || TOOL_CALLS_RE.test(chunk.toString("utf8"));
+        stream.write(guard ? guard.push(chunk) : chunk);
+        if (guard?.blocked) close();
+      });
+
+      ldRes.body.on("end", () => {
+        meter.finish();
+        if (guard) stream.write(guard.end());
+        if (!sawTools) {
+          responseCache.save(req, cached, {
+            text: meter.text(),
+            usage: req.tokenUsage,
+            model: target.model,
+          });
+        }
+        if (citations) stream.write(citationsEvent(citations));
+        stream.end(":done\n\n");
+      });
+
+      ldRes.body.on("error", (err) => {
+        req.log.error("upstream stream error", { err });
+        stream.end(`:error ${err?.message || ""}\n\n`);
+      });
+    } catch (err) {
+      req.log.error("chat completion proxy error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: "Chat completion proxy failed",
+          detail: err.message,
+        });
+      } else {
+        try {
+          res.end();
+        } catch (_) {}
+      }
+    }
+  }
+  app.post(
+    ["/chat/completions", "/v1/chat/completions"],
+    resumableGate((req) => req.body.stream ?? !req.path.startsWith("/v1/")),
+    chatCompletions
+  );
+
+  // --- OpenAI-compatible model list, embeddings and legacy completions ---
+  app.get("/v1/models", auth, async (req, res) => {
+    try {
+      const data = await modelCatalog.list(
+        req.query.region || req.routeConfig.region,
+        { tenant: req.tenant, baseUrl: req.routeConfig.baseUrl, log: req.log }
+      );
+      res.status(200).json({ object: "list", data });
+    } catch (err) {
+      req.log.error("model list failed", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      res
+        .status(err.status || 500)
+        .json({ error: "models_unavailable", detail: err.message });
+    }
+  });
+
+  app.get("/v1/models/:model", auth, async (req, res) => {
+    try {
+      const data = await modelCatalog.list(
+        req.query.region || req.routeConfig.region,
+        { tenant: req.tenant, baseUrl: req.routeConfig.baseUrl, log: req.log }
+      );
+      const model = data.find((m) => m.id === req.params.model);
+      if (!model) {
+        return res.status(404).json({
+          error: "model_not_found",
+          detail: `The model '${req.params.model}' does not exist`,
+        });
+      }
+      res.status(200).json(model);
+    } catch (err) {
+      req.log.error("model lookup failed", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      res
+        .status(err.status || 500)
+        .json({ error: "models_unavailable", detail: err.message });
+    }
+  });
+
+  // Named models follow the aliases, fallbacks and scopes of /chat; the
+  // "default" alias names a chat model, so a missing model stays missing
+  app.post("/v1/embeddings", auth, quota.enforce, async (req, res) => {
+    try {
+      const region = req.query.region || req.routeConfig.region;
+      const { targets, denied } = req.body.model
+        ? routeModel(req, req.body.model, region)
+        : { targets: [{ model: undefined, region }] };
+      if (denied) {
+        return res.status(403).json({ error: "forbidden", detail: denied });
+      }
+      req.log.debug("embeddings request", {
+        model: req.body.model,
+        region,
+        inputs: Array.isArray(req.body.input) ? req.body.input.length : 1,
+      });
+      const { res: ldRes, target } = await withFallback(
+        targets,
+        (t) =>
+          upstream.request(`/openai/${t.region}/v1/embeddings`, {
+            label: "/v1/embeddings",
+            log: req.log,
+            keys: req.tenant?.keys,
+            baseUrl: req.routeConfig.baseUrl,
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...req.body, model: t.model }),
+          }),
+        { log: req.log }
+      );
+      req.servedModel = target.model;
+      res.setHeader("X-Served-Model", target.model ?? "");
+      res.setHeader("X-Served-Region", target.region);
+      const text = await ldRes.text();
+      if (ldRes.ok) {
+        const meter = quota.meter(req, JSON.stringify(req.body.input ?? ""));
+        meter.json(text);
+        meter.finish();
+      }
+      res
+        .status(ldRes.status)
+        .type(ldRes.headers.get("content-type") || "application/json")
+        .send(text);
+    } catch (err) {
+      req.log.error("embeddings proxy error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      res
+        .status(500)
+        .json({ error: "Embeddings proxy failed", detail: err.message });
+    }
+  });
+
+  // Legacy text completions, served by the chat completions API
+  app.post("/v1/completions", completionGate, async (req, res) => {
+    try {
+      const body = {
+        ...completionToChat(req.body),
+        stream: !!req.body.stream,
+      };
+      const locked = withLockedPrompt(req, body.messages, req.body.variables);
+      if (locked.failure) {
+        return res.status(locked.failure.status).json(locked.failure.body);
+      }
+      body.messages = locked.messages;
+      if (locked.template) {
+        res.setHeader("X-Prompt-Template", locked.template.id);
+      }
+      delete body.template;
+      delete body.variables;
+      const region = req.query.region || req.routeConfig.region;
+      const { targets, denied } = routeModel(req, body.model, region);
+      if (denied) {
+        return res.status(403).json({ error: "forbidden", detail: denied });
+      }
+      req.log.debug("completion request", {
+        model: body.model,
+        region,
+        stream: body.stream,
+      });
+
+      const { res: ldRes, target } = await withFallback(
+        targets,
+        (t) =>
+          upstream.request(`/openai/${t.region}/v1/chat/completions`, {
+            label: "/v1/completions",
+            log: req.log,
+            keys: req.tenant?.keys,
+            baseUrl: req.routeConfig.baseUrl,
+            headers: {
+              "Content-Type": "application/json",
+              Accept: body.stream ? "text/event-stream" : "application/json",
+            },
+            body: JSON.stringify({ ...body, model: t.model }),
+          }),
+        { log: req.log }
+      );
+      req.servedModel = target.model;
+      res.setHeader("X-Served-Model", target.model ?? "");
+      res.setHeader("X-Served-Region", target.region);
+
+      if (!ldRes.ok) {
+        const errText = await ldRes.text().catch(() => "");
+        return res.status(ldRes.status).type("application/json").send(errText);
+      }
+
+      const meter = quota.meter(req, JSON.stringify(body.messages));
+      if (!body.stream) {
+        const text = await ldRes.text();
+        meter.json(text);
+        meter.finish();
+        return res.status(200).json(
+          chatToCompletion(guardReply(req, JSON.parse(text)), {
+            model: body.model,
+          })
+        );
+      }
+
+      res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache, no-transform");
+      res.setHeader("Connection", "keep-alive");
+      res.setHeader("X-Accel-Buffering", "no");
+      res.flushHeaders?.();
+
+      const completions = createCompletionStream({ model: body.model });
+      const guard = outputGuard(req, "chat");
+      const close = () => {
+        meter.finish();
+        try {
+          ldRes.body?.destroy?.();
+        } catch {}
+        try {
+          res.end();
+        } catch {}
+      };
+      res.on("close", close);
+
+      ldRes.body.on("data", (chunk) => {
+        if (guard?.blocked) return;
+        meter.push(chunk);
+        completions
+          .push(guard ? guard.push(chunk) : chunk)
+          .forEach((f) => res.write(f));
+        res.flush?.();
+        if (guard?.blocked) {
+          completions.end().forEach((f) => res.write(f));
+          close();
+        }
+      });
+      ldRes.body.on("end", () => {
+        meter.finish();
+        if (guard) completions.push(guard.end()).forEach((f) => res.write(f));
+        completions.end().forEach((f) => res.write(f));
+        res.end();
+      });
+      ldRes.body.on("error", (err) => {
+        req.log.error("upstream stream error", { err });
+        res.write(`:error ${err?.message || ""}\n\n`);
+        res.end();
+      });
+    } catch (err) {
+      req.log.error("completion proxy error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      if (!res.headersSent) {
+        res
+          .status(500)
+          .json({ error: "Completion proxy failed", detail: err.message });
+      } else {
+        try {
+          res.end();
+        } catch (_) {}
+      }
+    }
+  });
+
+  // --- Main streaming endpoint: forwards to Langdock Assistant API ---
+  async function assistantStream(req, res) {
+    try {
+      const body = { ...req.body, stream: true };
+
+      // --- debug summary ---
+      try {
+        const msgSummary = Array.isArray(body.messages)
+          ? body.messages.map((m) => ({
+              role: m.role,
+              hasAttachments:
+                Array.isArray(m.attachmentIds) && m.attachmentIds.length > 0,
+              attCount: Array.isArray(m.attachmentIds)
+                ? m.attachmentIds.length
+                : 0,
+              attachmentIds: m.attachmentIds || [],
+              contentPreview: (m.content || "").slice(0, 60),
+            }))
+          : [];
+        req.log.debug("assistant request", {
+          assistantId: body.assistantId,
+          rootAttIds: Array.isArray(body.attachmentIds)
+            ? body.attachmentIds.length
+            : 0,
+          messages: msgSummary,
+        });
+      } catch (e) {
+        req.log.debug("assistant summary failed", { err: e });
+      }
+
+      const cached = await responseCache.lookup(req, res, "assistant", body);
+      if (cached.hit) {
+        return replaySSE(req, res, assistantReplay(req, body, cached.hit));
+      }
+
+      const ldRes = await upstream.request("/assistant/v1/chat/completions", {
+        label: "/assistant",
+        log: req.log,
+        keys: req.tenant?.keys,
+        baseUrl: req.routeConfig.baseUrl,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
+        body: JSON.stringify(body),
+      });
+
+      // If upstream isn't OK, forward its body
+      if (!ldRes.ok) {
+        const errText = await ldRes.text().catch(() => "");
+        return res.status(ldRes.status).type("application/json").send(errText);
+      }
+
+      // NOTE: Upstream may be text/plain with custom framing (e.g., "0:", "2:", ...).
+      // Do NOT switch to .text(); it would buffer the entire body.
+      // We will just stream whatever bytes arrive and let the client parse per-line.
+      const ct = ldRes.headers.get("content-type") || "";
+      req.log.debug("upstream response", { contentType: ct });
+      const meter = quota.meter(req, JSON.stringify(body.messages || []));
+
+      // ?format=openai: translate the assistant framing into
+      // chat.completion.chunk frames instead of passing it through raw
+      const openai = wantsOpenAIFormat(req)
+        ? createOpenAIStream({ model: assistantModelName(body) })
+        : null;
+
+      // SSE with heartbeats; outlives a client disconnect (lib/streams.js).
+      // The raw framing can only be resumed at line ends.
+      const stream = streams.open(req, res, {
+        framing: openai ? "sse" : "lines",
+      });
+      const close = () => {
+        meter.finish();
+        try {
+          ldRes.body?.destroy?.();
+        } catch {}
+        stream.end();
+      };
+      stream.onCancel(close);
+
+      // Output guardrails rewrite whichever framing goes to the client
+      const guard = outputGuard(req, openai ? "chat" : "assistant");
+      const send = (data) => stream.write(guard ? guard.push(data) : data);
+
+      // Manual streaming—forward chunks as they arrive
+      let sawTools = false;
+      ldRes.body.on("data", (chunk) => {
+        if (guard?.blocked) return;
+        meter.push(chunk);
+        sawTools = sawTools || TOOL_CALLS_RE.test(chunk.toString("utf8"));
+
+        if (openai) openai.push(chunk).forEach(send);
+        else send(chunk);
+        if (guard?.blocked) close();
+      });
+
+      // Upstream finished
+      ldRes.body.on("end", () => {
+        meter.finish();
+        if (!sawTools) {
+          responseCache.save(req, cached, {
+            text: meter.text(),
+            usage: req.tokenUsage,
+            model: assistantModelName(body),
+          });
+        }
+        if (openai) openai.end().forEach(send);
+        if (guard) stream.write(guard.end());
+        stream.end(":done\n\n");
+      });
+
+      ldRes.body.on("error", (err) => {
+        req.log.error("upstream stream error", { err });
+        stream.end(`:error ${err?.message || ""}\n\n`);
+      });
+    } catch (err) {
+      req.log.error("assistant proxy error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      if (!res.headersSent) {
+        res
+          .status(500)
+          .json({ error: "Stream proxy failed", detail: err.message });
+      } else {
+        try {
+          res.end();
+        } catch (_) {}
+      }
+    }
+  }
+  app.post("/assistant", resumableGate(), assistantStream);
+
+  // (Optional) non-streaming helper endpoint for server-to-server use
+  app.post("/assistant-json", completionGate, async (req, res) => {
+    try {
+      const body = { ...req.body, stream: false };
+      // only entries stored from this route carry the raw JSON body
+      const cached = await responseCache.lookup(
+        req,
+        res,
+        "assistant",
+        body,
+        (entry) => !!entry.raw
+      );
+      if (cached.hit) {
+        return res
+          .status(200)
+          .type(cached.hit.contentType || "application/json")
+          .send(cached.hit.raw);
+      }
+
+      const ldRes = await upstream.request("/assistant/v1/chat/completions", {
+        label: "/assistant-json",
+        log: req.log,
+        keys: req.tenant?.keys,
+        baseUrl: req.routeConfig.baseUrl,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const text = await ldRes.text();
+      const ct = ldRes.headers.get("content-type") || "application/json";
+      if (ldRes.ok) {
+        const meter = quota.meter(req, JSON.stringify(body.messages || []));
+        meter.json(text);
+        meter.finish();
+        if (req.guardPolicy?.output.length) {
+          return res.status(200).json(guardReply(req, JSON.parse(text)));
+        }
+        if (!TOOL_CALLS_RE.test(text)) {
+          responseCache.save(req, cached, {
+            text: meter.text(),
+            usage: req.tokenUsage,
+            model: assistantModelName(body),
+            raw: text,
+            contentType: ct,
+          });
+        }
+      }
+      res.status(ldRes.status).type(ct).send(text);
+    } catch (err) {
+      req.log.error("assistant-json proxy error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      res.status(500).json({ error: "Proxy failed", detail: err.message });
+    }
+  });
+
+  // --- GET-based SSE endpoint: /assistant-stream?q=<urlencoded JSON> ---
+  // Streams even if upstream isn't SSE by re-framing lines into SSE "data:" frames.
+  // EventSource reconnects here with Last-Event-ID after a drop
+  app.get("/assistant-stream", resumableGate(), async (req, res) => {
+    let body = {};
+    try {
+      body = JSON.parse(req.query.q || "{}");
+    } catch {}
+    body.stream = true;
+
+    // (Optional) validate assistantId early
+    const UUID_RE =
+      /^(?:urn:uuid:)?[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[1-5][0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$/;
+    if (!body.assistantId || !UUID_RE.test(body.assistantId)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid assistantId: must be UUID" });
+    }
+
+    const cached = await responseCache.lookup(req, res, "assistant", body);
+    if (cached.hit) {
+      const replay = assistantReplay(req, body, cached.hit);
+      return replaySSE(
+        req,
+        res,
+        wantsOpenAIFormat(req)
+          ? replay
+          : replay.map((line) => `data: ${line.trim()}\n\n`)
+      );
+    }
+
+    // SSE with heartbeats; outlives a client disconnect (lib/streams.js)
+    const stream = streams.open(req, res);
+
+    // Call upstream (requesting "stream"). SSE headers are already out, so
+    // failures are reported as an "event: error" frame.
+    let up;
+    try {
+      up = await upstream.request("/assistant/v1/chat/completions", {
+        label: "/assistant-stream",
+        log: req.log,
+        keys: req.tenant?.keys,
+        baseUrl: req.routeConfig.baseUrl,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream", // ask for SSE if supported
+        },
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      req.log.error("assistant-stream upstream error", { err });
+      stream.write(
+        `event: error\ndata: ${JSON.stringify({
+          status: err.status || 500,
+          error: err.code || "upstream_error",
+          detail: err.message,
+        })}\n\n`
+      );
+      return stream.end();
+    }
+
+    const ct = up.headers.get("content-type") || "";
+    req.log.debug("upstream response", { contentType: ct });
+
+    if (!up.ok) {
+      const errText = await up.text().catch(() => "");
+      stream.write(
+        `event: error\ndata: ${JSON.stringify({
+          status: up.status,
+          body: errText.slice(0, 300),
+        })}\n\n`
+      );
+      return stream.end();
+    }
+
+    const meter = quota.meter(req, JSON.stringify(body.messages || []));
+    let sawTools = false;
+    const track = (chunk) => {
+      meter.push(chunk);
+      sawTools = sawTools || TOOL_CALLS_RE.test(chunk.toString("utf8"));
+    };
+    const finish = () => {
+      meter.finish();
+      if (!sawTools) {
+        responseCache.save(req, cached, {
+          text: meter.text(),
+          usage: req.tokenUsage,
+          model: assistantModelName(body),
+        });
+      }
+    };
+    const close = () => {
+      meter.finish();
+      try {
+        up.body?.destroy?.();
+      } catch {}
+      stream.end();
+    };
+    stream.onCancel(close);
+
+    // ?format=openai: emit chat.completion.chunk frames
+    if (wantsOpenAIFormat(req)) {
+      const openai = createOpenAIStream({ model: assistantModelName(body) });
+      const guard = outputGuard(req, "chat");
+      const send = (f) => stream.write(guard ? guard.push(f) : f);
+      up.body.on("data", (chunk) => {
+        if (guard?.blocked) return;
+        track(chunk);
+        openai.push(chunk).forEach(send);
+        if (guard?.blocked) close();
+      });
+      up.body.on("end", () => {
+        finish();
+        openai.end().forEach(send);
+        if (guard) stream.write(guard.end());
+        stream.end(":done\n\n");
+      });
+      up.body.on("error", (err) => {
+        stream.end(`:error ${err?.message || ""}\n\n`);
+      });
+      return;
+    }
+
+    // assistant line framing, bare or inside SSE data frames
+    const guard = outputGuard(req, "assistant");
+
+    // If upstream is real SSE, pass-through
+    if (ct.includes("text/event-stream")) {
+      up.body.on("data", (chunk) => {
+        if (guard?.blocked) return;
+        track(chunk);
+        stream.write(guard ? guard.push(chunk) : chunk);
+        if (guard?.blocked) close();
+      });
+      up.body.on("end", () => {
+        finish();
+        if (guard) stream.write(guard.end());
+        stream.end(":done\n\n");
+      });
+      up.body.on("error", (err) => {
+        stream.end(`:error ${err?.message || ""}\n\n`);
+      });
+      return;
+    }
+
+    // Otherwise: re-frame upstream text/plain stream into SSE frames.
+    let carry = "";
+    const reframe = (text, last) => {
+      const parts = (carry + text).split(/\r?\n/);
+      carry = last ? "" : parts.pop() ?? "";
+      for (const lineRaw of parts) {
+        const line = lineRaw.trim();
+        if (!line) continue;
+        // Wrap each upstream line as an SSE data frame.
+        // Client-side EventSource sees it as e.data = original line.
+        stream.write(`data: ${line}\n\n`);
+      }
+    };
+    up.body.on("data", (chunk) => {
+      if (guard?.blocked) return;
+      track(chunk);
+      const text = Buffer.isBuffer(chunk)
+        ? chunk.toString("utf8")
+        : String(chunk);
+      reframe(guard ? guard.push(text) : text, false);
+      if (guard?.blocked) close();
+    });
+
+    up.body.on("end", () => {
+      finish();
+      reframe(guard ? guard.end() : "", true);
+      stream.end(":done\n\n");
+    });
+
+    up.body.on("error", (err) => {
+      stream.end(`:error ${err?.message || ""}\n\n`);
+    });
+  });
+
+  // Picks up a stream from Last-Event-ID, or from the start without it
+  app.get("/streams/:id", auth, (req, res) => {
+    streams.resume(req, res, req.params.id);
+  });
+
+  // Stops a stream for good, upstream call included
+  app.post("/streams/:id/cancel", auth, (req, res) => {
+    if (!streams.cancel(req.params.id, req)) {
+      return res.status(404).json({ error: "Stream not found" });
+    }
+    req.log.info("stream cancelled", { stream: req.params.id });
+    res.json({ id: req.params.id, cancelled: true });
+  });
+
+  // --- Minimal debug SSE to verify host-level streaming ---
+  app.get("/debug-sse", (req, res) => {
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.setHeader("Content-Encoding", "identity");
+    res.setHeader("Vary", "Accept-Encoding");
+    res.removeHeader?.("Content-Length");
+    res.flushHeaders?.();
+
+    res.write(`:${" ".repeat(req.routeConfig.paddingBytes)}\n`);
+    res.write(":hello\n\n");
+    res.flush?.();
+
+    let i = 0;
+    const start = Date.now();
+    const tick = () => {
+      const line = `data: ${++i} @ ${Date.now() - start}ms\n\n`;
+      const ok = res.write(line);
+      res.flush?.();
+      if (i >= 10) return res.end();
+      if (!ok) res.once("drain", () => setTimeout(tick, 500));
+      else setTimeout(tick, 500);
+    };
+    tick();
+
+    const close = () => {
+      try {
+        res.end();
+      } catch {}
+    };
+    res.on("close", close);
+    req.on("aborted", close);
+  });
+
+  // Helper endpoint to get assistant details
+  app.get("/assistant/:assistantId", auth, async (req, res) => {
+    try {
+      const { assistantId } = req.params;
+      const ldRes = await upstream.request(
+        `/assistant/v1/assistants/${encodeURIComponent(assistantId)}`,
+        {
+          method: "GET",
+          label: "/assistant/:id",
+          log: req.log,
+          keys: req.tenant?.keys,
+          baseUrl: req.routeConfig.baseUrl,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+      const text = await ldRes.text();
+      const ct = ldRes.headers.get("content-type") || "application/json";
+
+      req.log.debug("assistant details", { status: ldRes.status });
+
+      res.status(ldRes.status).type(ct).send(text);
+    } catch (err) {
+      req.log.error("get assistant error", { err });
+      if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+      res
+        .status(500)
+        .json({ error: "Failed to get assistant", detail: err.message });
+    }
+  });
+
+  // Upload limits, type allow-lists and the scanner (see lib/uploads.js)
+  const listOf = (value, fallback) =>
+    value
+      ? value
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean)
+      : fallback;
+  const scanner = createScanner(config.UPLOAD_SCANNER, {
+    timeoutMs: envInt("UPLOAD_SCAN_TIMEOUT_MS", 60000),
+  });
+  const uploadFiles = receiveUploads({
+    maxBytes: envInt("UPLOAD_MAX_BYTES", 25 * 1024 * 1024),
+    maxFiles: envInt("UPLOAD_MAX_FILES", 1),
+    allowedTypes: listOf(config.UPLOAD_ALLOWED_TYPES, DOCUMENT_TYPES),
+    scanner,
+    dir: config.UPLOAD_DIR,
+  });
+  const imageMaxBytes = envInt("IMAGE_UPLOAD_MAX_BYTES", 10 * 1024 * 1024);
+  const uploadImages = receiveUploads({
+    maxBytes: imageMaxBytes,
+    maxFiles: envInt("IMAGE_UPLOAD_MAX_FILES", 1),
+    allowedTypes: listOf(
+      config.IMAGE_UPLOAD_ALLOWED_TYPES,
+      config.IMAGE_PREPROCESS === "false"
+        ? IMAGE_TYPES
+        : [...IMAGE_TYPES, ...CONVERTIBLE_TYPES]
+    ),
+    scanner,
+    dir: config.UPLOAD_DIR,
+  });
+
+  // Attachment registry (ATTACHMENTS_FILE, default data/attachments.json).
+  // Uploads are deduplicated per key by content hash. Entries, and image
+  // blobs, older than ATTACHMENT_RETENTION_DAYS (default 30; 0 keeps them)
+  // are purged every ATTACHMENT_SWEEP_MINUTES (default 60).
+  const attachments = createFileAttachmentStore(
+    config.ATTACHMENTS_FILE || "data/attachments.json"
+  );
+  const uploaderOf = (req) => ({
+    keyId: req.clientKey?.id ?? null,
+    userEmail: req.body?.userEmail || null,
+  });
+
+  async function register(req, record) {
+    try {
+      await attachments.put({
+        ...uploaderOf(req),
+        ...record,
+        createdAt: new Date().toISOString(),
+      });
+    } catch (e) {
+      // the upload itself worked; it just will not be listed or deduped
+      req.log.error("attachment registry write failed", { err: e });
+    }
+  }
+
+  // Generic "blob" uploads get a name matching their sniffed type
+  const uploadName = (file) =>
+    file.originalname && file.originalname !== "blob"
+      ? file.originalname
+      : `file.${EXTENSIONS[file.detectedType] || "bin"}`;
+
+  // Streams one spooled file to Langdock. Resolves to { attachmentId, file }
+  // or { failure: { status, type, body } } to send back as-is.
+  async function uploadAttachment(req, file) {
+    const filename = uploadName(file);
+    if (filename !== file.originalname) {
+      req.log.debug("upload filename fixed", {
+        from: file.originalname,
+        to: filename,
+      });
+    }
+
+    // A fresh form per attempt: a FormData stream can only be read once
+    const buildForm = () => {
+      const form = new FormData();
+      form.append("file", fs.createReadStream(file.path), {
+        filename: filename,
+        contentType: file.detectedType,
+        knownLength: file.size,
+      });
+      return form;
+    };
+
+    const ld = await upstream.request("/attachment/v1/upload", {
+      label: "/upload",
+      log: req.log,
+      keys: req.tenant?.keys,
+      baseUrl: req.routeConfig.baseUrl,
+      body: buildForm,
+    });
+
+    const ct = ld.headers.get("content-type") || "application/json";
+    const text = await ld.text();
+
+    if (!ld.ok) {
+      req.log.error("upload failed", {
+        status: ld.status,
+        filename: filename,
+        mimetype: file.detectedType,
+        size: file.size,
+        response: text.slice(0, 500),
+      });
+      return { failure: { status: ld.status, type: ct, body: text } };
+    }
+
+    // Normalize to always return { attachmentId, file }
+    let data = {};
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      req.log.error("upload response not JSON", {
+        err: parseError,
+        response: text.slice(0, 500),
+      });
+      return {
+        failure: {
+          status: 500,
+          body: {
+            message: "Failed to parse upload response",
+            detail: parseError.message,
+            rawResponse: text.slice(0, 200),
+          },
+        },
+      };
+    }
+
+    const attachmentId =
+      data.attachmentId ||
+      data.id ||
+      data?.attachment?.id ||
+      data?.result?.attachmentId ||
+      null;
+
+    if (!attachmentId) {
+      req.log.error("no attachmentId in upload response", { response: data });
+      return {
+        failure: {
+          status: 500,
+          body: {
+            message: "No attachmentId in upload response",
+            rawResponse: data,
+          },
+        },
+      };
+    }
+
+    req.log.info("upload succeeded", {
+      attachmentId,
+      filename: filename,
+      mimetype: file.detectedType,
+      size: file.size,
+    });
+    // Response matching Langdock documentation format
+    return {
+      attachmentId,
+      file: {
+        name: filename,
+        mimeType: file.detectedType,
+        sizeInBytes: file.size,
+      },
+    };
+  }
+
+  // --- Document index for retrieval (see lib/rag.js) ---
+  const indexFiles = receiveUploads({
+    maxBytes: envInt("INDEX_MAX_BYTES", 25 * 1024 * 1024),
+    maxFiles: envInt("INDEX_MAX_FILES", 10),
+    allowedTypes: INDEXABLE_TYPES,
+    scanner,
+    dir: config.UPLOAD_DIR,
+  });
+
+  const collectionView = ({ chunks, ...collection }) => ({
+    ...collection,
+    chunks: chunks.length,
+  });
+
+  // :collection must be a valid name the caller may use
+  function collectionParam(req, res, next) {
+    const name = req.params.collection;
+    if (!COLLECTION_RE.test(name)) {
+      return res.status(400).json({
+        error: "invalid_request",
+        detail: "Collection names are 1-64 letters, digits, _ or -",
+      });
+    }
+    const denied = collectionDenied(req, name);
+    if (denied) {
+      return res.status(403).json({ error: "forbidden", detail: denied });
+    }
+    next();
+  }
+
+  // Indexing embeds in ?region= (else the route's region), so the key and
+  // tenant region lists apply as on the region-scoped API routes
+  function embeddingRegion(req, res, next) {
+    const region = req.query.region || req.routeConfig.region;
+    const denied =
+      (req.clientKey && checkScope(req.clientKey, { region })) ||
+      (req.tenant &&
+        checkScope(req.tenant, { region }, `Tenant ${req.tenant.id}`));
+    if (denied) {
+      return res.status(403).json({ error: "forbidden", detail: denied });
+    }
+    next();
+  }
+
+  async function loadCollection(req, res, next) {
+    try {
+      const collection = await documentIndex.get(
+        ownerOf(req),
+        req.params.collection
+      );
+      if (!collection) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      req.collection = collection;
+      next();
+    } catch (e) {
+      req.log.error("collection load failed", { err: e });
+      res.status(500).json({ error: "Document index failed" });
+    }
+  }
+
+  app.get("/index", auth, async (req, res) => {
+    try {
+      const collections = (await documentIndex.list(ownerOf(req))).filter(
+        (c) => !collectionDenied(req, c.name)
+      );
+      res.json({ collections: collections.map(collectionView) });
+    } catch (e) {
+      req.log.error("collection list failed", { err: e });
+      res.status(500).json({ error: "Document index failed" });
+    }
+  });
+
+  app.get(
+    "/index/:collection",
+    auth,
+    collectionParam,
+    loadCollection,
+    (req, res) => res.json(collectionView(req.collection))
+  );
+
+  // Indexes the uploaded files. A file already in the collection under the
+  // same name is replaced, unless its content is unchanged.
+  app.post(
+    "/index/:collection",
+    auth,
+    collectionParam,
+    embeddingRegion,
+    quota.enforce,
+    indexFiles,
+    async (req, res) => {
+      const name = req.params.collection;
+      try {
+        if (!req.files?.length) {
+          return res
+            .status(400)
+            .json({ error: "invalid_request", detail: "No file provided" });
+        }
+        // every file is read before anything is embedded, so one bad
+        // file leaves the collection untouched
+        const parsed = [];
+        for (const file of req.files) {
+          let text;
+          try {
+            text = extractText(
+              await fs.promises.readFile(file.path),
+              file.detectedType,
+              {
+                maxBytes: envInt("INDEX_MAX_EXPANDED_BYTES", 100 * 1024 * 1024),
+              }
+            );
+          } catch (e) {
+            req.log.warn("document text extraction failed", {
+              filename: file.originalname,
+              err: e,
+            });
+            return res.status(422).json({
+              error: "unreadable_document",
+              detail: `${file.originalname}: ${e.message}`,
+            });
+          }
+          const chunks = chunkText(text, {
+            size: envInt("INDEX_CHUNK_CHARS", 1500),
+            overlap: envInt("INDEX_CHUNK_OVERLAP", 200),
+          });
+          if (!chunks.length) {
+            return res.status(422).json({
+              error: "no_text",
+              detail: `No text found in ${file.originalname}`,
+            });
+          }
+          parsed.push({ file, chunks });
+        }
+
+        const documents = [];
+        for (const { file, chunks } of parsed) {
+          const current = await documentIndex.get(ownerOf(req), name);
+          const model = current?.model || embeddingModel;
+          const known = current?.documents.find(
+            (d) => d.name === file.originalname && d.sha256 === file.sha256
+          );
+          if (known) {
+            documents.push({ ...known, deduplicated: true });
+            continue;
+          }
+          const vectors = await embed(req, chunks, model);
+          const document = {
+            id: newDocumentId(),
+            name: file.originalname,
+            type: file.detectedType,
+            size: file.size,
+            sha256: file.sha256,
+            chunks: chunks.length,
+            indexedAt: new Date().toISOString(),
+          };
+          const replaced = await documentIndex.addDocument(
+            ownerOf(req),
+            name,
+            model,
+            document,
+            chunks.map((text, seq) => ({
+              documentId: document.id,
+              seq,
+              text,
+              vector: vectors[seq],
+            }))
+          );
+          req.log.info("document indexed", {
+            collection: name,
+            documentId: document.id,
+            filename: document.name,
+            chunks: chunks.length,
+            replaced: replaced?.id,
+          });
+          documents.push(
+            replaced ? { ...document, replaced: replaced.id } : document
+          );
+        }
+        res.status(201).json({ collection: name, documents });
+      } catch (e) {
+        req.log.error("document indexing failed", { err: e });
+        if (e instanceof UpstreamError) return sendUpstreamError(res, e);
+        res
+          .status(500)
+          .json({ error: "Document indexing failed", detail: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/index/:collection",
+    auth,
+    collectionParam,
+    loadCollection,
+    async (req, res) => {
+      try {
+        await documentIndex.drop(ownerOf(req), req.params.collection);
+        req.log.info("collection deleted", {
+          collection: req.params.collection,
+        });
+        res.status(204).end();
+      } catch (e) {
+        req.log.error("collection delete failed", { err: e });
+        res.status(500).json({ error: "Document index failed" });
+      }
+    }
+  );
+
+  app.delete(
+    "/index/:collection/documents/:documentId",
+    auth,
+    collectionParam,
+    loadCollection,
+    async (req, res) => {
+      try {
+        const removed = await documentIndex.removeDocument(
+          ownerOf(req),
+          req.params.collection,
+          req.params.documentId
+        );
+        if (!removed) {
+          return res.status(404).json({ error: "Document not found" });
+        }
+        req.log.info("document removed", {
+          collection: req.params.collection,
+          documentId: req.params.documentId,
+        });
+        res.status(204).end();
+      } catch (e) {
+        req.log.error("document delete failed", { err: e });
+        res.status(500).json({ error: "Document index failed" });
+      }
+    }
+  );
+
+  // Upload attachment(s) -> Langdock (multipart, streamed from the spool)
+  app.post("/upload", auth, uploadFiles, async (req, res) => {
+    try {
+      if (!req.files?.length) {
+        return res.status(400).json({ message: "No file provided" });
+      }
+
+      const results = [];
+      for (const file of req.files) {
+        req.log.info("upload received", {
+          originalname: file.originalname,
+          mimetype: file.mimetype,
+          detectedType: file.detectedType,
+          size: file.size,
+          encoding: file.encoding,
+        });
+        const known = await attachments.findByHash({
+          keyId: uploaderOf(req).keyId,
+          kind: "attachment",
+          sha256: file.sha256,
+        });
+        if (known) {
+          req.log.info("upload deduplicated", { attachmentId: known.id });
+          results.push({
+            attachmentId: known.id,
+            file: {
+              name: known.filename,
+              mimeType: known.mimeType,
+              sizeInBytes: known.size,
+            },
+            deduplicated: true,
+          });
+          continue;
+        }
+        const result = await uploadAttachment(req, file);
+        if (result.failure) {
+          const { status, type, body } = result.failure;
+          if (type) return res.status(status).type(type).send(body);
+          return res.status(status).json(body);
+        }
+        await register(req, {
+          id: result.attachmentId,
+          kind: "attachment",
+          filename: result.file.name,
+          mimeType: result.file.mimeType,
+          size: result.file.sizeInBytes,
+          sha256: file.sha256,
+        });
+        results.push(result);
+      }
+      // one file keeps the single-object shape clients already parse
+      return res
+        .status(200)
+        .json(results.length === 1 ? results[0] : { attachments: results });
+    } catch (e) {
+      req.log.error("upload proxy error", { err: e });
+      if (e instanceof UpstreamError) return sendUpstreamError(res, e);
+      res.status(500).json({ message: "Upload failed", detail: e.message });
+    }
+  });
+
+  // Vision images: IMAGE_PREPROCESS (default true) normalises them first
+  const imagePreprocess = config.IMAGE_PREPROCESS !== "false";
+  const imageOptions = {
+    maxDimension: envInt("IMAGE_MAX_DIMENSION", 2048),
+    quality: envInt("IMAGE_JPEG_QUALITY", 85),
+  };
+
+  // Image URLs: upload responses carry a read-only SAS valid for
+  // IMAGE_SAS_TTL_HOURS (default 24) plus a stable /images/<blobName> URL.
+  // That one redirects to a fresh IMAGE_REDIRECT_TTL_MINUTES (default 15)
+  // SAS, or streams the blob when IMAGE_SERVE_MODE=stream or the
+  // credential cannot sign. With IMAGE_URL_SECRET set it carries an HMAC
+  // ?sig= so vision models can fetch it without a client key.
+  const imageSasTtlMs = envInt("IMAGE_SAS_TTL_HOURS", 24) * 60 * 60 * 1000;
+  const imageRedirectTtlMs =
+    envInt("IMAGE_REDIRECT_TTL_MINUTES", 15) * 60 * 1000;
+
+  const imageSig = (blobName) =>
+    crypto
+      .createHmac("sha256", config.IMAGE_URL_SECRET)
+      .update(blobName)
+      .digest("base64url");
+
+  function imageProxyUrl(req, blobName) {
+    const base =
+      config.PUBLIC_BASE_URL?.replace(/\/+$/, "") ||
+      `${req.protocol}://${req.get("host")}`;
+    const sig = config.IMAGE_URL_SECRET ? `?sig=${imageSig(blobName)}` : "";
+    return `${base}/images/${encodeURIComponent(blobName)}${sig}`;
+  }
+
+  // Image blob names: YYYY-MM-DD/<ms>-<rand>.<ext>
+  const IMAGE_BLOB_RE = /^(\d{4}-\d{2}-\d{2})\/\d+-[a-z0-9]+\.[a-z]+$/;
+
+  // Stores one image in the images container. data is a Buffer or the path
+  // of a spooled file.
+  async function storeImage(data, mimeType) {
+    const container = await blobStorage.container("images");
+
+    // Generate unique filename in today's folder
+    const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    const timestamp = Date.now();
+    const randomStr = Math.random().toString(36).substring(2, 15);
+    const ext = EXTENSIONS[mimeType] || "jpg";
+    const blobName = `${today}/${timestamp}-${randomStr}.${ext}`;
+
+    const blockBlobClient = container.getBlockBlobClient(blobName);
+    const options = { blobHTTPHeaders: { blobContentType: mimeType } };
+    if (Buffer.isBuffer(data)) {
+      await blockBlobClient.uploadData(data, options);
+    } else {
+      // Stream the spooled image up in blocks
+      await blockBlobClient.uploadFile(data, options);
+    }
+    return { blobName, container: container.containerName };
+  }
+
+  // CHAT_IMAGE_MODE (or ?images= per request) for image_url parts:
+  //   off        forward untouched (default)
+  //   normalise  normalise data: URL images, keep them inline
+  //   upload     normalise data: URL images and send a blob SAS URL instead
+  //   inline     normalise data: URLs and inline images from our blob
+  //              account or IMAGE_FETCH_HOSTS as data: URLs
+  const CHAT_IMAGE_MODES = ["off", "normalise", "upload", "inline"];
+  const imageFetchHosts = listOf(config.IMAGE_FETCH_HOSTS, []);
+
+  // Only hosts we trust are fetched; anything else is left for upstream
+  async function fetchImage(url) {
+    const { host, protocol } = new URL(url);
+    const hosts = blobStorage.configured
+      ? [...imageFetchHosts, blobStorage.host]
+      : imageFetchHosts;
+    if (!/^https?:$/.test(protocol) || !hosts.includes(host)) return null;
+    const r = await fetch(url, {
+      redirect: "error",
+      size: imageMaxBytes,
+      signal: AbortSignal.timeout(envInt("IMAGE_FETCH_TIMEOUT_MS", 15000)),
+    });
+    if (!r.ok) throw new Error(`Fetching ${host} image failed (${r.status})`);
+    return r.buffer();
+  }
+
+  function prepareChatImages(req, messages, mode) {
+    return mapImageUrls(messages, async (url) => {
+      const inline = parseDataUrl(url);
+      const input = inline
+        ? inline.buffer
+        : mode === "inline"
+        ? await fetchImage(url)
+        : null;
+      if (!input) return url;
+      const out = await normaliseImage(input, imageOptions);
+      if (mode === "upload") {
+        const stored = await storeImage(out.buffer, out.mimeType);
+        return (
+          (await blobStorage.signUrl(stored.container, stored.blobName, {
+            ttlMs: imageSasTtlMs,
+          })) || imageProxyUrl(req, stored.blobName)
+        );
+      }
+      return toDataUrl(out.buffer, out.mimeType);
+    });
+  }
+
+  // Records from before per-purpose containers live in the logs container
+  const containerOf = (record) =>
+    record.container || blobStorage.containerName("logs");
+
+  // /upload-image response for a registry record, with a fresh SAS URL
+  async function imageView(req, record) {
+    const proxyUrl = imageProxyUrl(req, record.blobName);
+    const imageUrl =
+      (await blobStorage.signUrl(containerOf(record), record.blobName, {
+        ttlMs: imageSasTtlMs,
+      })) || proxyUrl;
+    return {
+      id: record.id,
+      url: imageUrl,
+      imageUrl: imageUrl,
+      proxyUrl,
+      blobName: record.blobName,
+      mimeType: record.mimeType,
+      sizeInBytes: record.size,
+      ...(record.width && { width: record.width, height: record.height }),
+    };
+  }
+
+  // Upload image(s) to Azure Blob Storage (for vision API)
+  app.post("/upload-image", auth, uploadImages, async (req, res) => {
+    try {
+      if (!req.files?.length) {
+        return res.status(400).json({ message: "No file provided" });
+      }
+
+      if (!blobStorage.configured) {
+        return res.status(500).json({
+          message: "Azure Storage not configured",
+          detail:
+            "Set AZURE_STORAGE_CONNECTION_STRING or AZURE_STORAGE_ACCOUNT_URL",
+        });
+      }
+
+      // Normalise everything first so a bad file stores nothing
+      const images = [];
+      for (const file of req.files) {
+        req.log.info("image upload received", {
+          originalname: file.originalname,
+          mimetype: file.mimetype,
+          detectedType: file.detectedType,
+          size: file.size,
+        });
+        const known = await attachments.findByHash({
+          keyId: uploaderOf(req).keyId,
+          kind: "image",
+          sha256: file.sha256,
+        });
+        if (known) {
+          images.push({ known });
+          continue;
+        }
+        const image = { file };
+        if (!imagePreprocess) {
+          images.push({
+            ...image,
+            data: file.path,
+            mimeType: file.detectedType,
+            size: file.size,
+          });
+          continue;
+        }
+        try {
+          const out = await normaliseImage(
+            await fs.promises.readFile(file.path),
+            imageOptions
+          );
+          images.push({
+            ...image,
+            data: out.buffer,
+            mimeType: out.mimeType,
+            size: out.buffer.length,
+            width: out.width,
+            height: out.height,
+          });
+        } catch (e) {
+          req.log.warn("image preprocessing failed", {
+            filename: file.originalname,
+            err: e,
+          });
+          return res.status(422).json({
+            message: "Could not process image",
+            detail: e.message,
+            filename: file.originalname,
+          });
+        }
+      }
+
+      const results = [];
+      for (const { known, ...image } of images) {
+        if (known) {
+          req.log.info("image upload deduplicated", { id: known.id });
+          results.push({
+            ...(await imageView(req, known)),
+            deduplicated: true,
+          });
+          continue;
+        }
+        const { blobName, container } = await storeImage(
+          image.data,
+          image.mimeType
+        );
+        // the SAS URL is a bearer credential: log the blob name only
+        req.log.info("image upload succeeded", { blobName, size: image.size });
+
+        const record = {
+          id: newImageId(),
+          kind: "image",
+          filename: image.file.originalname,
+          mimeType: image.mimeType,
+          size: image.size,
+          sha256: image.file.sha256,
+          blobName,
+          container,
+          ...(image.width && { width: image.width, height: image.height }),
+        };
+        await register(req, record);
+        results.push(await imageView(req, record));
+      }
+      return res
+        .status(200)
+        .json(results.length === 1 ? results[0] : { images: results });
+    } catch (e) {
+      req.log.error("image upload failed", { err: e });
+      res.status(500).json({
+        message: "Image upload failed",
+        detail: e.message,
+      });
+    }
+  });
+
+  // Stable image URL: a valid ?sig= stands in for the client key
+  function imageAccess(req, res, next) {
+    const sig = String(req.query.sig || "");
+    if (config.IMAGE_URL_SECRET && sig) {
+      const want = Buffer.from(imageSig(req.params.blobName));
+      const got = Buffer.from(sig);
+      if (got.length === want.length && crypto.timingSafeEqual(got, want)) {
+        return next();
+      }
+      return res.status(403).json({ error: "invalid signature" });
+    }
+    auth(req, res, next);
+  }
+
+  app.get("/images/:blobName(*)", imageAccess, async (req, res) => {
+    const { blobName } = req.params;
+    if (!IMAGE_BLOB_RE.test(blobName)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    try {
+      blobStorage.service(); // throws when not configured
+      // pre-registry images were written to the logs container
+      let found = null;
+      for (const purpose of ["images", "logs"]) {
+        const blob = (await blobStorage.container(purpose)).getBlobClient(
+          blobName
+        );
+        try {
+          found = { purpose, blob, props: await blob.getProperties() };
+          break;
+        } catch (e) {
+          if (e.statusCode !== 404) throw e;
+        }
+      }
+      if (!found) return res.status(404).json({ error: "Image not found" });
+
+      const stream =
+        config.IMAGE_SERVE_MODE === "stream" || !blobStorage.canSign;
+      if (!stream) {
+        const url = await blobStorage.signUrl(found.purpose, blobName, {
+          ttlMs: imageRedirectTtlMs,
+        });
+        // cache the redirect for well under the SAS lifetime
+        res.setHeader(
+          "Cache-Control",
+          `private, max-age=${Math.floor(imageRedirectTtlMs / 2000)}`
+        );
+        return res.redirect(302, url);
+      }
+
+      const download = await found.blob.download();
+      res.status(200);
+      res.setHeader(
+        "Content-Type",
+        found.props.contentType || "application/octet-stream"
+      );
+      if (found.props.contentLength !== undefined) {
+        res.setHeader("Content-Length", found.props.contentLength);
+      }
+      if (found.props.etag) res.setHeader("ETag", found.props.etag);
+      res.setHeader("Cache-Control", "private, max-age=3600");
+      download.readableStreamBody
+        .on("error", (e) => {
+          req.log.warn("image stream failed", { blobName, err: e });
+          res.destroy(e);
+        })
+        .pipe(res);
+    } catch (e) {
+      req.log.error("image fetch failed", { blobName, err: e });
+      res
+        .status(e.status || 502)
+        .json({ error: "Image unavailable", detail: e.detail || e.message });
+    }
+  });
+
+  // --- Attachment registry endpoints ---
+  // Records belong to the key that uploaded them; anyone else gets a 404.
+  async function loadAttachment(req, res, next) {
+    try {
+      const record = await attachments.get(req.params.id);
+      if (!record || record.keyId !== (req.clientKey?.id ?? null)) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+      req.attachment = record;
+      next();
+    } catch (e) {
+      req.log.error("attachment load failed", { err: e });
+      res.status(500).json({ error: "Attachment registry failed" });
+    }
+  }
+
+  const attachmentView = ({ keyId, ...record }) => record;
+
+  app.get("/attachments", auth, async (req, res) => {
+    try {
+      const list = await attachments.list({
+        keyId: req.clientKey?.id ?? null,
+        userEmail: req.query.user,
+        kind: req.query.kind,
+      });
+      res.json({ attachments: list.map(attachmentView) });
+    } catch (e) {
+      req.log.error("attachment list failed", { err: e });
+      res.status(500).json({ error: "Attachment registry failed" });
+    }
+  });
+
+  // Image records come with a stable proxy URL
+  app.get("/attachments/:id", auth, loadAttachment, (req, res) => {
+    const view = attachmentView(req.attachment);
+    if (req.attachment.kind === "image") {
+      view.proxyUrl = imageProxyUrl(req, req.attachment.blobName);
+    }
+    res.json(view);
+  });
+
+  // Image blobs are deleted with their record. Langdock has no delete for
+  // attachments, so for those only the registry entry goes.
+  app.delete("/attachments/:id", auth, loadAttachment, async (req, res) => {
+    try {
+      await purgeAttachment(req.attachment);
+      await attachments.delete(req.attachment.id);
+      req.log.info("attachment deleted", { id: req.attachment.id });
+      res.status(204).end();
+    } catch (e) {
+      req.log.error("attachment delete failed", { err: e });
+      res.status(500).json({ error: "Attachment delete failed" });
+    }
+  });
+
+  async function purgeAttachment(record) {
+    if (record.kind !== "image") return;
+    await (await blobStorage.container(containerOf(record)))
+      .getBlockBlobClient(record.blobName)
+      .deleteIfExists();
+  }
+
+  // Image blobs the registry does not know about: ones predating it (in the
+  // logs container, next to <day>/<session>.jsonl log blobs) and chat
+  // ?images=upload copies.
+  async function sweepImageBlobs(cutoff) {
+    if (!blobStorage.configured) return 0;
+    let removed = 0;
+    const names = new Set(
+      ["images", "logs"].map((p) => blobStorage.containerName(p))
+    );
+    for (const name of names) {
+      const container = await blobStorage.container(name);
+      for await (const b of container.listBlobsFlat()) {
+        const m = IMAGE_BLOB_RE.exec(b.name);
+        if (!m || b.name.endsWith(".jsonl") || m[1] >= cutoff.slice(0, 10)) {
+          continue;
+        }
+        await container.getBlockBlobClient(b.name).deleteIfExists();
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  const retentionDays = envInt("ATTACHMENT_RETENTION_DAYS", 30);
+  const attachmentRetention = createRetentionJob({
+    store: attachments,
+    retentionMs: retentionDays * 24 * 60 * 60 * 1000,
+    intervalMs: envInt("ATTACHMENT_SWEEP_MINUTES", 60) * 60 * 1000,
+    purge: purgeAttachment,
+    sweep: sweepImageBlobs,
+    log: logger.child({ component: "attachments" }),
+  });
+  if (retentionDays > 0) attachmentRetention.start();
+  app.locals.attachmentRetention = attachmentRetention;
+
+  // --- Azure Blob Logging (CommonJS) ---
+
+  function safePart(s) {
+    // keep it URL-safe & short for blob names
+    return String(s || "anon")
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, "-")
+      .slice(0, 64);
+  }
+
+  // Log lines are buffered and appended per blob every LOG_FLUSH_MS
+  // (default 1000); while Azure is unreachable they wait in LOG_SPOOL_DIR
+  // (default data/log-spool). See lib/logs.js.
+  const createdLogBlobs = new Set();
+  const logBuffer = createLogBuffer({
+    async append(blobName, text) {
+      const container = await blobStorage.container("logs");
+      const blobClient = container.getAppendBlobClient(blobName);
+      if (!createdLogBlobs.has(blobName)) {
+        await blobClient.createIfNotExists();
+        // one entry per session per day; forget old days now and then
+        if (createdLogBlobs.size > 10000) createdLogBlobs.clear();
+        createdLogBlobs.add(blobName);
+      }
+      await blobClient.appendBlock(text, Buffer.byteLength(text));
+    },
+    spoolDir: config.LOG_SPOOL_DIR || "data/log-spool",
+    flushMs: envInt("LOG_FLUSH_MS", 1000),
+    log: logger.child({ component: "logs" }),
+  });
+  if (blobStorage.configured) logBuffer.start();
+  app.locals.logBuffer = logBuffer;
+
+  const logBlobName = (day, session) => `${day}/${safePart(session)}.jsonl`;
+
+  async function appendToAzureBlob(entry) {
+    // pick date from entry.at if provided, else now. A LOG_SCHEMA_FILE may
+    // let any `at` through, and the day becomes part of the blob path.
+    let iso = (entry && entry.at) || new Date().toISOString();
+    let day = String(iso).slice(0, 10); // YYYY-MM-DD
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      iso = new Date().toISOString();
+      day = iso.slice(0, 10);
+    }
+
+    // folder-like naming inside the logs container, by sessionId, else
+    // userEmail, else "anon": e.g. logs/2025-10-08/37174234-44a7-4751-...jsonl
+    const blobName = logBlobName(
+      day,
+      entry?.sessionId || entry?.userEmail || "anon"
+    );
+
+    // always ensure we stamp 'at' on the line
+    logBuffer.add(blobName, JSON.stringify({ ...entry, at: iso }) + "\n");
+  }
+
+  // LOG_SCHEMA_FILE (JSON Schema subset, see lib/logs.js), LOG_MAX_BATCH
+  // entries per request (default 500), LOG_MAX_ENTRY_BYTES each (16KB)
+  const logSchema = loadLogSchema(config.LOG_SCHEMA_FILE);
+  const logMaxBatch = envInt("LOG_MAX_BATCH", 500);
+  const logMaxEntryBytes = envInt("LOG_MAX_ENTRY_BYTES", 16 * 1024);
+
+  // /log route (frontend -> proxy -> Azure): one event or an array of them.
+  // The body limit is the route's bodyLimit (JSON_BODY_LIMIT unless a "/log"
+  // section in CONFIG_FILE sets one).
+  app.post("/log", auth, (req, res) => {
+    if (!blobStorage.configured) {
+      return res.status(500).json({
+        message: "Azure log failed",
+        error: "Azure Storage not configured",
+      });
+    }
+    const entries = Array.isArray(req.body) ? req.body : [req.body];
+    if (entries.length > logMaxBatch) {
+      return res.status(413).json({
+        message: "Too many log entries",
+        detail: `At most ${logMaxBatch} entries per request`,
+        limit: logMaxBatch,
+      });
+    }
+    const invalid = [];
+    entries.forEach((entry, index) => {
+      const errors = validate(logSchema, entry);
+      if (Buffer.byteLength(JSON.stringify(entry ?? null)) > logMaxEntryBytes) {
+        errors.push(`$: larger than ${logMaxEntryBytes} bytes`);
+      }
+      if (errors.length) invalid.push({ index, errors });
+    });
+    if (invalid.length) {
+      req.log.warn("log entries rejected", { invalid: invalid.length });
+      return res
+        .status(400)
+        .json({ message: "Invalid log entry", errors: invalid });
+    }
+    entries.forEach(appendToAzureBlob);
+    res.status(202).json({ ok: true, accepted: entries.length });
+  });
+
+  // Support read API. Keys listed in LOGS_READ_KEYS may read every
+  // session's logs; ?sessionId= omitted lists the day's sessions.
+  const logReaders = listOf(config.LOGS_READ_KEYS, []);
+  app.get("/logs", auth, async (req, res) => {
+    if (req.clientKey && !logReaders.includes(req.clientKey.id)) {
+      return res
+        .status(403)
+        .json({ error: "forbidden", detail: "Key may not read logs" });
+    }
+    const day = String(req.query.day || "");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res
+        .status(400)
+        .json({ error: "invalid_request", detail: "day must be YYYY-MM-DD" });
+    }
+    try {
+      const container = await blobStorage.container("logs");
+      if (!req.query.sessionId) {
+        const sessions = [];
+        for await (const b of container.listBlobsFlat({ prefix: `${day}/` })) {
+          if (!b.name.endsWith(".jsonl")) continue;
+          sessions.push({
+            sessionId: b.name.slice(day.length + 1, -".jsonl".length),
+            size: b.properties.contentLength,
+            lastModified: b.properties.lastModified,
+          });
+        }
+        return res.json({ day, sessions });
+      }
+
+      // what was logged a moment ago should be readable now
+      await logBuffer.flush();
+      const sessionId = String(req.query.sessionId);
+      let text;
+      try {
+        text = (
+          await container
+            .getBlobClient(logBlobName(day, sessionId))
+            .downloadToBuffer()
+        ).toString("utf8");
+      } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        return res
+          .status(404)
+          .json({ error: "No logs for that day and session" });
+      }
+      const lines = text.split("\n").filter(Boolean);
+      const limit = Math.min(Number(req.query.limit) || 1000, 10000);
+      const entries = [];
+      let unparsable = 0;
+      for (const line of lines.slice(-limit)) {
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          unparsable++;
+        }
+      }
+      res.json({
+        day,
+        sessionId,
+        total: lines.length,
+        entries,
+        ...(unparsable && { unparsable }),
+      });
+    } catch (e) {
+      req.log.error("log read failed", { err: e });
+      res
+        .status(e.status || 502)
+        .json({ error: "Log read failed", detail: e.detail || e.message });
+    }
+  });
+
+  // --- Server-side conversation threads ---
+  // THREAD_STORE=file (THREADS_DIR, default data/threads) or azure
+  // (THREADS_CONTAINER, see lib/azure.js). History beyond
+  // THREAD_HISTORY_TOKENS is dropped, or folded into a rolling summary when
+  // THREAD_HISTORY_MODE=summarize and THREAD_SUMMARY_MODEL is set.
+  const THREAD_HISTORY_TOKENS = envInt("THREAD_HISTORY_TOKENS", 8000);
+  const THREAD_HISTORY_MODE = config.THREAD_HISTORY_MODE || "truncate";
+  const THREAD_SUMMARY_MODEL = config.THREAD_SUMMARY_MODEL;
+
+  const threadStore =
+    config.THREAD_STORE === "azure"
+      ? createAzureThreadStore(() => blobStorage.container("threads"))
+      : createFileThreadStore(config.THREADS_DIR || "data/threads");
+
+  // Threads currently waiting on an upstream reply (one turn at a time)
+  const busyThreads = new Set();
+
+  // Loads :threadId into req.thread. Threads belong to the key that created
+  // them; anyone else gets a 404 so ids cannot be probed.
+  async function loadThread(req, res, next) {
+    try {
+      const thread = await threadStore.get(req.params.threadId);
+      if (!thread || thread.keyId !== (req.clientKey?.id ?? null)) {
+        return res.status(404).json({ error: "Thread not found" });
+      }
+      if (req.clientKey) {
+        const denied = checkScope(req.clientKey, {
+          route: req.route.path,
+          assistantId: thread.assistantId,
+          region: thread.assistantId ? null : thread.region,
+        });
+        if (denied) {
+          return res.status(403).json({ error: "forbidden", detail: denied });
+        }
+      }
+      req.thread = thread;
+      req.quotaUser = thread.userEmail;
+      next();
+    } catch (e) {
+      req.log.error("thread load failed", { err: e });
+      res.status(500).json({ error: "Thread store failed", detail: e.message });
+    }
+  }
+
+  // Messages to send upstream for the thread's next turn, summarising or
+  // dropping whatever no longer fits THREAD_HISTORY_TOKENS.
+  async function threadHistory(req, thread) {
+    const toUpstream = (m) =>
+      thread.assistantId
+        ? { role: m.role, content: m.content, attachmentIds: m.attachmentIds }
+        : { role: m.role, content: m.content };
+
+    // summarizedCount counts the non-system messages folded into the summary
+    const summarized = thread.summarizedCount || 0;
+    const budget = THREAD_HISTORY_TOKENS - estimateTokens(thread.summary || "");
+    const { keep, dropped } = fitHistory(
+      [
+        ...thread.messages.filter((m) => m.role === "system"),
+        ...thread.messages.filter((m) => m.role !== "system").slice(summarized),
+      ],
+      budget
+    );
+
+    if (
+      dropped.length &&
+      THREAD_HISTORY_MODE === "summarize" &&
+      THREAD_SUMMARY_MODEL
+    ) {
+      const transcript = dropped
+        .map(
+          (m) =>
+            `${m.role}: ${
+              typeof m.content === "string"
+                ? m.content
+                : JSON.stringify(m.content)
+            }`
+        )
+        .join("\n");
+      const messages = [
+        {
+          role: "system",
+          content:
+            "Summarise the conversation so far in a few sentences. Keep names, facts, decisions and open questions.",
+        },
+        {
+          role: "user",
+          content: `${
+            thread.summary ? `Earlier summary: ${thread.summary}\n\n` : ""
+          }${transcript}`,
+        },
+      ];
+      const region = thread.region || req.routeConfig.region;
+      const ldRes = await upstream.request(
+        `/openai/${region}/v1/chat/completions`,
+        {
+          label: "thread summary",
+          log: req.log,
+          keys: req.tenant?.keys,
+          baseUrl: req.routeConfig.baseUrl,
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            model: THREAD_SUMMARY_MODEL,
+            messages,
+            stream: false,
+          }),
+        }
+      );
+      const text = await ldRes.text();
+      if (ldRes.ok) {
+        const meter = quota.meter(req, JSON.stringify(messages));
+        meter.json(text);
+        meter.finish();
+        thread.summary = meter.text() || thread.summary;
+        thread.summarizedCount = summarized + dropped.length;
+      } else {
+        req.log.warn("thread summary failed, truncating", {
+          status: ldRes.status,
+        });
+      }
+    }
+
+    const out = keep.map(toUpstream);
+    if (thread.summary) {
+      const note = {
+        role: thread.assistantId ? "user" : "system",
+        content: `Summary of the earlier conversation: ${thread.summary}`,
+      };
+      const firstNonSystem = out.findIndex((m) => m.role !== "system");
+      out.splice(firstNonSystem < 0 ? out.length : firstNonSystem, 0, note);
+    }
+    return out;
+  }
+
+  app.post("/threads", auth, async (req, res) => {
+    try {
+      const { assistantId, model, title, userEmail, system } = req.body || {};
+      const region =
+        req.query.region || req.body?.region || req.routeConfig.region;
+      if (!assistantId && !model) {
+        return res
+          .status(400)
+          .json({ error: "Either assistantId or model is required" });
+      }
+      if (req.clientKey && !assistantId) {
+        const denied = checkScope(req.clientKey, { route: "/threads", region });
+        if (denied) {
+          return res.status(403).json({ error: "forbidden", detail: denied });
+        }
+      }
+      if (!assistantId) {
+        const { denied } = routeModel(req, model, region);
+        if (denied) {
+          return res.status(403).json({ error: "forbidden", detail: denied });
+        }
+      }
+
+      let messages = [];
+      if (!assistantId) {
+        const locked = withLockedPrompt(
+          req,
+          system ? [{ role: "system", content: String(system) }] : [],
+          req.body.variables
+        );
+        if (locked.failure) {
+          return res.status(locked.failure.status).json(locked.failure.body);
+        }
+        messages = locked.messages;
+      }
+
+      const now = new Date().toISOString();
+      const thread = {
+        id: newId("thr"),
+        keyId: req.clientKey?.id ?? null,
+        userEmail: userEmail || null,
+        title: title || null,
+        ...(assistantId ? { assistantId } : { model, region }),
+        messages: messages.map((m) => ({
+          id: newId("msg"),
+          ...m,
+          createdAt: now,
+        })),
+        createdAt: now,
+        updatedAt: now,
+      };
+      await threadStore.put(thread);
+      req.log.info("thread created", { threadId: thread.id });
+      res.status(201).json(thread);
+    } catch (e) {
+      req.log.error("thread create failed", { err: e });
+      res.status(500).json({ error: "Thread store failed", detail: e.message });
+    }
+  });
+
+  app.get("/threads", auth, async (req, res) => {
+    try {
+      const threads = await threadStore.list({
+        keyId: req.clientKey?.id ?? null,
+        userEmail: req.query.user ? String(req.query.user) : undefined,
+      });
+      res.status(200).json({ threads });
+    } catch (e) {
+      req.log.error("thread list failed", { err: e });
+      res.status(500).json({ error: "Thread store failed", detail: e.message });
+    }
+  });
+
+  app.get("/threads/:threadId", auth, loadThread, (req, res) => {
+    res.status(200).json(req.thread);
+  });
+
+  app.delete("/threads/:threadId", auth, loadThread, async (req, res) => {
+    try {
+      await threadStore.delete(req.thread.id);
+      req.log.info("thread deleted", { threadId: req.thread.id });
+      res.status(204).end();
+    } catch (e) {
+      req.log.error("thread delete failed", { err: e });
+      res.status(500).json({ error: "Thread store failed", detail: e.message });
+    }
+  });
+
+  // Appends a user message, streams the reply (same framing as /assistant or
+  // /chat/completions, ?format=openai for assistant threads) and stores both
+  // turns. Ends with an "event: thread" frame carrying the stored message ids.
+  app.post(
+    "/threads/:threadId/messages",
+    auth,
+    loadThread,
+    quota.enforce,
+    guardInput,
+    async (req, res) => {
+      const thread = req.thread;
+      const { content, attachmentIds } = req.body || {};
+      if (
+        !(typeof content === "string" && content.trim()) &&
+        !Array.isArray(content)
+      ) {
+        return res.status(400).json({ error: "content is required" });
+      }
+      // model threads follow the same aliases and model scopes as /chat,
+      // resolved afresh for every turn
+      const routing = thread.assistantId
+        ? null
+        : routeModel(
+            req,
+            thread.model,
+            thread.region || req.routeConfig.region
+          );
+      if (routing?.denied) {
+        return res
+          .status(403)
+          .json({ error: "forbidden", detail: routing.denied });
+      }
+      if (busyThreads.has(thread.id)) {
+        return res
+          .status(409)
+          .json({ error: "Thread is already answering a message" });
+      }
+      busyThreads.add(thread.id);
+      let released = false;
+      const release = () => {
+        if (!released) busyThreads.delete(thread.id);
+        released = true;
+      };
+
+      try {
+        const userMsg = {
+          id: newId("msg"),
+          role: "user",
+          content,
+          ...(Array.isArray(attachmentIds) && attachmentIds.length
+            ? { attachmentIds }
+            : {}),
+          createdAt: new Date().toISOString(),
+        };
+        thread.messages.push(userMsg);
+        const messages = await threadHistory(req, thread);
+
+        let ldRes;
+        if (thread.assistantId) {
+          ldRes = await upstream.request("/assistant/v1/chat/completions", {
+            label: "/threads/:id/messages",
+            log: req.log,
+            keys: req.tenant?.keys,
+            baseUrl: req.routeConfig.baseUrl,
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "text/event-stream",
+            },
+            body: JSON.stringify({
+              assistantId: thread.assistantId,
+              messages,
+              stream: true,
+            }),
+          });
+        } else {
+          const served = await withFallback(
+            routing.targets,
+            (t) =>
+              upstream.request(`/openai/${t.region}/v1/chat/completions`, {
+                label: "/threads/:id/messages",
+                log: req.log,
+                keys: req.tenant?.keys,
+                baseUrl: req.routeConfig.baseUrl,
+                headers: {
+                  "Content-Type": "application/json",
+                  Accept: "text/event-stream",
+                },
+                body: JSON.stringify({
+                  model: t.model,
+                  messages,
+                  stream: true,
+                }),
+              }),
+            { log: req.log }
+          );
+          ldRes = served.res;
+          req.servedModel = served.target.model;
+          res.setHeader("X-Served-Model", served.target.model ?? "");
+          res.setHeader("X-Served-Region", served.target.region);
+        }
+
+        if (!ldRes.ok) {
+          release();
+          const errText = await ldRes.text().catch(() => "");
+          return res
+            .status(ldRes.status)
+            .type("application/json")
+            .send(errText);
+        }
+
+        const meter = quota.meter(req, JSON.stringify(messages));
+        const openai =
+          thread.assistantId && wantsOpenAIFormat(req)
+            ? createOpenAIStream({ model: assistantModelName(thread) })
+            : null;
+
+        res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+        res.setHeader("Cache-Control", "no-cache, no-transform");
+        res.setHeader("Pragma", "no-cache");
+        res.setHeader("Connection", "keep-alive");
+        res.setHeader("X-Accel-Buffering", "no");
+        res.setHeader("Content-Encoding", "identity");
+        res.setHeader("Vary", "Accept-Encoding");
+        res.removeHeader?.("Content-Length");
+        res.flushHeaders?.();
+
+        res.write(`:${" ".repeat(req.routeConfig.paddingBytes)}\n`);
+        res.write("retry: 1000\n");
+        res.write(":ok\n\n");
+        res.flush?.();
+
+        const hb = setInterval(() => {
+          try {
+            res.write(":hb\n\n");
+            res.flush?.();
+          } catch {}
+        }, req.routeConfig.heartbeatMs);
+
+        // Store the user turn and whatever reply we got; a reply cut short by
+        // a disconnect or stream error is kept but flagged incomplete.
+        let saved = false;
+        const save = async (complete) => {
+          if (saved) return null;
+          saved = true;
+          clearInterval(hb);
+          meter.finish();
+          // the stored reply is what the client was shown
+          const reply = req.guardPolicy?.output.length
+            ? filterText(req.guardPolicy, meter.text()).text
+            : meter.text();
+          const now = new Date().toISOString();
+          const assistantMsg = reply
+            ? {
+                id: newId("msg"),
+                role: "assistant",
+                content: reply,
+                ...(complete ? {} : { incomplete: true }),
+                createdAt: now,
+              }
+            : null;
+          if (assistantMsg) thread.messages.push(assistantMsg);
+          thread.updatedAt = now;
+          try {
+            await threadStore.put(thread);
+          } catch (e) {
+            req.log.error("thread save failed", { err: e });
+          } finally {
+            release();
+          }
+          return assistantMsg;
+        };
+
+        const close = () => {
+          save(false);
+          try {
+            ldRes.body?.destroy?.();
+          } catch {}
+          try {
+            res.end();
+          } catch {}
+        };
+        res.on("close", close);
+        req.on("aborted", close);
+
+        // the reply goes through the output guardrails before any
+        // OpenAI reshaping
+        const guard = outputGuard(
+          req,
+          thread.assistantId ? "assistant" : "chat"
+        );
+        const send = (s) => {
+          if (!s) return;
+          if (openai) openai.push(s).forEach((f) => res.write(f));
+          else res.write(s);
+        };
+        let ended = false;
+        const finish = async () => {
+          if (ended) return;
+          ended = true;
+          if (guard) send(guard.end());
+          if (openai) openai.end().forEach((f) => res.write(f));
+          const assistantMsg = await save(true);
+          res.write(
+            `event: thread\ndata: ${JSON.stringify({
+              threadId: thread.id,
+              userMessageId: userMsg.id,
+              assistantMessageId: assistantMsg?.id || null,
+            })}\n\n`
+          );
+          res.write(":done\n\n");
+          res.end();
+        };
+
+        ldRes.body.on("data", (chunk) => {
+          if (guard?.blocked) return;
+          meter.push(chunk);
+          send(guard ? guard.push(chunk) : chunk);
+          res.flush?.();
+          if (guard?.blocked) {
+            try {
+              ldRes.body.destroy();
+            } catch {}
+            finish();
+          }
+        });
+
+        ldRes.body.on("end", finish);
+
+        ldRes.body.on("error", async (err) => {
+          if (ended) return;
+          ended = true;
+          req.log.error("upstream stream error", { err });
+          await save(false);
+          res.write(`:error ${err?.message || ""}\n\n`);
+          res.end();
+        });
+      } catch (err) {
+        release();
+        req.log.error("thread message failed", { err });
+        if (err instanceof UpstreamError) return sendUpstreamError(res, err);
+        if (!res.headersSent) {
+          res
+            .status(500)
+            .json({ error: "Thread message failed", detail: err.message });
+        } else {
+          try {
+            res.end();
+          } catch (_) {}
+        }
+      }
+    }
+  );
+
+  // --- WebSocket transport (GET /ws upgrade, see lib/websocket.js) ---
+  // The listening server hands upgrades to app.locals.websocket. Sockets go
+  // through the same key check as the HTTP routes and the /ws CORS policy.
+  // Requests on a socket run the route handlers directly, behind the same
+  // scopes, quota, input guardrails and audit line as over HTTP.
+  const socketRoutes = {
+    "/chat/completions": chatCompletions,
+    "/assistant": assistantStream,
+  };
+
+  // The key and tenant were settled at the upgrade; each request must still
+  // be inside their scopes
+  function socketScope(req, res, next) {
+    req.log = req.log.child({ key: req.clientKey?.id, tenant: req.tenant?.id });
+    const scope = requestScope(req);
+    const denied =
+      (req.clientKey && checkScope(req.clientKey, scope)) ||
+      (req.tenant && checkScope(req.tenant, scope, `Tenant ${req.tenant.id}`));
+    if (denied) {
+      req.log.warn("socket request forbidden", { reason: denied });
+      return res.status(403).json({ error: "forbidden", detail: denied });
+    }
+    next();
+  }
+  const socketChain = [
+    requestId(),
+    routeSettings,
+    audit,
+    metrics.middleware,
+    socketScope,
+    quota.enforce,
+    guardInput,
+  ];
+
+  // Express-style handlers in order, outside the router
+  function runHandlers(handlers, req, res) {
+    const next = (i) => (err) => {
+      if (err) {
+        req.log.error("socket request failed", { err });
+        return res
+          .status(500)
+          .json({ error: "Stream proxy failed", detail: err.message });
+      }
+      if (i < handlers.length) handlers[i](req, res, next(i + 1));
+    };
+    next(0)();
+  }
+
+  const websocket = createWebSocketGateway({
+    authenticate: (req) =>
+      new Promise((resolve) =>
+        auth(
+          req,
+          {
+            status: (status) => ({ json: (body) => resolve({ status, body }) }),
+          },
+          () => resolve(null)
+        )
+      ),
+    allowOrigin: (origin) => allowsOrigin(settings.route("/ws").cors, origin),
+    dispatch: (req, res) =>
+      runHandlers([...socketChain, socketRoutes[req.path]], req, res),
+    cancelStream: (id, req) => streams.cancel(id, req),
+    maxMessageBytes: Number(config.WS_MAX_MESSAGE_BYTES || 20 * 1024 * 1024),
+    maxConcurrent: Number(config.WS_MAX_CONCURRENT || 8),
+    maxBufferedBytes: Number(config.WS_MAX_BUFFERED_BYTES || 4 * 1024 * 1024),
+    pingMs: Number(config.WS_PING_MS || 30000),
+  });
+  app.locals.websocket = websocket;
+
+  // Unknown /v1 endpoints get an OpenAI-shaped 404 rather than Express' HTML
+  app.use("/v1", (req, res) => {
+    res.status(404).json({
+      error: "not_found",
+      detail: `Unknown endpoint ${req.method} ${req.originalUrl}`,
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
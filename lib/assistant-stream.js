@@ -0,0 +1,217 @@
+// lib/assistant-stream.js
+// Translates the Assistant API's line framing into OpenAI-style SSE.
+//
+// Upstream lines look like `<type>:<json>`:
+//   0: text delta            9: complete tool call   b: tool call start
+//   c: tool call args delta  a: tool result          3: error
+//   d: finish message        e: finish step          g: reasoning delta
+// (2:, 8:, f: carry data/annotations/step ids and are dropped.)
+const crypto = require("crypto");
+
+const FINISH_REASONS = {
+  stop: "stop",
+  length: "length",
+  "tool-calls": "tool_calls",
+  "content-filter": "content_filter",
+  error: "stop",
+  other: "stop",
+};
+
+function parseAssistantLine(raw) {
+  const line = raw.trim();
+  const m = /^([0-9a-z]):(.*)$/.exec(line);
+  if (!m) return null;
+  try {
+    return { type: m[1], value: JSON.parse(m[2]) };
+  } catch {
+    return null;
+  }
+}
+
+// Stateful converter: push() raw upstream bytes, get back SSE frames
+// ("data: {...}\n\n"); end() flushes the finish/usage chunks and [DONE].
+function createOpenAIStream({ model = "assistant" } = {}) {
+  const id = `chatcmpl-${crypto.randomBytes(12).toString("hex")}`;
+  const created = Math.floor(Date.now() / 1000);
+  const toolIndex = new Map(); // toolCallId -> index
+  const streamedTools = new Set(); // ids already sent via b:/c:
+  let carry = "";
+  let started = false;
+  let finishReason = null;
+  let usage = null;
+  let done = false;
+
+  const frame = (obj) => `data: ${JSON.stringify(obj)}\n\n`;
+  const chunk = (delta, finish = null) =>
+    frame({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finish }],
+    });
+
+  function indexOf(toolCallId) {
+    if (!toolIndex.has(toolCallId)) toolIndex.set(toolCallId, toolIndex.size);
+    return toolIndex.get(toolCallId);
+  }
+
+  function event({ type, value }) {
+    const out = [];
+    if (!started && ["0", "9", "b", "g"].includes(type)) {
+      started = true;
+      out.push(chunk({ role: "assistant", content: "" }));
+    }
+    switch (type) {
+      case "0":
+        if (typeof value === "string" && value) {
+          out.push(chunk({ content: value }));
+        }
+        break;
+      case "g":
+        if (typeof value === "string" && value) {
+          out.push(chunk({ reasoning_content: value }));
+        }
+        break;
+      case "b":
+        streamedTools.add(value.toolCallId);
+        out.push(
+          chunk({
+            tool_calls: [
+              {
+                index: indexOf(value.toolCallId),
+                id: value.toolCallId,
+                type: "function",
+                function: { name: value.toolName, arguments: "" },
+              },
+            ],
+          })
+        );
+        break;
+      case "c":
+        out.push(
+          chunk({
+            tool_calls: [
+              {
+                index: indexOf(value.toolCallId),
+                function: { arguments: value.argsTextDelta || "" },
+              },
+            ],
+          })
+        );
+        break;
+      case "9":
+        if (streamedTools.has(value.toolCallId)) break;
+        out.push(
+          chunk({
+            tool_calls: [
+              {
+                index: indexOf(value.toolCallId),
+                id: value.toolCallId,
+                type: "function",
+                function: {
+                  name: value.toolName,
+                  arguments:
+                    typeof value.args === "string"
+                      ? value.args
+                      : JSON.stringify(value.args ?? {}),
+                },
+              },
+            ],
+          })
+        );
+        break;
+      case "3":
+        out.push(
+          frame({
+            error: {
+              message: typeof value === "string" ? value : String(value),
+              type: "upstream_error",
+            },
+          })
+        );
+        break;
+      case "e":
+      case "d":
+        if (value?.finishReason) {
+          finishReason = FINISH_REASONS[value.finishReason] || "stop";
+        }
+        if (value?.usage) usage = value.usage;
+        if (type === "d") out.push(...end());
+        break;
+    }
+    return out;
+  }
+
+  function line(raw) {
+    const trimmed = raw.trim();
+    // Already OpenAI-framed upstream: pass through as-is
+    if (trimmed.startsWith("data:")) {
+      if (trimmed === "data: [DONE]") done = true;
+      return [`${trimmed}\n\n`];
+    }
+    const ev = parseAssistantLine(trimmed);
+    return ev ? event(ev) : [];
+  }
+
+  function end() {
+    if (done) return [];
+    done = true;
+    const out = [];
+    if (!started) out.push(chunk({ role: "assistant", content: "" }));
+    out.push(
+      chunk({}, finishReason || (toolIndex.size ? "tool_calls" : "stop"))
+    );
+    if (usage) {
+      const prompt = usage.promptTokens ?? 0;
+      const completion = usage.completionTokens ?? 0;
+      out.push(
+        frame({
+          id,
+          object: "chat.completion.chunk",
+          created,
+          model,
+          choices: [],
+          usage: {
+            prompt_tokens: prompt,
+            completion_tokens: completion,
+            total_tokens: prompt + completion,
+          },
+        })
+      );
+    }
+    out.push("data: [DONE]\n\n");
+    return out;
+  }
+
+  return {
+    push(data) {
+      if (done) return [];
+      const text = Buffer.isBuffer(data) ? data.toString("utf8") : String(data);
+      const parts = (carry + text).split(/\r?\n/);
+      carry = parts.pop() ?? "";
+      return parts.flatMap(line);
+    },
+    end() {
+      const out = carry && !done ? line(carry) : [];
+      carry = "";
+      return out.concat(end());
+    },
+  };
+}
+
+// "?format=openai" on /assistant and /assistant-stream
+function wantsOpenAIFormat(req) {
+  return String(req.query.format || "").toLowerCase() === "openai";
+}
+
+function assistantModelName(body) {
+  return body.assistantId ? `assistant/${body.assistantId}` : "assistant";
+}
+
+module.exports = {
+  parseAssistantLine,
+  createOpenAIStream,
+  wantsOpenAIFormat,
+  assistantModelName,
+};
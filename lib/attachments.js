@@ -0,0 +1,136 @@
+// lib/attachments.js
+// Registry of files uploaded through the proxy, so clients can list, reuse
+// and delete them instead of tracking ids themselves.
+//
+// A record:
+// {
+//   id,                      // Langdock attachmentId, or img_<hex> for images
+//   kind: "attachment" | "image",
+//   keyId, userEmail,        // who uploaded it
+//   filename, mimeType, size,
+//   sha256,                  // of the bytes as received; used to dedupe
+//   blobName,                // images only
+//   createdAt
+// }
+//
+// Stores implement get(id), put(record), delete(id), list(filter) and
+// findByHash({ keyId, kind, sha256 }); all return promises.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const newImageId = () => `img_${crypto.randomUUID().replace(/-/g, "")}`;
+
+const matches = (r, { keyId, userEmail, kind } = {}) =>
+  (keyId === undefined || r.keyId === keyId) &&
+  (!userEmail || r.userEmail === userEmail) &&
+  (!kind || r.kind === kind);
+
+// --- JSON file store: the whole registry in one file, rewritten on change ---
+function createFileAttachmentStore(file) {
+  const filePath = path.resolve(file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const records = new Map();
+  try {
+    for (const r of JSON.parse(fs.readFileSync(filePath, "utf8"))) {
+      records.set(r.id, r);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  // writes are chained so a slow one never lands after a newer one; a
+  // failed write fails its caller, not every write after it
+  let writing = Promise.resolve();
+  const persist = () => {
+    const json = JSON.stringify([...records.values()]);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, json);
+        await fs.promises.rename(tmp, filePath);
+      });
+    return writing;
+  };
+
+  return {
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async put(record) {
+      records.set(record.id, record);
+      await persist();
+    },
+    async delete(id) {
+      if (!records.delete(id)) return false;
+      await persist();
+      return true;
+    },
+    async list(filter) {
+      return [...records.values()]
+        .filter((r) => matches(r, filter))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async findByHash({ keyId, kind, sha256 }) {
+      for (const r of records.values()) {
+        if (r.sha256 === sha256 && matches(r, { keyId, kind })) return r;
+      }
+      return null;
+    },
+  };
+}
+
+// --- Retention --------------------------------------------------------------
+// Every intervalMs, drops records older than retentionMs. purge(record) runs
+// first (deleting an image blob, say); sweep(cutoffIso) can clean up anything
+// the registry never knew about and returns how many items it removed.
+function createRetentionJob({
+  store,
+  retentionMs,
+  intervalMs = 60 * 60 * 1000,
+  purge = async () => {},
+  sweep,
+  log,
+}) {
+  let timer = null;
+
+  async function run(now = Date.now()) {
+    const cutoff = new Date(now - retentionMs).toISOString();
+    let removed = 0;
+    for (const record of await store.list()) {
+      if (record.createdAt >= cutoff) continue;
+      try {
+        await purge(record);
+        await store.delete(record.id);
+        removed++;
+      } catch (e) {
+        log.warn("attachment purge failed", { id: record.id, err: e });
+      }
+    }
+    if (sweep) removed += await sweep(cutoff);
+    if (removed) log.info("attachment retention", { removed, cutoff });
+    return removed;
+  }
+
+  return {
+    run,
+    start() {
+      timer ??= setInterval(() => {
+        run().catch((e) =>
+          log.error("attachment retention failed", { err: e })
+        );
+      }, intervalMs).unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  newImageId,
+  createFileAttachmentStore,
+  createRetentionJob,
+};
@@ -0,0 +1,253 @@
+// lib/auth.js
+// Proxy-issued client keys. Keys are stored as sha256 hashes in a JSON file
+// (PROXY_KEYS_FILE, default ./keys.json) and managed with scripts/keys.js.
+//
+// keys.json:
+// {
+//   "keys": [
+//     {
+//       "id": "team-web",
+//       "name": "Web frontend",
+//       "hash": "<sha256 hex of the secret>",
+//       "routes": ["/chat/completions", "/assistant*"],   // optional
+//       "assistants": ["<assistant uuid>"],                // optional
+//       "regions": ["eu"],                                 // optional
+//       "models": ["fast", "gpt-4o*"],                     // optional
+//       "tools": ["lookup_order", "crm_*"],                // optional
+//       "templates": ["support-*"],                        // optional
+//       "collections": ["handbook*"],                      // optional
+//       "lockedTemplate": "support",                       // optional
+//       "guardrails": "strict",                            // optional
+//       "admin": true,              // may read any user's GET /quota
+//       "revoked": false
+//     }
+//   ]
+// }
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "auth" });
+
+const KEY_PREFIX = "ldp_";
+
+function hashKey(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+// --- Key file store (re-read whenever the file changes on disk) ---
+function createKeyStore(file) {
+  const keysFile = path.resolve(file);
+  let mtimeMs = -1;
+  let byHash = new Map();
+
+  function reload() {
+    let stat;
+    try {
+      stat = fs.statSync(keysFile);
+    } catch {
+      if (mtimeMs !== 0) log.warn("keys file not found", { file: keysFile });
+      mtimeMs = 0;
+      byHash = new Map();
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+
+    const next = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(keysFile, "utf8"));
+      for (const k of data.keys || []) {
+        if (!k || !k.id || !k.hash) continue;
+        next.set(String(k.hash).toLowerCase(), k);
+      }
+    } catch (e) {
+      // keep serving the previous set rather than locking everyone out
+      log.error("failed to read keys file", { file: keysFile, err: e });
+      return;
+    }
+    mtimeMs = stat.mtimeMs;
+    byHash = next;
+    log.info("loaded client keys", { file: keysFile, count: next.size });
+  }
+
+  return {
+    file: keysFile,
+    lookup(secret) {
+      reload();
+      const key = byHash.get(hashKey(secret));
+      if (!key || key.revoked) return null;
+      return key;
+    },
+  };
+}
+
+function readKeyFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return { keys: [] };
+    throw e;
+  }
+}
+
+function writeKeyFile(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// --- Request helpers ---
+function extractKey(req) {
+  const auth = req.headers.authorization || "";
+  const m = /^Bearer\s+(.+)$/i.exec(auth);
+  if (m) return m[1].trim();
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey) return String(apiKey).trim();
+  // EventSource cannot set headers, so GET streams may pass ?api_key=
+  if (req.method === "GET" && typeof req.query?.api_key === "string") {
+    return req.query.api_key.trim();
+  }
+  return null;
+}
+
+// Route scopes are exact paths, or prefixes when they end in "*".
+// "/v1/..." aliases match the scope of their unprefixed route too.
+function matchesRoute(patterns, routePath) {
+  const bare = routePath.replace(/^\/v1(?=\/)/, "");
+  return patterns.some((p) =>
+    p.endsWith("*")
+      ? routePath.startsWith(p.slice(0, -1)) || bare.startsWith(p.slice(0, -1))
+      : p === routePath || p === bare
+  );
+}
+
+// Routes that talk to the region-scoped OpenAI-compatible API
+const REGION_ROUTE =
+  /^(\/v1)?\/(chat\/completions|completions|embeddings|models)$/;
+
+function assistantIdOf(req) {
+  if (req.params?.assistantId) return req.params.assistantId;
+  if (req.body?.assistantId) return req.body.assistantId;
+  if (typeof req.query?.q === "string") {
+    try {
+      return JSON.parse(req.query.q).assistantId;
+    } catch {}
+  }
+  return undefined;
+}
+
+// Model, tool and template allow-lists: exact names (or aliases), prefixes
+// when ending in "*"
+function matchesName(patterns, name) {
+  return patterns.some((p) =>
+    p.endsWith("*") ? String(name).startsWith(p.slice(0, -1)) : p === name
+  );
+}
+
+// who names the subject in the refusal ("Key", or "Tenant x" for tenants)
+function checkScope(
+  key,
+  { route, assistantId, region, model, tool, template, collection },
+  who = "Key"
+) {
+  if (route && Array.isArray(key.routes) && !matchesRoute(key.routes, route)) {
+    return `${who} not allowed to use ${route}`;
+  }
+  if (
+    assistantId &&
+    Array.isArray(key.assistants) &&
+    !key.assistants.includes(assistantId)
+  ) {
+    return `${who} not allowed to use assistant ${assistantId}`;
+  }
+  if (region && Array.isArray(key.regions) && !key.regions.includes(region)) {
+    return `${who} not allowed to use region ${region}`;
+  }
+  if (model && Array.isArray(key.models) && !matchesName(key.models, model)) {
+    return `${who} not allowed to use model ${model}`;
+  }
+  if (tool && Array.isArray(key.tools) && !matchesName(key.tools, tool)) {
+    return `${who} not allowed to use tool ${tool}`;
+  }
+  if (
+    template &&
+    Array.isArray(key.templates) &&
+    !matchesName(key.templates, template)
+  ) {
+    return `${who} not allowed to use template ${template}`;
+  }
+  if (
+    collection &&
+    Array.isArray(key.collections) &&
+    !matchesName(key.collections, collection)
+  ) {
+    return `${who} not allowed to use collection ${collection}`;
+  }
+  return null;
+}
+
+// What a request asks for, in checkScope() terms
+function requestScope(req) {
+  return {
+    route: typeof req.route?.path === "string" ? req.route.path : req.path,
+    assistantId: assistantIdOf(req),
+    region: REGION_ROUTE.test(req.path)
+      ? req.query.region || req.routeConfig?.region || "eu"
+      : null,
+    model: REGION_ROUTE.test(req.path) ? req.body?.model : undefined,
+  };
+}
+
+// Express middleware: authenticates the caller and enforces key scopes.
+// On success sets req.clientKey to the matching key record.
+function requireClientKey(store) {
+  return (req, res, next) => {
+    const secret = extractKey(req);
+    if (!secret) {
+      return res.status(401).json({
+        error: "unauthorized",
+        detail: "Missing API key (Authorization: Bearer or x-api-key)",
+      });
+    }
+
+    const key = store.lookup(secret);
+    if (!key) {
+      (req.log || log).warn("rejected invalid key", {
+        method: req.method,
+        path: req.path,
+      });
+      return res
+        .status(401)
+        .json({ error: "unauthorized", detail: "Invalid or revoked API key" });
+    }
+
+    const denied = checkScope(key, requestScope(req));
+    if (denied) {
+      (req.log || log).warn("key forbidden", { key: key.id, reason: denied });
+      return res.status(403).json({ error: "forbidden", detail: denied });
+    }
+
+    req.clientKey = key;
+    if (req.log) req.log = req.log.child({ key: key.id });
+    next();
+  };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  hashKey,
+  generateKey,
+  createKeyStore,
+  readKeyFile,
+  writeKeyFile,
+  extractKey,
+  matchesName,
+  checkScope,
+  requestScope,
+  requireClientKey,
+};
@@ -0,0 +1,167 @@
+// lib/azure.js
+// One Blob service client for the whole app, the containers it uses per
+// purpose and SAS signing for them.
+//
+// Credentials, first match wins:
+//   AZURE_STORAGE_CONNECTION_STRING  account key, SAS token or
+//                                    UseDevelopmentStorage=true (Azurite)
+//   AZURE_STORAGE_ACCOUNT_URL        https://<account>.blob.core.windows.net
+//                                    or http://127.0.0.1:10000/devstoreaccount1
+//     + AZURE_STORAGE_ACCOUNT_KEY    shared key; the account name comes from
+//                                    the URL or AZURE_STORAGE_ACCOUNT_NAME
+//     + AZURE_STORAGE_SAS_TOKEN      a pre-issued SAS (cannot sign new URLs)
+//     otherwise                      DefaultAzureCredential: managed or
+//                                    workload identity, az login locally
+//
+// Containers: AZURE_LOGS_CONTAINER (default "logs"), AZURE_IMAGES_CONTAINER
+// (default "images"), THREADS_CONTAINER (default "threads"). Each is created
+// on first use.
+const {
+  BlobServiceClient,
+  BlobSASPermissions,
+  StorageSharedKeyCredential,
+  generateBlobSASQueryParameters,
+} = require("@azure/storage-blob");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function accountNameOf(url) {
+  const u = new URL(url);
+  // Azurite and other path-style endpoints put the account in the path
+  if (/^(localhost|[\d.]+)$/.test(u.hostname) || u.port) {
+    return u.pathname.split("/")[1];
+  }
+  return u.hostname.split(".")[0];
+}
+
+function notConfigured() {
+  return Object.assign(new Error("Azure Storage not configured"), {
+    status: 500,
+    detail: "Set AZURE_STORAGE_CONNECTION_STRING or AZURE_STORAGE_ACCOUNT_URL",
+  });
+}
+
+function connect(config) {
+  if (config.AZURE_STORAGE_CONNECTION_STRING) {
+    const service = BlobServiceClient.fromConnectionString(
+      config.AZURE_STORAGE_CONNECTION_STRING
+    );
+    const keyed = service.credential instanceof StorageSharedKeyCredential;
+    return { service, auth: keyed ? "account-key" : "sas" };
+  }
+  const url = config.AZURE_STORAGE_ACCOUNT_URL?.replace(/\/+$/, "");
+  if (!url) return null;
+  if (config.AZURE_STORAGE_ACCOUNT_KEY) {
+    const credential = new StorageSharedKeyCredential(
+      config.AZURE_STORAGE_ACCOUNT_NAME || accountNameOf(url),
+      config.AZURE_STORAGE_ACCOUNT_KEY
+    );
+    return {
+      service: new BlobServiceClient(url, credential),
+      auth: "account-key",
+    };
+  }
+  if (config.AZURE_STORAGE_SAS_TOKEN) {
+    const sas = config.AZURE_STORAGE_SAS_TOKEN.replace(/^\?/, "");
+    return { service: new BlobServiceClient(`${url}?${sas}`), auth: "sas" };
+  }
+  // loaded lazily: only identity deployments pay for it
+  const { DefaultAzureCredential } = require("@azure/identity");
+  return {
+    service: new BlobServiceClient(url, new DefaultAzureCredential()),
+    auth: "identity",
+  };
+}
+
+function createBlobStorage(config = process.env) {
+  const conn = connect(config);
+  const names = {
+    logs: config.AZURE_LOGS_CONTAINER || "logs",
+    images: config.AZURE_IMAGES_CONTAINER || "images",
+    threads: config.THREADS_CONTAINER || "threads",
+  };
+  const containers = new Map(); // name -> Promise<ContainerClient>
+  let delegationKey = null; // { key, expiresOn } for identity signing
+
+  function service() {
+    if (!conn) throw notConfigured();
+    return conn.service;
+  }
+
+  // ContainerClient for a purpose ("logs" | "images" | "threads") or a
+  // literal container name, created if missing. A failed create is retried
+  // on the next call.
+  function container(purpose) {
+    const name = names[purpose] || purpose;
+    if (!containers.has(name)) {
+      const client = service().getContainerClient(name);
+      containers.set(
+        name,
+        client
+          .createIfNotExists()
+          .then(() => client)
+          .catch((e) => {
+            containers.delete(name);
+            throw e;
+          })
+      );
+    }
+    return containers.get(name);
+  }
+
+  async function userDelegationKey(until) {
+    if (!delegationKey || delegationKey.expiresOn < until) {
+      const startsOn = new Date(Date.now() - 5 * 60 * 1000);
+      const expiresOn = new Date(Math.max(until.getTime(), Date.now() + DAY));
+      delegationKey = {
+        key: await conn.service.getUserDelegationKey(startsOn, expiresOn),
+        expiresOn,
+      };
+    }
+    return delegationKey.key;
+  }
+
+  // Read-only SAS URL for a blob, valid for ttlMs. Resolves to null when
+  // the credential cannot sign (a pre-issued SAS token).
+  async function signUrl(purpose, blobName, { ttlMs = DAY } = {}) {
+    const { auth } = conn || {};
+    if (auth !== "account-key" && auth !== "identity") {
+      if (!conn) throw notConfigured();
+      return null;
+    }
+    const containerName = names[purpose] || purpose;
+    const expiresOn = new Date(Date.now() + ttlMs);
+    const options = {
+      containerName,
+      blobName,
+      permissions: BlobSASPermissions.parse("r"), // read-only
+      startsOn: new Date(Date.now() - 5 * 60 * 1000), // clock skew
+      expiresOn,
+    };
+    const sas =
+      auth === "identity"
+        ? generateBlobSASQueryParameters(
+            options,
+            await userDelegationKey(expiresOn),
+            accountNameOf(conn.service.url)
+          )
+        : generateBlobSASQueryParameters(options, conn.service.credential);
+    const blob = conn.service
+      .getContainerClient(containerName)
+      .getBlobClient(blobName);
+    return `${blob.url}?${sas.toString()}`;
+  }
+
+  return {
+    configured: Boolean(conn),
+    auth: conn?.auth || null,
+    canSign: conn?.auth === "account-key" || conn?.auth === "identity",
+    host: conn ? new URL(conn.service.url).host : null,
+    containerName: (purpose) => names[purpose] || purpose,
+    service,
+    container,
+    signUrl,
+  };
+}
+
+module.exports = { createBlobStorage };
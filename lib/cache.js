@@ -0,0 +1,234 @@
+// lib/cache.js
+// Opt-in response cache for chat and assistant completions.
+//
+// RESPONSE_CACHE      off | memory | disk (default off)
+// CACHE_TTL_SECONDS   entry lifetime (default 3600)
+// CACHE_MAX_ENTRIES   LRU size for the memory backend (default 500)
+// CACHE_DIR           directory for the disk backend (default data/cache)
+//
+// Only deterministic requests (temperature 0, n <= 1) are cached unless the
+// caller sends "X-Cache-Force: 1". "Cache-Control: no-cache" skips the lookup
+// but refreshes the entry; "no-store" bypasses the cache entirely.
+// Every cacheable route answers with X-Cache: HIT | MISS | BYPASS.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// --- Backends (async get/set) ---------------------------------------------
+function createMemoryCacheStore({ maxEntries = 500 } = {}) {
+  const entries = new Map(); // insertion order doubles as LRU order
+
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.expiresAt <= Date.now()) return null;
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+function createDiskCacheStore({ dir = "data/cache" } = {}) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+  const file = (key) => path.join(root, `${key}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const e = JSON.parse(await fs.promises.readFile(file(key), "utf8"));
+        if (e.expiresAt > Date.now()) return e.value;
+        await fs.promises.unlink(file(key)).catch(() => {});
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      return null;
+    },
+    async set(key, value, ttlMs) {
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(
+        tmp,
+        JSON.stringify({ value, expiresAt: Date.now() + ttlMs })
+      );
+      await fs.promises.rename(tmp, file(key));
+    },
+  };
+}
+
+// --- Keys and policy ------------------------------------------------------
+// Fields that do not change the completion and must not split the cache
+const IGNORED_FIELDS = new Set([
+  "stream",
+  "stream_options",
+  "userEmail",
+  "sessionId",
+  "user",
+]);
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cacheKey(kind, keyId, body) {
+  const material = {};
+  for (const [k, v] of Object.entries(body || {})) {
+    if (!IGNORED_FIELDS.has(k)) material[k] = v;
+  }
+  return crypto
+    .createHash("sha256")
+    .update(canonical({ kind, keyId: keyId ?? null, body: material }))
+    .digest("hex");
+}
+
+function isDeterministic(body) {
+  return body.temperature === 0 && (body.n == null || body.n <= 1);
+}
+
+function cachePolicy(req, body) {
+  // entries hold unfiltered text, so replies under output guardrails
+  // (lib/guardrails.js) are never cached
+  if (req.guardPolicy?.output.length) return { read: false, write: false };
+  const cc = String(req.headers["cache-control"] || "").toLowerCase();
+  const force = /^(1|true)$/i.test(String(req.headers["x-cache-force"] || ""));
+  if (cc.includes("no-store")) return { read: false, write: false };
+  if (!force && !isDeterministic(body)) return { read: false, write: false };
+  return { read: !cc.includes("no-cache"), write: true };
+}
+
+// --- Replay ---------------------------------------------------------------
+// Entries: { text, usage, model, raw?, contentType? }. raw is the original
+// non-streamed body and is served verbatim to the matching JSON route.
+
+function chatCompletionFrom(entry) {
+  const usage = entry.usage && {
+    prompt_tokens: entry.usage.prompt,
+    completion_tokens: entry.usage.completion,
+    total_tokens: entry.usage.total,
+  };
+  return {
+    id: `chatcmpl-${crypto.randomBytes(12).toString("hex")}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: entry.model,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content: entry.text },
+        finish_reason: "stop",
+      },
+    ],
+    ...(usage ? { usage } : {}),
+  };
+}
+
+// OpenAI chat.completion.chunk SSE frames for a cached completion
+function chatChunksFrom(entry) {
+  const base = {
+    id: `chatcmpl-${crypto.randomBytes(12).toString("hex")}`,
+    object: "chat.completion.chunk",
+    created: Math.floor(Date.now() / 1000),
+    model: entry.model,
+  };
+  const frame = (obj) => `data: ${JSON.stringify({ ...base, ...obj })}\n\n`;
+  const delta = (d, finish = null) =>
+    frame({ choices: [{ index: 0, delta: d, finish_reason: finish }] });
+  const frames = [
+    delta({ role: "assistant", content: "" }),
+    delta({ content: entry.text }),
+    delta({}, "stop"),
+  ];
+  if (entry.usage) {
+    frames.push(
+      frame({
+        choices: [],
+        usage: {
+          prompt_tokens: entry.usage.prompt,
+          completion_tokens: entry.usage.completion,
+          total_tokens: entry.usage.total,
+        },
+      })
+    );
+  }
+  frames.push("data: [DONE]\n\n");
+  return frames;
+}
+
+// Assistant API line framing ("0:" text, "d:" finish) for a cached reply
+function assistantLinesFrom(entry) {
+  const usage = entry.usage && {
+    promptTokens: entry.usage.prompt,
+    completionTokens: entry.usage.completion,
+  };
+  return [
+    `0:${JSON.stringify(entry.text)}\n`,
+    `d:${JSON.stringify({
+      finishReason: "stop",
+      ...(usage ? { usage } : {}),
+    })}\n`,
+  ];
+}
+
+// --- Cache front ----------------------------------------------------------
+function createResponseCache(store, { ttlMs = 3600 * 1000 } = {}) {
+  // kind partitions the cache: "chat:<region>", "assistant", ...
+  // usable(entry) lets a route skip entries it cannot serve (e.g. a JSON
+  // route needs the raw body a streamed entry does not have).
+  // Returns { hit, key, write } and sets X-Cache on the response.
+  async function lookup(req, res, kind, body, usable = () => true) {
+    if (!store) return { hit: null, write: false };
+    const policy = cachePolicy(req, body);
+    if (!policy.read && !policy.write) {
+      res.setHeader("X-Cache", "BYPASS");
+      return { hit: null, write: false };
+    }
+    const key = cacheKey(kind, req.clientKey?.id, body);
+    let hit = null;
+    if (policy.read) {
+      try {
+        hit = await store.get(key);
+        if (hit && !usable(hit)) hit = null;
+      } catch (e) {
+        req.log.warn("cache read failed", { err: e });
+      }
+    }
+    res.setHeader("X-Cache", hit ? "HIT" : "MISS");
+    return { hit, key, write: policy.write };
+  }
+
+  function save(req, lookupResult, entry) {
+    if (!lookupResult.write || !entry || !entry.text) return;
+    store
+      .set(lookupResult.key, entry, ttlMs)
+      .catch((e) => req.log.warn("cache write failed", { err: e }));
+  }
+
+  return { enabled: !!store, lookup, save };
+}
+
+module.exports = {
+  createMemoryCacheStore,
+  createDiskCacheStore,
+  createResponseCache,
+  cacheKey,
+  cachePolicy,
+  chatCompletionFrom,
+  chatChunksFrom,
+  assistantLinesFrom,
+};
@@ -0,0 +1,528 @@
+// lib/config.js
+// One config file for everything the env vars control. CONFIG_FILE points
+// at a JSON file whose sections map onto the env vars in SETTINGS; an env
+// var that is set wins over the file:
+// {
+//   "server":    { "port": 8080 },
+//   "cors":      { "allowOrigin": ["https://*.example.com"], "maxAge": 600 },
+//   "upstream":  { "baseUrl": "https://api.langdock.com", "region": "eu" },
+//   "streaming": { "heartbeatMs": 1000, "paddingBytes": 2048 },
+//   "limits":    { "jsonBody": "2mb", "chatBody": "20mb" },
+//   "azure":     { "logsContainer": "logs", "sasTtlHours": 24 },
+//   "routes": {
+//     "/assistant*":    { "heartbeatMs": 5000, "paddingBytes": 0 },
+//     "/v1/embeddings": { "bodyLimit": "5mb", "region": "us",
+//                         "baseUrl": "https://langdock.internal" },
+//     "/logs*":         { "cors": { "allowOrigin": ["https://admin.example.com"],
+//                                   "credentials": true } }
+//   }
+// }
+//
+// A route section applies to the exact path, or to every path under a
+// pattern ending in "*" (the longest pattern wins), and beats both the
+// file's top-level values and the env vars.
+//
+// createApp refuses to start while the file or the env holds a value of
+// the wrong type, listing every problem. SIGHUP (see server.js) re-reads
+// the file: the route settings (heartbeat, padding, body limit, base URL,
+// region, CORS) apply to requests from then on, streams already open keep
+// what they started with, and anything else needs a restart.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "config" });
+
+// section -> key -> [env var, type]. Types: "string", "number" (>= 0),
+// "boolean", "list" (comma-separated in env), "size" ("2mb" or bytes),
+// "url", "origins" (a list of origins, "*" or "https://*.example.com"),
+// or an array of allowed values. A nested object is a sub-section.
+const SETTINGS = {
+  server: {
+    port: ["PORT", "number"],
+    authDisabled: ["AUTH_DISABLED", "boolean"],
+    keysFile: ["PROXY_KEYS_FILE", "string"],
+    publicBaseUrl: ["PUBLIC_BASE_URL", "url"],
+    metricsToken: ["METRICS_TOKEN", "string"],
+    readyTimeoutMs: ["READY_TIMEOUT_MS", "number"],
+    readyCacheMs: ["READY_CACHE_MS", "number"],
+  },
+  upstream: {
+    apiKey: ["LANGDOCK_API_KEY", "string"],
+    baseUrl: ["LANGDOCK_BASE_URL", "url"],
+    region: ["UPSTREAM_REGION", "string"],
+    retries: ["UPSTREAM_RETRIES", "number"],
+    backoffMs: ["UPSTREAM_BACKOFF_MS", "number"],
+    connectTimeoutMs: ["UPSTREAM_CONNECT_TIMEOUT_MS", "number"],
+    firstByteTimeoutMs: ["UPSTREAM_FIRST_BYTE_TIMEOUT_MS", "number"],
+    breakerThreshold: ["UPSTREAM_BREAKER_THRESHOLD", "number"],
+    breakerCooldownMs: ["UPSTREAM_BREAKER_COOLDOWN_MS", "number"],
+    tenantsFile: ["TENANTS_FILE", "string"],
+    modelRoutesFile: ["MODEL_ROUTES_FILE", "string"],
+    openaiModels: ["OPENAI_MODELS", "list"],
+    modelsCacheTtlMs: ["MODELS_CACHE_TTL_MS", "number"],
+  },
+  // see lib/cors.js
+  cors: {
+    allowOrigin: ["ALLOW_ORIGIN", "origins"],
+    credentials: ["CORS_CREDENTIALS", "boolean"],
+    exposedHeaders: ["CORS_EXPOSE_HEADERS", "list"],
+    allowedHeaders: ["CORS_ALLOW_HEADERS", "list"],
+    maxAge: ["CORS_MAX_AGE", "number"],
+  },
+  streaming: {
+    heartbeatMs: ["STREAM_HEARTBEAT_MS", "number"],
+    paddingBytes: ["STREAM_PADDING_BYTES", "number"],
+    graceMs: ["STREAM_GRACE_MS", "number"],
+    bufferBytes: ["STREAM_BUFFER_BYTES", "number"],
+  },
+  limits: {
+    jsonBody: ["JSON_BODY_LIMIT", "size"],
+    chatBody: ["CHAT_BODY_LIMIT", "size"],
+  },
+  websocket: {
+    maxMessageBytes: ["WS_MAX_MESSAGE_BYTES", "number"],
+    maxConcurrent: ["WS_MAX_CONCURRENT", "number"],
+    maxBufferedBytes: ["WS_MAX_BUFFERED_BYTES", "number"],
+    pingMs: ["WS_PING_MS", "number"],
+  },
+  quota: {
+    store: ["QUOTA_STORE", ["memory", "file"]],
+    file: ["QUOTA_FILE", "string"],
+    rateLimitRpm: ["RATE_LIMIT_RPM", "number"],
+    dailyTokens: ["QUOTA_DAILY_TOKENS", "number"],
+    monthlyTokens: ["QUOTA_MONTHLY_TOKENS", "number"],
+    userRateLimitRpm: ["USER_RATE_LIMIT_RPM", "number"],
+    userDailyTokens: ["USER_QUOTA_DAILY_TOKENS", "number"],
+    userMonthlyTokens: ["USER_QUOTA_MONTHLY_TOKENS", "number"],
+  },
+  cache: {
+    mode: ["RESPONSE_CACHE", ["off", "memory", "disk"]],
+    dir: ["CACHE_DIR", "string"],
+    maxEntries: ["CACHE_MAX_ENTRIES", "number"],
+    ttlSeconds: ["CACHE_TTL_SECONDS", "number"],
+  },
+  audit: {
+    sink: ["AUDIT_SINK", ["none", "file", "azure"]],
+    file: ["AUDIT_FILE", "string"],
+  },
+  logs: {
+    spoolDir: ["LOG_SPOOL_DIR", "string"],
+    schemaFile: ["LOG_SCHEMA_FILE", "string"],
+    flushMs: ["LOG_FLUSH_MS", "number"],
+    maxBatch: ["LOG_MAX_BATCH", "number"],
+    maxEntryBytes: ["LOG_MAX_ENTRY_BYTES", "number"],
+    readKeys: ["LOGS_READ_KEYS", "list"],
+  },
+  azure: {
+    connectionString: ["AZURE_STORAGE_CONNECTION_STRING", "string"],
+    accountUrl: ["AZURE_STORAGE_ACCOUNT_URL", "url"],
+    accountName: ["AZURE_STORAGE_ACCOUNT_NAME", "string"],
+    accountKey: ["AZURE_STORAGE_ACCOUNT_KEY", "string"],
+    sasToken: ["AZURE_STORAGE_SAS_TOKEN", "string"],
+    logsContainer: ["AZURE_LOGS_CONTAINER", "string"],
+    imagesContainer: ["AZURE_IMAGES_CONTAINER", "string"],
+    threadsContainer: ["THREADS_CONTAINER", "string"],
+    sasTtlHours: ["IMAGE_SAS_TTL_HOURS", "number"],
+  },
+  threads: {
+    store: ["THREAD_STORE", ["file", "azure"]],
+    dir: ["THREADS_DIR", "string"],
+    historyMode: ["THREAD_HISTORY_MODE", ["truncate", "summarize"]],
+    historyTokens: ["THREAD_HISTORY_TOKENS", "number"],
+    summaryModel: ["THREAD_SUMMARY_MODEL", "string"],
+  },
+  uploads: {
+    dir: ["UPLOAD_DIR", "string"],
+    maxBytes: ["UPLOAD_MAX_BYTES", "number"],
+    maxFiles: ["UPLOAD_MAX_FILES", "number"],
+    allowedTypes: ["UPLOAD_ALLOWED_TYPES", "list"],
+    scanner: ["UPLOAD_SCANNER", "string"],
+    scanTimeoutMs: ["UPLOAD_SCAN_TIMEOUT_MS", "number"],
+  },
+  images: {
+    chatMode: ["CHAT_IMAGE_MODE", ["off", "normalise", "upload", "inline"]],
+    preprocess: ["IMAGE_PREPROCESS", "boolean"],
+    serveMode: ["IMAGE_SERVE_MODE", ["redirect", "stream"]],
+    maxDimension: ["IMAGE_MAX_DIMENSION", "number"],
+    jpegQuality: ["IMAGE_JPEG_QUALITY", "number"],
+    fetchHosts: ["IMAGE_FETCH_HOSTS", "list"],
+    fetchTimeoutMs: ["IMAGE_FETCH_TIMEOUT_MS", "number"],
+    uploadMaxBytes: ["IMAGE_UPLOAD_MAX_BYTES", "number"],
+    uploadMaxFiles: ["IMAGE_UPLOAD_MAX_FILES", "number"],
+    uploadAllowedTypes: ["IMAGE_UPLOAD_ALLOWED_TYPES", "list"],
+    urlSecret: ["IMAGE_URL_SECRET", "string"],
+    redirectTtlMinutes: ["IMAGE_REDIRECT_TTL_MINUTES", "number"],
+  },
+  attachments: {
+    file: ["ATTACHMENTS_FILE", "string"],
+    retentionDays: ["ATTACHMENT_RETENTION_DAYS", "number"],
+    sweepMinutes: ["ATTACHMENT_SWEEP_MINUTES", "number"],
+  },
+  // see lib/rag.js
+  index: {
+    dir: ["INDEX_DIR", "string"],
+    embeddingModel: ["INDEX_EMBEDDING_MODEL", "string"],
+    chunkChars: ["INDEX_CHUNK_CHARS", "number"],
+    chunkOverlap: ["INDEX_CHUNK_OVERLAP", "number"],
+    maxBytes: ["INDEX_MAX_BYTES", "number"],
+    maxExpandedBytes: ["INDEX_MAX_EXPANDED_BYTES", "number"],
+    maxFiles: ["INDEX_MAX_FILES", "number"],
+    maxTopK: ["RETRIEVAL_MAX_TOP_K", "number"],
+  },
+  templates: { dir: ["TEMPLATES_DIR", "string"] },
+  guardrails: { file: ["GUARDRAILS_FILE", "string"] },
+  tools: {
+    file: ["TOOLS_FILE", "string"],
+    timeoutMs: ["TOOL_TIMEOUT_MS", "number"],
+    maxRounds: ["TOOL_MAX_ROUNDS", "number"],
+  },
+};
+
+// Read when lib/logger.js loads, before any config file: env only
+const ENV_ONLY = {
+  LOG_LEVEL: ["debug", "info", "warn", "error", "silent"],
+  LOG_REDACT: "list",
+};
+
+// What a "routes" entry may set
+const ROUTE_SETTINGS = {
+  heartbeatMs: "number",
+  paddingBytes: "number",
+  bodyLimit: "size",
+  baseUrl: "url",
+  region: "string",
+  cors: {
+    allowOrigin: "origins",
+    credentials: "boolean",
+    exposedHeaders: "list",
+    allowedHeaders: "list",
+    maxAge: "number",
+  },
+};
+
+// Settings that take effect on reload (through route()); every other
+// change is logged as needing a restart
+const LIVE_SETTINGS = new Set([
+  "STREAM_HEARTBEAT_MS",
+  "STREAM_PADDING_BYTES",
+  "JSON_BODY_LIMIT",
+  "CHAT_BODY_LIMIT",
+  "LANGDOCK_BASE_URL",
+  "UPSTREAM_REGION",
+  "ALLOW_ORIGIN",
+  "CORS_CREDENTIALS",
+  "CORS_EXPOSE_HEADERS",
+  "CORS_ALLOW_HEADERS",
+  "CORS_MAX_AGE",
+]);
+
+// chat bodies may carry inline data: URL images, hence CHAT_BODY_LIMIT
+const CHAT_ROUTES = ["/chat/completions", "/v1/chat/completions"];
+
+const SIZE_RE = /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i;
+// scheme://host[:port], the host optionally starting with "*."
+const ORIGIN_RE = /^https?:\/\/(\*\.)?[\w.-]+(:\d+)?$/;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const show = (v) => (typeof v === "string" ? `"${v}"` : JSON.stringify(v));
+
+// Why value is not of type, or null. fromEnv: value is an env string.
+function typeProblem(type, value, fromEnv) {
+  if (Array.isArray(type)) {
+    return type.includes(value) ? null : `must be one of ${type.join(", ")}`;
+  }
+  switch (type) {
+    case "number": {
+      const n = fromEnv && value !== "" ? Number(value) : value;
+      return typeof n === "number" && n >= 0
+        ? null
+        : "must be a non-negative number";
+    }
+    case "boolean":
+      return (fromEnv ? ["true", "false"] : [true, false]).includes(value)
+        ? null
+        : "must be true or false";
+    case "list":
+      return fromEnv ||
+        (Array.isArray(value) && value.every((v) => typeof v === "string"))
+        ? null
+        : "must be a list of strings";
+    case "size":
+      return (typeof value === "number" && value >= 0) ||
+        SIZE_RE.test(String(value))
+        ? null
+        : 'must be a size such as "2mb" or a number of bytes';
+    case "origins": {
+      const list = fromEnv ? listOf(value) : value;
+      if (!Array.isArray(list) || !list.every((v) => typeof v === "string")) {
+        return "must be a list of origins";
+      }
+      const bad = list.find((o) => o !== "*" && !ORIGIN_RE.test(o));
+      return bad === undefined
+        ? null
+        : `"${bad}" is not an origin such as https://app.example.com`;
+    }
+    case "url":
+      return typeof value === "string" && /^https?:\/\/[^/]/.test(value)
+        ? null
+        : "must be an http(s) URL";
+    default:
+      return typeof value === "string" ? null : "must be a string";
+  }
+}
+
+// Env-style string for a file value
+function toEnvValue(type, value) {
+  if (type === "list" || type === "origins") return value.join(",");
+  return String(value);
+}
+
+// Comma-separated env value -> list, undefined when unset
+const listOf = (value) =>
+  value === undefined
+    ? undefined
+    : String(value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean);
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Problems with one route section (or a sub-section of it)
+function checkRouteEntries(where, entries, schema) {
+  const problems = [];
+  for (const [key, value] of Object.entries(entries)) {
+    const type = schema[key];
+    if (isObject(type)) {
+      if (isObject(value)) {
+        problems.push(...checkRouteEntries(`${where}.${key}`, value, type));
+      } else {
+        problems.push(`${where}.${key}: must be an object`);
+      }
+      continue;
+    }
+    const problem = type
+      ? typeProblem(type, value, false)
+      : `unknown setting (allowed: ${Object.keys(schema).join(", ")})`;
+    if (problem) {
+      problems.push(`${where}.${key}: ${problem}, got ${show(value)}`);
+    }
+  }
+  return problems;
+}
+
+// file data -> { values, routes, problems }
+function fromFile(data) {
+  const values = {};
+  const routes = [];
+  const problems = [];
+  if (!isObject(data)) {
+    return { values, routes, problems: ["the file must hold a JSON object"] };
+  }
+  for (const [section, entries] of Object.entries(data)) {
+    if (section === "routes") continue;
+    const known = SETTINGS[section];
+    if (!known) {
+      problems.push(`${section}: unknown section`);
+      continue;
+    }
+    if (!isObject(entries)) {
+      problems.push(`${section}: must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(entries)) {
+      const where = `${section}.${key}`;
+      if (!known[key]) {
+        problems.push(`${where}: unknown setting`);
+        continue;
+      }
+      const [env, type] = known[key];
+      const problem = typeProblem(type, value, false);
+      if (problem) problems.push(`${where}: ${problem}, got ${show(value)}`);
+      else values[env] = toEnvValue(type, value);
+    }
+  }
+  for (const [pattern, entries] of Object.entries(data.routes || {})) {
+    const where = `routes["${pattern}"]`;
+    if (!pattern.startsWith("/")) {
+      problems.push(`${where}: route patterns start with "/"`);
+      continue;
+    }
+    if (!isObject(entries)) {
+      problems.push(`${where}: must be an object`);
+      continue;
+    }
+    problems.push(...checkRouteEntries(where, entries, ROUTE_SETTINGS));
+    routes.push({ pattern, settings: entries });
+  }
+  // exact paths first, then the longest prefix
+  const rank = ({ pattern }) =>
+    pattern.endsWith("*") ? pattern.length : Infinity;
+  routes.sort((a, b) => rank(b) - rank(a));
+  return { values, routes, problems };
+}
+
+// Problems with the env-style values the schema knows about
+function checkValues(values) {
+  const problems = [];
+  for (const [section, entries] of Object.entries(SETTINGS)) {
+    for (const [key, [env, type]] of Object.entries(entries)) {
+      if (values[env] === undefined) continue;
+      const problem = typeProblem(type, values[env], true);
+      if (problem) {
+        problems.push(
+          `${env} (${section}.${key}): ${problem}, got ${show(values[env])}`
+        );
+      }
+    }
+  }
+  for (const [env, type] of Object.entries(ENV_ONLY)) {
+    if (values[env] === undefined) continue;
+    const problem = typeProblem(type, values[env], true);
+    if (problem) problems.push(`${env}: ${problem}, got ${show(values[env])}`);
+  }
+  return problems;
+}
+
+// "*" with credentials would echo every origin back as allowed, letting
+// any site make credentialed calls: those policies must list their origins
+function corsProblems(values, routes) {
+  const origins = listOf(values.ALLOW_ORIGIN) || ["*"];
+  const credentials = values.CORS_CREDENTIALS === "true";
+  return [
+    { where: "cors", origins, credentials },
+    ...routes.map(({ pattern, settings }) => ({
+      where: `routes["${pattern}"].cors`,
+      origins: settings.cors?.allowOrigin ?? origins,
+      credentials: settings.cors?.credentials ?? credentials,
+    })),
+  ]
+    .filter(
+      (p) =>
+        p.credentials === true &&
+        Array.isArray(p.origins) &&
+        p.origins.includes("*")
+    )
+    .map(
+      ({ where }) =>
+        `${where}: credentials need an explicit allowOrigin list, not "*"`
+    );
+}
+
+// env (+ CONFIG_FILE) -> { values, routes }; throws ConfigError
+function loadConfig(env) {
+  let file = { values: {}, routes: [], problems: [] };
+  if (env.CONFIG_FILE) {
+    const where = path.resolve(env.CONFIG_FILE);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(where, "utf8"));
+    } catch (e) {
+      throw new ConfigError([`CONFIG_FILE ${where}: ${e.message}`]);
+    }
+    file = fromFile(data);
+  }
+  const values = { ...file.values };
+  for (const [name, value] of Object.entries(env)) {
+    if (value !== undefined) values[name] = value;
+  }
+  const problems = [...file.problems, ...checkValues(values)];
+  if (!problems.length) problems.push(...corsProblems(values, file.routes));
+  if (problems.length) throw new ConfigError(problems);
+  return { values, routes: file.routes };
+}
+
+function createSettings(env = process.env) {
+  let current = loadConfig(env);
+
+  const num = (name, fallback) => {
+    const v = current.values[name];
+    return v !== undefined && v !== "" ? Number(v) : fallback;
+  };
+
+  // Settings for one request path: the matching route section over the
+  // top-level values
+  function route(reqPath) {
+    const own =
+      current.routes.find(({ pattern }) =>
+        pattern.endsWith("*")
+          ? reqPath.startsWith(pattern.slice(0, -1))
+          : reqPath === pattern
+      )?.settings || {};
+    const { values } = current;
+    return {
+      heartbeatMs: own.heartbeatMs ?? num("STREAM_HEARTBEAT_MS", 1000),
+      paddingBytes: own.paddingBytes ?? num("STREAM_PADDING_BYTES", 2048),
+      bodyLimit:
+        own.bodyLimit ??
+        (CHAT_ROUTES.includes(reqPath)
+          ? values.CHAT_BODY_LIMIT || "20mb"
+          : values.JSON_BODY_LIMIT || "2mb"),
+      baseUrl:
+        own.baseUrl ?? (values.LANGDOCK_BASE_URL || "https://api.langdock.com"),
+      region: own.region ?? (values.UPSTREAM_REGION || "eu"),
+      cors: {
+        allowOrigin: listOf(values.ALLOW_ORIGIN) || ["*"],
+        credentials: values.CORS_CREDENTIALS === "true",
+        exposedHeaders: listOf(values.CORS_EXPOSE_HEADERS) || [],
+        allowedHeaders: listOf(values.CORS_ALLOW_HEADERS),
+        maxAge: num("CORS_MAX_AGE", 600),
+        ...own.cors,
+      },
+    };
+  }
+
+  // Re-reads CONFIG_FILE. An invalid file is logged and the previous
+  // config stays in place. Returns whether the new config was applied.
+  function reload() {
+    let next;
+    try {
+      next = loadConfig(env);
+    } catch (e) {
+      log.error("config reload failed, keeping the previous config", {
+        problems: e.problems || [e.message],
+      });
+      return false;
+    }
+    const names = new Set([
+      ...Object.keys(current.values),
+      ...Object.keys(next.values),
+    ]);
+    const restart = [...names].filter(
+      (name) =>
+        current.values[name] !== next.values[name] && !LIVE_SETTINGS.has(name)
+    );
+    current = next;
+    log.info("config reloaded", { file: env.CONFIG_FILE || null });
+    if (restart.length) {
+      log.warn("some changes only apply after a restart", {
+        settings: restart,
+      });
+    }
+    return true;
+  }
+
+  return {
+    // The startup values; later reloads only reach route()
+    values: current.values,
+    route,
+    reload,
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  ConfigError,
+  loadConfig,
+  checkValues,
+  createSettings,
+};
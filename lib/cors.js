@@ -0,0 +1,71 @@
+// lib/cors.js
+// Per-route CORS. Each request's policy comes from its route settings (see
+// the "cors" section and route "cors" entries in lib/config.js):
+//   { allowOrigin: ["https://app.example.com", "https://*.example.com"],
+//     credentials: false, exposedHeaders: [...], allowedHeaders: [...],
+//     maxAge: 600 }
+// "*" allows any origin; "https://*.example.com" any subdomain of
+// example.com (not example.com itself); "*" cannot be combined with
+// credentials (lib/config.js refuses it). Without allowedHeaders a preflight
+// gets back whatever headers it asked for (x-api-key, Last-Event-ID...).
+// A browser origin the policy does not allow gets a 403 JSON error.
+const cors = require("cors");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "cors" });
+
+const escape = (s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+// origin patterns -> (origin) => boolean
+function originMatcher(patterns) {
+  if (patterns.includes("*")) return () => true;
+  const exact = new Set(patterns.filter((p) => !p.includes("*")));
+  const wildcards = patterns
+    .filter((p) => p.includes("*"))
+    .map(
+      (p) =>
+        new RegExp(`^${escape(p).replace("*\\.", "(?:[a-z0-9-]+\\.)+")}$`, "i")
+    );
+  return (origin) =>
+    exact.has(origin) || wildcards.some((re) => re.test(origin));
+}
+
+// Compiled matchers, keyed by the pattern list
+const matchers = new Map();
+function allowsOrigin(policy, origin) {
+  const key = policy.allowOrigin.join(",");
+  if (!matchers.has(key)) matchers.set(key, originMatcher(policy.allowOrigin));
+  return matchers.get(key)(origin);
+}
+
+// policyFor(req) -> policy; exposedHeaders are added to every policy's own
+function corsGate({ policyFor, exposedHeaders = [] }) {
+  return (req, res, next) => {
+    const policy = policyFor(req);
+    const origin = req.headers.origin;
+    // requests without an Origin (curl, server-to-server) are not CORS
+    if (origin && !allowsOrigin(policy, origin)) {
+      (req.log || log).warn("cors origin rejected", {
+        origin,
+        path: req.path,
+      });
+      return res.status(403).json({
+        error: "forbidden",
+        detail: `Origin ${origin} not allowed by CORS`,
+      });
+    }
+    const anyOrigin = policy.allowOrigin.includes("*");
+    cors({
+      // browsers refuse "*" together with credentials: echo the origin
+      origin: anyOrigin && !policy.credentials ? "*" : true,
+      credentials: policy.credentials,
+      exposedHeaders: [
+        ...new Set([...exposedHeaders, ...policy.exposedHeaders]),
+      ],
+      allowedHeaders: policy.allowedHeaders,
+      maxAge: policy.maxAge,
+    })(req, res, next);
+  };
+}
+
+module.exports = { corsGate, allowsOrigin, originMatcher };
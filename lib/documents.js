@@ -0,0 +1,219 @@
+// lib/documents.js
+// Plain text out of the documents the retrieval index accepts: PDF, DOCX,
+// Markdown and plain text.
+//
+// No PDF or Office library is among the dependencies, so the formats are
+// read directly. DOCX: word/document.xml is found through the zip central
+// directory and its paragraphs become lines. PDF: the content streams are
+// inflated and the strings shown by the text operators (Tj, TJ, ', ")
+// collected. That covers PDFs written with standard font encodings, which
+// is what most exported handbooks are; scanned PDFs have no text to find.
+const { constants } = require("buffer");
+const zlib = require("zlib");
+
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const TEXT_TYPES = ["text/plain", "text/markdown"];
+const INDEXABLE_TYPES = ["application/pdf", DOCX, ...TEXT_TYPES];
+
+// Inflates with a shared output budget of maxBytes, so a small upload
+// cannot expand to gigabytes on the event loop
+function createInflater(maxBytes = constants.MAX_LENGTH) {
+  let left = maxBytes;
+  return (inflate, data) => {
+    let out;
+    try {
+      out = inflate(data, { maxOutputLength: Math.max(1, left) });
+    } catch (e) {
+      if (e instanceof RangeError) {
+        throw new RangeError(`expands to more than ${maxBytes} bytes`);
+      }
+      throw e;
+    }
+    left -= out.length;
+    return out;
+  };
+}
+
+// --- DOCX -----------------------------------------------------------------
+// The named entry of a zip archive, or null
+function zipEntry(buf, name, inflate = createInflater()) {
+  // end of central directory record, up to 64KB of comment from the end
+  let eocd = -1;
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("not a zip archive");
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count && buf.readUInt32LE(p) === 0x02014b50; n++) {
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const skip = nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    if (buf.toString("utf8", p + 46, p + 46 + nameLen) === name) {
+      const local = buf.readUInt32LE(p + 42);
+      const start =
+        local +
+        30 +
+        buf.readUInt16LE(local + 26) +
+        buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflate(zlib.inflateRawSync, data);
+      throw new Error(`${name} uses unsupported zip compression ${method}`);
+    }
+    p += 46 + skip;
+  }
+  return null;
+}
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+const decodeXml = (s) =>
+  s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) =>
+    e[0] === "#"
+      ? String.fromCodePoint(
+          e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : +e.slice(1)
+        )
+      : XML_ENTITIES[e] ?? m
+  );
+
+function docxText(buf, inflate) {
+  const xml = zipEntry(buf, "word/document.xml", inflate);
+  if (!xml) throw new Error("word/document.xml missing");
+  return decodeXml(
+    xml
+      .toString("utf8")
+      .replace(/<w:tab\b[^>]*\/>/g, "\t")
+      .replace(/<w:br\b[^>]*\/>|<\/w:p>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  );
+}
+
+// --- PDF ------------------------------------------------------------------
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// The body of a literal string token "( ... )"
+function pdfLiteral(token) {
+  return token.slice(1, -1).replace(/\\(\r\n|\n|\r|[0-7]{1,3}|.)/g, (m, c) => {
+    if (c[0] === "\n" || c[0] === "\r") return "";
+    if (/[0-7]/.test(c[0])) return String.fromCharCode(parseInt(c, 8));
+    return PDF_ESCAPES[c] ?? c;
+  });
+}
+
+function pdfHex(token) {
+  const hex = token.slice(1, -1).replace(/\s+/g, "");
+  return Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex").toString(
+    "latin1"
+  );
+}
+
+const PDF_TOKEN =
+  /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[\da-fA-F\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>{}%]+|[A-Za-z'"*]+/g;
+
+// Text shown by one content stream
+function contentText(content) {
+  let out = "";
+  let operands = [];
+  let array = null;
+  const newline = () => {
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  for (const [token] of content.matchAll(PDF_TOKEN)) {
+    const c = token[0];
+    if (c === "(" || (c === "<" && token.length > 1)) {
+      const s = c === "(" ? pdfLiteral(token) : pdfHex(token);
+      (array || operands).push(s);
+    } else if (token === "[") {
+      array = [];
+    } else if (token === "]") {
+      operands.push(array || []);
+      array = null;
+    } else if (/^[-\d.]/.test(token)) {
+      (array || operands).push(Number(token));
+    } else if (c !== "/") {
+      switch (token) {
+        case "Tj":
+          out += operands.filter((o) => typeof o === "string").join("");
+          break;
+        case "'":
+        case '"':
+          newline();
+          out += operands.filter((o) => typeof o === "string").join("");
+          break;
+        case "TJ":
+          for (const part of operands.find(Array.isArray) || []) {
+            // a wide negative adjustment is a word gap
+            if (typeof part === "string") out += part;
+            else if (part < -200 && !out.endsWith(" ")) out += " ";
+          }
+          break;
+        case "Td":
+        case "TD":
+          if (operands[1]) newline();
+          else if (out && !/\s$/.test(out)) out += " ";
+          break;
+        case "T*":
+        case "Tm":
+        case "ET":
+          newline();
+          break;
+      }
+      operands = [];
+    }
+  }
+  return out;
+}
+
+function pdfText(buf, inflate) {
+  const raw = buf.toString("latin1");
+  const pages = [];
+  const streamRe = /\bobj\b((?:(?!\bobj\b)[\s\S])*?)\bstream\r?\n/g;
+  let m;
+  while ((m = streamRe.exec(raw))) {
+    const dict = m[1];
+    const start = streamRe.lastIndex;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    streamRe.lastIndex = end;
+    // images, fonts and other binary streams hold no page text
+    if (/\/Subtype\s*\/Image|\/Length[123]\b|\/Type\s*\/XRef/.test(dict)) {
+      continue;
+    }
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = inflate(zlib.inflateSync, data);
+      } catch (e) {
+        if (e instanceof RangeError) throw e;
+        continue; // a damaged stream; the other pages may still read
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+    const content = data.toString("latin1");
+    if (!/\bBT\b/.test(content)) continue;
+    const text = contentText(content).trim();
+    if (text) pages.push(text);
+  }
+  return pages.join("\n\n");
+}
+
+// Text of a document of one of INDEXABLE_TYPES. maxBytes caps what its
+// compressed parts may inflate to, all together.
+function extractText(buf, type, { maxBytes } = {}) {
+  const inflate = createInflater(maxBytes);
+  let text;
+  if (type === "application/pdf") text = pdfText(buf, inflate);
+  else if (type === DOCX) text = docxText(buf, inflate);
+  else if (TEXT_TYPES.includes(type)) text = buf.toString("utf8");
+  else throw new Error(`Cannot extract text from ${type}`);
+  return text.replace(/\r\n?/g, "\n").replace(/[ \t]+\n/g, "\n");
+}
+
+module.exports = { INDEXABLE_TYPES, extractText, zipEntry };
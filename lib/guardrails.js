@@ -0,0 +1,460 @@
+// lib/guardrails.js
+// Input and output checks for the chat and assistant routes.
+//
+// GUARDRAILS_FILE points at a JSON file (re-read when it changes):
+// {
+//   "default": "standard",             // policy for keys without their own
+//   "policies": {
+//     "standard": {
+//       "input": [
+//         { "type": "maxLength", "chars": 20000 },
+//         { "type": "jailbreak" },
+//         { "type": "pii", "kinds": ["credit_card", "iban"] },
+//         { "id": "codenames", "type": "deny", "keywords": ["falcon"],
+//           "patterns": ["\\bproject\\s+x\\b"] }
+//       ],
+//       "output": [
+//         { "type": "pii", "kinds": ["email", "phone"] },        // masks
+//         { "type": "deny", "keywords": ["internal only"] }      // cuts off
+//       ],
+//       "holdChars": 64
+//     }
+//   }
+// }
+//
+// A key picks its policy with "guardrails": "<name>" in keys.json ("none"
+// turns them off). Input rules reject the request. Output rules either mask
+// ("action": "mask", the default for pii) or cut the reply off with a
+// content-filter finish ("action": "block", the default for deny). Streams
+// are checked as they go: the last holdChars characters are held back so a
+// match split across chunks is still caught before any of it is sent.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "guardrails" });
+
+// --- Detectors ----------------------------------------------------------------
+function luhn(s) {
+  const digits = s.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+function ibanValid(s) {
+  const iban = s.replace(/\s/g, "").toUpperCase();
+  const moved = iban.slice(4) + iban.slice(0, 4);
+  let rest = 0;
+  for (const ch of moved) {
+    const n = ch >= "A" ? ch.charCodeAt(0) - 55 : Number(ch);
+    rest = Number(`${rest}${n}`) % 97;
+  }
+  return rest === 1;
+}
+
+const PII = {
+  email: { source: "[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\\.[A-Z0-9-]+)*\\.[A-Z]{2,}" },
+  phone: { source: "(?<![\\w+])\\+?\\d(?:[ ()/.-]?\\d){8,14}(?!\\w)" },
+  iban: {
+    source: "\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\\b",
+    valid: ibanValid,
+  },
+  credit_card: { source: "\\b\\d(?:[ -]?\\d){12,18}\\b", valid: luhn },
+  ssn: { source: "\\b\\d{3}-\\d{2}-\\d{4}\\b" },
+};
+
+const JAILBREAK = [
+  "\\b(ignore|disregard|forget)\\s+(all\\s+|any\\s+)?(of\\s+)?(the\\s+|your\\s+)?(previous|prior|above|earlier)\\s+(instructions|prompts|rules|messages)",
+  "\\byou\\s+are\\s+now\\s+(DAN|in\\s+developer\\s+mode)\\b",
+  "\\b(developer|jailbreak|god)\\s+mode\\s+(enabled|on|activated)\\b",
+  "\\bdo\\s+anything\\s+now\\b",
+  "\\bpretend\\s+(that\\s+)?you\\s+(have\\s+no|are\\s+not\\s+bound\\s+by|don'?t\\s+have)\\s+(restrictions|rules|guidelines|limits)",
+  "\\b(reveal|print|repeat)\\s+(your|the)\\s+(system\\s+prompt|hidden\\s+instructions)",
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A rule as matchers: [{ re, valid?, replacement }]
+function compileRule(rule, stage) {
+  const id = rule.id || rule.type;
+  const action =
+    stage === "input"
+      ? "block"
+      : rule.action || (rule.type === "pii" ? "mask" : "block");
+  const matchers = [];
+  const add = (source, flags, extra = {}) =>
+    matchers.push({ re: new RegExp(source, `g${flags}`), ...extra });
+  switch (rule.type) {
+    case "maxLength":
+      if (stage !== "input") throw new Error("maxLength is an input rule");
+      break;
+    case "jailbreak":
+      if (stage !== "input") throw new Error("jailbreak is an input rule");
+      for (const p of [...JAILBREAK, ...(rule.patterns || [])]) add(p, "i");
+      break;
+    case "pii":
+      for (const kind of rule.kinds || Object.keys(PII)) {
+        if (!PII[kind]) throw new Error(`unknown pii kind ${kind}`);
+        add(PII[kind].source, "i", {
+          kind,
+          valid: PII[kind].valid,
+          replacement: rule.replacement || `[${kind}]`,
+        });
+      }
+      break;
+    case "deny":
+      for (const k of rule.keywords || []) {
+        add(`(?<!\\w)${escapeRe(k)}(?!\\w)`, "i", {
+          replacement: rule.replacement || "[redacted]",
+        });
+      }
+      for (const p of rule.patterns || []) {
+        add(p, "i", { replacement: rule.replacement || "[redacted]" });
+      }
+      break;
+    default:
+      throw new Error(`unknown rule type ${rule.type}`);
+  }
+  return { ...rule, id, action, matchers };
+}
+
+function compilePolicy(name, p) {
+  return {
+    name,
+    input: (p.input || []).map((r) => compileRule(r, "input")),
+    output: (p.output || []).map((r) => compileRule(r, "output")),
+    holdChars: p.holdChars ?? 64,
+  };
+}
+
+// Every valid match of a rule in text: [{ start, end, rule, matcher }]
+function findAll(rules, text) {
+  const hits = [];
+  for (const rule of rules) {
+    for (const matcher of rule.matchers) {
+      for (const m of text.matchAll(matcher.re)) {
+        if (!m[0] || (matcher.valid && !matcher.valid(m[0]))) continue;
+        hits.push({
+          start: m.index,
+          end: m.index + m[0].length,
+          rule,
+          matcher,
+        });
+      }
+    }
+  }
+  return hits.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+// --- Policies -------------------------------------------------------------------
+function createGuardrails(file) {
+  const guardFile = file ? path.resolve(file) : null;
+  let mtimeMs = -1;
+  let policies = {};
+  let defaultPolicy = null;
+
+  function reload() {
+    if (!guardFile) return;
+    let stat;
+    try {
+      stat = fs.statSync(guardFile);
+    } catch {
+      if (mtimeMs !== 0)
+        log.warn("guardrails file not found", { file: guardFile });
+      mtimeMs = 0;
+      policies = {};
+      defaultPolicy = null;
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(guardFile, "utf8"));
+      const next = {};
+      for (const [name, p] of Object.entries(data.policies || {})) {
+        next[name] = compilePolicy(name, p);
+      }
+      if (data.default && !next[data.default]) {
+        throw new Error(`default policy ${data.default} is not defined`);
+      }
+      policies = next;
+      defaultPolicy = data.default || null;
+    } catch (e) {
+      // keep the previous policies rather than dropping every check
+      log.error("failed to read guardrails file", { file: guardFile, err: e });
+      return;
+    }
+    mtimeMs = stat.mtimeMs;
+    log.info("loaded guardrails", {
+      file: guardFile,
+      policies: Object.keys(policies).length,
+    });
+  }
+
+  // The policy for a request: the key's own, else the default. null when
+  // none applies. A key naming a missing policy fails closed.
+  function policyFor(key) {
+    reload();
+    const name = key?.guardrails ?? defaultPolicy;
+    if (!name || name === "none") return null;
+    if (!Object.hasOwn(policies, name)) {
+      throw new Error(`Guardrail policy ${name} is not defined`);
+    }
+    return policies[name];
+  }
+
+  return { policyFor };
+}
+
+// Text a caller sent: message contents (strings and text parts), prompt,
+// and the single content of a thread message
+function promptTextOf(body) {
+  const parts = [];
+  const add = (c) => {
+    if (typeof c === "string") parts.push(c);
+    else if (Array.isArray(c)) {
+      c.forEach((p) => typeof p?.text === "string" && parts.push(p.text));
+    }
+  };
+  for (const m of Array.isArray(body?.messages) ? body.messages : []) {
+    add(m?.content);
+  }
+  [].concat(body?.prompt ?? []).forEach(add);
+  add(body?.content);
+  return parts.join("\n");
+}
+
+// First input rule the text breaks: { rule, kind? } or null
+function checkInput(policy, text) {
+  for (const rule of policy.input) {
+    if (rule.type === "maxLength") {
+      if (text.length > rule.chars) return { rule };
+      continue;
+    }
+    const [hit] = findAll([rule], text);
+    if (hit) return { rule, kind: hit.matcher.kind };
+  }
+  return null;
+}
+
+// --- Output ---------------------------------------------------------------------
+// Incremental filter over reply text. push(text) and end() return
+// { text, blocked } where text is what may be sent now; once blocked is set
+// (the rule that cut the reply off) nothing more comes out. onMask(rule) and
+// onBlock(rule) report each masked match and the cut-off.
+function createTextFilter(policy, { onMask, onBlock } = {}) {
+  let pending = "";
+  let blocked = null;
+
+  function drain(final) {
+    if (blocked) return { text: "", blocked };
+    const hits = findAll(policy.output, pending);
+    const block = hits.find((h) => h.rule.action === "block");
+    let cut = final
+      ? pending.length
+      : Math.max(0, pending.length - policy.holdChars);
+    if (block) {
+      cut = block.start;
+      blocked = block.rule;
+      onBlock?.(block.rule);
+    }
+    for (const h of hits) {
+      if (h.start < cut && h.end > cut) cut = h.start;
+    }
+    let out = "";
+    let at = 0;
+    for (const h of hits) {
+      if (h.rule.action !== "mask" || h.end > cut || h.start < at) continue;
+      out += pending.slice(at, h.start) + h.matcher.replacement;
+      at = h.end;
+      onMask?.(h.rule);
+    }
+    out += pending.slice(at, cut);
+    pending = blocked ? "" : pending.slice(cut);
+    return { text: out, blocked };
+  }
+
+  return {
+    push(text) {
+      if (blocked) return { text: "", blocked };
+      pending += text;
+      return drain(false);
+    },
+    end: () => drain(true),
+    get blocked() {
+      return blocked;
+    },
+  };
+}
+
+// Non-streamed reply text in one go
+function filterText(policy, text, opts) {
+  const f = createTextFilter(policy, opts);
+  const a = f.push(text);
+  const b = f.end();
+  return { text: a.text + b.text, blocked: a.blocked || b.blocked };
+}
+
+// Rewrites an OpenAI chat SSE stream (chat.completion.chunk frames) through
+// a text filter. push(chunk) and end() return the string to send; once
+// blocked is set a content_filter finish and [DONE] have been sent and the
+// caller should stop reading upstream.
+function createChatStreamGuard(filter) {
+  let carry = "";
+  let last = {}; // id/model/created of the latest chunk, for our own frames
+  let done = false;
+
+  const frame = (choice) =>
+    `data: ${JSON.stringify({
+      id: last.id,
+      object: "chat.completion.chunk",
+      created: last.created,
+      model: last.model,
+      choices: [{ index: 0, ...choice }],
+    })}\n\n`;
+
+  function settle({ text, blocked }) {
+    let out = text
+      ? frame({ delta: { content: text }, finish_reason: null })
+      : "";
+    if (blocked) {
+      done = true;
+      out += frame({ delta: {}, finish_reason: "content_filter" });
+      out += "data: [DONE]\n\n";
+    }
+    return out;
+  }
+
+  function line(l) {
+    const m = /^data:\s*(.*?)\r?$/.exec(l);
+    if (!m) return `${l}\n`;
+    if (m[1] === "[DONE]") return settle(filter.end()) + (done ? "" : `${l}\n`);
+    let chunk;
+    try {
+      chunk = JSON.parse(m[1]);
+    } catch {
+      return `${l}\n`;
+    }
+    last = chunk;
+    const choice = chunk.choices?.[0];
+    const content = choice?.delta?.content;
+    if (typeof content !== "string") {
+      // anything else (finish, usage, tool calls) releases held text first
+      const held = settle(filter.end());
+      return done ? held : held + `${l}\n`;
+    }
+    let { text, blocked } = filter.push(content);
+    if (!blocked && choice.finish_reason) {
+      // the last text may come with the finish: nothing is held past it
+      const rest = filter.end();
+      text += rest.text;
+      blocked = rest.blocked;
+    }
+    if (blocked) return settle({ text, blocked });
+    const others = Object.keys(choice.delta).filter((k) => k !== "content");
+    if (!text && !others.length && !choice.finish_reason) return "";
+    choice.delta.content = text;
+    return `data: ${JSON.stringify(chunk)}\n`;
+  }
+
+  return {
+    push(chunk) {
+      if (done) return "";
+      const lines = (carry + chunk.toString("utf8")).split("\n");
+      carry = lines.pop() ?? "";
+      let out = "";
+      for (const l of lines) {
+        if (done) break;
+        out += line(l);
+      }
+      return out;
+    },
+    end() {
+      if (done) return "";
+      const out = carry ? line(carry) : "";
+      carry = "";
+      return done ? out : out + settle(filter.end());
+    },
+    get blocked() {
+      return done;
+    },
+  };
+}
+
+// The same for the assistant line framing ('0:"text"' deltas, optionally
+// wrapped in "data: " frames). A cut-off ends with a content-filter finish.
+function createAssistantStreamGuard(filter) {
+  let carry = "";
+  let prefix = "";
+  let done = false;
+
+  const emit = (s) => (prefix ? `${prefix}${s}\n\n` : `${s}\n`);
+
+  function settle({ text, blocked }) {
+    let out = text ? emit(`0:${JSON.stringify(text)}`) : "";
+    if (blocked) {
+      done = true;
+      out += emit(`d:${JSON.stringify({ finishReason: "content-filter" })}`);
+    }
+    return out;
+  }
+
+  function line(raw) {
+    const l = raw.replace(/\r$/, "");
+    if (!l.trim()) return `${l}\n`;
+    const m = /^(data:\s?)?([0-9a-z]):(.*)$/.exec(l);
+    if (!m) return `${l}\n`;
+    prefix = m[1] || "";
+    if (m[2] !== "0") {
+      const held = settle(filter.end());
+      return done ? held : held + `${l}\n`;
+    }
+    let text;
+    try {
+      text = JSON.parse(m[3]);
+    } catch {
+      return `${l}\n`;
+    }
+    const r = filter.push(String(text));
+    if (r.blocked) return settle(r);
+    return r.text ? `${prefix}0:${JSON.stringify(r.text)}\n` : "";
+  }
+
+  return {
+    push(chunk) {
+      if (done) return "";
+      const lines = (carry + chunk.toString("utf8")).split("\n");
+      carry = lines.pop() ?? "";
+      let out = "";
+      for (const l of lines) {
+        if (done) break;
+        out += line(l);
+      }
+      return out;
+    },
+    end() {
+      if (done) return "";
+      const out = carry ? line(carry) : "";
+      carry = "";
+      return done ? out : out + settle(filter.end());
+    },
+    get blocked() {
+      return done;
+    },
+  };
+}
+
+module.exports = {
+  PII,
+  createGuardrails,
+  promptTextOf,
+  checkInput,
+  createTextFilter,
+  filterText,
+  createChatStreamGuard,
+  createAssistantStreamGuard,
+};
@@ -0,0 +1,188 @@
+// lib/images.js
+// Normalises images before they reach a vision model: HEIC/TIFF/BMP become
+// JPEG or PNG, EXIF orientation is applied to the pixels, all metadata
+// (EXIF, GPS, XMP, ICC comments) is dropped and anything larger than
+// IMAGE_MAX_DIMENSION on its long edge is scaled down.
+//
+// Also holds the helpers /chat/completions uses to rewrite image_url parts
+// (CHAT_IMAGE_MODE in app.js).
+const sharp = require("sharp");
+const heicConvert = require("heic-convert");
+const { sniffMime } = require("./uploads");
+
+// Formats that are accepted on input but never sent on as-is
+const CONVERTIBLE_TYPES = ["image/heic", "image/tiff", "image/bmp"];
+
+// --- BMP ------------------------------------------------------------------
+// libvips has no BMP loader in sharp's prebuilt binaries; uncompressed
+// 8/24/32-bit files (what scanners and Windows tools write) are decoded
+// here into raw RGB(A).
+function decodeBmp(buf) {
+  const offset = buf.readUInt32LE(10);
+  const headerSize = buf.readUInt32LE(14);
+  const width = buf.readInt32LE(18);
+  const rawHeight = buf.readInt32LE(22);
+  const bpp = buf.readUInt16LE(28);
+  const compression = headerSize >= 40 ? buf.readUInt32LE(30) : 0;
+  // 0 = BI_RGB; 3 = BI_BITFIELDS, accepted with the usual BGRA masks
+  if (compression !== 0 && !(compression === 3 && bpp === 32)) {
+    throw new Error(`Unsupported BMP compression ${compression}`);
+  }
+  if (![8, 24, 32].includes(bpp)) {
+    throw new Error(`Unsupported BMP bit depth ${bpp}`);
+  }
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+  const stride = Math.ceil((width * bpp) / 32) * 4;
+  if (width <= 0 || offset + stride * height > buf.length) {
+    throw new Error("Truncated BMP");
+  }
+
+  let palette = null;
+  if (bpp === 8) {
+    const colors = buf.readUInt32LE(46) || 256;
+    palette = buf.subarray(14 + headerSize, 14 + headerSize + colors * 4);
+  }
+
+  const channels = compression === 3 ? 4 : 3;
+  const out = Buffer.alloc(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    const row = offset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * channels;
+      let p = row + x * (bpp / 8);
+      let src = buf;
+      if (palette) {
+        src = palette;
+        p = buf[p] * 4;
+      }
+      out[o] = src[p + 2];
+      out[o + 1] = src[p + 1];
+      out[o + 2] = src[p];
+      if (channels === 4) out[o + 3] = src[p + 3];
+    }
+  }
+  return { data: out, width, height, channels };
+}
+
+// --- Normalising ----------------------------------------------------------
+
+// Returns { buffer, mimeType, width, height, sourceType }. Throws on input
+// that is not an image sharp (or the HEIC/BMP decoders) can read.
+async function normaliseImage(
+  input,
+  { maxDimension = 2048, quality = 85 } = {}
+) {
+  const sourceType = sniffMime(input.subarray(0, 64));
+  let image;
+  if (sourceType === "image/heic") {
+    const jpeg = await heicConvert({
+      buffer: input,
+      format: "JPEG",
+      quality: 1,
+    });
+    image = sharp(Buffer.from(jpeg));
+  } else if (sourceType === "image/bmp") {
+    const { data, ...raw } = decodeBmp(input);
+    image = sharp(data, { raw });
+  } else if (sourceType.startsWith("image/")) {
+    image = sharp(input);
+  } else {
+    throw new Error(`Not an image (${sourceType})`);
+  }
+
+  const { hasAlpha } = await image.metadata();
+  // rotate() with no angle applies the EXIF orientation; sharp writes no
+  // metadata unless asked to, which is what strips GPS and the rest
+  image = image.rotate().resize({
+    width: maxDimension,
+    height: maxDimension,
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+
+  let mimeType;
+  if (sourceType === "image/webp") {
+    image = image.webp({ quality });
+    mimeType = "image/webp";
+  } else if (
+    sourceType === "image/png" ||
+    sourceType === "image/gif" ||
+    hasAlpha
+  ) {
+    // keep transparency; an animated GIF keeps its first frame
+    image = image.png();
+    mimeType = "image/png";
+  } else {
+    image = image.jpeg({ quality, mozjpeg: true });
+    mimeType = "image/jpeg";
+  }
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    mimeType,
+    width: info.width,
+    height: info.height,
+    sourceType,
+  };
+}
+
+// --- Chat image parts -----------------------------------------------------
+
+// data:<mime>;base64,<payload> -> { mimeType, buffer }, or null for other URLs
+function parseDataUrl(url) {
+  const m = /^data:([\w.+/-]+)?(;[^,]*)?,/.exec(url || "");
+  if (!m) return null;
+  const payload = url.slice(m[0].length);
+  const buffer = /;base64/i.test(m[2] || "")
+    ? Buffer.from(payload, "base64")
+    : Buffer.from(decodeURIComponent(payload), "latin1");
+  return { mimeType: m[1] || "application/octet-stream", buffer };
+}
+
+const toDataUrl = (buffer, mimeType) =>
+  `data:${mimeType};base64,${buffer.toString("base64")}`;
+
+// Calls fn(url) for every image_url part in OpenAI-style messages and puts
+// back whatever URL it resolves to. Accepts both { image_url: { url } } and
+// the older { image_url: "<url>" }. Returns new message objects.
+async function mapImageUrls(messages, fn) {
+  if (!Array.isArray(messages)) return messages;
+  const out = [];
+  for (const m of messages) {
+    if (!Array.isArray(m?.content)) {
+      out.push(m);
+      continue;
+    }
+    const content = [];
+    for (const part of m.content) {
+      if (part?.type !== "image_url" || !part.image_url) {
+        content.push(part);
+        continue;
+      }
+      const url =
+        typeof part.image_url === "string"
+          ? part.image_url
+          : part.image_url.url;
+      const next = await fn(url);
+      content.push({
+        ...part,
+        image_url:
+          typeof part.image_url === "string"
+            ? next
+            : { ...part.image_url, url: next },
+      });
+    }
+    out.push({ ...m, content });
+  }
+  return out;
+}
+
+module.exports = {
+  CONVERTIBLE_TYPES,
+  normaliseImage,
+  parseDataUrl,
+  toDataUrl,
+  mapImageUrls,
+};
@@ -0,0 +1,238 @@
+// lib/logger.js
+// Structured JSON logging with per-request IDs, PII redaction and an
+// optional audit trail.
+//
+// LOG_LEVEL   debug | info | warn | error | silent (default info)
+// LOG_REDACT  comma list of emails, phones, ibans, content
+//             (default: all four; "none" disables these). Credentials
+//             (Authorization, API keys, tokens) are masked regardless.
+// AUDIT_SINK  none | file | azure (default none)
+// AUDIT_FILE  JSONL path for AUDIT_SINK=file (default audit.jsonl)
+const crypto = require("crypto");
+const fs = require("fs");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// --- Redaction ------------------------------------------------------------
+const PATTERNS = {
+  emails: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, "[email]"],
+  ibans: [
+    /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    "[iban]",
+  ],
+  // Needs a leading +, 00 or 0 so dates, ids and plain numbers survive
+  phones: [/(?<![\w-])(?:\+|0)\d[\d ()./-]{6,}\d(?![\w-])/g, "[phone]"],
+};
+// Credentials, masked whatever LOG_REDACT says: bearer/basic values, proxy
+// keys (ldp_...), sk- style API keys and key/token query parameters
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, "$1 [secret]"],
+  [/\b(?:ldp|sk)[_-][\w-]{6,}/g, "[secret]"],
+  [/([?&](?:api_key|apikey|key|token|sig)=)[^&#\s"]+/gi, "$1[secret]"],
+];
+// Fields whose whole value is a credential (compared lower-cased)
+const SECRET_KEYS = new Set([
+  "authorization",
+  "proxy-authorization",
+  "x-api-key",
+  "api-key",
+  "api_key",
+  "apikey",
+  "cookie",
+  "set-cookie",
+  "password",
+  "secret",
+  "token",
+]);
+// Free-text fields that carry prompts or model output
+const CONTENT_KEYS = new Set([
+  "content",
+  "prompt",
+  "input",
+  "text",
+  "arguments",
+  "contentPreview",
+]);
+
+// Counts and flags under those names (usage.prompt) are not text
+const isText = (v) =>
+  typeof v === "string" || (v !== null && typeof v === "object");
+
+function parseRedact(spec) {
+  if (spec === undefined) spec = "emails,phones,ibans,content";
+  const set = new Set(
+    String(spec)
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+  );
+  set.delete("none");
+  return set;
+}
+
+function createRedactor(rules) {
+  const patterns = [
+    ...SECRET_PATTERNS,
+    ...Object.entries(PATTERNS)
+      .filter(([name]) => rules.has(name))
+      .map(([, p]) => p),
+  ];
+
+  function str(s) {
+    return patterns.reduce((acc, [re, sub]) => acc.replace(re, sub), s);
+  }
+
+  function walk(value, depth) {
+    if (typeof value === "string") return str(value);
+    if (value === null || typeof value !== "object") return value;
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: str(value.message),
+        code: value.code,
+      };
+    }
+    if (depth > 6) return "[…]";
+    if (Array.isArray(value)) return value.map((v) => walk(v, depth + 1));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (SECRET_KEYS.has(k.toLowerCase()) && v != null && v !== "") {
+        out[k] = "[secret]";
+      } else if (rules.has("content") && CONTENT_KEYS.has(k) && isText(v)) {
+        const len = typeof v === "string" ? v.length : JSON.stringify(v).length;
+        out[k] = `[redacted ${len} chars]`;
+      } else {
+        out[k] = walk(v, depth + 1);
+      }
+    }
+    return out;
+  }
+
+  return (value) => walk(value, 0);
+}
+
+// --- Logger ---------------------------------------------------------------
+function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  redact = parseRedact(process.env.LOG_REDACT),
+  out = process.stdout,
+  fields = {},
+} = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const scrub = createRedactor(redact);
+
+  function write(lvl, msg, extra) {
+    if (LEVELS[lvl] < min) return;
+    const line = {
+      ts: new Date().toISOString(),
+      level: lvl,
+      msg: scrub(String(msg)),
+      ...fields,
+      ...(extra ? scrub(extra instanceof Error ? { err: extra } : extra) : {}),
+    };
+    out.write(JSON.stringify(line) + "\n");
+  }
+
+  return {
+    redact: scrub,
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    child: (more) =>
+      createLogger({ level, redact, out, fields: { ...fields, ...more } }),
+  };
+}
+
+const logger = createLogger();
+
+// --- Request IDs ----------------------------------------------------------
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Accepts a sane incoming X-Request-Id or mints one; echoes it back and
+// hangs a child logger off req.log.
+function requestId(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.headers["x-request-id"];
+    req.id =
+      typeof incoming === "string" && REQUEST_ID_RE.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+    req.log = log.child({ reqId: req.id });
+    next();
+  };
+}
+
+// --- Audit trail ----------------------------------------------------------
+// A sink is an async function(record). "azure" appends through the same
+// append-blob writer /log uses; "file" appends JSONL locally.
+function createAuditSink(
+  kind,
+  { file = "audit.jsonl", appendToAzureBlob } = {}
+) {
+  switch (kind) {
+    case "file":
+      return (record) =>
+        fs.promises.appendFile(file, JSON.stringify(record) + "\n");
+    case "azure":
+      // lands in <day>/audit.jsonl next to the session logs
+      return (record) => appendToAzureBlob({ ...record, sessionId: "audit" });
+    default:
+      return null;
+  }
+}
+
+// Probes and preflights are logged at debug level and never audited
+const QUIET_ROUTES = new Set(["/health", "/ready", "/metrics"]);
+
+// Middleware: logs one line per finished request and, if a sink is
+// configured, writes an audit record (route, key, model/assistant, latency,
+// status, token usage). Handlers put token usage on req.tokenUsage.
+function auditTrail(sink, log = logger) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    let done = false;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      const record = {
+        type: "audit",
+        at: new Date().toISOString(),
+        requestId: req.id,
+        method: req.method,
+        route: typeof req.route?.path === "string" ? req.route.path : req.path,
+        key: req.clientKey?.id || null,
+        tenant: req.tenant?.id || null,
+        model: req.body?.model,
+        servedModel: req.servedModel,
+        assistantId: req.body?.assistantId || req.params?.assistantId,
+        status: res.statusCode,
+        aborted: !res.writableFinished,
+        latencyMs: Number(process.hrtime.bigint() - started) / 1e6,
+        usage: req.tokenUsage || null,
+      };
+      const quiet = req.method === "OPTIONS" || QUIET_ROUTES.has(req.path);
+      (req.log || log)[quiet ? "debug" : "info"]("request completed", record);
+      if (sink && !quiet) {
+        Promise.resolve()
+          .then(() => sink(log.redact(record)))
+          .catch((e) => log.error("audit sink failed", { err: e }));
+      }
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+    next();
+  };
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  createRedactor,
+  parseRedact,
+  requestId,
+  createAuditSink,
+  auditTrail,
+};
@@ -0,0 +1,236 @@
+// lib/logs.js
+// Client log ingestion behind POST /log: schema checks, and a buffer that
+// batches lines per blob so Azure sees one append per blob per flush
+// instead of exists() + create() + appendBlock() per event.
+//
+// Schemas are a small JSON Schema subset: type (or a list of types),
+// required, properties, additionalProperties (boolean), enum, minLength,
+// maxLength, pattern, minimum, maximum, items and maxItems.
+//
+// When a flush fails the batch goes to a spool directory (one .jsonl file
+// per blob) and is replayed ahead of new lines on the next flush. Delivery
+// is at-least-once: a replay that fails half way is retried whole.
+const fs = require("fs");
+const path = require("path");
+
+// Accepted when LOG_SCHEMA_FILE is not set: any object, with the fields
+// used for blob naming kept to sane strings
+const DEFAULT_LOG_SCHEMA = {
+  type: "object",
+  properties: {
+    at: {
+      type: "string",
+      maxLength: 40,
+      pattern:
+        "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$",
+    },
+    sessionId: { type: "string", maxLength: 128 },
+    userEmail: { type: "string", maxLength: 254 },
+    event: { type: "string", maxLength: 128 },
+    type: { type: "string", maxLength: 128 },
+  },
+};
+
+const typeOf = (v) =>
+  v === null
+    ? "null"
+    : Array.isArray(v)
+    ? "array"
+    : Number.isInteger(v)
+    ? "integer"
+    : typeof v;
+
+// Returns a list of "<path>: <problem>" strings; empty when valid
+function validate(schema, value, at = "$") {
+  const errors = [];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const t = typeOf(value);
+    if (!types.includes(t) && !(t === "integer" && types.includes("number"))) {
+      return [`${at}: expected ${types.join(" or ")}, got ${t}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some((e) => e === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: longer than ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: below ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: above ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((v, i) =>
+        errors.push(...validate(schema.items, v, `${at}[${i}]`))
+      );
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${at}.${name}: required`);
+    }
+    const props = schema.properties || {};
+    for (const [name, v] of Object.entries(value)) {
+      if (props[name])
+        errors.push(...validate(props[name], v, `${at}.${name}`));
+      else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${name}: not allowed`);
+      }
+    }
+  }
+  return errors;
+}
+
+// LOG_SCHEMA_FILE, read once at startup
+function loadLogSchema(file) {
+  if (!file) return DEFAULT_LOG_SCHEMA;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid LOG_SCHEMA_FILE ${file}: ${e.message}`);
+  }
+}
+
+// --- Buffer -----------------------------------------------------------------
+const MAX_APPEND_BYTES = 4 * 1024 * 1024; // Append Block limit
+
+// append(blobName, text) writes one chunk to a blob and must be safe to
+// call for a blob that does not exist yet.
+function createLogBuffer({
+  append,
+  spoolDir,
+  flushMs = 1000,
+  maxBufferedBytes = 1024 * 1024,
+  log,
+}) {
+  const pending = new Map(); // blobName -> string[]
+  let buffered = 0;
+  let flushing = null;
+  let timer = null;
+
+  const spoolFile = (blobName) =>
+    path.join(spoolDir, `${blobName.replace(/\//g, "__")}.jsonl`);
+
+  // one append per MAX_APPEND_BYTES of whole lines
+  async function appendAll(blobName, text) {
+    let chunk = "";
+    let bytes = 0;
+    for (const line of text.split(/(?<=\n)/)) {
+      const size = Buffer.byteLength(line);
+      if (chunk && bytes + size > MAX_APPEND_BYTES) {
+        await append(blobName, chunk);
+        chunk = "";
+        bytes = 0;
+      }
+      chunk += line;
+      bytes += size;
+    }
+    if (chunk) await append(blobName, chunk);
+  }
+
+  async function replaySpool() {
+    let names;
+    try {
+      names = await fs.promises.readdir(spoolDir);
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    for (const name of names) {
+      // <blob>.jsonl, or <blob>.jsonl.<pid>.replay left by a crashed replay
+      const m = /^(.+)\.jsonl(\.\d+\.replay)?$/.exec(name);
+      if (!m) continue;
+      const file = path.join(spoolDir, name);
+      // claim the file first so lines spooled meanwhile are not lost
+      const claimed = `${spoolFile(m[1])}.${process.pid}.replay`;
+      if (file !== claimed) await fs.promises.rename(file, claimed);
+      const text = await fs.promises.readFile(claimed, "utf8");
+      const blobName = m[1].replace(/__/g, "/");
+      try {
+        await appendAll(blobName, text);
+        await fs.promises.unlink(claimed);
+      } catch (e) {
+        await fs.promises.appendFile(spoolFile(blobName), text);
+        await fs.promises.unlink(claimed);
+        throw e;
+      }
+    }
+  }
+
+  async function doFlush() {
+    const batches = [...pending];
+    pending.clear();
+    buffered = 0;
+    let healthy = true;
+    try {
+      await replaySpool();
+    } catch (e) {
+      healthy = false;
+      log.warn("log spool replay failed", { err: e });
+    }
+    for (const [blobName, lines] of batches) {
+      const text = lines.join("");
+      try {
+        if (!healthy) throw new Error("storage unavailable");
+        await appendAll(blobName, text);
+      } catch (e) {
+        if (healthy)
+          log.warn("log flush failed, spooling", { blobName, err: e });
+        healthy = false;
+        await fs.promises.mkdir(spoolDir, { recursive: true });
+        await fs.promises.appendFile(spoolFile(blobName), text);
+      }
+    }
+  }
+
+  // Writes everything buffered (and anything spooled) now
+  function flush() {
+    flushing ??= doFlush()
+      .catch((e) => log.error("log flush failed", { err: e }))
+      .finally(() => (flushing = null));
+    return flushing;
+  }
+
+  return {
+    add(blobName, line) {
+      if (!pending.has(blobName)) pending.set(blobName, []);
+      pending.get(blobName).push(line);
+      buffered += Buffer.byteLength(line);
+      if (buffered >= maxBufferedBytes) flush();
+    },
+    flush,
+    start() {
+      timer ??= setInterval(flush, flushMs).unref();
+    },
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await flushing;
+      await flush();
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LOG_SCHEMA,
+  validate,
+  loadLogSchema,
+  createLogBuffer,
+};
@@ -0,0 +1,242 @@
+// lib/metrics.js
+// Minimal Prometheus registry (counters, gauges, histograms) and the HTTP
+// middleware that feeds it. Served as text exposition format on /metrics.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const SIZE_BUCKETS = [1e3, 1e4, 1e5, 1e6, 5e6, 1e7, 2.5e7, 5e7];
+
+const escape = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelString(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}="${escape(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function metric(type, name, help, extra = {}) {
+    const series = new Map(); // labelString -> value | histogram state
+    const m = { type, name, help, series, ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function counter(name, help) {
+    const m = metric("counter", name, help);
+    return {
+      inc(labels = {}, by = 1) {
+        const k = labelString(labels);
+        m.series.set(k, (m.series.get(k) || 0) + by);
+      },
+    };
+  }
+
+  function gauge(name, help) {
+    const m = metric("gauge", name, help);
+    const add = (labels, by) => {
+      const k = labelString(labels);
+      m.series.set(k, (m.series.get(k) || 0) + by);
+    };
+    return {
+      inc: (labels = {}) => add(labels, 1),
+      dec: (labels = {}) => add(labels, -1),
+      set: (labels = {}, v) => m.series.set(labelString(labels), v),
+    };
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const m = metric("histogram", name, help, { buckets });
+    return {
+      observe(labels = {}, value) {
+        const k = labelString(labels);
+        let h = m.series.get(k);
+        if (!h) {
+          h = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          m.series.set(k, h);
+        }
+        buckets.forEach((b, i) => {
+          if (value <= b) h.counts[i]++;
+        });
+        h.sum += value;
+        h.count++;
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      for (const [k, v] of m.series) {
+        if (m.type !== "histogram") {
+          out.push(`${m.name}${k} ${v}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => {
+          out.push(
+            `${m.name}_bucket${labelString({ ...v.labels, le: b })} ${
+              v.counts[i]
+            }`
+          );
+        });
+        out.push(
+          `${m.name}_bucket${labelString({ ...v.labels, le: "+Inf" })} ${
+            v.count
+          }`
+        );
+        out.push(`${m.name}_sum${k} ${v.sum}`);
+        out.push(`${m.name}_count${k} ${v.count}`);
+      }
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// --- Proxy metrics --------------------------------------------------------
+// maxModels caps the distinct model label values; see modelLabel
+function createProxyMetrics(
+  registry = createRegistry(),
+  { maxModels = 50 } = {}
+) {
+  const models = new Set();
+  const modelOf = (req) => modelLabel(req, models, maxModels);
+  const m = {
+    registry,
+    requests: registry.counter(
+      "ldproxy_http_requests_total",
+      "HTTP requests handled, by route, method, status and client key"
+    ),
+    duration: registry.histogram(
+      "ldproxy_http_request_duration_seconds",
+      "Time from request start until the response finished"
+    ),
+    ttfb: registry.histogram(
+      "ldproxy_stream_ttfb_seconds",
+      "Time until the first SSE data frame (past padding and comments)"
+    ),
+    sseOpen: registry.gauge(
+      "ldproxy_sse_connections_open",
+      "Server-sent event streams currently open"
+    ),
+    streamBytes: registry.counter(
+      "ldproxy_stream_bytes_total",
+      "Bytes written to clients on SSE streams"
+    ),
+    upstream: registry.counter(
+      "ldproxy_upstream_responses_total",
+      "Langdock responses (or network error codes) per attempt"
+    ),
+    upstreamDuration: registry.histogram(
+      "ldproxy_upstream_duration_seconds",
+      "Time until Langdock response headers arrived, per attempt"
+    ),
+    uploadBytes: registry.histogram(
+      "ldproxy_upload_size_bytes",
+      "Sizes of uploaded files",
+      SIZE_BUCKETS
+    ),
+    tokens: registry.counter(
+      "ldproxy_tokens_total",
+      "Tokens consumed, from upstream usage blocks or estimates"
+    ),
+  };
+
+  // Hook for createUpstream({ onAttempt })
+  m.onUpstreamAttempt = ({ service, status, code, ms }) => {
+    m.upstream.inc({ service, status: status ?? code ?? "error" });
+    m.upstreamDuration.observe({ service }, ms / 1000);
+  };
+
+  // Express middleware: request counts/latency, SSE gauges and bytes, TTFB,
+  // upload sizes and token usage (from req.tokenUsage) on completion.
+  m.middleware = (req, res, next) => {
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+    const labels = () => ({
+      route: routeOf(req),
+      key: req.clientKey?.id || "none",
+    });
+
+    let sse = null; // { labels } once the response turned out to be SSE
+    let sawData = false;
+    let bytes = 0;
+    const write = res.write;
+    res.write = function (chunk, ...rest) {
+      if (!sse && /event-stream/.test(res.getHeader("Content-Type") || "")) {
+        sse = { labels: labels() };
+        m.sseOpen.inc({ route: sse.labels.route });
+      }
+      if (sse && chunk) {
+        bytes += Buffer.byteLength(chunk);
+        if (!sawData) {
+          const text = chunk.toString("utf8").trimStart();
+          if (text && !text.startsWith(":") && !text.startsWith("retry:")) {
+            sawData = true;
+            m.ttfb.observe({ ...sse.labels, model: modelOf(req) }, elapsed());
+          }
+        }
+      }
+      return write.call(this, chunk, ...rest);
+    };
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      const l = labels();
+      m.requests.inc({ ...l, method: req.method, status: res.statusCode });
+      m.duration.observe({ ...l, method: req.method }, elapsed());
+      if (sse) {
+        m.sseOpen.dec({ route: sse.labels.route });
+        m.streamBytes.inc(l, bytes);
+      }
+      for (const file of req.files || []) {
+        m.uploadBytes.observe({ route: l.route }, file.size);
+      }
+      const usage = req.tokenUsage;
+      if (usage) {
+        const tl = { ...l, model: modelOf(req) };
+        m.tokens.inc({ ...tl, type: "prompt" }, usage.prompt || 0);
+        m.tokens.inc({ ...tl, type: "completion" }, usage.completion || 0);
+      }
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+    next();
+  };
+
+  return m;
+}
+
+// Route pattern, not the raw path, to keep label cardinality bounded
+function routeOf(req) {
+  const p = req.route?.path;
+  if (typeof p === "string") return p;
+  if (Array.isArray(p)) return p.includes(req.path) ? req.path : String(p[0]);
+  return "unmatched";
+}
+
+// The model a route resolved and served, never the raw body.model a client
+// sent; past maxModels distinct names the rest count as "other", since
+// unknown names pass through routing unchanged
+function modelLabel(req, seen, maxModels) {
+  if (req.servedModel) {
+    const name = String(req.servedModel);
+    if (seen.has(name) || seen.size < maxModels) {
+      seen.add(name);
+      return name;
+    }
+    return "other";
+  }
+  if (req.body?.assistantId || req.params?.assistantId) return "assistant";
+  return req.body?.model ? "other" : "none";
+}
+
+module.exports = { createRegistry, createProxyMetrics };
@@ -0,0 +1,175 @@
+// lib/openai.js
+// Helpers for the OpenAI-compatible /v1 surface: OpenAI-shaped errors, the
+// model catalogue, and the legacy /v1/completions <-> chat translation.
+const crypto = require("crypto");
+
+const ERROR_TYPES = {
+  400: ["invalid_request_error", null],
+  401: ["invalid_request_error", "invalid_api_key"],
+  403: ["permission_error", null],
+  404: ["invalid_request_error", "not_found"],
+  429: ["rate_limit_exceeded", "rate_limit_exceeded"],
+};
+
+function openaiError(status, message, code) {
+  const [type, defaultCode] =
+    ERROR_TYPES[status] ||
+    (status >= 500 ? ["api_error", null] : ["invalid_request_error", null]);
+  return {
+    error: { message, type, param: null, code: defaultCode || code || null },
+  };
+}
+
+// Middleware for /v1: rewrites the proxy's own { error, detail } / { message }
+// JSON errors into { error: { message, type, param, code } } so OpenAI SDKs
+// can surface them. Upstream bodies that are already OpenAI-shaped pass.
+function openaiErrors(_req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error !== "object") {
+      const message =
+        body.detail || body.message || body.error || "Request failed";
+      const code = typeof body.error === "string" ? body.error : undefined;
+      return json(openaiError(res.statusCode, String(message), code));
+    }
+    return json(body);
+  };
+  next();
+}
+
+// --- Models ---------------------------------------------------------------
+// OPENAI_MODELS (comma-separated) pins the list; otherwise it is fetched
+// from the caller's Langdock workspace per region and cached for ttlMs.
+function createModelCatalog(
+  upstream,
+  { configured = [], ttlMs = 10 * 60 * 1000 } = {}
+) {
+  const cache = new Map(); // "<tenant>:<region>" -> { at, data }
+
+  const toModel = (id) => ({
+    id,
+    object: "model",
+    created: 0,
+    owned_by: "langdock",
+  });
+
+  // tenant is { id, keys } (see lib/tenants.js), or null for the default
+  // workspace; baseUrl is the route's upstream
+  async function list(region, { tenant = null, baseUrl, log } = {}) {
+    if (configured.length) return configured.map(toModel);
+
+    const cacheKey = `${tenant?.id ?? ""}:${region}`;
+    const hit = cache.get(cacheKey);
+    if (hit && Date.now() - hit.at < ttlMs) return hit.data;
+
+    const ldRes = await upstream.request(`/openai/${region}/v1/models`, {
+      method: "GET",
+      label: "/v1/models",
+      log,
+      keys: tenant?.keys,
+      baseUrl,
+    });
+    const text = await ldRes.text();
+    if (!ldRes.ok) {
+      // serve stale rather than nothing
+      if (hit) return hit.data;
+      const err = new Error(`Langdock models lookup failed (${ldRes.status})`);
+      err.status = ldRes.status;
+      err.detail = text.slice(0, 300);
+      throw err;
+    }
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed)
+      ? parsed
+      : parsed.data || parsed.models || [];
+    const data = list.map((m) =>
+      typeof m === "string" ? toModel(m) : { ...toModel(m.id), ...m }
+    );
+    cache.set(cacheKey, { at: Date.now(), data });
+    return data;
+  }
+
+  return { list };
+}
+
+// --- Legacy completions ---------------------------------------------------
+function completionToChat(body) {
+  const { prompt, suffix, echo, best_of, logprobs, ...rest } = body;
+  const text = Array.isArray(prompt) ? prompt.join("\n") : String(prompt ?? "");
+  return { ...rest, messages: [{ role: "user", content: text }] };
+}
+
+function chatToCompletion(chat, { model } = {}) {
+  return {
+    id: (chat.id || "").replace(/^chatcmpl-/, "cmpl-") || newCompletionId(),
+    object: "text_completion",
+    created: chat.created || Math.floor(Date.now() / 1000),
+    model: chat.model || model,
+    choices: (chat.choices || []).map((c, i) => ({
+      text: c.message?.content ?? "",
+      index: c.index ?? i,
+      logprobs: null,
+      finish_reason: c.finish_reason ?? null,
+    })),
+    usage: chat.usage,
+  };
+}
+
+function newCompletionId() {
+  return `cmpl-${crypto.randomBytes(12).toString("hex")}`;
+}
+
+// Re-frames a chat.completion.chunk SSE stream as text_completion chunks.
+function createCompletionStream({ model } = {}) {
+  const id = newCompletionId();
+  let carry = "";
+
+  function line(raw) {
+    const l = raw.trim();
+    if (!l.startsWith("data:")) return [];
+    const data = l.slice(5).trim();
+    if (data === "[DONE]") return ["data: [DONE]\n\n"];
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      return [];
+    }
+    const out = {
+      id,
+      object: "text_completion",
+      created: chunk.created || Math.floor(Date.now() / 1000),
+      model: chunk.model || model,
+      choices: (chunk.choices || []).map((c) => ({
+        text: c.delta?.content ?? "",
+        index: c.index ?? 0,
+        logprobs: null,
+        finish_reason: c.finish_reason ?? null,
+      })),
+    };
+    if (chunk.usage) out.usage = chunk.usage;
+    return [`data: ${JSON.stringify(out)}\n\n`];
+  }
+
+  return {
+    push(data) {
+      const parts = (carry + data.toString("utf8")).split(/\r?\n/);
+      carry = parts.pop() ?? "";
+      return parts.flatMap(line);
+    },
+    end() {
+      const out = carry ? line(carry) : [];
+      carry = "";
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  openaiError,
+  openaiErrors,
+  createModelCatalog,
+  completionToChat,
+  chatToCompletion,
+  createCompletionStream,
+};
@@ -0,0 +1,369 @@
+// lib/quota.js
+// Request-per-minute limits and daily/monthly token quotas, tracked per
+// client key and per end user (userEmail / sessionId).
+//
+// Defaults come from env; a key record in keys.json may override them with
+// "limits": { rpm, dailyTokens, monthlyTokens } (for the key itself) and
+// "userLimits": { ... } (for each user calling through that key).
+// A limit of 0 or unset means unlimited.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "quota" });
+
+const MINUTE = 60 * 1000;
+
+// --- Stores ---------------------------------------------------------------
+// Both stores expose get(name) and incr(name, amount, expiresAt).
+function createMemoryStore() {
+  const entries = new Map();
+  let prunedAt = Date.now();
+
+  function live(name) {
+    const e = entries.get(name);
+    if (!e) return null;
+    if (e.expiresAt <= Date.now()) {
+      entries.delete(name);
+      return null;
+    }
+    return e;
+  }
+
+  return {
+    entries,
+    get(name) {
+      return live(name)?.value || 0;
+    },
+    incr(name, amount, expiresAt) {
+      const e = live(name);
+      if (e) {
+        e.value += amount;
+        return e.value;
+      }
+      // new counters start every minute; expired ones go as they do
+      if (Date.now() - prunedAt >= MINUTE) prune();
+      entries.set(name, { value: amount, expiresAt });
+      return amount;
+    },
+    prune,
+  };
+
+  function prune() {
+    const now = Date.now();
+    prunedAt = now;
+    for (const [name, e] of entries) {
+      if (e.expiresAt <= now) entries.delete(name);
+    }
+  }
+}
+
+// In-memory counters persisted to a JSON file so quotas survive restarts
+// on a single box. Writes are debounced; the file is read once at startup.
+function createFileStore(file) {
+  const filePath = path.resolve(file);
+  const mem = createMemoryStore();
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    for (const [name, e] of Object.entries(data)) mem.entries.set(name, e);
+    mem.prune();
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      log.error("failed to read quota file", { file: filePath, err: e });
+    }
+  }
+
+  let timer = null;
+  const flush = () => {
+    timer = null;
+    mem.prune();
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    const json = JSON.stringify(Object.fromEntries(mem.entries));
+    fs.promises
+      .writeFile(tmp, json)
+      .then(() => fs.promises.rename(tmp, filePath))
+      .catch((e) => log.error("quota persist failed", { err: e }));
+  };
+
+  return {
+    get: mem.get,
+    incr(name, amount, expiresAt) {
+      const v = mem.incr(name, amount, expiresAt);
+      if (!timer) timer = setTimeout(flush, 1000).unref();
+      return v;
+    },
+  };
+}
+
+// --- Windows --------------------------------------------------------------
+function windows(now = new Date()) {
+  const iso = now.toISOString();
+  const minuteEnd = Math.floor(now.getTime() / MINUTE) * MINUTE + MINUTE;
+  const dayEnd = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return {
+    minute: { id: iso.slice(0, 16), resetAt: minuteEnd },
+    day: { id: iso.slice(0, 10), resetAt: dayEnd },
+    month: { id: iso.slice(0, 7), resetAt: monthEnd },
+  };
+}
+
+// Default limits from an env-style map; key records can override them
+function defaultLimits(env) {
+  const limit = (name) => {
+    const n = Number(env[name]);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+  return {
+    key: {
+      rpm: limit("RATE_LIMIT_RPM"),
+      dailyTokens: limit("QUOTA_DAILY_TOKENS"),
+      monthlyTokens: limit("QUOTA_MONTHLY_TOKENS"),
+    },
+    user: {
+      rpm: limit("USER_RATE_LIMIT_RPM"),
+      dailyTokens: limit("USER_QUOTA_DAILY_TOKENS"),
+      monthlyTokens: limit("USER_QUOTA_MONTHLY_TOKENS"),
+    },
+  };
+}
+
+// Who is calling: the client key, plus the end user if the caller told us.
+function subjectsOf(req, defaults) {
+  const key = req.clientKey;
+  const q = req.query?.q ? safeParse(req.query.q) : null;
+  const user =
+    req.quotaUser ||
+    req.body?.userEmail ||
+    req.body?.sessionId ||
+    q?.userEmail ||
+    q?.sessionId ||
+    req.headers["x-user-email"] ||
+    req.headers["x-session-id"];
+
+  const subjects = [
+    {
+      kind: "key",
+      id: `key:${key?.id || "anonymous"}`,
+      limits: { ...defaults.key, ...(key?.limits || {}) },
+    },
+  ];
+  if (user) {
+    subjects.push({
+      kind: "user",
+      id: `user:${String(user).toLowerCase()}`,
+      limits: { ...defaults.user, ...(key?.userLimits || {}) },
+    });
+  }
+  return subjects;
+}
+
+function safeParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+// --- Token accounting -----------------------------------------------------
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// Pull a usage block out of an OpenAI response / SSE chunk or a Langdock
+// assistant finish frame ({ promptTokens, completionTokens }).
+function usageFrom(obj) {
+  const u = obj && obj.usage;
+  if (!u) return null;
+  const prompt = u.prompt_tokens ?? u.promptTokens ?? 0;
+  const completion = u.completion_tokens ?? u.completionTokens ?? 0;
+  const total = u.total_tokens ?? u.totalTokens ?? prompt + completion;
+  return total > 0 ? { prompt, completion, total } : null;
+}
+
+// Watches a streamed response and works out how many tokens it cost.
+// Understands OpenAI SSE ("data: {...}") and the assistant line framing
+// ("0:" text deltas, "d:"/"e:" finish frames carrying usage).
+function createUsageMeter(promptText) {
+  let carry = "";
+  let outputText = "";
+  let usage = null;
+
+  function line(raw) {
+    const l = raw.trim();
+    if (!l) return;
+    let payload = null;
+    if (l.startsWith("data:")) {
+      payload = safeParse(l.slice(5).trim());
+      const delta = payload?.choices?.[0]?.delta?.content;
+      if (typeof delta === "string") outputText += delta;
+    } else {
+      const m = /^([0-9a-z]):(.*)$/.exec(l);
+      if (!m) return;
+      payload = safeParse(m[2]);
+      if (m[1] === "0" && typeof payload === "string") outputText += payload;
+    }
+    usage = usageFrom(payload) || usage;
+  }
+
+  return {
+    push(chunk) {
+      const parts = (carry + chunk.toString("utf8")).split(/\r?\n/);
+      carry = parts.pop() ?? "";
+      parts.forEach(line);
+    },
+    // Non-streamed JSON body (chat completion or assistant-json)
+    json(text) {
+      const data = safeParse(text);
+      usage = usageFrom(data) || usage;
+      const content =
+        data?.choices?.[0]?.message?.content ??
+        data?.result?.map?.((m) => m.content).join("");
+      if (typeof content === "string") outputText += content;
+    },
+    // Assistant text seen so far (complete once result() has run)
+    text() {
+      return outputText;
+    },
+    result() {
+      if (carry) line(carry);
+      carry = "";
+      if (usage) return { ...usage, estimated: false };
+      const prompt = estimateTokens(promptText);
+      const completion = estimateTokens(outputText);
+      return {
+        prompt,
+        completion,
+        total: prompt + completion,
+        estimated: true,
+      };
+    },
+  };
+}
+
+// --- Limiter --------------------------------------------------------------
+function createQuota(store, { env = process.env } = {}) {
+  const defaults = defaultLimits(env);
+
+  function tooMany(res, subject, what, resetAt) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    (res.req?.log || log).warn("over limit", { subject: subject.id, what });
+    res.setHeader("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      error: "rate_limited",
+      detail: `${
+        subject.kind === "user" ? "User" : "Key"
+      } ${what} limit exceeded`,
+      retryAfter,
+    });
+  }
+
+  // Express middleware: rejects over-limit callers and counts the request.
+  function enforce(req, res, next) {
+    const w = windows();
+    const subjects = subjectsOf(req, defaults);
+
+    for (const s of subjects) {
+      const { dailyTokens, monthlyTokens } = s.limits;
+      if (dailyTokens && store.get(`day:${s.id}:${w.day.id}`) >= dailyTokens) {
+        return tooMany(res, s, "daily token", w.day.resetAt);
+      }
+      if (
+        monthlyTokens &&
+        store.get(`month:${s.id}:${w.month.id}`) >= monthlyTokens
+      ) {
+        return tooMany(res, s, "monthly token", w.month.resetAt);
+      }
+      if (s.limits.rpm) {
+        const name = `rpm:${s.id}:${w.minute.id}`;
+        if (store.get(name) >= s.limits.rpm) {
+          return tooMany(res, s, "request-per-minute", w.minute.resetAt);
+        }
+      }
+    }
+
+    for (const s of subjects) {
+      if (s.limits.rpm) {
+        store.incr(`rpm:${s.id}:${w.minute.id}`, 1, w.minute.resetAt);
+      }
+    }
+    req.quotaSubjects = subjects;
+    next();
+  }
+
+  // Charge a finished call's tokens to every subject of the request.
+  function record(req, usage) {
+    if (!usage || !usage.total) return;
+    const w = windows();
+    for (const s of req.quotaSubjects || subjectsOf(req, defaults)) {
+      store.incr(`day:${s.id}:${w.day.id}`, usage.total, w.day.resetAt);
+      store.incr(`month:${s.id}:${w.month.id}`, usage.total, w.month.resetAt);
+    }
+    req.tokenUsage = usage;
+    (req.log || log).debug("tokens charged", {
+      subjects: (req.quotaSubjects || []).map((s) => s.id),
+      usage,
+    });
+  }
+
+  // Usage meter for one proxied call; finish() charges it exactly once.
+  function meter(req, promptText) {
+    const m = createUsageMeter(promptText);
+    let finished = false;
+    return {
+      push: m.push,
+      json: m.json,
+      text: m.text,
+      finish() {
+        if (finished) return;
+        finished = true;
+        record(req, m.result());
+      },
+    };
+  }
+
+  // Remaining budget for each subject, as served by GET /quota
+  function status(req) {
+    const w = windows();
+    return subjectsOf(req, defaults).map((s) => {
+      const bucket = (limit, used, resetAt) => ({
+        limit: limit || null,
+        used,
+        remaining: limit ? Math.max(0, limit - used) : null,
+        resetAt: new Date(resetAt).toISOString(),
+      });
+      return {
+        subject: s.id,
+        requestsPerMinute: bucket(
+          s.limits.rpm,
+          store.get(`rpm:${s.id}:${w.minute.id}`),
+          w.minute.resetAt
+        ),
+        dailyTokens: bucket(
+          s.limits.dailyTokens,
+          store.get(`day:${s.id}:${w.day.id}`),
+          w.day.resetAt
+        ),
+        monthlyTokens: bucket(
+          s.limits.monthlyTokens,
+          store.get(`month:${s.id}:${w.month.id}`),
+          w.month.resetAt
+        ),
+      };
+    });
+  }
+
+  return { enforce, record, meter, status };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createQuota,
+  createUsageMeter,
+  estimateTokens,
+};
@@ -0,0 +1,259 @@
+// lib/rag.js
+// Retrieval over locally indexed documents.
+//
+// POST /index/:collection takes uploads (types in lib/documents.js), splits
+// their text into overlapping chunks, embeds the chunks through Langdock's
+// embeddings endpoint and keeps them in INDEX_DIR (default data/index).
+// Collections belong to the key that created them, like threads and
+// attachments; another key never sees them, whatever the name. One JSON file
+// per collection, INDEX_DIR/key-<id>/<name>.json (shared/ with auth off):
+// {
+//   "name": "handbook",
+//   "model": "text-embedding-3-small",     // every vector here comes from it
+//   "documents": [{ id, name, type, size, sha256, chunks, indexedAt }],
+//   "chunks": [{ documentId, seq, text, vector }]
+// }
+//
+// A chat request with "retrieval": { "collection": "handbook", "topK": 4 }
+// gets the chunks closest to its last user message as numbered sources in a
+// system message; the sources come back as citations.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const COLLECTION_RE = /^[\w-]{1,64}$/;
+
+const newDocumentId = () => `doc_${crypto.randomUUID().replace(/-/g, "")}`;
+
+// Splits text into chunks of at most size characters, on paragraph, then
+// sentence, then plain length boundaries. Each chunk starts with the last
+// ~overlap characters of the one before, so a passage cut in two is still
+// whole in one of them.
+function chunkText(text, { size = 1500, overlap = 200 } = {}) {
+  const pieces = [];
+  for (const para of text.split(/\n\s*\n/)) {
+    const p = para.replace(/\s+/g, " ").trim();
+    if (p.length <= size) {
+      if (p) pieces.push(p);
+      continue;
+    }
+    for (const sentence of p.split(/(?<=[.!?])\s+/)) {
+      for (let i = 0; i < sentence.length; i += size) {
+        pieces.push(sentence.slice(i, i + size));
+      }
+    }
+  }
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > size) {
+      chunks.push(current);
+      const tail = current.slice(-overlap);
+      current = tail.slice(tail.indexOf(" ") + 1);
+      if (current.length + piece.length + 1 > size) current = "";
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// --- JSON file index: a collection per file, rewritten on change ----------
+// Every method takes the owner (key id, or null) first.
+function createFileIndex(dir) {
+  const root = path.resolve(dir);
+  const loaded = new Map(); // file -> Promise<collection | null>
+  const writing = new Map(); // file -> last write
+
+  const dirOf = (owner) =>
+    path.join(
+      root,
+      owner == null ? "shared" : `key-${encodeURIComponent(owner)}`
+    );
+  const fileOf = (owner, name) => path.join(dirOf(owner), `${name}.json`);
+
+  function load(file) {
+    if (!loaded.has(file)) {
+      loaded.set(
+        file,
+        fs.promises.readFile(file, "utf8").then(JSON.parse, (e) => {
+          if (e.code === "ENOENT") return null;
+          loaded.delete(file);
+          throw e;
+        })
+      );
+    }
+    return loaded.get(file);
+  }
+
+  // writes are chained so a slow one never lands after a newer one. A
+  // failed write fails its caller only, and the next read goes back to
+  // the file instead of trusting the unwritten collection.
+  function persist(file, collection) {
+    const cached = Promise.resolve(collection);
+    loaded.set(file, cached);
+    const json = collection && JSON.stringify(collection);
+    const previous = writing.get(file) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        if (!json) {
+          await fs.promises.rm(file, { force: true });
+          return;
+        }
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, json);
+        await fs.promises.rename(tmp, file);
+      });
+    next.catch(() => {
+      if (loaded.get(file) === cached) loaded.delete(file);
+    });
+    writing.set(file, next);
+    return next;
+  }
+
+  // changes to one collection run one at a time
+  const queues = new Map();
+  function exclusive(file, fn) {
+    const run = (queues.get(file) || Promise.resolve()).then(fn);
+    queues.set(
+      file,
+      run.catch(() => {})
+    );
+    return run;
+  }
+
+  return {
+    get: (owner, name) => load(fileOf(owner, name)),
+    async list(owner) {
+      const files = await fs.promises.readdir(dirOf(owner)).catch((e) => {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      });
+      const names = files
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => f.slice(0, -5))
+        .filter((name) => COLLECTION_RE.test(name));
+      const all = await Promise.all(
+        names.map((name) => load(fileOf(owner, name)))
+      );
+      return all.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    },
+    // Adds (or replaces, by name) a document and its embedded chunks
+    addDocument(owner, name, model, document, chunks) {
+      const file = fileOf(owner, name);
+      return exclusive(file, async () => {
+        const current = await load(file);
+        const old = current?.documents.find((d) => d.name === document.name);
+        const keep = (c) => !old || c.documentId !== old.id;
+        await persist(file, {
+          name,
+          model,
+          documents: [
+            ...(current?.documents || []).filter((d) => d !== old),
+            document,
+          ],
+          chunks: [...(current?.chunks || []).filter(keep), ...chunks],
+        });
+        return old || null;
+      });
+    },
+    removeDocument(owner, name, id) {
+      const file = fileOf(owner, name);
+      return exclusive(file, async () => {
+        const current = await load(file);
+        if (!current?.documents.some((d) => d.id === id)) return false;
+        await persist(file, {
+          ...current,
+          documents: current.documents.filter((d) => d.id !== id),
+          chunks: current.chunks.filter((c) => c.documentId !== id),
+        });
+        return true;
+      });
+    },
+    drop(owner, name) {
+      const file = fileOf(owner, name);
+      return exclusive(file, async () => {
+        if (!(await load(file))) return false;
+        await persist(file, null);
+        return true;
+      });
+    },
+  };
+}
+
+// The topK chunks closest to vector: [{ chunk, document, score }]
+function search(collection, vector, topK) {
+  const documents = new Map(collection.documents.map((d) => [d.id, d]));
+  return collection.chunks
+    .map((chunk) => ({ chunk, score: cosine(vector, chunk.vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map((hit) => ({ ...hit, document: documents.get(hit.chunk.documentId) }));
+}
+
+// The text retrieval searches with: the last user message
+function queryOf(messages = []) {
+  const last = [...messages].reverse().find((m) => m?.role === "user");
+  if (typeof last?.content === "string") return last.content;
+  return (Array.isArray(last?.content) ? last.content : [])
+    .filter((p) => p?.type === "text" && typeof p.text === "string")
+    .map((p) => p.text)
+    .join("\n");
+}
+
+// messages with the hits as numbered sources in a system message (after
+// any leading system prompt), plus the matching citations
+function withSources(messages, hits) {
+  const sources = hits
+    .map(
+      ({ chunk, document }, i) =>
+        `[${i + 1}] ${document.name} (part ${chunk.seq + 1})\n${chunk.text}`
+    )
+    .join("\n\n");
+  const system = {
+    role: "system",
+    content:
+      "Answer from the numbered sources below where they are relevant and " +
+      "cite them inline as [1], [2] and so on. If they do not cover the " +
+      `question, say so.\n\n${sources}`,
+  };
+  const lead = messages.findIndex(
+    (m) => !["system", "developer"].includes(m?.role)
+  );
+  const at = lead < 0 ? messages.length : lead;
+  return {
+    messages: [...messages.slice(0, at), system, ...messages.slice(at)],
+    citations: hits.map(({ chunk, document, score }, i) => ({
+      index: i + 1,
+      documentId: document.id,
+      document: document.name,
+      part: chunk.seq + 1,
+      score: Math.round(score * 10000) / 10000,
+      excerpt: chunk.text.slice(0, 200),
+    })),
+  };
+}
+
+module.exports = {
+  COLLECTION_RE,
+  newDocumentId,
+  chunkText,
+  createFileIndex,
+  search,
+  queryOf,
+  withSources,
+};
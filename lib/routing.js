@@ -0,0 +1,129 @@
+// lib/routing.js
+// Model aliases and fallback chains for /chat/completions.
+//
+// MODEL_ROUTES_FILE points at a JSON file (re-read when it changes):
+// {
+//   "aliases": {
+//     "default": { "model": "gpt-4o", "region": "eu", "fallbacks": ["fast"] },
+//     "fast":    { "model": "gpt-4o-mini", "region": "eu" },
+//     "vision":  { "model": "gpt-4o", "fallbacks": ["claude-3-5-sonnet@us"] }
+//   }
+// }
+//
+// A fallback is an alias name or a concrete "model[@region]". An alias may
+// share its name with a concrete model to give that model a fallback chain.
+// Requests without a model use "default" when it is defined.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "routing" });
+
+// Statuses worth trying the next model for (before any byte is streamed)
+const FALLBACK_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+function createModelRouter(file) {
+  const routesFile = file ? path.resolve(file) : null;
+  let mtimeMs = -1;
+  let aliases = {};
+
+  function reload() {
+    if (!routesFile) return;
+    let stat;
+    try {
+      stat = fs.statSync(routesFile);
+    } catch {
+      if (mtimeMs !== 0)
+        log.warn("routes file not found", { file: routesFile });
+      mtimeMs = 0;
+      aliases = {};
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(routesFile, "utf8"));
+      aliases = data.aliases || {};
+    } catch (e) {
+      // keep the previous routes rather than dropping every alias
+      log.error("failed to read routes file", { file: routesFile, err: e });
+      return;
+    }
+    mtimeMs = stat.mtimeMs;
+    log.info("loaded model routes", {
+      file: routesFile,
+      aliases: Object.keys(aliases).length,
+    });
+  }
+
+  // Returns { requested, targets: [{ model, region, alias? }] } with the
+  // primary target first and fallbacks after it, deduplicated.
+  function resolve(model, region) {
+    reload();
+    const requested = model || (aliases.default ? "default" : undefined);
+    const targets = [];
+    const seen = new Set();
+
+    function expand(name, fallbackRegion) {
+      if (seen.has(name)) return;
+      seen.add(name);
+      const [m, r] = String(name).split("@");
+      const alias = Object.hasOwn(aliases, m) ? aliases[m] : null;
+      const target = {
+        model: alias?.model || m,
+        region: r || alias?.region || fallbackRegion,
+        ...(alias ? { alias: m } : {}),
+      };
+      if (
+        !targets.some(
+          (t) => t.model === target.model && t.region === target.region
+        )
+      ) {
+        targets.push(target);
+      }
+      for (const fb of alias?.fallbacks || []) expand(fb, fallbackRegion);
+    }
+
+    if (requested === undefined) targets.push({ model: undefined, region });
+    else expand(requested, region);
+    return { requested, targets };
+  }
+
+  function list() {
+    reload();
+    return Object.keys(aliases);
+  }
+
+  return { resolve, list };
+}
+
+// Calls attempt(target) for each target in order until one answers with a
+// status that is not worth falling back on. Network failures (UpstreamError)
+// also move on. The last target's response or error is what the caller gets.
+// Resolves to { res, target }.
+async function withFallback(targets, attempt, { log: reqLog = log } = {}) {
+  for (let i = 0; ; i++) {
+    const target = targets[i];
+    const last = i === targets.length - 1;
+    let res;
+    try {
+      res = await attempt(target);
+    } catch (err) {
+      if (last || err.name !== "UpstreamError") throw err;
+      reqLog.warn("model fallback", {
+        from: target.model,
+        to: targets[i + 1].model,
+        reason: err.code,
+      });
+      continue;
+    }
+    if (last || !FALLBACK_STATUSES.has(res.status)) return { res, target };
+    res.body?.resume?.();
+    reqLog.warn("model fallback", {
+      from: target.model,
+      to: targets[i + 1].model,
+      reason: res.status,
+    });
+  }
+}
+
+module.exports = { createModelRouter, withFallback, FALLBACK_STATUSES };
@@ -0,0 +1,233 @@
+// lib/streams.js
+// Resumable SSE responses for the streaming completion routes.
+//
+// Each stream gets an id (X-Stream-Id header). After every complete SSE
+// event the proxy writes an "id: <stream>:<seq>" marker, so EventSource
+// remembers how far it got. The assistant line framing gets no markers
+// (its clients parse every line); GET /streams/:id replays it from the
+// start.
+// When the client goes away the upstream keeps being read into a bounded
+// buffer for STREAM_GRACE_MS. A request that carries Last-Event-ID for a
+// live stream (EventSource does this on its own when it reconnects), or
+// GET /streams/:id, gets the missed output replayed and then keeps
+// tailing. Nobody back within the grace period, or POST
+// /streams/:id/cancel, aborts the upstream call.
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "streams" });
+
+// Unbuffered SSE headers plus the anti-buffering preamble: a padding
+// comment (~2KB by default; some edges/CDNs won't flush small responses),
+// a retry hint and an ok comment
+function startSSE(res, streamId, paddingBytes = 2048) {
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.setHeader("Content-Encoding", "identity");
+  res.setHeader("Vary", "Accept-Encoding");
+  res.setHeader("X-Stream-Id", streamId);
+  res.removeHeader?.("Content-Length");
+  res.flushHeaders?.();
+  res.write(`:${" ".repeat(paddingBytes)}\n`);
+  res.write("retry: 1000\n");
+  res.write(":ok\n\n");
+  res.flush?.();
+}
+
+// "<stream>:<seq>" -> { streamId, seq }
+function parseEventId(value) {
+  const m = /^([\w-]+):(\d+)$/.exec(String(value || "").trim());
+  return m ? { streamId: m[1], seq: Number(m[2]) } : null;
+}
+
+function createStreamRegistry({
+  graceMs = 30000,
+  maxBytes = 1024 * 1024,
+  heartbeatMs = 1000,
+} = {}) {
+  const streams = new Map();
+
+  // framing "sse" marks progress at blank lines, "lines" at every newline
+  // without telling the client.
+  // Heartbeat and padding follow the request's route settings (see
+  // lib/config.js) and stay fixed for the life of the stream.
+  function open(req, res, { framing = "sse" } = {}) {
+    const id = crypto.randomBytes(12).toString("base64url");
+    const { paddingBytes = 2048 } = req.routeConfig || {};
+    const lines = framing === "lines";
+    const boundary = lines ? "\n" : "\n\n";
+    const events = []; // { seq, text } with the marker included
+    const cancelHandlers = [];
+    let pending = ""; // written since the last marker
+    let seq = 0;
+    let size = 0;
+    let client = null;
+    let finished = false;
+    let cancelled = false;
+    let expiry = null;
+
+    const send = (text) => {
+      if (!client) return;
+      client.write(text);
+      client.flush?.();
+    };
+
+    const heartbeat = setInterval(() => {
+      // only between events, never inside one
+      if (!pending) send(":hb\n\n");
+    }, req.routeConfig?.heartbeatMs ?? heartbeatMs);
+    heartbeat.unref();
+
+    function mark() {
+      seq++;
+      const marker = lines ? "" : `id: ${id}:${seq}\n\n`;
+      events.push({ seq, text: pending + marker });
+      size += pending.length + marker.length;
+      pending = "";
+      if (marker) send(marker);
+      while (size > maxBytes && events.length > 1) {
+        size -= events.shift().text.length;
+      }
+    }
+
+    function drop() {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      streams.delete(id);
+    }
+
+    function detach() {
+      client = null;
+      clearTimeout(expiry);
+      if (finished) {
+        expiry = setTimeout(drop, graceMs).unref();
+      } else if (graceMs > 0) {
+        expiry = setTimeout(() => {
+          log.info("stream abandoned", { stream: id });
+          stream.cancel();
+        }, graceMs).unref();
+      } else {
+        stream.cancel();
+      }
+    }
+
+    function attach(res, afterSeq = 0) {
+      clearTimeout(expiry);
+      startSSE(res, id, paddingBytes);
+      if (!lines) res.write(`id: ${id}:${afterSeq}\n\n`);
+      for (const e of events) if (e.seq > afterSeq) res.write(e.text);
+      res.write(pending);
+      if (finished) return res.end();
+      client?.end();
+      client = res;
+      res.on("close", () => {
+        if (client === res) detach();
+      });
+    }
+
+    const stream = {
+      id,
+      keyId: req.clientKey?.id ?? null,
+      write(text) {
+        if (finished || !text) return;
+        const s = Buffer.isBuffer(text) ? text.toString("utf8") : String(text);
+        pending += s;
+        send(s);
+        if (pending.endsWith(boundary)) mark();
+      },
+      // Upstream is done: the buffer stays around for late reconnects.
+      // tail (e.g. ":done") is sent after the last marker.
+      end(tail = "") {
+        if (finished) return;
+        if (pending) mark();
+        pending = tail;
+        send(tail);
+        finished = true;
+        clearInterval(heartbeat);
+        client?.end();
+        detach();
+      },
+      // Aborts upstream (through the onCancel handlers) and forgets the stream
+      cancel() {
+        if (!finished) {
+          finished = true;
+          cancelled = true;
+          cancelHandlers.splice(0).forEach((fn) => fn());
+          client?.end();
+        }
+        drop();
+      },
+      // fn runs at once if the stream was cancelled before upstream answered
+      onCancel(fn) {
+        if (cancelled) fn();
+        else cancelHandlers.push(fn);
+      },
+      // Whether output after afterSeq is still buffered
+      covers(afterSeq) {
+        return !events.length || events[0].seq <= afterSeq + 1;
+      },
+      get finished() {
+        return finished;
+      },
+      get lastSeq() {
+        return seq;
+      },
+      attach,
+    };
+
+    streams.set(id, stream);
+    attach(res, 0);
+    return stream;
+  }
+
+  // The caller's stream, if it is still around
+  function get(id, req) {
+    const stream = streams.get(id);
+    if (!stream || stream.keyId !== (req.clientKey?.id ?? null)) return null;
+    return stream;
+  }
+
+  // Reattaches a reconnecting client that sent Last-Event-ID (header, or
+  // ?lastEventId= for clients that cannot set headers). Returns false when
+  // the request is not a reconnect, true once it has been answered.
+  function resume(req, res, streamId) {
+    const last = parseEventId(
+      req.headers["last-event-id"] || req.query?.lastEventId
+    );
+    if (!streamId && !last) return false;
+    const id = streamId || last.streamId;
+    const afterSeq = last?.streamId === id ? last.seq : 0;
+    const stream = get(id, req);
+    if (!stream || !stream.covers(afterSeq)) {
+      res.status(410).json({
+        error: "stream_gone",
+        detail: stream
+          ? `Stream ${id} no longer holds event ${afterSeq + 1}`
+          : `Stream ${id} has expired`,
+      });
+      return true;
+    }
+    // nothing left to send: 204 stops EventSource from reconnecting
+    if (stream.finished && afterSeq >= stream.lastSeq) {
+      res.status(204).end();
+      return true;
+    }
+    req.log?.info("stream resumed", { stream: id, afterSeq });
+    stream.attach(res, afterSeq);
+    return true;
+  }
+
+  function cancel(id, req) {
+    const stream = get(id, req);
+    if (!stream) return false;
+    stream.cancel();
+    return true;
+  }
+
+  return { open, resume, cancel };
+}
+
+module.exports = { createStreamRegistry, parseEventId };
@@ -0,0 +1,171 @@
+// lib/templates.js
+// Server-managed system prompts. Chat callers send
+// { template: "support-v3", variables: { product: "Acme" } } instead of a
+// system message and the proxy renders and injects it.
+//
+// TEMPLATES_DIR holds one file per template version (re-read when a file is
+// added, removed or changed):
+//   support-v3.json  { "description": "...",
+//                      "system": "You help with {{product}}.{{#tone}} Be {{tone}}.{{/tone}}",
+//                      "variables": { "product": { "required": true },
+//                                     "tone": { "default": "friendly" } } }
+//   legal-v1.md      the whole file is the system prompt
+//
+// "<name>-v<N>" is version N of <name>; asking for plain "support" gets
+// the highest version. Variables use a Mustache subset: {{name}},
+// {{#name}}...{{/name}} (shown when set) and {{^name}}...{{/name}} (shown
+// when not). Nothing is HTML-escaped.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "templates" });
+
+const FILE_RE = /^([a-zA-Z0-9_.-]+?)(?:-v(\d+))?\.(json|md|txt)$/;
+const VAR_RE = /\{\{\s*([#^/]?)\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+function templateError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Renders a Mustache-subset template; values are stringified as-is
+function render(text, vars) {
+  const set = (name) => {
+    const v = vars[name];
+    return v !== undefined && v !== null && v !== false && v !== "";
+  };
+  const stack = []; // open sections: { name, show }
+  let out = "";
+  let last = 0;
+  for (const m of text.matchAll(VAR_RE)) {
+    const visible = stack.every((s) => s.show);
+    if (visible) out += text.slice(last, m.index);
+    last = m.index + m[0].length;
+    const [, kind, name] = m;
+    if (kind === "#" || kind === "^") {
+      stack.push({ name, show: kind === "#" ? set(name) : !set(name) });
+    } else if (kind === "/") {
+      if (stack.pop()?.name !== name) {
+        throw templateError(`Unbalanced section {{/${name}}}`);
+      }
+    } else if (visible) {
+      out += set(name) ? String(vars[name]) : "";
+    }
+  }
+  if (stack.length) {
+    throw templateError(`Unclosed section {{#${stack[0].name}}}`);
+  }
+  return out + text.slice(last);
+}
+
+// Variable names a template uses, for templates without a declaration
+function variablesOf(text) {
+  const names = new Set();
+  for (const m of text.matchAll(VAR_RE)) if (m[1] !== "/") names.add(m[2]);
+  return Object.fromEntries([...names].map((n) => [n, {}]));
+}
+
+function readTemplate(file, id, name, version) {
+  const raw = fs.readFileSync(file, "utf8");
+  if (!file.endsWith(".json")) {
+    return { id, name, version, system: raw, variables: variablesOf(raw) };
+  }
+  const t = JSON.parse(raw);
+  if (typeof t.system !== "string") throw new Error("missing system");
+  return {
+    id,
+    name,
+    version,
+    description: t.description,
+    system: t.system,
+    variables: t.variables || variablesOf(t.system),
+  };
+}
+
+function createTemplateRegistry(dir) {
+  const templatesDir = dir ? path.resolve(dir) : null;
+  let signature = null;
+  let byId = new Map();
+
+  function reload() {
+    if (!templatesDir) return;
+    let files;
+    try {
+      files = fs
+        .readdirSync(templatesDir)
+        .filter((f) => FILE_RE.test(f))
+        .map((f) => {
+          const file = path.join(templatesDir, f);
+          return { f, file, mtimeMs: fs.statSync(file).mtimeMs };
+        });
+    } catch {
+      if (signature !== "") {
+        log.warn("templates dir not found", { dir: templatesDir });
+      }
+      signature = "";
+      byId = new Map();
+      return;
+    }
+    const next = files.map((x) => `${x.f}:${x.mtimeMs}`).join("|");
+    if (next === signature) return;
+    signature = next;
+    byId = new Map();
+    for (const { f, file } of files) {
+      const [, name, version, ext] = FILE_RE.exec(f);
+      const id = f.slice(0, -ext.length - 1);
+      try {
+        byId.set(id, readTemplate(file, id, name, version && Number(version)));
+      } catch (e) {
+        // skip just this one; the others stay usable
+        log.error("failed to read template", { file, err: e });
+      }
+    }
+    log.info("loaded templates", { dir: templatesDir, count: byId.size });
+  }
+
+  // An exact id, or the highest version of a name
+  function get(ref) {
+    reload();
+    if (byId.has(ref)) return byId.get(ref);
+    let best = null;
+    for (const t of byId.values()) {
+      if (t.name === ref && t.version && t.version > (best?.version || 0)) {
+        best = t;
+      }
+    }
+    return best;
+  }
+
+  function list() {
+    reload();
+    return [...byId.values()].sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) || (a.version || 0) - (b.version || 0)
+    );
+  }
+
+  // Renders a template's system prompt with defaults filled in. Throws a
+  // 400 error for missing required variables or a broken template.
+  function renderSystem(template, variables = {}) {
+    if (
+      !variables ||
+      typeof variables !== "object" ||
+      Array.isArray(variables)
+    ) {
+      throw templateError("variables must be an object");
+    }
+    const vars = {};
+    for (const [name, spec] of Object.entries(template.variables)) {
+      const v = variables[name] ?? spec.default;
+      if (v === undefined && spec.required) {
+        throw templateError(`Template ${template.id} needs variable ${name}`);
+      }
+      vars[name] = v;
+    }
+    return render(template.system, vars);
+  }
+
+  return { get, list, renderSystem };
+}
+
+module.exports = { createTemplateRegistry, render };
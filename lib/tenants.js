@@ -0,0 +1,150 @@
+// lib/tenants.js
+// Per-tenant Langdock workspaces. TENANTS_FILE points at a JSON file
+// (re-read when it changes, so upstream keys can be rotated live):
+// {
+//   "default": "shared",                       // optional
+//   "tenants": {
+//     "finance": {
+//       "apiKeys": ["sk-fin-1", "sk-fin-2"],    // rotated on 429
+//       "clientKeys": ["finance-*"],            // proxy key ids
+//       "origins": ["https://finance.example.com"],
+//       "regions": ["eu"],                      // optional
+//       "assistants": ["<assistant uuid>"]      // optional
+//     },
+//     "shared": { "apiKeys": ["sk-shared"] }
+//   }
+// }
+//
+// A request belongs to the first tenant listing its client key id, else
+// the first listing its Origin, else the default tenant. Without a default
+// tenant, LANGDOCK_API_KEY serves everything unmatched as tenant "default".
+const fs = require("fs");
+const path = require("path");
+const { matchesName } = require("./auth");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "tenants" });
+
+const DEFAULT_COOLDOWN_MS = 30000;
+
+// Round-robin over upstream keys, skipping keys that were rate-limited
+// until their cooldown is over. cooling (key -> until) may be shared so a
+// reload keeps the cooldowns of keys that are still listed.
+function createKeyPool(apiKeys, cooling = new Map()) {
+  const keys = [...new Set(apiKeys.filter(Boolean))];
+  let next = 0;
+
+  const ready = (key) => !(cooling.get(key) > Date.now());
+
+  return {
+    size: keys.length,
+    // The next usable key; if all are cooling down, the one free soonest
+    pick() {
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[(next + i) % keys.length];
+        if (ready(key)) {
+          next = (next + i + 1) % keys.length;
+          return key;
+        }
+      }
+      let soonest = keys[0];
+      for (const key of keys) {
+        if (cooling.get(key) < cooling.get(soonest)) soonest = key;
+      }
+      return soonest ?? null;
+    },
+    rateLimited(key, ms = DEFAULT_COOLDOWN_MS) {
+      cooling.set(key, Date.now() + ms);
+    },
+    available() {
+      return keys.filter(ready).length;
+    },
+  };
+}
+
+function createTenants(file, { apiKey } = {}) {
+  const tenantsFile = file ? path.resolve(file) : null;
+  const cooling = new Map();
+  const fallback = apiKey
+    ? { id: "default", keys: createKeyPool([apiKey], cooling) }
+    : null;
+  let mtimeMs = -1;
+  let tenants = [];
+  let defaultTenant = fallback;
+
+  function reload() {
+    if (!tenantsFile) return;
+    let stat;
+    try {
+      stat = fs.statSync(tenantsFile);
+    } catch {
+      if (mtimeMs !== 0) {
+        log.warn("tenants file not found", { file: tenantsFile });
+      }
+      mtimeMs = 0;
+      tenants = [];
+      defaultTenant = fallback;
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    let next;
+    let nextDefault = fallback;
+    try {
+      const data = JSON.parse(fs.readFileSync(tenantsFile, "utf8"));
+      next = Object.entries(data.tenants || {}).map(([id, t]) => {
+        if (!Array.isArray(t.apiKeys) || !t.apiKeys.length) {
+          throw new Error(`tenant ${id} has no apiKeys`);
+        }
+        return {
+          ...t,
+          id,
+          clientKeys: t.clientKeys || [],
+          origins: t.origins || [],
+          keys: createKeyPool(t.apiKeys, cooling),
+        };
+      });
+      if (data.default) {
+        nextDefault = next.find((t) => t.id === data.default);
+        if (!nextDefault) throw new Error(`unknown default ${data.default}`);
+      }
+    } catch (e) {
+      // keep serving the previous tenants rather than cutting everyone off
+      log.error("failed to read tenants file", { file: tenantsFile, err: e });
+      return;
+    }
+    mtimeMs = stat.mtimeMs;
+    tenants = next;
+    defaultTenant = nextDefault;
+    log.info("loaded tenants", { file: tenantsFile, count: next.length });
+  }
+
+  // The tenant a request belongs to, or null if nothing serves it
+  function resolve(req) {
+    reload();
+    const keyId = req.clientKey?.id;
+    const origin = req.headers.origin;
+    return (
+      (keyId && tenants.find((t) => matchesName(t.clientKeys, keyId))) ||
+      (origin && tenants.find((t) => t.origins.includes(origin))) ||
+      defaultTenant
+    );
+  }
+
+  // Pool for calls made outside any request (readiness, model catalog)
+  const defaultKeys = {
+    get size() {
+      reload();
+      return defaultTenant?.keys.size || 0;
+    },
+    pick() {
+      reload();
+      return defaultTenant?.keys.pick() ?? null;
+    },
+    rateLimited: (key, ms) => defaultTenant?.keys.rateLimited(key, ms),
+    available: () => defaultTenant?.keys.available() || 0,
+  };
+
+  return { resolve, defaultKeys };
+}
+
+module.exports = { createTenants, createKeyPool };
@@ -0,0 +1,190 @@
+// lib/threads.js
+// Server-side conversation threads: storage backends and history fitting.
+//
+// A thread:
+// {
+//   id, keyId, userEmail, title,
+//   assistantId | model + region,     // which upstream API answers
+//   messages: [{ id, role, content, attachmentIds?, createdAt }],
+//   summary, summarizedCount,         // rolling summary of trimmed history
+//   createdAt, updatedAt
+// }
+//
+// Stores implement: get(id), put(thread), delete(id), list({ keyId, userEmail })
+// and all return promises. list() resolves to thread summaries.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { estimateTokens } = require("./quota");
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+
+function summarize(thread) {
+  return {
+    id: thread.id,
+    title: thread.title || null,
+    userEmail: thread.userEmail || null,
+    assistantId: thread.assistantId || null,
+    model: thread.model || null,
+    messageCount: thread.messages.length,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+  };
+}
+
+const ID_RE = /^thr_[0-9a-f]{32}$/;
+
+// --- JSON file store: one <id>.json per thread under dir ---
+function createFileThreadStore(dir) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+  const file = (id) => path.join(root, `${id}.json`);
+
+  return {
+    async get(id) {
+      if (!ID_RE.test(id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(file(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(thread) {
+      const tmp = `${file(thread.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(thread));
+      await fs.promises.rename(tmp, file(thread.id));
+    },
+    async delete(id) {
+      if (!ID_RE.test(id)) return false;
+      try {
+        await fs.promises.unlink(file(id));
+        return true;
+      } catch (e) {
+        if (e.code === "ENOENT") return false;
+        throw e;
+      }
+    },
+    async list({ keyId, userEmail } = {}) {
+      const out = [];
+      for (const name of await fs.promises.readdir(root)) {
+        if (!name.endsWith(".json")) continue;
+        let t;
+        try {
+          t = JSON.parse(
+            await fs.promises.readFile(path.join(root, name), "utf8")
+          );
+        } catch {
+          continue;
+        }
+        if (keyId !== undefined && t.keyId !== keyId) continue;
+        if (userEmail && t.userEmail !== userEmail) continue;
+        out.push(summarize(t));
+      }
+      return out.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+  };
+}
+
+// --- Azure Blob store: <id>.json block blobs, summary fields in metadata ---
+// getContainer: async () => ContainerClient (created if missing)
+function createAzureThreadStore(getContainer) {
+  const enc = (v) => encodeURIComponent(v ?? "");
+  const dec = (v) => (v ? decodeURIComponent(v) : null);
+
+  return {
+    async get(id) {
+      if (!ID_RE.test(id)) return null;
+      const blob = (await getContainer()).getBlockBlobClient(`${id}.json`);
+      try {
+        return JSON.parse((await blob.downloadToBuffer()).toString("utf8"));
+      } catch (e) {
+        if (e.statusCode === 404) return null;
+        throw e;
+      }
+    },
+    async put(thread) {
+      const blob = (await getContainer()).getBlockBlobClient(
+        `${thread.id}.json`
+      );
+      const data = JSON.stringify(thread);
+      const s = summarize(thread);
+      await blob.upload(data, Buffer.byteLength(data), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        metadata: {
+          keyid: enc(thread.keyId),
+          useremail: enc(s.userEmail),
+          title: enc(s.title),
+          assistantid: enc(s.assistantId),
+          model: enc(s.model),
+          messagecount: String(s.messageCount),
+          createdat: s.createdAt,
+          updatedat: s.updatedAt,
+        },
+      });
+    },
+    async delete(id) {
+      if (!ID_RE.test(id)) return false;
+      const blob = (await getContainer()).getBlockBlobClient(`${id}.json`);
+      return (await blob.deleteIfExists()).succeeded;
+    },
+    async list({ keyId, userEmail } = {}) {
+      const out = [];
+      const container = await getContainer();
+      for await (const b of container.listBlobsFlat({
+        includeMetadata: true,
+      })) {
+        const m = b.metadata || {};
+        if (keyId !== undefined && dec(m.keyid) !== (keyId ?? null)) continue;
+        if (userEmail && dec(m.useremail) !== userEmail) continue;
+        out.push({
+          id: b.name.replace(/\.json$/, ""),
+          title: dec(m.title),
+          userEmail: dec(m.useremail),
+          assistantId: dec(m.assistantid),
+          model: dec(m.model),
+          messageCount: Number(m.messagecount) || 0,
+          createdAt: m.createdat,
+          updatedAt: m.updatedat,
+        });
+      }
+      return out.sort((a, b) =>
+        String(b.updatedAt).localeCompare(String(a.updatedAt))
+      );
+    },
+  };
+}
+
+// --- History fitting ------------------------------------------------------
+const messageTokens = (m) =>
+  estimateTokens(
+    typeof m.content === "string" ? m.content : JSON.stringify(m.content)
+  ) + 4;
+
+// Splits history into what is sent verbatim and what is too old to fit the
+// token budget. System messages are always kept; the newest message always
+// fits. Returns { keep, dropped } in original order.
+function fitHistory(messages, budget) {
+  const system = messages.filter((m) => m.role === "system");
+  const rest = messages.filter((m) => m.role !== "system");
+  let used = system.reduce((n, m) => n + messageTokens(m), 0);
+
+  let cut = rest.length;
+  while (cut > 0) {
+    const cost = messageTokens(rest[cut - 1]);
+    if (cut < rest.length && used + cost > budget) break;
+    used += cost;
+    cut--;
+  }
+  return { keep: [...system, ...rest.slice(cut)], dropped: rest.slice(0, cut) };
+}
+
+module.exports = {
+  newId,
+  summarize,
+  createFileThreadStore,
+  createAzureThreadStore,
+  fitHistory,
+};
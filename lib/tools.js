@@ -0,0 +1,254 @@
+// lib/tools.js
+// Server-side tools for /chat/completions. The proxy offers them to the
+// model, runs the calls it makes and continues the completion, so the
+// client only ever sees the final answer.
+//
+// TOOLS_FILE points at a JSON file (re-read when it changes):
+// {
+//   "tools": {
+//     "lookup_order": {
+//       "description": "Find an order by its number",
+//       "parameters": { "type": "object", "properties": { ... } },
+//       "webhook": { "url": "https://orders.internal/tool", "headers": {} },
+//       "timeoutMs": 5000
+//     },
+//     "now": { "description": "Current time", "module": "./tools/now.js" }
+//   }
+// }
+//
+// A webhook gets POST { name, arguments, keyId } and answers with JSON or
+// text. A module (resolved relative to the tools file) exports
+// async (args, { signal, keyId, log }) => result, or { run }. Results are
+// handed to the model as strings; failures become { "error": "..." } so the
+// model can recover instead of the whole request failing.
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "tools" });
+
+const NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/; // OpenAI's function name rule
+
+function createToolRegistry(file, { timeoutMs = 10000 } = {}) {
+  const toolsFile = file ? path.resolve(file) : null;
+  let mtimeMs = -1;
+  let tools = {};
+
+  function reload() {
+    if (!toolsFile) return;
+    let stat;
+    try {
+      stat = fs.statSync(toolsFile);
+    } catch {
+      if (mtimeMs !== 0) log.warn("tools file not found", { file: toolsFile });
+      mtimeMs = 0;
+      tools = {};
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(toolsFile, "utf8"));
+      const next = {};
+      for (const [name, t] of Object.entries(data.tools || {})) {
+        if (!NAME_RE.test(name)) throw new Error(`invalid tool name ${name}`);
+        if (!t.webhook?.url === !t.module) {
+          throw new Error(`tool ${name} needs exactly one of webhook, module`);
+        }
+        next[name] = { ...t, name };
+      }
+      tools = next;
+    } catch (e) {
+      // keep the previous tools rather than dropping every one
+      log.error("failed to read tools file", { file: toolsFile, err: e });
+      return;
+    }
+    mtimeMs = stat.mtimeMs;
+    log.info("loaded tools", {
+      file: toolsFile,
+      tools: Object.keys(tools).length,
+    });
+  }
+
+  function get(name) {
+    reload();
+    return Object.hasOwn(tools, name) ? tools[name] : null;
+  }
+
+  function list() {
+    reload();
+    return Object.keys(tools);
+  }
+
+  // Tool definitions in the shape chat completions expects
+  function definitions(names) {
+    return names.map(get).map((t) => ({
+      type: "function",
+      function: {
+        name: t.name,
+        description: t.description || "",
+        parameters: t.parameters || { type: "object", properties: {} },
+      },
+    }));
+  }
+
+  async function invoke(tool, args, ctx) {
+    if (tool.webhook) {
+      const res = await fetch(tool.webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...tool.webhook.headers,
+        },
+        body: JSON.stringify({
+          name: tool.name,
+          arguments: args,
+          keyId: ctx.keyId,
+        }),
+        signal: ctx.signal,
+      });
+      const text = await res.text();
+      if (!res.ok) throw new Error(`webhook returned ${res.status}`);
+      return text;
+    }
+    const mod = require(path.resolve(path.dirname(toolsFile), tool.module));
+    const run = typeof mod === "function" ? mod : mod.run;
+    if (typeof run !== "function") {
+      throw new Error(`module ${tool.module} exports no function`);
+    }
+    return run(args, ctx);
+  }
+
+  // Runs one tool call ({ id, function: { name, arguments } }). Resolves to
+  // { content, ok, ms } with content the string to hand the model; never
+  // throws.
+  async function execute(call, { keyId, log: reqLog = log } = {}) {
+    const tool = get(call.function.name);
+    const started = Date.now();
+    const limit = tool?.timeoutMs ?? timeoutMs;
+    const controller = new AbortController();
+    let timer;
+    try {
+      if (!tool) throw new Error(`unknown tool ${call.function.name}`);
+      let args;
+      try {
+        args = JSON.parse(call.function.arguments || "{}");
+      } catch {
+        throw new Error("arguments are not valid JSON");
+      }
+      const result = await Promise.race([
+        invoke(tool, args, { signal: controller.signal, keyId, log: reqLog }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`timed out after ${limit}ms`));
+          }, limit);
+        }),
+      ]);
+      const ms = Date.now() - started;
+      reqLog.info("tool call", { tool: call.function.name, ms });
+      const content =
+        typeof result === "string" ? result : JSON.stringify(result ?? null);
+      return { content, ok: true, ms };
+    } catch (e) {
+      const ms = Date.now() - started;
+      reqLog.warn("tool call failed", { tool: call.function.name, ms, err: e });
+      return { content: JSON.stringify({ error: e.message }), ok: false, ms };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { get, list, definitions, execute };
+}
+
+// --- Streaming turns ----------------------------------------------------------
+// Follows one streamed completion. accept(chunk) returns the chunk to send
+// to the client (server tool call deltas and the tool_calls finish removed)
+// or null to drop it. Once the stream ends, serverCalls() holds the calls to
+// run; calls to the client's own tools pass through untouched.
+function createToolTurn(isServerTool) {
+  const calls = []; // by delta index: { id, type, function: { name, arguments } }
+  let content = "";
+  let finish = null;
+
+  const isServerIndex = (i) => isServerTool(calls[i]?.function.name);
+
+  function accept(chunk) {
+    const choice = chunk.choices?.[0];
+    if (!choice) return finish === "tool_calls" && wantsTools() ? null : chunk;
+    const delta = choice.delta || {};
+    if (typeof delta.content === "string") content += delta.content;
+    let forward = delta.tool_calls;
+    if (Array.isArray(delta.tool_calls)) {
+      for (const d of delta.tool_calls) {
+        const call = (calls[d.index] ??= {
+          id: d.id,
+          type: "function",
+          function: { name: "", arguments: "" },
+        });
+        if (d.id) call.id = d.id;
+        if (d.function?.name) call.function.name += d.function.name;
+        if (d.function?.arguments)
+          call.function.arguments += d.function.arguments;
+      }
+      forward = delta.tool_calls.filter((d) => !isServerIndex(d.index));
+    }
+    if (choice.finish_reason) finish = choice.finish_reason;
+    if (finish === "tool_calls" && wantsTools()) {
+      if (!delta.content && !delta.role) return null;
+      return withDelta(chunk, { ...delta, tool_calls: undefined }, null);
+    }
+    if (forward === delta.tool_calls) return chunk;
+    if (!forward.length && !delta.content && !delta.role) {
+      if (!choice.finish_reason) return null;
+    }
+    return withDelta(
+      chunk,
+      { ...delta, tool_calls: forward.length ? forward : undefined },
+      choice.finish_reason
+    );
+  }
+
+  // The turn ends in server tool calls only; mixed turns go to the client
+  function wantsTools() {
+    const made = calls.filter(Boolean);
+    return made.length > 0 && made.every((c) => isServerTool(c.function.name));
+  }
+
+  return {
+    accept,
+    serverCalls: () =>
+      finish === "tool_calls" && wantsTools() ? calls.filter(Boolean) : [],
+    content: () => content,
+  };
+}
+
+function withDelta(chunk, delta, finishReason) {
+  const [choice, ...rest] = chunk.choices;
+  return {
+    ...chunk,
+    choices: [{ ...choice, delta, finish_reason: finishReason }, ...rest],
+  };
+}
+
+// Reads an SSE body and yields the parsed JSON of each data: line ("[DONE]"
+// is skipped; the caller sends its own once the loop is over)
+async function* sseChunks(body, onRaw) {
+  let carry = "";
+  for await (const buf of body) {
+    onRaw?.(buf);
+    const lines = (carry + buf.toString("utf8")).split(/\r?\n/);
+    carry = lines.pop() ?? "";
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") continue;
+      try {
+        yield JSON.parse(data);
+      } catch {}
+    }
+  }
+}
+
+module.exports = { createToolRegistry, createToolTurn, sseChunks };
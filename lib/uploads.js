@@ -0,0 +1,387 @@
+// lib/uploads.js
+// Multipart uploads for /upload and /upload-image: size and count limits,
+// file-type sniffing from magic bytes, an allow-list and a scanner hook.
+//
+// Files are spooled to a temp file (UPLOAD_DIR, default <tmp>/ldproxy-uploads)
+// as they arrive instead of being held in memory, then streamed from disk to
+// Langdock or Azure. Spooling is what lets the scanner see the whole file
+// before anything leaves the proxy. Temp files are removed once the response
+// is done.
+//
+// UPLOAD_SCANNER  none (default)
+//                 clamd://host:3310 | clamd:/path/to/clamd.sock
+//                 command:<argv...>   runs "<argv...> <file>"; exit 0 clean,
+//                                     1 infected (clamscan convention)
+//                 module:<path>       async (file) => ({ clean, reason })
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const multer = require("multer");
+
+const HEAD_BYTES = 8192; // enough for magic numbers and zip entry names
+
+// --- Type sniffing --------------------------------------------------------
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const XLSX =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const PPTX =
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+const LEGACY_OFFICE = {
+  doc: "application/msword",
+  xls: "application/vnd.ms-excel",
+  ppt: "application/vnd.ms-powerpoint",
+};
+const TEXT_TYPES = {
+  txt: "text/plain",
+  csv: "text/csv",
+  md: "text/markdown",
+  json: "application/json",
+};
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const DOCUMENT_TYPES = [
+  "application/pdf",
+  DOCX,
+  XLSX,
+  PPTX,
+  ...Object.values(LEGACY_OFFICE),
+  ...Object.values(TEXT_TYPES),
+  ...IMAGE_TYPES,
+];
+
+// Extensions for renaming generic "blob" uploads
+const EXTENSIONS = {
+  "application/pdf": "pdf",
+  [DOCX]: "docx",
+  [XLSX]: "xlsx",
+  [PPTX]: "pptx",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "image/tiff": "tiff",
+  "image/bmp": "bmp",
+  ...Object.fromEntries(
+    Object.entries({ ...LEGACY_OFFICE, ...TEXT_TYPES }).map(([e, t]) => [t, e])
+  ),
+};
+
+const HEIF_BRANDS = new Set(["heic", "heix", "hevc", "hevx", "mif1", "msf1"]);
+
+const startsWith = (buf, bytes, offset = 0) =>
+  buf.length >= offset + bytes.length &&
+  bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (buf, start, end) => buf.subarray(start, end).toString("latin1");
+const extOf = (name) =>
+  path
+    .extname(name || "")
+    .slice(1)
+    .toLowerCase();
+
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  // a multi-byte character may be cut off at the end of the sample
+  for (let cut = 0; cut < 4 && cut < head.length; cut++) {
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(
+        head.subarray(0, head.length - cut)
+      );
+      return true;
+    } catch {}
+  }
+  return head.length === 0;
+}
+
+// Works out the real type of a file from its first bytes. The declared
+// type and filename are only used to tell apart formats that share a
+// container (zip, OLE2, plain text). Returns a MIME type or
+// "application/octet-stream".
+function sniffMime(head, { declared, filename } = {}) {
+  const ext = extOf(filename);
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d]))
+    return "application/pdf";
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (/^GIF8[79]a/.test(ascii(head, 0, 6))) return "image/gif";
+  if (ascii(head, 0, 4) === "RIFF" && ascii(head, 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (ascii(head, 4, 8) === "ftyp" && HEIF_BRANDS.has(ascii(head, 8, 12))) {
+    return "image/heic";
+  }
+  if (ascii(head, 0, 4) === "II*\0" || ascii(head, 0, 4) === "MM\0*") {
+    return "image/tiff";
+  }
+  if (
+    ascii(head, 0, 2) === "BM" &&
+    head.length >= 26 &&
+    head.readUInt32LE(6) === 0
+  ) {
+    return "image/bmp";
+  }
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) {
+    const names = ascii(head, 0, head.length);
+    if (names.includes("word/")) return DOCX;
+    if (names.includes("xl/")) return XLSX;
+    if (names.includes("ppt/")) return PPTX;
+    return "application/zip";
+  }
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    if (Object.values(LEGACY_OFFICE).includes(declared)) return declared;
+    return LEGACY_OFFICE[ext] || "application/x-ole-storage";
+  }
+  if (looksLikeText(head)) {
+    if (Object.values(TEXT_TYPES).includes(declared)) return declared;
+    return TEXT_TYPES[ext] || "text/plain";
+  }
+  return "application/octet-stream";
+}
+
+// --- Scanners -------------------------------------------------------------
+// A scanner is async (file) => ({ clean: true } | { clean: false, reason })
+// and throws if it could not scan at all. file: { path, size, originalname,
+// detectedType }.
+
+function clamdScanner(address, { timeoutMs }) {
+  const target = address.startsWith("//")
+    ? (() => {
+        const [host, port] = address.slice(2).split(":");
+        return { host, port: Number(port) || 3310 };
+      })()
+    : { path: address };
+
+  return (file) =>
+    new Promise((resolve, reject) => {
+      const socket = net.connect(target);
+      let reply = "";
+      socket.setTimeout(timeoutMs, () =>
+        socket.destroy(new Error(`clamd timed out after ${timeoutMs}ms`))
+      );
+      socket.on("error", reject);
+      socket.on("data", (d) => (reply += d.toString("utf8")));
+      socket.on("end", () => {
+        const result = reply.replace(/\0/g, "").trim();
+        if (/: OK$/.test(result)) return resolve({ clean: true });
+        const found = /: (.+) FOUND$/.exec(result);
+        if (found) return resolve({ clean: false, reason: found[1] });
+        reject(new Error(`clamd: ${result || "no reply"}`));
+      });
+      socket.on("connect", () => {
+        // INSTREAM: 4-byte big-endian length prefixed chunks, 0 terminated
+        socket.write("zINSTREAM\0");
+        const input = fs.createReadStream(file.path);
+        input.on("data", (chunk) => {
+          const len = Buffer.alloc(4);
+          len.writeUInt32BE(chunk.length);
+          socket.write(len);
+          socket.write(chunk);
+        });
+        input.on("end", () => socket.write(Buffer.alloc(4)));
+        input.on("error", (e) => socket.destroy(e));
+      });
+    });
+}
+
+function commandScanner(command, { timeoutMs }) {
+  const [bin, ...args] = command.trim().split(/\s+/);
+  return (file) =>
+    new Promise((resolve, reject) => {
+      const child = spawn(bin, [...args, file.path], {
+        stdio: ["ignore", "pipe", "pipe"],
+        timeout: timeoutMs,
+      });
+      let output = "";
+      child.stdout.on("data", (d) => (output += d));
+      child.stderr.on("data", (d) => (output += d));
+      child.on("error", reject);
+      child.on("close", (code, signal) => {
+        if (code === 0) return resolve({ clean: true });
+        if (code === 1) {
+          const reason = output.trim().split("\n")[0] || "rejected by scanner";
+          return resolve({ clean: false, reason });
+        }
+        reject(
+          new Error(
+            `${bin} exited with ${signal || code}: ${output
+              .trim()
+              .slice(0, 200)}`
+          )
+        );
+      });
+    });
+}
+
+function createScanner(spec, { timeoutMs = 60000 } = {}) {
+  if (!spec || spec === "none") return null;
+  if (spec.startsWith("clamd:")) {
+    return clamdScanner(spec.slice("clamd:".length), { timeoutMs });
+  }
+  if (spec.startsWith("command:")) {
+    return commandScanner(spec.slice("command:".length), { timeoutMs });
+  }
+  if (spec.startsWith("module:")) {
+    return require(path.resolve(spec.slice("module:".length)));
+  }
+  throw new Error(`Unknown UPLOAD_SCANNER "${spec}"`);
+}
+
+// --- Receiving ------------------------------------------------------------
+// multer storage engine: streams each file to dir, keeping its first bytes
+// and a sha256 of the whole content
+function spoolStorage(dir) {
+  return {
+    _handleFile(req, file, cb) {
+      fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err) return cb(err);
+        const target = path.join(dir, crypto.randomUUID());
+        const out = fs.createWriteStream(target, { mode: 0o600 });
+        const hash = crypto.createHash("sha256");
+        let size = 0;
+        const head = [];
+        let headLen = 0;
+        file.stream.on("data", (chunk) => {
+          size += chunk.length;
+          hash.update(chunk);
+          if (headLen < HEAD_BYTES) {
+            head.push(chunk);
+            headLen += chunk.length;
+          }
+        });
+        out.on("error", cb);
+        out.on("finish", () =>
+          cb(null, {
+            path: target,
+            size,
+            sha256: hash.digest("hex"),
+            head: Buffer.concat(head).subarray(0, HEAD_BYTES),
+          })
+        );
+        file.stream.pipe(out);
+      });
+    },
+    _removeFile(_req, file, cb) {
+      fs.unlink(file.path, () => cb(null));
+    },
+  };
+}
+
+function removeFiles(files) {
+  for (const f of files || []) {
+    if (f.path) fs.unlink(f.path, () => {});
+  }
+}
+
+// Express middleware for one upload route. On success req.files holds
+// [{ originalname, mimetype, detectedType, size, sha256, path, ... }]; the temp
+// files are deleted when the response closes.
+function receiveUploads({
+  field = "file",
+  maxBytes,
+  maxFiles = 1,
+  allowedTypes,
+  scanner,
+  dir = path.join(os.tmpdir(), "ldproxy-uploads"),
+}) {
+  const parse = multer({
+    storage: spoolStorage(dir),
+    limits: { fileSize: maxBytes, files: maxFiles },
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    res.on("close", () => removeFiles(req.files));
+    parse(req, res, async (err) => {
+      if (err) {
+        return uploadError(req, res, err, { field, maxBytes, maxFiles });
+      }
+      const files = req.files || [];
+      try {
+        for (const f of files) {
+          f.detectedType = sniffMime(f.head, {
+            declared: f.mimetype,
+            filename: f.originalname,
+          });
+          delete f.head;
+          if (!allowedTypes.includes(f.detectedType)) {
+            req.log.warn("upload type rejected", {
+              filename: f.originalname,
+              declaredType: f.mimetype,
+              detectedType: f.detectedType,
+            });
+            return res.status(415).json({
+              message: "Unsupported file type",
+              detail: `${f.originalname} looks like ${f.detectedType}`,
+              declaredType: f.mimetype,
+              detectedType: f.detectedType,
+            });
+          }
+        }
+        if (scanner) {
+          for (const f of files) {
+            const verdict = await scanner(f);
+            if (!verdict.clean) {
+              req.log.warn("upload rejected by scanner", {
+                filename: f.originalname,
+                reason: verdict.reason,
+              });
+              return res.status(422).json({
+                message: "File rejected by malware scan",
+                detail: verdict.reason || "rejected",
+                filename: f.originalname,
+              });
+            }
+          }
+        }
+      } catch (e) {
+        req.log.error("upload scan failed", { err: e });
+        return res
+          .status(503)
+          .json({ message: "File scan unavailable", detail: e.message });
+      }
+      next();
+    });
+  };
+}
+
+function uploadError(req, res, err, { field, maxBytes, maxFiles }) {
+  if (err instanceof multer.MulterError) {
+    req.log.warn("upload refused", { code: err.code, field: err.field });
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: "File too large",
+        detail: `Files may be at most ${maxBytes} bytes`,
+        limit: maxBytes,
+      });
+    }
+    if (
+      err.code === "LIMIT_FILE_COUNT" ||
+      (err.code === "LIMIT_UNEXPECTED_FILE" && err.field === field)
+    ) {
+      return res.status(400).json({
+        message: "Too many files",
+        detail: `At most ${maxFiles} file(s) in the "${field}" field`,
+        limit: maxFiles,
+      });
+    }
+    return res
+      .status(400)
+      .json({ message: "Invalid upload", detail: err.message });
+  }
+  req.log.error("upload receive failed", { err });
+  res.status(500).json({ message: "Upload failed", detail: err.message });
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  EXTENSIONS,
+  sniffMime,
+  createScanner,
+  receiveUploads,
+};
@@ -0,0 +1,340 @@
+// lib/upstream.js
+// Shared client for every Langdock call: retries with exponential backoff
+// and jitter, honours Retry-After, applies connect and first-byte timeouts,
+// and trips a per-service circuit breaker after repeated failures.
+//
+// Only GETs are retried on any transient failure. Other calls (completions
+// are POSTs) may already have run upstream, so they are retried only when
+// they never got there: a refused or timed-out connect, a 429, or a 503
+// whose Retry-After says the upstream turned them away.
+//
+// request() resolves once response headers have arrived. All retrying
+// happens before that point, so callers never see a retried response after
+// they have started streaming bytes to their own client.
+//
+// The API key comes from a key pool (see createKeyPool in lib/tenants.js):
+// a 429 parks that key and the call moves straight on to the next free key
+// in the pool before any backoff applies.
+const http = require("http");
+const https = require("https");
+const fetch = require("node-fetch");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "upstream" });
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD"]);
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ECONNECTTIMEOUT",
+  "EFIRSTBYTETIMEOUT",
+]);
+// Failures before the request was sent, safe to retry for any method
+const CONNECT_CODES = new Set(["ECONNREFUSED", "EAI_AGAIN", "ECONNECTTIMEOUT"]);
+
+function isRetryable(method, error, res) {
+  if (IDEMPOTENT_METHODS.has(method)) {
+    return error ? RETRY_CODES.has(error.code) : RETRY_STATUSES.has(res.status);
+  }
+  if (error) return CONNECT_CODES.has(error.code);
+  return (
+    res.status === 429 || (res.status === 503 && res.headers.has("retry-after"))
+  );
+}
+
+class UpstreamError extends Error {
+  constructor(
+    message,
+    { status = 502, code = "upstream_error", retryAfter } = {}
+  ) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Agent whose sockets fail with ECONNECTTIMEOUT if the TCP/TLS handshake
+// does not complete in time. Established (streaming) sockets are unaffected.
+function timedAgent(Base, connectTimeoutMs) {
+  const agent = new Base({ keepAlive: true });
+  const create = agent.createConnection.bind(agent);
+  agent.createConnection = (opts, cb) => {
+    const socket = create(opts, cb);
+    const timer = setTimeout(() => {
+      const err = new Error(`connect timeout after ${connectTimeoutMs}ms`);
+      err.code = "ECONNECTTIMEOUT";
+      socket.destroy(err);
+    }, connectTimeoutMs);
+    const clear = () => clearTimeout(timer);
+    socket.once(Base === https.Agent ? "secureConnect" : "connect", clear);
+    socket.once("close", clear);
+    return socket;
+  };
+  return agent;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- Circuit breaker (closed -> open -> half-open -> closed) ---
+function createBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openedAt = 0;
+  let trial = false;
+
+  return {
+    get state() {
+      if (failures < threshold) return "closed";
+      return Date.now() - openedAt >= cooldownMs ? "half-open" : "open";
+    },
+    // Returns ms until the breaker lets a call through, or 0 if it may pass.
+    check() {
+      const state = this.state;
+      if (state === "closed") return 0;
+      if (state === "half-open" && !trial) {
+        trial = true;
+        return 0;
+      }
+      return Math.max(1000, cooldownMs - (Date.now() - openedAt));
+    },
+    success() {
+      failures = 0;
+      trial = false;
+    },
+    failure() {
+      trial = false;
+      failures++;
+      if (failures >= threshold) openedAt = Date.now();
+    },
+    // Gives back a trial that ended with neither verdict (aborted, no key)
+    release() {
+      trial = false;
+    },
+  };
+}
+
+function createUpstream({
+  keys: defaultKeys, // pool used when a call brings none
+  baseUrl = "https://api.langdock.com",
+  retries = 2,
+  backoffMs = 250,
+  maxBackoffMs = 8000,
+  maxRetryAfterMs = 30000,
+  connectTimeoutMs = 5000,
+  firstByteTimeoutMs = 120000,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30000,
+  onAttempt, // ({ service, status, code, ms }) per attempt, for metrics
+} = {}) {
+  const agents = {
+    "http:": timedAgent(http.Agent, connectTimeoutMs),
+    "https:": timedAgent(https.Agent, connectTimeoutMs),
+  };
+  const breakers = new Map();
+
+  // One breaker per upstream service: "openai", "assistant", "attachment"...
+  function breakerFor(path) {
+    const service = path.split("/")[1] || "root";
+    if (!breakers.has(service)) {
+      breakers.set(
+        service,
+        createBreaker({
+          threshold: breakerThreshold,
+          cooldownMs: breakerCooldownMs,
+        })
+      );
+    }
+    return breakers.get(service);
+  }
+
+  async function attempt(url, opts, body, apiKey) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), firstByteTimeoutMs);
+    const onAbort = () => controller.abort();
+    if (opts.signal?.aborted) onAbort();
+    opts.signal?.addEventListener("abort", onAbort);
+    try {
+      const res = await fetch(url, {
+        method: opts.method || "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          ...opts.headers,
+          // multipart bodies carry their own boundary header
+          ...(typeof body?.getHeaders === "function" ? body.getHeaders() : {}),
+        },
+        body,
+        agent: (u) => agents[u.protocol],
+        signal: controller.signal,
+      });
+      // Destroying node-fetch's body stream (client went away) does not
+      // close the upstream socket; aborting the request does.
+      res.body?.once?.("close", () => {
+        if (res.body.readableEnded) return;
+        // the abort re-emits an error on the already closed body
+        res.body.removeAllListeners("error").on("error", () => {});
+        controller.abort();
+      });
+      return res;
+    } catch (err) {
+      if (err.name === "AbortError" && !opts.signal?.aborted) {
+        const e = new Error(`no response within ${firstByteTimeoutMs}ms`);
+        e.code = "EFIRSTBYTETIMEOUT";
+        throw e;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      opts.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // path: e.g. "/assistant/v1/chat/completions"
+  // opts: { method, headers, body, signal, retry, label, log, keys, baseUrl }
+  //   body may be a function returning a fresh body per attempt (streams,
+  //   FormData); retry: false disables retries for that call; keys is the
+  //   caller's tenant key pool; baseUrl overrides the default per call.
+  async function request(path, opts = {}) {
+    const url = (opts.baseUrl || baseUrl).replace(/\/+$/, "") + path;
+    const label = opts.label || path;
+    const breaker = breakerFor(path);
+    const method = (opts.method || "POST").toUpperCase();
+    const maxAttempts = opts.retry === false ? 1 : retries + 1;
+    const keys = opts.keys || defaultKeys;
+    let rotations = 0;
+
+    // a half-open breaker lets this call through as its one trial
+    const probing = breaker.state === "half-open";
+    const wait = breaker.check();
+    if (wait) {
+      throw new UpstreamError("Langdock upstream unavailable (circuit open)", {
+        status: 503,
+        code: "circuit_open",
+        retryAfter: Math.ceil(wait / 1000),
+      });
+    }
+
+    try {
+      for (let i = 1; ; i++) {
+        const apiKey = keys?.pick();
+        if (!apiKey) {
+          throw new UpstreamError("No Langdock API key configured", {
+            status: 503,
+            code: "no_upstream_key",
+          });
+        }
+        const body = typeof opts.body === "function" ? opts.body() : opts.body;
+        let res = null;
+        let error = null;
+        const started = Date.now();
+        try {
+          res = await attempt(url, opts, body, apiKey);
+        } catch (err) {
+          if (opts.signal?.aborted) throw err;
+          error = err;
+        }
+        onAttempt?.({
+          service: path.split("/")[1] || "root",
+          status: res?.status,
+          code: error?.code,
+          ms: Date.now() - started,
+        });
+
+        // Rate-limited key: park it and try another one right away
+        if (res?.status === 429 && keys.size > 1) {
+          const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+          keys.rateLimited(apiKey, retryAfter ?? undefined);
+          if (rotations < keys.size - 1 && keys.available()) {
+            rotations++;
+            i--; // not a retry
+            (opts.log || log).warn("upstream key rate-limited, rotating", {
+              label,
+              available: keys.available(),
+            });
+            res.body?.resume?.();
+            continue;
+          }
+        }
+
+        if (!isRetryable(method, error, res)) {
+          // 4xx is the caller's problem, not an upstream outage
+          if (error || res.status >= 500) breaker.failure();
+          else breaker.success();
+          if (error) {
+            throw new UpstreamError(`${label} failed: ${error.message}`, {
+              code: error.code || "upstream_error",
+            });
+          }
+          return res;
+        }
+
+        let delay = Math.min(maxBackoffMs, backoffMs * 2 ** (i - 1));
+        delay = Math.round(delay / 2 + Math.random() * (delay / 2));
+        const retryAfter =
+          res && parseRetryAfter(res.headers.get("retry-after"));
+        if (retryAfter != null) delay = retryAfter;
+
+        if (i >= maxAttempts || delay > maxRetryAfterMs) {
+          breaker.failure();
+          if (error) {
+            throw new UpstreamError(`${label} failed: ${error.message}`, {
+              code: error.code,
+            });
+          }
+          return res;
+        }
+
+        (opts.log || log).warn("upstream retry", {
+          label,
+          reason: error ? error.code : res.status,
+          attempt: i,
+          of: maxAttempts - 1,
+          delayMs: delay,
+        });
+        if (res) res.body?.resume?.();
+        await sleep(delay);
+      }
+    } finally {
+      // success() and failure() settle the trial; anything else gives it back
+      if (probing) breaker.release();
+    }
+  }
+
+  return { request, breakerFor };
+}
+
+// Report an upstream failure to the client: JSON if nothing has been sent
+// yet, otherwise an SSE error frame on the already-open stream.
+function sendUpstreamError(res, err, fallback = "Upstream request failed") {
+  const status = err.status || 500;
+  const payload = {
+    error: err.code || "upstream_error",
+    detail: err.message || fallback,
+  };
+  if (err.retryAfter) payload.retryAfter = err.retryAfter;
+
+  if (!res.headersSent) {
+    if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(status).json(payload);
+  }
+  try {
+    res.write(
+      `event: error\ndata: ${JSON.stringify({ status, ...payload })}\n\n`
+    );
+    res.end();
+  } catch {}
+}
+
+module.exports = { createUpstream, sendUpstreamError, UpstreamError };
@@ -0,0 +1,337 @@
+// lib/websocket.js
+// WebSocket transport for streaming completions (GET /ws upgrade). One
+// socket carries any number of concurrent requests, each tagged with a
+// client-chosen id:
+//
+//   -> { "id": "r1", "type": "chat", "body": { ...chat body }, "region": "eu" }
+//   -> { "id": "r2", "type": "assistant", "body": { "assistantId": ..., ... } }
+//   -> { "id": "r1", "type": "cancel" }
+//   <- { "id": "r1", "type": "chunk", "data": { ...chat.completion.chunk } }
+//   <- { "id": "r1", "type": "event", "event": "tool", "data": { ... } }
+//   <- { "id": "r1", "type": "done" }
+//   <- { "id": "r1", "type": "cancelled" }
+//   <- { "id": "r1", "type": "error", "status": 403, "error": { ... } }
+//
+// The key is checked once, at the upgrade. Each request then runs the
+// /chat/completions or /assistant?format=openai handlers in-process
+// (dispatch, see app.js) against a stand-in response that turns their SSE
+// output into messages, so auth scopes, quotas, guardrails, templates,
+// tools and model routing behave exactly as they do over SSE. Browsers
+// cannot set headers on a WebSocket, so the key may also come as
+// ?api_key=.
+//
+// Framing, ping/pong and close are the ws package's. A client that leaves
+// more than maxBufferedBytes of output unread is disconnected rather than
+// buffered for without bound.
+const { EventEmitter } = require("events");
+const { WebSocket, WebSocketServer } = require("ws");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "websocket" });
+
+// What each message type runs as; both stream chat chunks
+const ROUTES = {
+  chat: { path: "/chat/completions", query: {} },
+  assistant: { path: "/assistant", query: { format: "openai" } },
+};
+// Caller headers the handlers get to see (the origin was already checked
+// at the upgrade and may pick the tenant)
+const FORWARD_HEADERS = ["origin", "x-user-email", "x-session-id"];
+
+// Answers a bad upgrade with a plain HTTP response and drops the socket
+function rejectUpgrade(socket, status, body) {
+  const json = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${status === 404 ? "Not Found" : "Rejected"}\r\n` +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(json)}\r\n` +
+      "Connection: close\r\n\r\n" +
+      json
+  );
+}
+
+// Splits SSE output into { event, data } blocks as it arrives; comments,
+// ids and retry hints are dropped
+function createSSEParser(onBlock) {
+  let carry = "";
+  return (text) => {
+    const blocks = (carry + text).split(/\r?\n\r?\n/);
+    carry = blocks.pop() ?? "";
+    for (const block of blocks) {
+      let event = null;
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      }
+      if (data.length) onBlock({ event, data: data.join("\n") });
+    }
+  };
+}
+
+// As much of an Express response as the completion handlers use. SSE
+// output goes to onEvent block by block, anything else is kept as the
+// body; onEnd({ status, body }) runs once the handler ends it. abort() is
+// the client going away: "close" without an end.
+function createMessageResponse(req, { onEvent, onEnd }) {
+  const res = new EventEmitter();
+  const headers = new Map();
+  const parse = createSSEParser(onEvent);
+  let sse = false;
+  let body = "";
+
+  return Object.assign(res, {
+    req,
+    statusCode: 200,
+    headersSent: false,
+    writableEnded: false,
+    writableFinished: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+      return res;
+    },
+    getHeader: (name) => headers.get(name.toLowerCase()),
+    removeHeader: (name) => headers.delete(name.toLowerCase()),
+    type: (value) => res.setHeader("Content-Type", value),
+    flushHeaders() {
+      if (res.headersSent) return;
+      res.headersSent = true;
+      sse = /event-stream/.test(res.getHeader("Content-Type") || "");
+    },
+    flush() {},
+    write(chunk) {
+      if (res.writableEnded) return false;
+      res.flushHeaders();
+      const text = Buffer.isBuffer(chunk) ? chunk.toString("utf8") : chunk;
+      if (sse) parse(text);
+      else body += text;
+      return true;
+    },
+    end(chunk) {
+      if (res.writableEnded) return res;
+      if (chunk) res.write(chunk);
+      res.flushHeaders();
+      res.writableEnded = true;
+      res.writableFinished = true;
+      onEnd({ status: res.statusCode, body });
+      res.emit("finish");
+      res.emit("close");
+      return res;
+    },
+    send: (text) => res.end(text),
+    json(value) {
+      if (!res.getHeader("Content-Type")) {
+        res.setHeader("Content-Type", "application/json");
+      }
+      return res.end(JSON.stringify(value));
+    },
+    abort() {
+      if (res.writableEnded) return;
+      res.writableEnded = true;
+      res.emit("close");
+    },
+  });
+}
+
+const parseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// authenticate(req) resolves null to accept or { status, body } to refuse;
+// allowOrigin(origin) says whether a browser origin may connect.
+// dispatch(req, res) runs a request's route handlers; cancelStream(id, req)
+// stops a resumable stream one of them opened (lib/streams.js).
+function createWebSocketGateway({
+  authenticate,
+  allowOrigin,
+  dispatch,
+  cancelStream,
+  maxMessageBytes = 20 * 1024 * 1024,
+  maxConcurrent = 8,
+  maxBufferedBytes = 4 * 1024 * 1024,
+  pingMs = 30000,
+}) {
+  const server = new WebSocketServer({
+    noServer: true,
+    maxPayload: maxMessageBytes,
+    perMessageDeflate: false,
+  });
+
+  async function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/ws") {
+      return rejectUpgrade(socket, 404, { error: "Not found" });
+    }
+    const origin = req.headers.origin;
+    if (origin && !allowOrigin(origin)) {
+      log.warn("websocket origin rejected", { origin });
+      return rejectUpgrade(socket, 403, {
+        error: "forbidden",
+        detail: `Origin ${origin} not allowed by CORS`,
+      });
+    }
+    req.path = url.pathname;
+    req.query = Object.fromEntries(url.searchParams);
+    const refused = await authenticate(req);
+    if (refused) return rejectUpgrade(socket, refused.status, refused.body);
+
+    // ws answers malformed handshakes (version, key) with a 400 itself
+    server.handleUpgrade(req, socket, head, (ws) => serve(ws, req));
+  }
+
+  function serve(ws, upgrade) {
+    const inflight = new Map(); // id -> { req, res, aborted }
+    const connLog = log.child({ key: upgrade.clientKey?.id });
+    const headers = {};
+    for (const name of FORWARD_HEADERS) {
+      if (upgrade.headers[name]) headers[name] = upgrade.headers[name];
+    }
+
+    // Output the client does not read stays queued in the socket; past the
+    // limit the connection is dropped (and its requests stopped, below)
+    const send = (msg) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      ws.send(JSON.stringify(msg));
+      if (ws.bufferedAmount > maxBufferedBytes) {
+        connLog.warn("websocket client too slow, disconnecting", {
+          buffered: ws.bufferedAmount,
+        });
+        ws.terminate();
+      }
+    };
+
+    let alive = true;
+    ws.on("pong", () => (alive = true));
+    const ping = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, pingMs);
+    ping.unref();
+
+    // Streams outlive a dropped client on purpose, so stopping one means
+    // cancelling it by id, not just hanging up
+    function stop(request) {
+      request.aborted = true;
+      const streamId = request.res.getHeader("X-Stream-Id");
+      if (streamId) cancelStream(streamId, request.req);
+      request.res.abort();
+    }
+
+    function run(id, msg) {
+      const route = ROUTES[msg.type];
+      const query = { ...route.query };
+      if (msg.type === "chat" && msg.region) query.region = String(msg.region);
+      const req = {
+        method: "POST",
+        url: route.path,
+        path: route.path,
+        query,
+        params: {},
+        headers: { ...headers },
+        body: { ...msg.body, stream: true },
+        protocol: upgrade.socket.encrypted ? "https" : "http",
+        get: (name) => upgrade.headers[name.toLowerCase()],
+        clientKey: upgrade.clientKey,
+        tenant: upgrade.tenant,
+      };
+      const request = { req, aborted: false };
+      request.res = createMessageResponse(req, {
+        onEvent({ event, data }) {
+          if (request.aborted || data === "[DONE]") return;
+          if (event) {
+            send({ id, type: "event", event, data: parseJSON(data) });
+          } else {
+            send({ id, type: "chunk", data: parseJSON(data) });
+          }
+        },
+        onEnd({ status, body }) {
+          if (inflight.get(id) === request) inflight.delete(id);
+          if (request.aborted) return;
+          if (status >= 400) {
+            send({ id, type: "error", status, error: parseJSON(body) });
+          } else {
+            send({ id, type: "done" });
+          }
+        },
+      });
+      inflight.set(id, request);
+      try {
+        dispatch(req, request.res);
+      } catch (err) {
+        connLog.error("websocket request failed", { id, err });
+        request.res
+          .status(500)
+          .json({ error: "Stream proxy failed", detail: err.message });
+      }
+    }
+
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) return ws.close(1003, "Text messages only");
+      const msg = parseJSON(data.toString("utf8"));
+      const id = typeof msg?.id === "string" ? msg.id : null;
+      const fail = (status, error, detail) =>
+        send({ id, type: "error", status, error: { error, detail } });
+      if (!id) return fail(400, "bad_request", "Messages need a string id");
+
+      if (msg.type === "cancel") {
+        const request = inflight.get(id);
+        if (!request) return fail(404, "not_found", `No request ${id}`);
+        inflight.delete(id);
+        stop(request);
+        return send({ id, type: "cancelled" });
+      }
+      if (!ROUTES[msg.type]) {
+        return fail(
+          400,
+          "bad_request",
+          'type must be "chat", "assistant" or "cancel"'
+        );
+      }
+      if (!msg.body || typeof msg.body !== "object") {
+        return fail(400, "bad_request", "body must be an object");
+      }
+      if (inflight.has(id)) {
+        return fail(409, "conflict", `Request ${id} is already running`);
+      }
+      if (inflight.size >= maxConcurrent) {
+        return fail(
+          429,
+          "too_many_requests",
+          `At most ${maxConcurrent} concurrent requests per socket`
+        );
+      }
+      run(id, msg);
+    });
+
+    // protocol errors (oversized or malformed frames) close the socket too
+    ws.on("error", (err) => connLog.warn("websocket error", { err }));
+    ws.on("close", () => {
+      clearInterval(ping);
+      for (const request of inflight.values()) stop(request);
+      inflight.clear();
+    });
+  }
+
+  return {
+    handleUpgrade: (req, socket, head) =>
+      handleUpgrade(req, socket, head).catch((err) => {
+        log.error("websocket upgrade failed", { err });
+        socket.destroy();
+      }),
+    // Closes every open socket (1001 "going away"), e.g. on shutdown
+    close() {
+      for (const ws of server.clients) ws.close(1001, "Server shutting down");
+    },
+  };
+}
+
+module.exports = { createWebSocketGateway };
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// scripts/keys.js — manage proxy client keys
+//
+//   node scripts/keys.js create <id> [--name "Team"] [--routes a,b]
+//                                    [--assistants a,b] [--regions eu,us]
+//                                    [--models fast,gpt-4o*]
+//                                    [--tools lookup_order,crm_*]
+//                                    [--templates support-*]
+//                                    [--collections handbook*]
+//                                    [--locked-template support]
+//                                    [--guardrails strict] [--admin]
+//   node scripts/keys.js list
+//   node scripts/keys.js revoke <id>
+//
+// The plaintext key is printed once on create; only its hash is stored.
+const {
+  generateKey,
+  hashKey,
+  readKeyFile,
+  writeKeyFile,
+} = require("../lib/auth");
+
+const KEYS_FILE = process.env.PROXY_KEYS_FILE || "keys.json";
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) positional.push(a);
+    else if (argv[i + 1] === undefined || argv[i + 1].startsWith("--")) {
+      flags[a.slice(2)] = true; // a switch such as --admin
+    } else flags[a.slice(2)] = argv[++i];
+  }
+  return { positional, flags };
+}
+
+const list = (s) =>
+  s === undefined
+    ? undefined
+    : s
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean);
+
+function main() {
+  const [cmd, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  const data = readKeyFile(KEYS_FILE);
+  data.keys = data.keys || [];
+
+  switch (cmd) {
+    case "create": {
+      const id = positional[0];
+      if (!id) throw new Error("Usage: keys.js create <id>");
+      if (data.keys.some((k) => k.id === id)) {
+        throw new Error(`Key "${id}" already exists (revoke it first)`);
+      }
+      const secret = generateKey();
+      data.keys.push({
+        id,
+        name: flags.name || id,
+        hash: hashKey(secret),
+        routes: list(flags.routes),
+        assistants: list(flags.assistants),
+        regions: list(flags.regions),
+        models: list(flags.models),
+        tools: list(flags.tools),
+        templates: list(flags.templates),
+        collections: list(flags.collections),
+        lockedTemplate: flags["locked-template"],
+        guardrails: flags.guardrails,
+        admin: flags.admin === true || undefined,
+        createdAt: new Date().toISOString(),
+      });
+      writeKeyFile(KEYS_FILE, data);
+      console.log(secret);
+      return;
+    }
+    case "list":
+      for (const k of data.keys) {
+        console.log(
+          [
+            k.id,
+            k.revoked ? "revoked" : "active",
+            k.routes ? `routes=${k.routes.join(",")}` : "",
+            k.assistants ? `assistants=${k.assistants.join(",")}` : "",
+            k.regions ? `regions=${k.regions.join(",")}` : "",
+            k.models ? `models=${k.models.join(",")}` : "",
+            k.tools ? `tools=${k.tools.join(",")}` : "",
+            k.templates ? `templates=${k.templates.join(",")}` : "",
+            k.collections ? `collections=${k.collections.join(",")}` : "",
+            k.lockedTemplate ? `locked-template=${k.lockedTemplate}` : "",
+            k.guardrails ? `guardrails=${k.guardrails}` : "",
+            k.admin ? "admin" : "",
+          ]
+            .filter(Boolean)
+            .join("\t")
+        );
+      }
+      return;
+    case "revoke": {
+      const key = data.keys.find((k) => k.id === positional[0]);
+      if (!key) throw new Error(`No key "${positional[0]}"`);
+      key.revoked = true;
+      key.revokedAt = new Date().toISOString();
+      writeKeyFile(KEYS_FILE, data);
+      console.log(`revoked ${key.id}`);
+      return;
+    }
+    default:
+      throw new Error("Usage: keys.js <create|list|revoke> ...");
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
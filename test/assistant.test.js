@@ -0,0 +1,145 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy, parseSSE } = require("./helpers");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy();
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const ASSISTANT_ID = "0b6f6c1e-6b7a-4c3e-9d2f-3f1a2b4c5d6e";
+const messages = [{ role: "user", content: "hi" }];
+
+test("POST /assistant relays the 0:/2: framing inside an SSE response", async () => {
+  const res = await proxy.post("/assistant", {
+    assistantId: ASSISTANT_ID,
+    messages,
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  const text = await res.text();
+  assert.match(text, /0:"Hello "\n/);
+  assert.match(text, /2:\[\{"type":"status"/);
+  assert.match(text, /0:"world"\n/);
+  assert.match(text, /:done\n\n$/);
+  assert.equal(proxy.mock.requests[0].body.stream, true);
+});
+
+test("POST /assistant?format=openai emits chat.completion.chunk frames", async () => {
+  const res = await proxy.post("/assistant?format=openai", {
+    assistantId: ASSISTANT_ID,
+    messages,
+  });
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const chunks = sse.data.slice(0, -1).map((d) => JSON.parse(d));
+  assert.ok(chunks.every((c) => c.object === "chat.completion.chunk"));
+  const content = chunks
+    .map((c) => c.choices[0]?.delta?.content || "")
+    .join("");
+  assert.equal(content, "Hello world");
+  assert.equal(chunks.at(-1).usage.total_tokens, 8);
+});
+
+test("POST /assistant forwards upstream errors before streaming", async () => {
+  const res = await proxy.post("/assistant", {
+    assistantId: ASSISTANT_ID,
+    mock: "error-404",
+    messages,
+  });
+  assert.equal(res.status, 404);
+});
+
+test("POST /assistant keeps a slow stream alive with heartbeats", async () => {
+  const res = await proxy.post("/assistant", {
+    assistantId: ASSISTANT_ID,
+    mock: "slow",
+    messages,
+  });
+  const sse = parseSSE(await res.text());
+  assert.ok(sse.comments.includes("hb"));
+  assert.equal(sse.comments.at(-1), "done");
+});
+
+test("POST /assistant stops reading upstream once a client stays away", async () => {
+  const controller = new AbortController();
+  const res = await proxy.fetch("/assistant", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ assistantId: ASSISTANT_ID, mock: "slow", messages }),
+    signal: controller.signal,
+  });
+  await res.body.getReader().read();
+  controller.abort();
+  await new Promise((r) => setTimeout(r, 400)); // past STREAM_GRACE_MS
+  assert.equal(proxy.mock.requests[0].closedEarly, true);
+});
+
+test("POST /assistant-json returns the upstream JSON", async () => {
+  const res = await proxy.post("/assistant-json", {
+    assistantId: ASSISTANT_ID,
+    messages,
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).result[0].content, "Hello world");
+  assert.equal(proxy.mock.requests[0].body.stream, false);
+});
+
+test("GET /assistant-stream rejects a non-UUID assistantId", async () => {
+  const q = encodeURIComponent(JSON.stringify({ assistantId: "nope" }));
+  const res = await proxy.fetch(`/assistant-stream?q=${q}`);
+  assert.equal(res.status, 400);
+});
+
+test("GET /assistant-stream re-frames upstream lines as SSE data", async () => {
+  const q = encodeURIComponent(
+    JSON.stringify({ assistantId: ASSISTANT_ID, messages })
+  );
+  const res = await proxy.fetch(`/assistant-stream?q=${q}`);
+  const sse = parseSSE(await res.text());
+  assert.deepEqual(sse.data.slice(0, 3), [
+    '0:"Hello "',
+    '2:[{"type":"status","value":"thinking"}]',
+    '0:"world"',
+  ]);
+  assert.match(sse.data[3], /^d:/);
+  assert.equal(sse.comments.at(-1), "done");
+});
+
+test("GET /assistant-stream reports upstream failures as an error event", async () => {
+  const q = encodeURIComponent(
+    JSON.stringify({ assistantId: ASSISTANT_ID, mock: "error-500", messages })
+  );
+  const res = await proxy.fetch(`/assistant-stream?q=${q}`);
+  assert.equal(res.status, 200); // headers were already sent
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.events[0].event, "error");
+  assert.equal(JSON.parse(sse.events[0].data).status, 500);
+});
+
+test("GET /assistant-stream ends cleanly when upstream drops mid-stream", async () => {
+  const q = encodeURIComponent(
+    JSON.stringify({ assistantId: ASSISTANT_ID, mock: "disconnect", messages })
+  );
+  const res = await proxy.fetch(`/assistant-stream?q=${q}`);
+  const text = await res.text();
+  assert.match(text, /data: 0:"Hello "/);
+  assert.doesNotMatch(text, /:done/);
+});
+
+test("GET /assistant/:assistantId proxies assistant details", async () => {
+  const ok = await proxy.fetch(`/assistant/${ASSISTANT_ID}`);
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).assistant.id, ASSISTANT_ID);
+  const missing = await proxy.fetch("/assistant/missing");
+  assert.equal(missing.status, 404);
+});
+
+test("GET /debug-sse streams ten numbered frames", async () => {
+  const res = await proxy.fetch("/debug-sse");
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.data.length, 10);
+  assert.match(sse.data[9], /^10 @ \d+ms$/);
+});
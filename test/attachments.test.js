@@ -0,0 +1,159 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, writeKeys, tmpDir } = require("./helpers");
+const {
+  createFileAttachmentStore,
+  createRetentionJob,
+} = require("../lib/attachments");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(tmpDir(), [
+      { id: "alice", secret: "ldp_alice" },
+      { id: "bob", secret: "ldp_bob" },
+    ]),
+  });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const as = (who) => ({ Authorization: `Bearer ldp_${who}` });
+
+function upload(who, filename, data, userEmail) {
+  const form = new FormData();
+  if (userEmail) form.append("userEmail", userEmail);
+  form.append("file", new Blob([data], { type: "text/plain" }), filename);
+  return proxy.fetch("/upload", {
+    method: "POST",
+    body: form,
+    headers: as(who),
+  });
+}
+
+test("uploads are registered and listed per key", async () => {
+  const res = await upload("alice", "a.txt", "alpha", "a@example.com");
+  assert.equal(res.status, 200);
+  const { attachmentId } = await res.json();
+
+  const list = await (
+    await proxy.fetch("/attachments?user=a@example.com", {
+      headers: as("alice"),
+    })
+  ).json();
+  const entry = list.attachments.find((a) => a.id === attachmentId);
+  assert.equal(entry.filename, "a.txt");
+  assert.equal(entry.kind, "attachment");
+  assert.equal(entry.size, 5);
+  assert.match(entry.sha256, /^[0-9a-f]{64}$/);
+  assert.equal(entry.keyId, undefined);
+
+  const one = await proxy.fetch(`/attachments/${attachmentId}`, {
+    headers: as("alice"),
+  });
+  assert.equal((await one.json()).userEmail, "a@example.com");
+
+  const other = await proxy.fetch(`/attachments/${attachmentId}`, {
+    headers: as("bob"),
+  });
+  assert.equal(other.status, 404);
+});
+
+test("identical content is deduplicated per key", async () => {
+  const first = await (await upload("alice", "b.txt", "same bytes")).json();
+  const again = await (await upload("alice", "copy.txt", "same bytes")).json();
+  assert.equal(again.attachmentId, first.attachmentId);
+  assert.equal(again.deduplicated, true);
+  assert.equal(proxy.mock.requests.length, 1);
+
+  // another key never sees alice's files
+  await upload("bob", "b.txt", "same bytes");
+  assert.equal(proxy.mock.requests.length, 2);
+});
+
+test("DELETE /attachments/:id removes the record", async () => {
+  const { attachmentId } = await (
+    await upload("bob", "gone.txt", "delete me")
+  ).json();
+  const del = await proxy.fetch(`/attachments/${attachmentId}`, {
+    method: "DELETE",
+    headers: as("bob"),
+  });
+  assert.equal(del.status, 204);
+  const gone = await proxy.fetch(`/attachments/${attachmentId}`, {
+    headers: as("bob"),
+  });
+  assert.equal(gone.status, 404);
+
+  // the next identical upload goes to Langdock again
+  await upload("bob", "gone.txt", "delete me");
+  assert.equal(proxy.mock.requests.length, 2);
+});
+
+test("the retention job purges expired records", async () => {
+  const dir = tmpDir();
+  try {
+    const store = createFileAttachmentStore(path.join(dir, "a.json"));
+    const day = 24 * 60 * 60 * 1000;
+    await store.put({
+      id: "old",
+      kind: "image",
+      blobName: "x",
+      createdAt: new Date(Date.now() - 3 * day).toISOString(),
+    });
+    await store.put({
+      id: "new",
+      kind: "attachment",
+      createdAt: new Date().toISOString(),
+    });
+    const purged = [];
+    const job = createRetentionJob({
+      store,
+      retentionMs: day,
+      purge: async (r) => purged.push(r.id),
+      log: { info() {}, warn() {}, error() {} },
+    });
+    assert.equal(await job.run(), 1);
+    assert.deepEqual(purged, ["old"]);
+    assert.deepEqual(
+      (await store.list()).map((r) => r.id),
+      ["new"]
+    );
+
+    // survives a restart
+    const reopened = createFileAttachmentStore(path.join(dir, "a.json"));
+    assert.ok(await reopened.get("new"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the file store writes again after a failed write", async () => {
+  const dir = tmpDir();
+  try {
+    const file = path.join(dir, "a.json");
+    const store = createFileAttachmentStore(file);
+    const record = (id) => ({
+      id,
+      kind: "attachment",
+      createdAt: "2024-01-01",
+    });
+    // a directory where the temp file goes makes the next write fail
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(tmp);
+    await assert.rejects(store.put(record("lost")));
+    fs.rmdirSync(tmp);
+
+    await store.put(record("kept"));
+    const reopened = createFileAttachmentStore(file);
+    assert.deepEqual((await reopened.list()).map((r) => r.id).sort(), [
+      "kept",
+      "lost",
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
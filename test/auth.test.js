@@ -0,0 +1,127 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startProxy, writeKeys, tmpDir } = require("./helpers");
+const { createMemoryStore } = require("../lib/quota");
+
+const ASSISTANT_ID = "0b6f6c1e-6b7a-4c3e-9d2f-3f1a2b4c5d6e";
+const KEYS = [
+  { id: "full", secret: "ldp_full" },
+  { id: "ops", secret: "ldp_ops", admin: true },
+  {
+    id: "scoped",
+    secret: "ldp_scoped",
+    routes: ["/chat/completions", "/quota"],
+    regions: ["eu"],
+    models: ["gpt-4o*"],
+  },
+  { id: "old", secret: "ldp_old", revoked: true },
+  { id: "limited", secret: "ldp_limited", limits: { rpm: 1 } },
+];
+
+let proxy;
+let dir;
+before(async () => {
+  dir = tmpDir();
+  proxy = await startProxy({
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(dir, KEYS),
+  });
+});
+after(async () => {
+  await proxy.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const chat = (headers, query = "", model = "gpt-4o") =>
+  proxy.post(
+    `/v1/chat/completions${query}`,
+    { model, messages: [{ role: "user", content: "hi" }] },
+    headers
+  );
+
+test("missing, unknown and revoked keys get 401", async () => {
+  for (const headers of [
+    {},
+    { Authorization: "Bearer ldp_nope" },
+    { Authorization: "Bearer ldp_old" },
+  ]) {
+    const res = await proxy.post("/assistant-json", {}, headers);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error, "unauthorized");
+  }
+});
+
+test("keys are accepted as Bearer or x-api-key", async () => {
+  assert.equal((await chat({ Authorization: "Bearer ldp_full" })).status, 200);
+  assert.equal((await chat({ "x-api-key": "ldp_full" })).status, 200);
+});
+
+test("?api_key= is only honoured on GET", async () => {
+  const q = encodeURIComponent(JSON.stringify({ assistantId: ASSISTANT_ID }));
+  const get = await proxy.fetch(`/assistant-stream?q=${q}&api_key=ldp_full`);
+  assert.equal(get.status, 200);
+  await get.text();
+  const post = await proxy.post("/assistant-json?api_key=ldp_full", {});
+  assert.equal(post.status, 401);
+});
+
+test("route, region and model scopes are enforced", async () => {
+  const h = { Authorization: "Bearer ldp_scoped" };
+  assert.equal((await chat(h)).status, 200);
+  assert.equal((await chat(h, "?region=us")).status, 403);
+  assert.equal((await chat(h, "", "claude-3")).status, 403);
+  const other = await proxy.post("/assistant-json", {}, h);
+  assert.equal(other.status, 403);
+  assert.match((await other.json()).detail, /not allowed/);
+});
+
+test("GET /quota reports the caller's budget", async () => {
+  const res = await proxy.fetch("/quota", {
+    headers: { Authorization: "Bearer ldp_scoped" },
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.key, "scoped");
+});
+
+test("only admin keys may read another user's quota", async () => {
+  let res = await proxy.fetch("/quota?user=someone@example.com", {
+    headers: { Authorization: "Bearer ldp_full" },
+  });
+  assert.equal(res.status, 403);
+  res = await proxy.fetch("/quota?user=someone@example.com", {
+    headers: { Authorization: "Bearer ldp_ops" },
+  });
+  assert.equal(res.status, 200);
+  const { quota } = await res.json();
+  assert.deepEqual(
+    quota.map((s) => s.subject),
+    ["key:ops", "user:someone@example.com"]
+  );
+});
+
+test("the memory quota store drops expired counters as it goes", () => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  try {
+    const store = createMemoryStore();
+    for (let minute = 0; minute < 5; minute++) {
+      mock.timers.tick(60 * 1000);
+      const resetAt = Date.now() + 60 * 1000;
+      store.incr(`rpm:key:a:${minute}`, 1, resetAt);
+      store.incr(`rpm:user:b:${minute}`, 1, resetAt);
+    }
+    assert.ok(store.entries.size <= 4, `${store.entries.size} entries`);
+    assert.equal(store.get("rpm:key:a:4"), 1);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("per-key rpm limits answer 429 with Retry-After", async () => {
+  const h = { Authorization: "Bearer ldp_limited" };
+  assert.equal((await chat(h)).status, 200);
+  const res = await chat(h);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) >= 1);
+});
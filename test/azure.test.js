@@ -0,0 +1,109 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startProxy } = require("./helpers");
+const { createBlobStorage } = require("../lib/azure");
+const { ACCOUNT, KEY, startFakeBlobService } = require("./fake-blob");
+
+let azure;
+let proxy;
+before(async () => {
+  azure = await startFakeBlobService();
+  proxy = await startProxy({
+    ...azure.config(),
+    AZURE_IMAGES_CONTAINER: "vision",
+    IMAGE_URL_SECRET: "s3cret",
+  });
+});
+after(async () => {
+  await proxy.close();
+  await azure.close();
+});
+
+async function uploadImage(width) {
+  const png = await sharp({
+    create: { width, height: 4, channels: 3, background: "#123" },
+  })
+    .png()
+    .toBuffer();
+  const form = new FormData();
+  form.append("file", new Blob([png], { type: "image/png" }), "pic.png");
+  const res = await proxy.fetch("/upload-image", {
+    method: "POST",
+    body: form,
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test("account URL + key selects shared-key auth and default containers", () => {
+  const storage = createBlobStorage({
+    AZURE_STORAGE_ACCOUNT_URL: azure.url,
+    AZURE_STORAGE_ACCOUNT_KEY: KEY,
+  });
+  assert.equal(storage.auth, "account-key");
+  assert.equal(storage.containerName("images"), "images");
+  assert.equal(storage.containerName("logs"), "logs");
+  assert.equal(createBlobStorage({}).configured, false);
+});
+
+test("a pre-issued SAS token cannot sign new URLs", async () => {
+  const storage = createBlobStorage({
+    AZURE_STORAGE_ACCOUNT_URL: azure.url,
+    AZURE_STORAGE_SAS_TOKEN: "?sv=2024-01-01&sig=abc",
+  });
+  assert.equal(storage.canSign, false);
+  assert.equal(await storage.signUrl("images", "x.png"), null);
+});
+
+test("images go to their own container with SAS and proxy URLs", async () => {
+  const body = await uploadImage(8);
+  assert.match(body.blobName, /^\d{4}-\d{2}-\d{2}\/\d+-[a-z0-9]+\.png$/);
+  assert.ok(azure.blobs.has(`vision/${body.blobName}`));
+  assert.ok(!azure.containers.has("logs"));
+
+  const sas = new URL(body.url);
+  assert.equal(sas.pathname, `/${ACCOUNT}/vision/${body.blobName}`);
+  assert.equal(sas.searchParams.get("sp"), "r");
+  assert.ok(sas.searchParams.get("sig"));
+  assert.match(body.proxyUrl, /\/images\/.+\?sig=/);
+});
+
+test("GET /images/:blobName redirects to a fresh short-lived SAS", async () => {
+  const { proxyUrl, blobName } = await uploadImage(9);
+  const res = await fetch(proxyUrl, { redirect: "manual" });
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get("location"));
+  assert.equal(location.pathname, `/${ACCOUNT}/vision/${blobName}`);
+  const expires = new Date(location.searchParams.get("se"));
+  assert.ok(expires - Date.now() <= 15 * 60 * 1000);
+});
+
+test("GET /images/:blobName checks the signature", async () => {
+  const { blobName } = await uploadImage(10);
+  const path = `/images/${encodeURIComponent(blobName)}`;
+  const bad = await proxy.fetch(`${path}?sig=nope`, { redirect: "manual" });
+  assert.equal(bad.status, 403);
+  const missing = await proxy.fetch("/images/2020-01-01%2F1-abc.png");
+  assert.equal(missing.status, 404);
+});
+
+test("IMAGE_SERVE_MODE=stream streams the blob", async () => {
+  const streaming = await startProxy({
+    ...azure.config(),
+    AZURE_IMAGES_CONTAINER: "vision",
+    IMAGE_SERVE_MODE: "stream",
+  });
+  try {
+    const { blobName } = await uploadImage(11);
+    const res = await streaming.fetch(
+      `/images/${encodeURIComponent(blobName)}`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/png");
+    const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+    assert.equal(meta.width, 11);
+  } finally {
+    await streaming.close();
+  }
+});
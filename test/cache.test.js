@@ -0,0 +1,171 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, writeKeys, tmpDir, parseSSE, sleep } = require("./helpers");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({
+    RESPONSE_CACHE: "memory",
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(tmpDir(), [
+      { id: "alice", secret: "ldp_alice" },
+      { id: "bob", secret: "ldp_bob" },
+    ]),
+  });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const as = (who) => ({ Authorization: `Bearer ldp_${who}` });
+const ask = (content, extra = {}) => ({
+  model: "gpt-4o",
+  temperature: 0,
+  messages: [{ role: "user", content }],
+  ...extra,
+});
+const chats = (mock) =>
+  mock.requests.filter((r) => r.path.endsWith("/chat/completions")).length;
+
+// Non-streamed chat call -> [X-Cache, reply text]
+async function complete(target, body, headers = as("alice")) {
+  const res = await target.post("/v1/chat/completions", body, headers);
+  assert.equal(res.status, 200);
+  const data = await res.json();
+  return [res.headers.get("x-cache"), data.choices[0].message.content];
+}
+
+test("deterministic replies are served from the cache", async () => {
+  assert.deepEqual(await complete(proxy, ask("once")), [
+    "MISS",
+    "Hello from gpt-4o",
+  ]);
+  assert.deepEqual(await complete(proxy, ask("once")), [
+    "HIT",
+    "Hello from gpt-4o",
+  ]);
+  assert.equal(chats(proxy.mock), 1);
+});
+
+test("non-deterministic calls and no-store bypass the cache", async () => {
+  const [sampled] = await complete(proxy, ask("bypass", { temperature: 0.7 }));
+  assert.equal(sampled, "BYPASS");
+  const [stored] = await complete(proxy, ask("bypass"), {
+    ...as("alice"),
+    "Cache-Control": "no-store",
+  });
+  assert.equal(stored, "BYPASS");
+  assert.equal((await complete(proxy, ask("bypass")))[0], "MISS");
+
+  // no-cache skips the lookup but refreshes the entry
+  const [refreshed] = await complete(proxy, ask("bypass"), {
+    ...as("alice"),
+    "Cache-Control": "no-cache",
+  });
+  assert.equal(refreshed, "MISS");
+  assert.equal((await complete(proxy, ask("bypass")))[0], "HIT");
+  assert.equal(chats(proxy.mock), 4); // the last call was a hit
+
+  // X-Cache-Force caches a sampled call too
+  const force = { ...as("alice"), "X-Cache-Force": "1" };
+  const sampledBody = ask("forced", { temperature: 1 });
+  assert.equal((await complete(proxy, sampledBody, force))[0], "MISS");
+  assert.equal((await complete(proxy, sampledBody, force))[0], "HIT");
+});
+
+test("a streamed hit is replayed as SSE", async () => {
+  const stream = (content) =>
+    proxy.post("/chat/completions", ask(content), as("alice"));
+  let res = await stream("streamed");
+  assert.equal(res.headers.get("x-cache"), "MISS");
+  await res.text();
+
+  res = await stream("streamed");
+  assert.equal(res.headers.get("x-cache"), "HIT");
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const chunks = sse.data.slice(0, -1).map((d) => JSON.parse(d));
+  assert.ok(chunks.every((c) => c.object === "chat.completion.chunk"));
+  assert.equal(
+    chunks.map((c) => c.choices[0]?.delta?.content || "").join(""),
+    "Hello from gpt-4o"
+  );
+  assert.equal(chunks.at(-1).usage.total_tokens, 9);
+  assert.equal(chats(proxy.mock), 1);
+});
+
+test("entries are kept per key", async () => {
+  assert.equal((await complete(proxy, ask("mine")))[0], "MISS");
+  assert.equal((await complete(proxy, ask("mine"), as("bob")))[0], "MISS");
+  assert.equal((await complete(proxy, ask("mine"), as("bob")))[0], "HIT");
+  assert.equal(chats(proxy.mock), 2);
+});
+
+test("entries expire after the TTL", async () => {
+  const short = await startProxy({
+    RESPONSE_CACHE: "memory",
+    CACHE_TTL_SECONDS: "0.1",
+  });
+  try {
+    assert.equal((await complete(short, ask("ttl"), {}))[0], "MISS");
+    assert.equal((await complete(short, ask("ttl"), {}))[0], "HIT");
+    await sleep(150);
+    assert.equal((await complete(short, ask("ttl"), {}))[0], "MISS");
+    assert.equal(chats(short.mock), 2);
+  } finally {
+    await short.close();
+  }
+});
+
+test("the memory backend evicts the least recently used entry", async () => {
+  const small = await startProxy({
+    RESPONSE_CACHE: "memory",
+    CACHE_MAX_ENTRIES: "2",
+  });
+  try {
+    const state = async (content) =>
+      (await complete(small, ask(content), {}))[0];
+    assert.equal(await state("a"), "MISS");
+    assert.equal(await state("b"), "MISS");
+    assert.equal(await state("a"), "HIT"); // a is now the most recent
+    assert.equal(await state("c"), "MISS"); // evicts b
+    assert.equal(await state("a"), "HIT");
+    assert.equal(await state("b"), "MISS");
+  } finally {
+    await small.close();
+  }
+});
+
+test("the disk backend keeps entries across restarts", async () => {
+  const dir = tmpDir();
+  const config = { RESPONSE_CACHE: "disk", CACHE_DIR: dir };
+  try {
+    const first = await startProxy(config);
+    try {
+      assert.equal((await complete(first, ask("disk"), {}))[0], "MISS");
+      await sleep(50); // the entry is written after the reply
+      assert.equal((await complete(first, ask("disk"), {}))[0], "HIT");
+    } finally {
+      await first.close();
+    }
+    assert.equal(
+      fs.readdirSync(dir).filter((f) => path.extname(f) === ".json").length,
+      1
+    );
+
+    const second = await startProxy(config);
+    try {
+      assert.deepEqual(await complete(second, ask("disk"), {}), [
+        "HIT",
+        "Hello from gpt-4o",
+      ]);
+      assert.equal(chats(second.mock), 0);
+    } finally {
+      await second.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,138 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, parseSSE, tmpDir } = require("./helpers");
+
+let proxy;
+let routesDir;
+before(async () => {
+  routesDir = tmpDir();
+  const routes = path.join(routesDir, "routes.json");
+  fs.writeFileSync(
+    routes,
+    JSON.stringify({
+      aliases: {
+        default: { model: "gpt-4o", region: "eu" },
+        fast: { model: "fail-mini", fallbacks: ["gpt-4o-mini@us"] },
+      },
+    })
+  );
+  proxy = await startProxy({ MODEL_ROUTES_FILE: routes });
+});
+after(async () => {
+  await proxy.close();
+  fs.rmSync(routesDir, { recursive: true, force: true });
+});
+beforeEach(() => proxy.mock.reset());
+
+const messages = [{ role: "user", content: "hi" }];
+
+test("POST /chat/completions streams SSE with padding and teardown", async () => {
+  const res = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    messages,
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  assert.equal(res.headers.get("x-accel-buffering"), "no");
+  const text = await res.text();
+  assert.ok(text.startsWith(`:${" ".repeat(2048)}\n`), "anti-buffer padding");
+  assert.match(text, /retry: 1000\n/);
+  const sse = parseSSE(text);
+  assert.ok(sse.comments.includes("ok"));
+  assert.equal(sse.comments.at(-1), "done");
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const content = sse.data
+    .filter((d) => d !== "[DONE]")
+    .map((d) => JSON.parse(d).choices[0]?.delta?.content || "")
+    .join("");
+  assert.equal(content, "Hello from gpt-4o");
+  assert.equal(proxy.mock.requests[0].path, "/openai/eu/v1/chat/completions");
+});
+
+test("POST /chat/completions honours ?region=", async () => {
+  await (
+    await proxy.post("/chat/completions?region=us", { model: "x", messages })
+  ).text();
+  assert.equal(proxy.mock.requests[0].path, "/openai/us/v1/chat/completions");
+});
+
+test("POST /v1/chat/completions defaults to a JSON response", async () => {
+  const res = await proxy.post("/v1/chat/completions", {
+    model: "gpt-4o",
+    messages,
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "chat.completion");
+  assert.equal(body.choices[0].message.content, "Hello from gpt-4o");
+  assert.equal(proxy.mock.requests[0].body.stream, false);
+});
+
+test("upstream errors are forwarded with their status", async () => {
+  const res = await proxy.post("/v1/chat/completions", {
+    model: "gpt-4o",
+    mock: "error-400",
+    messages,
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.message, "mock 400");
+});
+
+test("heartbeats keep a slow stream alive", async () => {
+  const res = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    mock: "slow",
+    messages,
+  });
+  const sse = parseSSE(await res.text());
+  assert.ok(sse.comments.includes("hb"), "expected :hb during the pause");
+  assert.equal(sse.data.at(-1), "[DONE]");
+});
+
+test("a client that does not come back tears down the upstream request", async () => {
+  const controller = new AbortController();
+  const res = await proxy.fetch("/chat/completions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model: "gpt-4o", mock: "slow", messages }),
+    signal: controller.signal,
+  });
+  const reader = res.body.getReader();
+  await reader.read(); // padding
+  controller.abort();
+  await new Promise((r) => setTimeout(r, 400)); // past STREAM_GRACE_MS
+  assert.equal(proxy.mock.requests[0].closedEarly, true);
+});
+
+test("an upstream disconnect mid-stream still ends the response", async () => {
+  const res = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    mock: "disconnect",
+    messages,
+  });
+  const text = await res.text();
+  assert.match(text, /Hello /);
+  assert.doesNotMatch(text, /\[DONE\]/);
+});
+
+test("aliases resolve and fall back before streaming starts", async () => {
+  const res = await proxy.post("/v1/chat/completions", {
+    model: "fast",
+    messages,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-served-model"), "gpt-4o-mini");
+  assert.equal(res.headers.get("x-served-region"), "us");
+  assert.deepEqual(
+    proxy.mock.requests.map((r) => r.body.model),
+    ["fail-mini", "gpt-4o-mini"]
+  );
+});
+
+test("requests without a model use the default alias", async () => {
+  const res = await proxy.post("/v1/chat/completions", { messages });
+  assert.equal(res.headers.get("x-served-model"), "gpt-4o");
+  assert.equal(proxy.mock.requests[0].body.model, "gpt-4o");
+});
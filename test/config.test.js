@@ -0,0 +1,134 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, tmpDir, sleep } = require("./helpers");
+const { startMockLangdock } = require("./mock-langdock");
+const { createApp } = require("../app");
+const { loadConfig } = require("../lib/config");
+
+let dir;
+let configFile;
+let proxy;
+let other; // second upstream, for the per-route base URL
+const writeConfig = (data) =>
+  fs.writeFileSync(configFile, JSON.stringify(data));
+
+before(async () => {
+  dir = tmpDir();
+  configFile = path.join(dir, "config.json");
+  other = await startMockLangdock();
+  writeConfig({
+    // the helpers' LANGDOCK_BASE_URL env var wins over this
+    upstream: { baseUrl: "http://127.0.0.1:9", region: "eu" },
+    streaming: { paddingBytes: 16 },
+    routes: {
+      "/assistant*": { paddingBytes: 0 },
+      "/v1/embeddings": { bodyLimit: "200b", baseUrl: other.url },
+    },
+  });
+  proxy = await startProxy({ CONFIG_FILE: configFile });
+});
+after(async () => {
+  await proxy.close();
+  await other.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  proxy.mock.reset();
+  other.reset();
+});
+
+const messages = [{ role: "user", content: "hi" }];
+const ASSISTANT_ID = "0b6f6c1e-6b7a-4c3e-9d2f-3f1a2b4c5d6e";
+
+test("every invalid setting is reported at startup", () => {
+  const bad = path.join(dir, "bad.json");
+  fs.writeFileSync(
+    bad,
+    JSON.stringify({
+      upstream: { retries: "two", baseUrl: "api.langdock.com" },
+      streaming: { heartbeat: 1000 },
+      limits: { jsonBody: "lots" },
+      routes: { assistant: {}, "/chat/completions": { padding: 0 } },
+    })
+  );
+  let err;
+  try {
+    createApp({ CONFIG_FILE: bad, QUOTA_STORE: "redis" });
+  } catch (e) {
+    err = e;
+  }
+  assert.equal(err?.name, "ConfigError");
+  assert.deepEqual(err.problems, [
+    'upstream.retries: must be a non-negative number, got "two"',
+    'upstream.baseUrl: must be an http(s) URL, got "api.langdock.com"',
+    "streaming.heartbeat: unknown setting",
+    'limits.jsonBody: must be a size such as "2mb" or a number of bytes, got "lots"',
+    'routes["assistant"]: route patterns start with "/"',
+    'routes["/chat/completions"].padding: unknown setting (allowed: heartbeatMs, paddingBytes, bodyLimit, baseUrl, region, cors), got 0',
+    'QUOTA_STORE (quota.store): must be one of memory, file, got "redis"',
+  ]);
+  assert.throws(
+    () => createApp({ CONFIG_FILE: path.join(dir, "missing.json") }),
+    /CONFIG_FILE .*missing\.json: ENOENT/
+  );
+});
+
+test("file values become env-style settings that env vars override", () => {
+  const { values } = loadConfig({
+    CONFIG_FILE: configFile,
+    STREAM_PADDING_BYTES: "32",
+  });
+  assert.equal(values.UPSTREAM_REGION, "eu");
+  assert.equal(values.STREAM_PADDING_BYTES, "32");
+  assert.equal(values.LANGDOCK_BASE_URL, "http://127.0.0.1:9");
+});
+
+test("route sections set padding, body limits and the upstream", async () => {
+  let res = await proxy.post("/chat/completions", { messages });
+  assert.ok((await res.text()).startsWith(`:${" ".repeat(16)}\n`));
+
+  res = await proxy.post("/assistant", { assistantId: ASSISTANT_ID, messages });
+  assert.ok((await res.text()).startsWith(":\n"));
+
+  res = await proxy.post("/v1/embeddings", { input: "hi" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    other.requests.map((r) => r.path),
+    ["/openai/eu/v1/embeddings"]
+  );
+  assert.ok(!proxy.mock.requests.some((r) => r.path.includes("embeddings")));
+
+  res = await proxy.post("/v1/embeddings", { input: "x".repeat(300) });
+  assert.equal(res.status, 413);
+});
+
+test("a reload applies to new requests and leaves open streams alone", async () => {
+  const open = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    mock: "slow",
+    messages,
+  });
+  const rest = open.text();
+
+  writeConfig({ routes: { "/chat/completions": { region: "us" } } });
+  try {
+    assert.equal(proxy.app.locals.settings.reload(), true);
+    await proxy.post("/chat/completions", { messages });
+    assert.match(proxy.mock.requests[1].path, /^\/openai\/us\//);
+
+    // an invalid file is refused and the previous config stays
+    fs.writeFileSync(configFile, "{ not json");
+    assert.equal(proxy.app.locals.settings.reload(), false);
+    await proxy.post("/chat/completions", { messages });
+    assert.match(proxy.mock.requests[2].path, /^\/openai\/us\//);
+
+    assert.match(await rest, /:done\n\n$/);
+    await sleep(50);
+    assert.equal(proxy.mock.requests[0].closedEarly, false);
+  } finally {
+    fs.writeFileSync(configFile, "{}");
+    proxy.app.locals.settings.reload();
+  }
+});
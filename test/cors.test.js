@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, tmpDir } = require("./helpers");
+const { createApp } = require("../app");
+
+let dir;
+let proxy;
+before(async () => {
+  dir = tmpDir();
+  const configFile = path.join(dir, "config.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      cors: {
+        allowOrigin: ["https://*.example.com"],
+        exposedHeaders: ["X-Trace"],
+        maxAge: 300,
+      },
+      routes: {
+        "/logs*": {
+          cors: {
+            allowOrigin: ["https://admin.example.org"],
+            credentials: true,
+          },
+        },
+      },
+    })
+  );
+  proxy = await startProxy({ CONFIG_FILE: configFile });
+});
+after(async () => {
+  await proxy.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const preflight = (route, origin, method = "POST", headers = "") =>
+  proxy.fetch(route, {
+    method: "OPTIONS",
+    headers: {
+      Origin: origin,
+      "Access-Control-Request-Method": method,
+      "Access-Control-Request-Headers": headers,
+    },
+  });
+
+test("wildcard subdomain origins are allowed, the bare domain is not", async () => {
+  let res = await proxy.fetch("/health", {
+    headers: { Origin: "https://chat.eu.example.com" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(
+    res.headers.get("access-control-allow-origin"),
+    "https://chat.eu.example.com"
+  );
+  assert.match(res.headers.get("access-control-expose-headers"), /X-Trace/);
+  assert.match(
+    res.headers.get("access-control-expose-headers"),
+    /X-Request-Id/
+  );
+
+  res = await proxy.fetch("/health", {
+    headers: { Origin: "https://example.com" },
+  });
+  assert.equal(res.status, 403);
+});
+
+test("preflights echo the requested headers and allow DELETE", async () => {
+  const res = await preflight(
+    "/threads/abc",
+    "https://app.example.com",
+    "DELETE",
+    "authorization, last-event-id, x-client-build"
+  );
+  assert.equal(res.status, 204);
+  assert.match(res.headers.get("access-control-allow-methods"), /DELETE/);
+  assert.equal(
+    res.headers.get("access-control-allow-headers"),
+    "authorization, last-event-id, x-client-build"
+  );
+  assert.equal(res.headers.get("access-control-max-age"), "300");
+});
+
+test("a route section brings its own origins and credentials", async () => {
+  let res = await preflight("/logs", "https://admin.example.org", "GET");
+  assert.equal(res.status, 204);
+  assert.equal(
+    res.headers.get("access-control-allow-origin"),
+    "https://admin.example.org"
+  );
+  assert.equal(res.headers.get("access-control-allow-credentials"), "true");
+
+  res = await preflight("/logs", "https://app.example.com", "GET");
+  assert.equal(res.status, 403);
+  res = await preflight("/chat/completions", "https://admin.example.org");
+  assert.equal(res.status, 403);
+});
+
+test("origins that are not origins are refused at startup", () => {
+  assert.throws(
+    () =>
+      createApp({
+        LANGDOCK_API_KEY: "k",
+        ALLOW_ORIGIN: "https://app.example.com/",
+      }),
+    /ALLOW_ORIGIN \(cors.allowOrigin\): "https:\/\/app.example.com\/" is not an origin/
+  );
+});
+
+test("credentialed policies must list their origins", () => {
+  assert.throws(
+    () => createApp({ LANGDOCK_API_KEY: "k", CORS_CREDENTIALS: "true" }),
+    /cors: credentials need an explicit allowOrigin list, not "\*"/
+  );
+  const configFile = path.join(dir, "open-logs.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      routes: { "/logs*": { cors: { credentials: true } } },
+    })
+  );
+  assert.throws(
+    () => createApp({ LANGDOCK_API_KEY: "k", CONFIG_FILE: configFile }),
+    /routes\["\/logs\*"\]\.cors: credentials need an explicit allowOrigin list/
+  );
+});
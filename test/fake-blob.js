@@ -0,0 +1,122 @@
+// test/fake-blob.js
+// Just enough of the Azure Blob REST API for the proxy: containers, block
+// and append blobs, listing and deletes. Shared-key signatures are not
+// checked. Set state.down = true to answer everything with 403.
+const http = require("http");
+
+// Azurite's published development account
+const ACCOUNT = "devstoreaccount1";
+const KEY =
+  "Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==";
+
+const xml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function startFakeBlobService() {
+  const blobs = new Map(); // "<container>/<blob>" -> { kind, type, data }
+  const containers = new Set();
+  const state = { down: false, appends: 0 };
+
+  function list(res, container, prefix) {
+    const items = [...blobs]
+      .filter(([k]) => k.startsWith(`${container}/${prefix}`))
+      .map(([k, b]) => {
+        const name = k.slice(container.length + 1);
+        return `<Blob><Name>${xml(name)}</Name><Properties><Content-Length>${
+          b.data.length
+        }</Content-Length><Last-Modified>${new Date().toUTCString()}</Last-Modified><BlobType>${
+          b.kind
+        }</BlobType></Properties></Blob>`;
+      });
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end(
+      `<?xml version="1.0" encoding="utf-8"?><EnumerationResults ContainerName="${container}"><Blobs>${items.join(
+        ""
+      )}</Blobs><NextMarker /></EnumerationResults>`
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://x");
+    const [, , container, ...rest] = url.pathname.split("/");
+    const name = decodeURIComponent(rest.join("/"));
+    const key = `${container}/${name}`;
+    const comp = url.searchParams.get("comp");
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      if (state.down) {
+        return res
+          .writeHead(403, { "x-ms-error-code": "AuthorizationFailure" })
+          .end();
+      }
+      if (url.searchParams.get("restype") === "container") {
+        if (comp === "list") {
+          return list(res, container, url.searchParams.get("prefix") || "");
+        }
+        if (req.method === "PUT") containers.add(container);
+        return res.writeHead(req.method === "PUT" ? 201 : 200).end();
+      }
+      const blob = blobs.get(key);
+      if (req.method === "PUT" && comp === "appendblock") {
+        if (!blob) {
+          return res
+            .writeHead(404, { "x-ms-error-code": "BlobNotFound" })
+            .end();
+        }
+        blob.data = Buffer.concat([blob.data, body]);
+        state.appends++;
+        return res.writeHead(201).end();
+      }
+      if (req.method === "PUT") {
+        if (blob && req.headers["if-none-match"] === "*") {
+          return res
+            .writeHead(409, { "x-ms-error-code": "BlobAlreadyExists" })
+            .end();
+        }
+        blobs.set(key, {
+          kind: req.headers["x-ms-blob-type"] || "BlockBlob",
+          type: req.headers["x-ms-blob-content-type"],
+          data: body,
+        });
+        return res.writeHead(201, { ETag: '"1"' }).end();
+      }
+      if (!blob) {
+        return res.writeHead(404, { "x-ms-error-code": "BlobNotFound" }).end();
+      }
+      if (req.method === "DELETE") {
+        blobs.delete(key);
+        return res.writeHead(202).end();
+      }
+      res.writeHead(200, {
+        "Content-Type": blob.type || "application/octet-stream",
+        "Content-Length": blob.data.length,
+        ETag: '"1"',
+        "x-ms-blob-type": blob.kind,
+      });
+      res.end(req.method === "HEAD" ? undefined : blob.data);
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        blobs,
+        containers,
+        state,
+        url: `http://127.0.0.1:${server.address().port}/${ACCOUNT}`,
+        // proxy config pointing at this service
+        config() {
+          return {
+            AZURE_STORAGE_ACCOUNT_URL: this.url,
+            AZURE_STORAGE_ACCOUNT_KEY: KEY,
+          };
+        },
+        close: () => new Promise((r) => server.close(r)),
+      })
+    )
+  );
+}
+
+module.exports = { ACCOUNT, KEY, startFakeBlobService };
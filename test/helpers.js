@@ -0,0 +1,98 @@
+// test/helpers.js
+// Shared setup for the integration tests: a mock Langdock upstream plus a
+// proxy built with createApp() against it, each on an ephemeral port.
+process.env.LOG_LEVEL ??= "silent";
+process.env.NODE_ENV ??= "test"; // keeps Express' error handler quiet
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../app");
+const { hashKey } = require("../lib/auth");
+const { startMockLangdock } = require("./mock-langdock");
+
+const tmpDir = (prefix = "ldproxy-test-") =>
+  fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+// keys: [{ id, secret, ...scopes }] -> path of a keys.json for PROXY_KEYS_FILE
+function writeKeys(dir, keys) {
+  const file = path.join(dir, "keys.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      keys: keys.map(({ secret, ...k }) => ({ ...k, hash: hashKey(secret) })),
+    })
+  );
+  return file;
+}
+
+// Starts mock + proxy. config overrides the test defaults (auth off, no
+// retries, a short stream resume window, temp dirs for anything that
+// touches disk).
+async function startProxy(config = {}) {
+  const mock = await startMockLangdock();
+  const dir = tmpDir();
+  const app = createApp({
+    LANGDOCK_API_KEY: "test-key",
+    LANGDOCK_BASE_URL: mock.url,
+    AUTH_DISABLED: "true",
+    UPSTREAM_RETRIES: "0",
+    UPSTREAM_BACKOFF_MS: "1",
+    STREAM_GRACE_MS: "100",
+    THREADS_DIR: path.join(dir, "threads"),
+    PROXY_KEYS_FILE: path.join(dir, "keys.json"),
+    ATTACHMENTS_FILE: path.join(dir, "attachments.json"),
+    INDEX_DIR: path.join(dir, "index"),
+    LOG_SPOOL_DIR: path.join(dir, "log-spool"),
+    ...config,
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  server.on("upgrade", app.locals.websocket.handleUpgrade);
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    url,
+    mock,
+    dir,
+    fetch: (p, opts) => fetch(url + p, opts),
+    post: (p, body, headers = {}) =>
+      fetch(url + p, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      }),
+    async close() {
+      app.locals.attachmentRetention?.stop();
+      await app.locals.logBuffer?.stop();
+      app.locals.websocket.close();
+      server.closeAllConnections();
+      await new Promise((r) => server.close(r));
+      await mock.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Splits an SSE body into comments, data payloads and named events
+function parseSSE(text) {
+  const out = { comments: [], data: [], events: [] };
+  for (const block of text.split(/\n\n/)) {
+    let event = null;
+    const data = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith(":")) out.comments.push(line.slice(1).trim());
+      else if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+    }
+    if (event) out.events.push({ event, data: data.join("\n") });
+    else if (data.length) out.data.push(data.join("\n"));
+  }
+  return out;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+module.exports = { startProxy, writeKeys, tmpDir, parseSSE, sleep };
@@ -0,0 +1,141 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const sharp = require("sharp");
+const { startProxy } = require("./helpers");
+const { normaliseImage, toDataUrl } = require("../lib/images");
+
+const photo = (width, height, orientation = 1) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#3a7" },
+  })
+    .jpeg()
+    .withMetadata({ orientation })
+    .withExif({ IFD3: { GPSLatitudeRef: "N", GPSLatitude: "52/1 31/1 0/1" } })
+    .toBuffer();
+
+// 2x1 24-bit BMP, both pixels red (BGR order on disk)
+function bmp() {
+  const buf = Buffer.alloc(54 + 8);
+  buf.write("BM", 0, "latin1");
+  buf.writeUInt32LE(buf.length, 2);
+  buf.writeUInt32LE(54, 10);
+  buf.writeUInt32LE(40, 14);
+  buf.writeInt32LE(2, 18);
+  buf.writeInt32LE(1, 22);
+  buf.writeUInt16LE(1, 26);
+  buf.writeUInt16LE(24, 28);
+  Buffer.from([0, 0, 255, 0, 0, 255]).copy(buf, 54);
+  return buf;
+}
+
+let proxy;
+let images;
+before(async () => {
+  images = http.createServer(async (req, res) => {
+    res.setHeader("Content-Type", "image/jpeg");
+    res.end(await photo(3000, 200));
+  });
+  await new Promise((r) => images.listen(0, "127.0.0.1", r));
+  proxy = await startProxy({
+    IMAGE_MAX_DIMENSION: "1024",
+    IMAGE_FETCH_HOSTS: `127.0.0.1:${images.address().port}`,
+  });
+});
+after(async () => {
+  await proxy.close();
+  await new Promise((r) => images.close(r));
+});
+beforeEach(() => proxy.mock.reset());
+
+test("normaliseImage downscales, applies EXIF rotation and strips GPS", async () => {
+  const input = await photo(3000, 1000, 6);
+  const out = await normaliseImage(input, { maxDimension: 1024 });
+  assert.equal(out.mimeType, "image/jpeg");
+  assert.deepEqual([out.width, out.height], [341, 1024]);
+  const meta = await sharp(out.buffer).metadata();
+  assert.equal(meta.exif, undefined);
+  assert.equal(meta.orientation, undefined);
+});
+
+test("normaliseImage converts TIFF and BMP", async () => {
+  const tiff = await sharp({
+    create: { width: 4, height: 4, channels: 3, background: "#fff" },
+  })
+    .tiff()
+    .toBuffer();
+  assert.equal((await normaliseImage(tiff)).mimeType, "image/jpeg");
+
+  const out = await normaliseImage(bmp());
+  assert.equal(out.sourceType, "image/bmp");
+  const { data } = await sharp(out.buffer).raw().toBuffer({
+    resolveWithObject: true,
+  });
+  assert.ok(data[0] > 200 && data[2] < 60, "pixels stay red");
+});
+
+test("normaliseImage rejects non-images", async () => {
+  await assert.rejects(normaliseImage(Buffer.from("hello")), /Not an image/);
+});
+
+const chat = (url, query = "") =>
+  proxy.post(`/v1/chat/completions${query}`, {
+    model: "gpt-4o",
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "what is this?" },
+          { type: "image_url", image_url: { url, detail: "low" } },
+        ],
+      },
+    ],
+  });
+const sentImage = () =>
+  proxy.mock.requests.at(-1).body.messages[0].content[1].image_url;
+
+test("chat forwards image parts untouched by default", async () => {
+  const url = toDataUrl(await photo(3000, 200), "image/jpeg");
+  assert.equal((await chat(url)).status, 200);
+  assert.equal(sentImage().url, url);
+});
+
+test("?images=normalise rewrites data: URLs before forwarding", async () => {
+  const res = await chat(
+    toDataUrl(await photo(3000, 200), "image/jpeg"),
+    "?images=normalise"
+  );
+  assert.equal(res.status, 200);
+  const sent = sentImage();
+  assert.equal(sent.detail, "low");
+  const b64 = sent.url.replace(/^data:image\/jpeg;base64,/, "");
+  const meta = await sharp(Buffer.from(b64, "base64")).metadata();
+  assert.equal(meta.width, 1024);
+});
+
+test("?images=inline only fetches trusted hosts", async () => {
+  const port = new URL(proxy.url).port;
+  const trusted = `http://127.0.0.1:${images.address().port}/cat.jpg`;
+  assert.equal((await chat(trusted, "?images=inline")).status, 200);
+  assert.match(sentImage().url, /^data:image\/jpeg;base64,/);
+
+  const other = `http://127.0.0.1:${port}/cat.jpg`;
+  assert.equal((await chat(other, "?images=inline")).status, 200);
+  assert.equal(sentImage().url, other);
+});
+
+test("chat rejects broken images and unknown modes", async () => {
+  const bad = await chat("data:image/png;base64,aGVsbG8=", "?images=normalise");
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.code, "invalid_image");
+  assert.equal((await chat("x", "?images=sideways")).status, 400);
+});
+
+test("?images=upload needs Azure", async () => {
+  const res = await chat(
+    toDataUrl(await photo(10, 10), "image/jpeg"),
+    "?images=upload"
+  );
+  assert.equal(res.status, 500);
+  assert.equal(proxy.mock.requests.length, 0);
+});
@@ -0,0 +1,125 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createLogger, parseRedact } = require("../lib/logger");
+const { startProxy, tmpDir, sleep } = require("./helpers");
+
+// A logger writing into an array of parsed lines
+function capture(redact) {
+  const lines = [];
+  const log = createLogger({
+    level: "debug",
+    redact: parseRedact(redact),
+    out: { write: (line) => lines.push(JSON.parse(line)) },
+  });
+  return { log, lines };
+}
+
+const SECRETS = ["ldp_live_a1b2c3", "sk-proj-9f8e7d6c5b", "s3cr3t-value"];
+const call = {
+  headers: {
+    Authorization: "Bearer ldp_live_a1b2c3",
+    "x-api-key": "sk-proj-9f8e7d6c5b",
+    cookie: "session=s3cr3t-value",
+  },
+  url: "/ws?api_key=ldp_live_a1b2c3&region=eu",
+  userEmail: "jane.doe@example.com",
+  err: new Error(
+    "upstream refused Bearer s3cr3t-value for jane.doe@example.com"
+  ),
+};
+
+test("log lines mask credentials and personal data", () => {
+  const { log, lines } = capture();
+  log.child({ component: "test" }).warn("call from jane.doe@example.com", call);
+  const [line] = lines;
+  const text = JSON.stringify(line);
+  for (const secret of SECRETS) assert.ok(!text.includes(secret), secret);
+  assert.ok(!text.includes("jane.doe@example.com"));
+
+  assert.equal(line.component, "test");
+  assert.equal(line.msg, "call from [email]");
+  assert.equal(line.headers.Authorization, "[secret]");
+  assert.equal(line.headers["x-api-key"], "[secret]");
+  assert.equal(line.url, "/ws?api_key=[secret]&region=eu");
+  assert.equal(line.userEmail, "[email]");
+  assert.equal(
+    line.err.message,
+    "upstream refused Bearer [secret] for [email]"
+  );
+});
+
+test("credentials stay masked with LOG_REDACT=none", () => {
+  const { log, lines } = capture("none");
+  log.info("call", { ...call, content: "hello" });
+  const text = JSON.stringify(lines[0]);
+  for (const secret of SECRETS) assert.ok(!text.includes(secret), secret);
+  assert.equal(lines[0].userEmail, "jane.doe@example.com");
+  assert.equal(lines[0].content, "hello");
+});
+
+test("prompt and reply text is replaced by its length", () => {
+  const { log, lines } = capture("content");
+  log.info("reply", {
+    messages: [{ role: "user", content: "call me on +49 170 1234567" }],
+    usage: { prompt: 12, completion: 3 },
+  });
+  assert.deepEqual(lines[0].messages, [
+    { role: "user", content: "[redacted 26 chars]" },
+  ]);
+  assert.deepEqual(lines[0].usage, { prompt: 12, completion: 3 });
+});
+
+test("the audit sink gets one record per call", async () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "audit.jsonl");
+  const proxy = await startProxy({ AUDIT_SINK: "file", AUDIT_FILE: file });
+  try {
+    const ids = [];
+    const messages = [{ role: "user", content: "hi" }];
+    let res = await proxy.post("/v1/chat/completions", {
+      model: "gpt-4o",
+      messages,
+      userEmail: "jane.doe@example.com",
+    });
+    await res.text();
+    ids.push(res.headers.get("x-request-id"));
+    res = await proxy.post("/chat/completions", { model: "gpt-4o", messages });
+    await res.text();
+    ids.push(res.headers.get("x-request-id"));
+    res = await proxy.fetch("/nope");
+    ids.push(res.headers.get("x-request-id"));
+    await proxy.fetch("/health"); // probes are not audited
+
+    const read = () =>
+      fs.existsSync(file)
+        ? fs
+            .readFileSync(file, "utf8")
+            .trim()
+            .split("\n")
+            .map((l) => JSON.parse(l))
+        : [];
+    for (let i = 0; i < 50 && read().length < ids.length; i++) await sleep(20);
+    await sleep(50); // a second record for a call would have landed by now
+    const records = read();
+    assert.deepEqual(
+      records.map((r) => r.requestId),
+      ids
+    );
+    assert.deepEqual(
+      records.map((r) => [r.route, r.status, r.aborted]),
+      [
+        ["/v1/chat/completions", 200, false],
+        ["/chat/completions", 200, false],
+        ["/nope", 404, false],
+      ]
+    );
+    assert.equal(records[0].servedModel, "gpt-4o");
+    assert.equal(records[1].usage.total, 9);
+    assert.ok(!fs.readFileSync(file, "utf8").includes("jane.doe"));
+  } finally {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
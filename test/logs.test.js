@@ -0,0 +1,178 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, writeKeys, tmpDir } = require("./helpers");
+const { startFakeBlobService } = require("./fake-blob");
+const { validate } = require("../lib/logs");
+
+let azure;
+let proxy;
+let keysDir;
+before(async () => {
+  azure = await startFakeBlobService();
+  keysDir = tmpDir();
+  proxy = await startProxy({
+    ...azure.config(),
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(keysDir, [
+      { id: "app", secret: "ldp_app" },
+      { id: "support", secret: "ldp_support" },
+    ]),
+    LOGS_READ_KEYS: "support",
+    LOG_FLUSH_MS: "60000", // flushed explicitly below
+    LOG_MAX_BATCH: "3",
+  });
+});
+after(async () => {
+  await proxy.close();
+  await azure.close();
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+const app = { Authorization: "Bearer ldp_app" };
+const support = { Authorization: "Bearer ldp_support" };
+const DAY = "2025-03-04";
+const flush = () => proxy.app.locals.logBuffer.flush();
+
+test("validate checks the schema subset", () => {
+  const schema = {
+    type: "object",
+    required: ["event"],
+    additionalProperties: false,
+    properties: {
+      event: { type: "string", enum: ["click", "view"] },
+      n: { type: "integer", maximum: 5 },
+    },
+  };
+  assert.deepEqual(validate(schema, { event: "click", n: 2 }), []);
+  assert.deepEqual(validate(schema, { event: "nope", n: 9, x: 1 }), [
+    "$.event: must be one of click, view",
+    "$.n: above 5",
+    "$.x: not allowed",
+  ]);
+  assert.deepEqual(validate(schema, []), ["$: expected object, got array"]);
+});
+
+test("POST /log batches events into one append per blob", async () => {
+  const before = azure.state.appends;
+  const res = await proxy.post(
+    "/log",
+    [
+      { event: "a", sessionId: "s1", at: `${DAY}T10:00:00Z` },
+      { event: "b", sessionId: "s1", at: `${DAY}T10:00:01Z` },
+    ],
+    app
+  );
+  assert.equal(res.status, 202);
+  assert.equal((await res.json()).accepted, 2);
+  const single = await proxy.post(
+    "/log",
+    { event: "c", sessionId: "s1", at: `${DAY}T10:00:02Z` },
+    app
+  );
+  assert.equal(single.status, 202);
+  assert.ok(!azure.blobs.has(`logs/${DAY}/s1.jsonl`), "buffered, not written");
+
+  await flush();
+  assert.equal(azure.state.appends - before, 1);
+  const lines = azure.blobs.get(`logs/${DAY}/s1.jsonl`).data.toString();
+  assert.equal(lines.trim().split("\n").length, 3);
+});
+
+test("POST /log rejects invalid, oversized and too many entries", async () => {
+  const bad = await proxy.post("/log", [{ event: "ok" }, "text"], app);
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).errors[0].index, 1);
+
+  const long = await proxy.post("/log", { sessionId: "x".repeat(500) }, app);
+  assert.equal(long.status, 400);
+
+  const many = await proxy.post("/log", [{}, {}, {}, {}], app);
+  assert.equal(many.status, 413);
+});
+
+test("POST /log keeps the entry's date out of other blob paths", async () => {
+  for (const at of ["../../x", "2025-03-04/../y", "yesterday"]) {
+    const res = await proxy.post("/log", { sessionId: "s3", at }, app);
+    assert.equal(res.status, 400, at);
+  }
+
+  // a custom schema may accept any `at`; it then files under today
+  const dir = tmpDir();
+  const schemaFile = path.join(dir, "schema.json");
+  fs.writeFileSync(schemaFile, JSON.stringify({ type: "object" }));
+  const loose = await startProxy({
+    ...azure.config(),
+    LOG_SCHEMA_FILE: schemaFile,
+    LOG_FLUSH_MS: "60000",
+  });
+  try {
+    const res = await loose.post("/log", { sessionId: "s3", at: "../../x" });
+    assert.equal(res.status, 202);
+    await loose.app.locals.logBuffer.flush();
+    const today = new Date().toISOString().slice(0, 10);
+    const names = [...azure.blobs.keys()].filter((n) => n.includes("s3"));
+    assert.deepEqual(names, [`logs/${today}/s3.jsonl`]);
+  } finally {
+    await loose.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("entries are spooled while Azure is down and replayed later", async () => {
+  azure.state.down = true;
+  try {
+    await proxy.post(
+      "/log",
+      { event: "offline", sessionId: "s2", at: `${DAY}T11:00:00Z` },
+      app
+    );
+    await flush();
+  } finally {
+    azure.state.down = false;
+  }
+  const spool = path.join(proxy.dir, "log-spool");
+  assert.equal(fs.readdirSync(spool).length, 1);
+  assert.ok(!azure.blobs.has(`logs/${DAY}/s2.jsonl`));
+
+  await flush();
+  assert.equal(fs.readdirSync(spool).length, 0);
+  assert.match(
+    azure.blobs.get(`logs/${DAY}/s2.jsonl`).data.toString(),
+    /offline/
+  );
+});
+
+test("GET /logs lists sessions and returns parsed entries", async () => {
+  await proxy.post(
+    "/log",
+    { event: "late", sessionId: "s1", at: `${DAY}T12:00:00Z` },
+    app
+  );
+
+  const denied = await proxy.fetch(`/logs?day=${DAY}`, { headers: app });
+  assert.equal(denied.status, 403);
+
+  const days = await (
+    await proxy.fetch(`/logs?day=${DAY}`, { headers: support })
+  ).json();
+  assert.deepEqual(days.sessions.map((s) => s.sessionId).sort(), ["s1", "s2"]);
+
+  const res = await proxy.fetch(`/logs?day=${DAY}&sessionId=s1&limit=2`, {
+    headers: support,
+  });
+  const body = await res.json();
+  assert.equal(body.total, 4);
+  assert.deepEqual(
+    body.entries.map((e) => e.event),
+    ["c", "late"]
+  );
+
+  const bad = await proxy.fetch("/logs?day=yesterday", { headers: support });
+  assert.equal(bad.status, 400);
+  const none = await proxy.fetch(`/logs?day=${DAY}&sessionId=zzz`, {
+    headers: support,
+  });
+  assert.equal(none.status, 404);
+});
@@ -0,0 +1,335 @@
+// test/mock-langdock.js
+// A local stand-in for api.langdock.com used by the integration tests.
+// Run it on its own with `node test/mock-langdock.js` (MOCK_PORT, default
+// 4010) and point LANGDOCK_BASE_URL at it for manual testing.
+//
+// Scenarios are picked per request from the JSON body:
+//   body.mock = "ok" (default) | "error-<status>" | "slow" | "disconnect"
+//             | "tools" (calls the first tool in body.tools, then answers
+//               with what it returned) | "tools-loop" (never stops calling)
+// tool_choice "none" always gets a plain answer.
+// Models named "fail-*" behave like "error-503" so fallback chains can be
+// exercised. Uploads pick their response shape from the filename
+// ("shape-id", "shape-nested", "shape-result", "shape-none", "shape-text").
+// Besides apiKey, upstream keys named "tenant-*" are accepted and keys named
+// "limited-*" always get a 429, for the tenant key pool tests.
+// Embeddings are bag-of-words vectors, so texts sharing words score close
+// and retrieval ranking can be tested.
+const http = require("http");
+
+const SLOW_GAP_MS = 1300; // longer than the proxy's 1s heartbeat
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Bag-of-words vectors: texts that share words come out close
+function mockEmbedding(text) {
+  const vector = new Array(64).fill(0);
+  for (const word of String(text)
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    vector[h % 64] += 1;
+  }
+  return vector;
+}
+
+function scenarioOf(body) {
+  if (body.mock) return String(body.mock);
+  if (String(body.model || "").startsWith("fail-")) return "error-503";
+  return "ok";
+}
+
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// Canned upstream errors ("error-<status>"). Returns true if handled.
+function sendScenarioError(res, scenario) {
+  const m = /^error-(\d{3})$/.exec(scenario);
+  if (!m) return false;
+  const status = Number(m[1]);
+  sendJSON(
+    res,
+    status,
+    { error: { message: `mock ${status}`, type: "mock_error" } },
+    status === 429 ? { "Retry-After": "0" } : {}
+  );
+  return true;
+}
+
+// Writes chunks in order; "slow" pauses between them, "disconnect" drops
+// the socket after the first one.
+async function writeChunks(res, chunks, scenario) {
+  for (let i = 0; i < chunks.length; i++) {
+    if (res.destroyed) return;
+    res.write(chunks[i]);
+    if (scenario === "disconnect" && i === 0) {
+      await sleep(20);
+      return res.socket.destroy();
+    }
+    if (scenario === "slow" && i < chunks.length - 1) await sleep(SLOW_GAP_MS);
+  }
+  res.end();
+}
+
+// What the model "decides": a call to the first tool, or a text answer
+function chatReply(body, scenario, model) {
+  const last = body.messages?.at(-1);
+  const tool = body.tools?.[0]?.function?.name;
+  const calling =
+    tool &&
+    body.tool_choice !== "none" &&
+    (scenario === "tools-loop" ||
+      (scenario === "tools" && last?.role !== "tool"));
+  if (calling) {
+    return {
+      toolCall: {
+        id: `call_${body.messages.length}`,
+        type: "function",
+        function: {
+          name: tool,
+          arguments: JSON.stringify({ q: last?.content ?? "" }),
+        },
+      },
+    };
+  }
+  if (scenario === "tools" && last?.role === "tool") {
+    return { text: `Tool said: ${last.content}` };
+  }
+  return { text: `Hello from ${model}` };
+}
+
+function chatCompletion(req, res, body, scenario) {
+  const model = body.model || "mock-model";
+  const { text, toolCall } = chatReply(body, scenario, model);
+  const usage = { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 };
+
+  if (!body.stream) {
+    return sendJSON(res, 200, {
+      id: "chatcmpl-mock",
+      object: "chat.completion",
+      created: 1700000000,
+      model,
+      choices: [
+        {
+          index: 0,
+          message: toolCall
+            ? { role: "assistant", content: null, tool_calls: [toolCall] }
+            : { role: "assistant", content: text },
+          finish_reason: toolCall ? "tool_calls" : "stop",
+        },
+      ],
+      usage,
+    });
+  }
+
+  const chunk = (obj) =>
+    `data: ${JSON.stringify({
+      id: "chatcmpl-mock",
+      object: "chat.completion.chunk",
+      created: 1700000000,
+      model,
+      ...obj,
+    })}\n\n`;
+  const delta = (d, finish = null) =>
+    chunk({ choices: [{ index: 0, delta: d, finish_reason: finish }] });
+  const end = (finish) =>
+    delta({}, finish) + chunk({ choices: [], usage }) + "data: [DONE]\n\n";
+
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  if (toolCall) {
+    const { name, arguments: args } = toolCall.function;
+    return writeChunks(
+      res,
+      [
+        delta({
+          role: "assistant",
+          content: null,
+          tool_calls: [
+            {
+              index: 0,
+              id: toolCall.id,
+              type: "function",
+              function: { name, arguments: "" },
+            },
+          ],
+        }),
+        delta({ tool_calls: [{ index: 0, function: { arguments: args } }] }),
+        end("tool_calls"),
+      ],
+      scenario
+    );
+  }
+  const [first, ...restWords] = text.split(" ");
+  return writeChunks(
+    res,
+    [
+      delta({ role: "assistant", content: `${first} ` }),
+      delta({ content: restWords.join(" ") }),
+      end("stop"),
+    ],
+    scenario
+  );
+}
+
+function assistantCompletion(req, res, body, scenario) {
+  const usage = { promptTokens: 6, completionTokens: 2 };
+  if (!body.stream) {
+    return sendJSON(res, 200, {
+      result: [{ role: "assistant", content: "Hello world" }],
+      usage,
+    });
+  }
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  return writeChunks(
+    res,
+    [
+      '0:"Hello "\n',
+      '2:[{"type":"status","value":"thinking"}]\n0:"world"\n',
+      `d:${JSON.stringify({ finishReason: "stop", usage })}\n`,
+    ],
+    scenario
+  );
+}
+
+function uploadResponse(res, raw) {
+  const filename = /filename="([^"]*)"/.exec(raw)?.[1] || "";
+  const shape = /shape-(\w+)/.exec(filename)?.[1];
+  switch (shape) {
+    case "id":
+      return sendJSON(res, 200, { id: "att-id" });
+    case "nested":
+      return sendJSON(res, 200, { attachment: { id: "att-nested" } });
+    case "result":
+      return sendJSON(res, 200, { result: { attachmentId: "att-result" } });
+    case "none":
+      return sendJSON(res, 200, { ok: true });
+    case "text":
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      return res.end("not json");
+    default:
+      return sendJSON(res, 200, { attachmentId: "att-1", filename });
+  }
+}
+
+function startMockLangdock({ apiKey = "test-key", port = 0 } = {}) {
+  // Every request seen: { method, path, headers, body, raw, closedEarly }
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const raw = Buffer.concat(chunks).toString("latin1");
+      let body = {};
+      if ((req.headers["content-type"] || "").includes("json")) {
+        try {
+          body = JSON.parse(raw || "{}");
+        } catch {}
+      }
+      const record = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body,
+        raw,
+        closedEarly: false,
+      };
+      requests.push(record);
+      res.on("close", () => {
+        if (!res.writableFinished) record.closedEarly = true;
+      });
+
+      const auth = req.headers.authorization || "";
+      if (auth.startsWith("Bearer limited-")) {
+        return sendJSON(
+          res,
+          429,
+          { error: { message: "mock rate limit", type: "mock_error" } },
+          { "Retry-After": "60" }
+        );
+      }
+      if (auth !== `Bearer ${apiKey}` && !auth.startsWith("Bearer tenant-")) {
+        return sendJSON(res, 401, { error: { message: "invalid api key" } });
+      }
+
+      const scenario = scenarioOf(body);
+      const url = req.url.split("?")[0];
+      let m;
+
+      if (req.method === "POST" && url === "/attachment/v1/upload") {
+        return uploadResponse(res, raw);
+      }
+      if (req.method === "GET" && /^\/openai\/\w+\/v1\/models$/.test(url)) {
+        return sendJSON(res, 200, {
+          object: "list",
+          data: [{ id: "gpt-4o" }, { id: "gpt-4o-mini" }],
+        });
+      }
+      if (
+        req.method === "GET" &&
+        (m = /^\/assistant\/v1\/assistants\/([^/]+)$/.exec(url))
+      ) {
+        const id = decodeURIComponent(m[1]);
+        if (id === "missing") {
+          return sendJSON(res, 404, { error: "Assistant not found" });
+        }
+        return sendJSON(res, 200, { assistant: { id, name: "Mock" } });
+      }
+      if (sendScenarioError(res, scenario)) return;
+      if (
+        req.method === "POST" &&
+        /^\/openai\/\w+\/v1\/chat\/completions$/.test(url)
+      ) {
+        return chatCompletion(req, res, body, scenario);
+      }
+      if (
+        req.method === "POST" &&
+        /^\/openai\/\w+\/v1\/embeddings$/.test(url)
+      ) {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        return sendJSON(res, 200, {
+          object: "list",
+          model: body.model,
+          data: inputs.map((_, index) => ({
+            object: "embedding",
+            index,
+            embedding: mockEmbedding(inputs[index]),
+          })),
+          usage: { prompt_tokens: 3, total_tokens: 3 },
+        });
+      }
+      if (req.method === "POST" && url === "/assistant/v1/chat/completions") {
+        return assistantCompletion(req, res, body, scenario);
+      }
+      sendJSON(res, 404, { error: { message: `mock: no route ${url}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        reset: () => requests.splice(0),
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { startMockLangdock, SLOW_GAP_MS };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PORT) || 4010;
+  startMockLangdock({
+    apiKey: process.env.LANGDOCK_API_KEY || "test-key",
+    port,
+  }).then((mock) => console.log(`mock Langdock listening on ${mock.url}`));
+}
@@ -0,0 +1,183 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, parseSSE, writeKeys, tmpDir } = require("./helpers");
+
+let proxy;
+let routesDir;
+let routes;
+before(async () => {
+  routesDir = tmpDir();
+  routes = path.join(routesDir, "routes.json");
+  fs.writeFileSync(
+    routes,
+    JSON.stringify({
+      aliases: {
+        default: { model: "gpt-4o", region: "eu" },
+        fast: { model: "fail-mini", fallbacks: ["gpt-4o-mini@us"] },
+        embed: { model: "text-embedding-3-small", region: "us" },
+      },
+    })
+  );
+  proxy = await startProxy({ MODEL_ROUTES_FILE: routes });
+});
+after(async () => {
+  await proxy.close();
+  fs.rmSync(routesDir, { recursive: true, force: true });
+});
+beforeEach(() => proxy.mock.reset());
+
+test("GET /v1/models lists upstream models", async () => {
+  const res = await proxy.fetch("/v1/models");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "list");
+  assert.deepEqual(
+    body.data.map((m) => m.id),
+    ["gpt-4o", "gpt-4o-mini"]
+  );
+  assert.equal(body.data[0].object, "model");
+});
+
+test("GET /v1/models/:model finds one model or 404s OpenAI-style", async () => {
+  const ok = await proxy.fetch("/v1/models/gpt-4o");
+  assert.equal((await ok.json()).id, "gpt-4o");
+  const missing = await proxy.fetch("/v1/models/nope");
+  assert.equal(missing.status, 404);
+  const body = await missing.json();
+  assert.equal(body.error.type, "invalid_request_error");
+  assert.match(body.error.message, /does not exist/);
+});
+
+test("POST /v1/embeddings proxies to the regional API", async () => {
+  const res = await proxy.post("/v1/embeddings?region=us", {
+    model: "text-embedding-3-small",
+    input: ["a", "b"],
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).data.length, 2);
+  assert.equal(proxy.mock.requests[0].path, "/openai/us/v1/embeddings");
+});
+
+test("POST /v1/completions maps a prompt onto chat and back", async () => {
+  const res = await proxy.post("/v1/completions", {
+    model: "gpt-4o",
+    prompt: "Say hi",
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "text_completion");
+  assert.equal(body.choices[0].text, "Hello from gpt-4o");
+  assert.deepEqual(proxy.mock.requests[0].body.messages, [
+    { role: "user", content: "Say hi" },
+  ]);
+});
+
+test("POST /v1/completions streams text_completion chunks", async () => {
+  const res = await proxy.post("/v1/completions", {
+    model: "gpt-4o",
+    prompt: "Say hi",
+    stream: true,
+  });
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const text = sse.data
+    .slice(0, -1)
+    .map((d) => JSON.parse(d))
+    .map((c) => c.choices[0]?.text || "")
+    .join("");
+  assert.equal(text, "Hello from gpt-4o");
+});
+
+test("POST /v1/completions follows aliases and fallbacks", async () => {
+  const res = await proxy.post("/v1/completions", {
+    model: "fast",
+    prompt: "Say hi",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-served-model"), "gpt-4o-mini");
+  assert.equal(res.headers.get("x-served-region"), "us");
+  assert.equal((await res.json()).choices[0].text, "Hello from gpt-4o-mini");
+  assert.deepEqual(
+    proxy.mock.requests.map((r) => [r.path, r.body.model]),
+    [
+      ["/openai/eu/v1/chat/completions", "fail-mini"],
+      ["/openai/us/v1/chat/completions", "gpt-4o-mini"],
+    ]
+  );
+});
+
+test("POST /v1/embeddings resolves aliases but not the chat default", async () => {
+  let res = await proxy.post("/v1/embeddings", { model: "embed", input: "a" });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-served-model"), "text-embedding-3-small");
+  res = await proxy.post("/v1/embeddings", { input: "a" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    proxy.mock.requests.map((r) => [r.path, r.body.model]),
+    [
+      ["/openai/us/v1/embeddings", "text-embedding-3-small"],
+      ["/openai/eu/v1/embeddings", undefined],
+    ]
+  );
+});
+
+test("/v1 fallbacks keep to the key's regions and models", async () => {
+  const dir = tmpDir();
+  const scoped = await startProxy({
+    MODEL_ROUTES_FILE: routes,
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(dir, [
+      { id: "eu", secret: "ldp_eu", regions: ["eu"] },
+      { id: "chat", secret: "ldp_chat", models: ["gpt-4o"] },
+    ]),
+  });
+  try {
+    const eu = { Authorization: "Bearer ldp_eu" };
+    let res = await scoped.post(
+      "/v1/completions",
+      { model: "fast", prompt: "x" },
+      eu
+    );
+    assert.equal(res.status, 503); // the us fallback is out of scope
+    res = await scoped.post(
+      "/v1/embeddings",
+      { model: "embed", input: "a" },
+      eu
+    );
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error.message, /region/);
+    assert.deepEqual(
+      scoped.mock.requests.map((r) => r.path),
+      ["/openai/eu/v1/chat/completions"]
+    );
+
+    res = await scoped.post(
+      "/v1/embeddings",
+      { model: "embed", input: "a" },
+      { Authorization: "Bearer ldp_chat" }
+    );
+    assert.equal(res.status, 403);
+  } finally {
+    await scoped.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("upstream failures come back OpenAI-shaped on /v1", async () => {
+  const res = await proxy.post("/v1/completions", {
+    model: "gpt-4o",
+    prompt: "x",
+    mock: "error-503",
+  });
+  assert.equal(res.status, 503);
+  assert.equal(typeof (await res.json()).error, "object");
+});
+
+test("unknown /v1 endpoints return an OpenAI-shaped 404", async () => {
+  const res = await proxy.fetch("/v1/nope");
+  assert.equal(res.status, 404);
+  const body = await res.json();
+  assert.equal(body.error.code, "not_found");
+});
@@ -0,0 +1,389 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { startProxy, writeKeys, tmpDir, parseSSE } = require("./helpers");
+const { chunkText, createFileIndex } = require("../lib/rag");
+
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(tmpDir(), [
+      { id: "admin", secret: "ldp_admin" },
+      { id: "support", secret: "ldp_support", collections: ["handbook*"] },
+      { id: "eu", secret: "ldp_eu", regions: ["eu"] },
+    ]),
+    INDEX_MAX_EXPANDED_BYTES: String(1024 * 1024),
+  });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const as = (who) => ({ Authorization: `Bearer ldp_${who}` });
+
+// A one-page PDF whose text is drawn line by line from a deflated stream
+function pdf(lines) {
+  const content = `BT /F1 12 Tf 72 720 Td ${lines
+    .map((l, i) => `${i ? "0 -14 Td " : ""}(${l}) Tj`)
+    .join(" ")} ET`;
+  const stream = zlib.deflateSync(content);
+  return Buffer.concat([
+    Buffer.from(
+      `%PDF-1.4\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`,
+      "latin1"
+    ),
+    stream,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+  ]);
+}
+
+// A stored (uncompressed) zip: { name: text } -> Buffer
+function zip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(entries)) {
+    const data = Buffer.from(text);
+    const fname = Buffer.from(name);
+    const crc = zlib.crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fname.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(fname.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    parts.push(local, fname, data);
+    central.push(entry, fname);
+    offset += 30 + fname.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, directory, end]);
+}
+
+const docx = (paragraphs) =>
+  zip({
+    "word/document.xml": `<?xml version="1.0"?><w:document><w:body>${paragraphs
+      .map((p) => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`)
+      .join("")}</w:body></w:document>`,
+    "[Content_Types].xml": "<Types/>",
+  });
+
+function index(who, collection, files) {
+  const form = new FormData();
+  for (const [name, data, type] of files) {
+    form.append("file", new Blob([data], { type }), name);
+  }
+  return proxy.fetch(`/index/${collection}`, {
+    method: "POST",
+    body: form,
+    headers: as(who),
+  });
+}
+
+const handbook = [
+  [
+    "handbook.pdf",
+    pdf(["Vacation policy: every employee gets 30 vacation days", "per year."]),
+    "application/pdf",
+  ],
+  [
+    "expenses.docx",
+    docx(["Expense reports are due monthly.", "Receipts &amp; invoices."]),
+    DOCX,
+  ],
+  [
+    "security.md",
+    "# Security\n\nRotate your laptop password every quarter.\n",
+    "text/markdown",
+  ],
+];
+
+test("documents are extracted, chunked, embedded and listed", async () => {
+  const res = await index("admin", "handbook", handbook);
+  assert.equal(res.status, 201);
+  const body = await res.json();
+  assert.equal(body.collection, "handbook");
+  assert.deepEqual(
+    body.documents.map((d) => [d.name, d.type, d.chunks]),
+    [
+      ["handbook.pdf", "application/pdf", 1],
+      ["expenses.docx", DOCX, 1],
+      ["security.md", "text/markdown", 1],
+    ]
+  );
+  const embeds = proxy.mock.requests.filter((r) =>
+    r.path.endsWith("/v1/embeddings")
+  );
+  assert.deepEqual(
+    embeds.map((r) => r.body.input[0]),
+    [
+      "Vacation policy: every employee gets 30 vacation days per year.",
+      "Expense reports are due monthly. Receipts & invoices.",
+      "# Security\nRotate your laptop password every quarter.",
+    ]
+  );
+  assert.equal(embeds[0].body.model, "text-embedding-3-small");
+
+  // the same file again is not re-embedded
+  proxy.mock.reset();
+  const again = await (await index("admin", "handbook", [handbook[2]])).json();
+  assert.equal(again.documents[0].deduplicated, true);
+  assert.equal(proxy.mock.requests.length, 0);
+
+  const list = await (
+    await proxy.fetch("/index", { headers: as("admin") })
+  ).json();
+  const entry = list.collections.find((c) => c.name === "handbook");
+  assert.equal(entry.documents.length, 3);
+  assert.equal(entry.chunks, 3);
+});
+
+test("retrieval adds the closest chunks as sources and returns citations", async () => {
+  await index("support", "handbook", handbook);
+  proxy.mock.reset();
+  const res = await proxy.post(
+    "/v1/chat/completions",
+    {
+      model: "gpt-4o",
+      messages: [
+        { role: "system", content: "You are the HR bot." },
+        { role: "user", content: "How many vacation days per year?" },
+      ],
+      retrieval: { collection: "handbook", topK: 1 },
+    },
+    as("support")
+  );
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.citations.length, 1);
+  assert.equal(body.citations[0].index, 1);
+  assert.equal(body.citations[0].document, "handbook.pdf");
+  assert.equal(body.citations[0].part, 1);
+  assert.match(body.citations[0].excerpt, /30 vacation days/);
+
+  const sent = proxy.mock.requests.find((r) =>
+    r.path.endsWith("/chat/completions")
+  ).body;
+  assert.equal(sent.retrieval, undefined);
+  assert.deepEqual(
+    sent.messages.map((m) => m.role),
+    ["system", "system", "user"]
+  );
+  assert.match(sent.messages[1].content, /\[1\] handbook\.pdf \(part 1\)/);
+  assert.doesNotMatch(sent.messages[1].content, /laptop/);
+
+  // streamed: citations are the last event
+  const streamed = await proxy.post(
+    "/chat/completions",
+    {
+      model: "gpt-4o",
+      messages: [{ role: "user", content: "When are expense reports due?" }],
+      retrieval: { collection: "handbook", topK: 2 },
+    },
+    as("support")
+  );
+  const sse = parseSSE(await streamed.text());
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const [event] = sse.events.filter((e) => e.event === "citations");
+  const { citations } = JSON.parse(event.data);
+  assert.equal(citations.length, 2);
+  assert.equal(citations[0].document, "expenses.docx");
+});
+
+test("collection scopes, unknown collections and bad options are refused", async () => {
+  let res = await index("support", "payroll", [handbook[2]]);
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).detail, /collection payroll/);
+
+  res = await index("admin", "payroll", [handbook[2]]);
+  assert.equal(res.status, 201);
+
+  const chat = (retrieval, who = "support") =>
+    proxy.post(
+      "/v1/chat/completions",
+      {
+        model: "gpt-4o",
+        messages: [{ role: "user", content: "hi" }],
+        retrieval,
+      },
+      as(who)
+    );
+  res = await chat({ collection: "payroll" });
+  assert.equal(res.status, 403);
+  res = await chat({ collection: "handbook-missing" });
+  assert.equal(res.status, 404);
+  assert.match((await res.json()).error.message, /Unknown collection/);
+  res = await chat({ collection: "payroll", topK: 0 }, "admin");
+  assert.equal(res.status, 400);
+  res = await chat({ collection: "../etc" }, "admin");
+  assert.equal(res.status, 400);
+  res = await index("admin", "bad.name", [handbook[2]]);
+  assert.equal(res.status, 400);
+});
+
+test("collections belong to the key that created them", async () => {
+  let res = await index("admin", "handbook-hr", [handbook[0]]);
+  assert.equal(res.status, 201);
+
+  const list = await (
+    await proxy.fetch("/index", { headers: as("support") })
+  ).json();
+  assert.ok(!list.collections.some((c) => c.name === "handbook-hr"));
+  res = await proxy.fetch("/index/handbook-hr", { headers: as("support") });
+  assert.equal(res.status, 404);
+  res = await proxy.fetch("/index/handbook-hr", {
+    method: "DELETE",
+    headers: as("support"),
+  });
+  assert.equal(res.status, 404);
+  res = await proxy.post(
+    "/chat/completions",
+    {
+      stream: false,
+      messages: [{ role: "user", content: "vacation days" }],
+      retrieval: { collection: "handbook-hr" },
+    },
+    as("support")
+  );
+  assert.equal(res.status, 404);
+
+  // the same name is a separate collection for another key
+  res = await index("support", "handbook-hr", [handbook[2]]);
+  assert.equal(res.status, 201);
+  const mine = await (
+    await proxy.fetch("/index/handbook-hr", { headers: as("admin") })
+  ).json();
+  assert.deepEqual(
+    mine.documents.map((d) => d.name),
+    ["handbook.pdf"]
+  );
+});
+
+test("indexing keeps to the key's regions", async () => {
+  const form = new FormData();
+  form.append("file", new Blob(["Hello"], { type: "text/plain" }), "a.txt");
+  let res = await proxy.fetch("/index/regional?region=us", {
+    method: "POST",
+    body: form,
+    headers: as("eu"),
+  });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).detail, /region us/);
+  assert.equal(proxy.mock.requests.length, 0);
+
+  res = await index("eu", "regional", [["a.txt", "Hello", "text/plain"]]);
+  assert.equal(res.status, 201);
+  assert.ok(proxy.mock.requests.every((r) => r.path.startsWith("/openai/eu/")));
+});
+
+test("files without text are refused and documents can be removed", async () => {
+  let res = await index("admin", "scratch", [
+    ["notes.md", "ok", "text/markdown"],
+    ["empty.pdf", pdf([]), "application/pdf"],
+  ]);
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).error, "no_text");
+  res = await proxy.fetch("/index/scratch", { headers: as("admin") });
+  assert.equal(res.status, 404);
+
+  res = await index("admin", "scratch", [
+    ["notes.md", "first version", "text/markdown"],
+  ]);
+  const [first] = (await res.json()).documents;
+  res = await index("admin", "scratch", [
+    ["notes.md", "second version", "text/markdown"],
+  ]);
+  const [second] = (await res.json()).documents;
+  assert.equal(second.replaced, first.id);
+
+  res = await proxy.fetch(`/index/scratch/documents/${first.id}`, {
+    method: "DELETE",
+    headers: as("admin"),
+  });
+  assert.equal(res.status, 404);
+  res = await proxy.fetch(`/index/scratch/documents/${second.id}`, {
+    method: "DELETE",
+    headers: as("admin"),
+  });
+  assert.equal(res.status, 204);
+  const left = await (
+    await proxy.fetch("/index/scratch", { headers: as("admin") })
+  ).json();
+  assert.deepEqual([left.documents.length, left.chunks], [0, 0]);
+
+  res = await proxy.fetch("/index/scratch", {
+    method: "DELETE",
+    headers: as("admin"),
+  });
+  assert.equal(res.status, 204);
+  res = await proxy.fetch("/index/scratch", { headers: as("admin") });
+  assert.equal(res.status, 404);
+});
+
+test("documents that inflate past the limit are refused", async () => {
+  // a few KB on disk, 2 MB once inflated
+  const bomb = pdf([`bomb${" ".repeat(2e6)}`]);
+  const res = await index("admin", "bombs", [
+    ["bomb.pdf", bomb, "application/pdf"],
+  ]);
+  assert.equal(res.status, 422);
+  const body = await res.json();
+  assert.equal(body.error, "unreadable_document");
+  assert.match(body.detail, /expands to more than 1048576 bytes/);
+});
+
+test("chunks overlap and stay within the size", () => {
+  const text = Array.from({ length: 40 }, (_, i) => `Sentence ${i}.`).join(" ");
+  const chunks = chunkText(text, { size: 100, overlap: 30 });
+  assert.ok(chunks.length > 4);
+  for (const c of chunks) assert.ok(c.length <= 100, c);
+  const tail = chunks[0].slice(-20).split(" ").pop();
+  assert.ok(chunks[1].includes(tail));
+});
+
+test("the index writes again after a failed write", async () => {
+  const dir = tmpDir();
+  try {
+    const index = createFileIndex(dir);
+    const doc = (id) => ({ id, name: `${id}.md` });
+    const chunk = (id) => ({ documentId: id, text: id, vector: [1] });
+    // a directory where the temp file goes makes the next write fail
+    const tmp = path.join(dir, "key-a", `notes.json.${process.pid}.tmp`);
+    fs.mkdirSync(tmp, { recursive: true });
+    await assert.rejects(
+      index.addDocument("a", "notes", "m", doc("d1"), [chunk("d1")])
+    );
+    assert.equal(await index.get("a", "notes"), null);
+    fs.rmdirSync(tmp);
+
+    await index.addDocument("a", "notes", "m", doc("d2"), [chunk("d2")]);
+    const reopened = createFileIndex(dir);
+    assert.deepEqual(
+      (await reopened.get("a", "notes")).documents.map((d) => d.id),
+      ["d2"]
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,167 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createApp } = require("../app");
+const { createProxyMetrics } = require("../lib/metrics");
+const { startProxy } = require("./helpers");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({ ALLOW_ORIGIN: "https://app.example" });
+});
+after(() => proxy.close());
+
+test("createApp refuses to start without LANGDOCK_API_KEY", () => {
+  assert.throws(() => createApp({}), /Missing LANGDOCK_API_KEY/);
+});
+
+test("GET /health answers ok", async () => {
+  const res = await proxy.fetch("/health");
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "ok");
+});
+
+test("GET /ready checks config, upstream key and Azure", async () => {
+  const res = await proxy.fetch("/ready");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.status, "ready");
+  assert.deepEqual(Object.keys(body.checks).sort(), [
+    "azure",
+    "config",
+    "upstream",
+  ]);
+});
+
+test("GET /ready fails when Langdock rejects the API key", async () => {
+  const bad = await startProxy({ LANGDOCK_API_KEY: "wrong" });
+  try {
+    const res = await bad.fetch("/ready");
+    assert.equal(res.status, 503);
+    const body = await res.json();
+    assert.equal(body.checks.upstream.ok, false);
+    assert.match(body.checks.upstream.detail, /rejected \(401\)/);
+  } finally {
+    await bad.close();
+  }
+});
+
+test("GET /metrics exposes Prometheus counters", async () => {
+  await (await proxy.fetch("/health")).text();
+  const res = await proxy.fetch("/metrics");
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+  const text = await res.text();
+  assert.match(text, /# TYPE ldproxy_http_requests_total counter/);
+  assert.match(
+    text,
+    /ldproxy_http_requests_total\{route="\/health",key="none",method="GET",status="200"\} \d+/
+  );
+});
+
+test("GET /metrics requires METRICS_TOKEN when set", async () => {
+  const guarded = await startProxy({ METRICS_TOKEN: "scrape-me" });
+  try {
+    let res = await guarded.fetch("/metrics");
+    assert.equal(res.status, 401);
+    res = await guarded.fetch("/metrics", {
+      headers: { Authorization: "Bearer scrape-m" },
+    });
+    assert.equal(res.status, 401);
+    res = await guarded.fetch("/metrics", {
+      headers: { Authorization: "Bearer scrape-me" },
+    });
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /ldproxy_http_requests_total/);
+  } finally {
+    await guarded.close();
+  }
+});
+
+test("metrics label the served model and bound the label's values", () => {
+  const metrics = createProxyMetrics(undefined, { maxModels: 2 });
+  const call = (req) => {
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      getHeader: () => undefined,
+      write: () => true,
+    });
+    req = { method: "POST", path: "/chat/completions", body: {}, ...req };
+    metrics.middleware(req, res, () => {});
+    req.tokenUsage = { prompt: 1, completion: 1, total: 2 };
+    res.emit("finish");
+  };
+  call({ body: { model: "fast" }, servedModel: "gpt-4o-mini" });
+  call({ body: { model: "gpt-4o" }, servedModel: "gpt-4o" });
+  call({ body: { model: "made-up-1" }, servedModel: "made-up-1" });
+  call({ body: { model: "made-up-2" } }); // never routed
+  call({ body: { assistantId: "a1" } });
+
+  const models = new Set(
+    [
+      ...metrics.registry
+        .render()
+        .matchAll(/ldproxy_tokens_total\{[^}]*model="([^"]*)"/g),
+    ].map((m) => m[1])
+  );
+  assert.deepEqual([...models].sort(), [
+    "assistant",
+    "gpt-4o",
+    "gpt-4o-mini",
+    "other",
+  ]);
+});
+
+test("CORS allows configured origins", async () => {
+  const res = await proxy.fetch("/health", {
+    headers: { Origin: "https://app.example" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(
+    res.headers.get("access-control-allow-origin"),
+    "https://app.example"
+  );
+});
+
+test("CORS rejects other origins with a 403", async () => {
+  const res = await proxy.fetch("/health", {
+    headers: { Origin: "https://evil.example" },
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.headers.get("access-control-allow-origin"), null);
+  assert.deepEqual(await res.json(), {
+    error: "forbidden",
+    detail: "Origin https://evil.example not allowed by CORS",
+  });
+});
+
+test("OPTIONS preflight allows the key headers", async () => {
+  const res = await proxy.fetch("/chat/completions", {
+    method: "OPTIONS",
+    headers: {
+      Origin: "https://app.example",
+      "Access-Control-Request-Method": "POST",
+      "Access-Control-Request-Headers": "authorization, x-api-key",
+    },
+  });
+  assert.equal(res.status, 204);
+  assert.equal(
+    res.headers.get("access-control-allow-origin"),
+    "https://app.example"
+  );
+  assert.match(res.headers.get("access-control-allow-headers"), /x-api-key/);
+});
+
+test("responses carry an X-Request-Id, echoing a sane incoming one", async () => {
+  const minted = await proxy.fetch("/health");
+  assert.match(minted.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  const echoed = await proxy.fetch("/health", {
+    headers: { "X-Request-Id": "trace-123" },
+  });
+  assert.equal(echoed.headers.get("x-request-id"), "trace-123");
+});
+
+test("POST /log reports missing Azure configuration", async () => {
+  const res = await proxy.post("/log", { event: "x" });
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).message, "Azure log failed");
+});
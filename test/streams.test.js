@@ -0,0 +1,189 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startProxy, parseSSE, sleep } = require("./helpers");
+const { parseEventId } = require("../lib/streams");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({ STREAM_GRACE_MS: "5000" });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const messages = [{ role: "user", content: "hi" }];
+const ASSISTANT_ID = "0b6f6c1e-6b7a-4c3e-9d2f-3f1a2b4c5d6e";
+
+const contentOf = (text) =>
+  parseSSE(text)
+    .data.filter((d) => d !== "[DONE]")
+    .map((d) => JSON.parse(d).choices[0]?.delta?.content || "")
+    .join("");
+
+// Reads a streaming response until the first data event has been marked,
+// then hangs up. Resolves with what arrived and the last event id.
+async function readFirstEvent(res, controller) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let lastId = null;
+  while (!lastId || !text.includes("data:")) {
+    const { value } = await reader.read();
+    text += decoder.decode(value);
+    const ids = [...text.matchAll(/^id: (\S+)$/gm)].map((m) => m[1]);
+    lastId = ids.length > 1 ? ids.at(-1) : null;
+  }
+  controller.abort();
+  return { text, lastId };
+}
+
+test("a dropped chat stream is replayed from Last-Event-ID", async () => {
+  const controller = new AbortController();
+  const res = await proxy.fetch("/chat/completions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model: "gpt-4o", mock: "slow", messages }),
+    signal: controller.signal,
+  });
+  const streamId = res.headers.get("x-stream-id");
+  const first = await readFirstEvent(res, controller);
+  assert.equal(parseEventId(first.lastId).streamId, streamId);
+
+  // reconnect on the same route, the way EventSource would
+  const again = await proxy.fetch("/chat/completions", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Last-Event-ID": first.lastId,
+    },
+    body: JSON.stringify({ model: "gpt-4o", mock: "slow", messages }),
+  });
+  const rest = await again.text();
+  assert.equal(contentOf(first.text) + contentOf(rest), "Hello from gpt-4o");
+  assert.match(rest, /:done\n\n$/);
+  assert.equal(proxy.mock.requests.length, 1);
+  assert.equal(proxy.mock.requests[0].closedEarly, false);
+
+  // once everything was delivered there is nothing left to resume
+  const ids = [...rest.matchAll(/^id: (\S+)$/gm)].map((m) => m[1]);
+  const done = await proxy.fetch(`/streams/${streamId}`, {
+    headers: { "Last-Event-ID": ids.at(-1) },
+  });
+  assert.equal(done.status, 204);
+});
+
+test("a reconnect is not charged against the rate limit", async () => {
+  const limited = await startProxy({
+    STREAM_GRACE_MS: "5000",
+    RATE_LIMIT_RPM: "1",
+  });
+  try {
+    const body = JSON.stringify({ model: "gpt-4o", mock: "slow", messages });
+    const controller = new AbortController();
+    const res = await limited.fetch("/chat/completions", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+      signal: controller.signal,
+    });
+    const first = await readFirstEvent(res, controller);
+
+    const again = await limited.fetch("/chat/completions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Last-Event-ID": first.lastId,
+      },
+      body,
+    });
+    assert.equal(again.status, 200);
+    const rest = await again.text();
+    assert.equal(contentOf(first.text) + contentOf(rest), "Hello from gpt-4o");
+
+    // a new call is still limited
+    const fresh = await limited.post("/chat/completions", {
+      model: "gpt-4o",
+      messages,
+    });
+    assert.equal(fresh.status, 429);
+  } finally {
+    await limited.close();
+  }
+});
+
+test("GET /assistant-stream resumes the line framing too", async () => {
+  const q = encodeURIComponent(
+    JSON.stringify({ assistantId: ASSISTANT_ID, mock: "slow", messages })
+  );
+  const controller = new AbortController();
+  const res = await proxy.fetch(`/assistant-stream?q=${q}`, {
+    signal: controller.signal,
+  });
+  const first = await readFirstEvent(res, controller);
+  const again = await proxy.fetch(`/assistant-stream?q=${q}`, {
+    headers: { "Last-Event-ID": first.lastId },
+  });
+  const data = [
+    ...parseSSE(first.text).data,
+    ...parseSSE(await again.text()).data,
+  ];
+  assert.deepEqual(data.slice(0, 3), [
+    '0:"Hello "',
+    '2:[{"type":"status","value":"thinking"}]',
+    '0:"world"',
+  ]);
+  assert.equal(proxy.mock.requests.length, 1);
+});
+
+test("POST /assistant line framing carries no id markers", async () => {
+  const res = await proxy.post("/assistant", {
+    assistantId: ASSISTANT_ID,
+    messages,
+  });
+  const text = await res.text();
+  assert.doesNotMatch(text, /^id:/m);
+  assert.match(text, /0:"Hello "\n2:.*\n0:"world"\n/);
+
+  // still picked up again by id, from the start
+  const again = await proxy.fetch(`/streams/${res.headers.get("x-stream-id")}`);
+  const replay = await again.text();
+  assert.doesNotMatch(replay, /^id:/m);
+  assert.match(replay, /0:"Hello "\n2:.*\n0:"world"\n/);
+});
+
+test("POST /streams/:id/cancel aborts the upstream call", async () => {
+  const res = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    mock: "slow",
+    messages,
+  });
+  const streamId = res.headers.get("x-stream-id");
+  const cancel = await proxy.post(`/streams/${streamId}/cancel`, {});
+  assert.deepEqual(await cancel.json(), { id: streamId, cancelled: true });
+  await res.text(); // the open response ends too
+  await sleep(100);
+  assert.equal(proxy.mock.requests[0].closedEarly, true);
+
+  const again = await proxy.post(`/streams/${streamId}/cancel`, {});
+  assert.equal(again.status, 404);
+  const resume = await proxy.fetch(`/streams/${streamId}`);
+  assert.equal(resume.status, 410);
+});
+
+test("a resume past the bounded buffer is refused", async () => {
+  const small = await startProxy({ STREAM_BUFFER_BYTES: "64" });
+  try {
+    const res = await small.post("/chat/completions", {
+      model: "gpt-4o",
+      messages,
+    });
+    const streamId = res.headers.get("x-stream-id");
+    await res.text();
+    const resume = await small.fetch(`/streams/${streamId}`, {
+      headers: { "Last-Event-ID": `${streamId}:0` },
+    });
+    assert.equal(resume.status, 410);
+    assert.match((await resume.json()).detail, /no longer holds event 1/);
+  } finally {
+    await small.close();
+  }
+});
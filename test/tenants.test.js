@@ -0,0 +1,135 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, writeKeys, tmpDir } = require("./helpers");
+const { createKeyPool } = require("../lib/tenants");
+const { createApp } = require("../app");
+
+const TENANTS = {
+  tenants: {
+    finance: {
+      apiKeys: ["limited-fin", "tenant-fin"],
+      clientKeys: ["finance-*"],
+      regions: ["eu"],
+    },
+    marketing: {
+      apiKeys: ["tenant-mkt"],
+      origins: ["https://marketing.example.com"],
+      assistants: ["123e4567-e89b-12d3-a456-426614174000"],
+    },
+  },
+};
+
+let proxy;
+let dir;
+let tenantsFile;
+before(async () => {
+  dir = tmpDir();
+  tenantsFile = path.join(dir, "tenants.json");
+  fs.writeFileSync(tenantsFile, JSON.stringify(TENANTS));
+  proxy = await startProxy({
+    AUTH_DISABLED: "false",
+    TENANTS_FILE: tenantsFile,
+    PROXY_KEYS_FILE: writeKeys(dir, [
+      { id: "finance-web", secret: "ldp_fin" },
+      { id: "other", secret: "ldp_other" },
+    ]),
+  });
+});
+after(async () => {
+  await proxy.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+beforeEach(() => proxy.mock.reset());
+
+const messages = [{ role: "user", content: "hi" }];
+const fin = { Authorization: "Bearer ldp_fin" };
+const upstreamKeys = () =>
+  proxy.mock.requests.map((r) => r.headers.authorization.slice(7));
+
+test("the key pool skips rate-limited keys until they cool down", () => {
+  const pool = createKeyPool(["a", "b", "c"]);
+  assert.deepEqual([pool.pick(), pool.pick(), pool.pick()], ["a", "b", "c"]);
+  pool.rateLimited("b", 60000);
+  assert.deepEqual([pool.pick(), pool.pick(), pool.pick()], ["a", "c", "a"]);
+  assert.equal(pool.available(), 2);
+  pool.rateLimited("a", 30000);
+  pool.rateLimited("c", 90000);
+  assert.equal(pool.pick(), "a"); // all cooling: the one free soonest
+});
+
+test("a rate-limited upstream key rotates to the tenant's next key", async () => {
+  const res = await proxy.post("/v1/chat/completions", { messages }, fin);
+  assert.equal(res.status, 200);
+  assert.deepEqual(upstreamKeys(), ["limited-fin", "tenant-fin"]);
+
+  // the limited key stays parked for its Retry-After
+  await proxy.post("/v1/chat/completions", { messages }, fin);
+  assert.deepEqual(upstreamKeys().slice(2), ["tenant-fin"]);
+});
+
+test("tenants are picked by client key, then origin, then the default", async () => {
+  const other = { Authorization: "Bearer ldp_other" };
+  await proxy.post("/v1/chat/completions", { messages }, other);
+  await proxy.post(
+    "/v1/chat/completions",
+    { messages },
+    {
+      ...other,
+      Origin: "https://marketing.example.com",
+    }
+  );
+  assert.deepEqual(upstreamKeys(), ["test-key", "tenant-mkt"]);
+});
+
+test("/v1/models is fetched and cached per tenant", async () => {
+  const other = { Authorization: "Bearer ldp_other" };
+  const mkt = { ...other, Origin: "https://marketing.example.com" };
+  for (const headers of [other, mkt, other, mkt]) {
+    const res = await proxy.fetch("/v1/models", { headers });
+    assert.equal(res.status, 200);
+  }
+  assert.deepEqual(upstreamKeys(), ["test-key", "tenant-mkt"]);
+});
+
+test("tenant region and assistant limits are enforced", async () => {
+  let res = await proxy.post("/chat/completions?region=us", { messages }, fin);
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).detail, /Tenant finance .* region us/);
+
+  res = await proxy.post(
+    "/assistant-json",
+    { assistantId: "00000000-0000-0000-0000-000000000000", messages },
+    {
+      Authorization: "Bearer ldp_other",
+      Origin: "https://marketing.example.com",
+    }
+  );
+  assert.equal(res.status, 403);
+  assert.equal(proxy.mock.requests.length, 0);
+});
+
+test("the tenants file is hot-reloaded", async () => {
+  const next = structuredClone(TENANTS);
+  next.tenants.finance.apiKeys = ["tenant-fin-rotated"];
+  fs.writeFileSync(tenantsFile, JSON.stringify(next));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(tenantsFile, later, later);
+  try {
+    await proxy.post("/v1/chat/completions", { messages }, fin);
+    assert.deepEqual(upstreamKeys(), ["tenant-fin-rotated"]);
+  } finally {
+    fs.writeFileSync(tenantsFile, JSON.stringify(TENANTS));
+  }
+});
+
+test("LANGDOCK_API_KEY is optional once tenants are configured", async () => {
+  const app = createApp({
+    TENANTS_FILE: tenantsFile,
+    AUTH_DISABLED: "true",
+    LOG_SPOOL_DIR: path.join(dir, "log-spool"),
+  });
+  app.locals.attachmentRetention?.stop();
+  await app.locals.logBuffer?.stop();
+});
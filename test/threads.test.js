@@ -0,0 +1,143 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, parseSSE, writeKeys, tmpDir } = require("./helpers");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy();
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const ASSISTANT_ID = "0b6f6c1e-6b7a-4c3e-9d2f-3f1a2b4c5d6e";
+
+async function createThread(body) {
+  const res = await proxy.post("/threads", body);
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+async function send(threadId, content) {
+  const res = await proxy.post(`/threads/${threadId}/messages`, { content });
+  assert.equal(res.status, 200);
+  return parseSSE(await res.text());
+}
+
+test("POST /threads needs an assistantId or a model", async () => {
+  const res = await proxy.post("/threads", { title: "x" });
+  assert.equal(res.status, 400);
+});
+
+test("threads can be created, listed, read and deleted", async () => {
+  const thread = await createThread({
+    model: "gpt-4o",
+    title: "Plans",
+    userEmail: "a@example.com",
+    system: "Be brief.",
+  });
+  assert.match(thread.id, /^thr_[0-9a-f]{32}$/);
+  assert.equal(thread.messages[0].role, "system");
+
+  const list = await (await proxy.fetch("/threads?user=a@example.com")).json();
+  assert.ok(list.threads.some((t) => t.id === thread.id));
+
+  const got = await (await proxy.fetch(`/threads/${thread.id}`)).json();
+  assert.equal(got.title, "Plans");
+
+  const del = await proxy.fetch(`/threads/${thread.id}`, { method: "DELETE" });
+  assert.equal(del.status, 204);
+  const gone = await proxy.fetch(`/threads/${thread.id}`);
+  assert.equal(gone.status, 404);
+});
+
+test("messages stream a reply and are stored with history", async () => {
+  const thread = await createThread({ model: "gpt-4o" });
+
+  const first = await send(thread.id, "hello");
+  assert.equal(first.data.at(-1), "[DONE]");
+  const stored = JSON.parse(
+    first.events.find((e) => e.event === "thread").data
+  );
+  assert.ok(stored.assistantMessageId);
+
+  await send(thread.id, "again");
+  const sent = proxy.mock.requests.at(-1).body.messages;
+  assert.deepEqual(
+    sent.map((m) => [m.role, m.content]),
+    [
+      ["user", "hello"],
+      ["assistant", "Hello from gpt-4o"],
+      ["user", "again"],
+    ]
+  );
+
+  const got = await (await proxy.fetch(`/threads/${thread.id}`)).json();
+  assert.equal(got.messages.length, 4);
+});
+
+test("assistant threads talk to the assistant API", async () => {
+  const thread = await createThread({ assistantId: ASSISTANT_ID });
+  await send(thread.id, "hi");
+  const req = proxy.mock.requests.at(-1);
+  assert.equal(req.path, "/assistant/v1/chat/completions");
+  assert.equal(req.body.assistantId, ASSISTANT_ID);
+  const got = await (await proxy.fetch(`/threads/${thread.id}`)).json();
+  assert.equal(got.messages.at(-1).content, "Hello world");
+});
+
+test("empty messages are rejected", async () => {
+  const thread = await createThread({ model: "gpt-4o" });
+  const res = await proxy.post(`/threads/${thread.id}/messages`, {
+    content: "  ",
+  });
+  assert.equal(res.status, 400);
+});
+
+test("model threads follow model scopes, aliases and fallbacks", async () => {
+  const dir = tmpDir();
+  const routes = path.join(dir, "routes.json");
+  fs.writeFileSync(
+    routes,
+    JSON.stringify({
+      aliases: {
+        fast: { model: "fail-mini", fallbacks: ["gpt-4o-mini@us"] },
+      },
+    })
+  );
+  const keyed = await startProxy({
+    AUTH_DISABLED: "false",
+    MODEL_ROUTES_FILE: routes,
+    PROXY_KEYS_FILE: writeKeys(dir, [
+      { id: "web", secret: "ldp_web", models: ["fast"] },
+    ]),
+  });
+  try {
+    const web = { Authorization: "Bearer ldp_web" };
+    let res = await keyed.post("/threads", { model: "gpt-4o" }, web);
+    assert.equal(res.status, 403);
+
+    res = await keyed.post("/threads", { model: "fast" }, web);
+    assert.equal(res.status, 201);
+    const thread = await res.json();
+    res = await keyed.post(
+      `/threads/${thread.id}/messages`,
+      { content: "hi" },
+      web
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-served-model"), "gpt-4o-mini");
+    await res.text();
+    assert.deepEqual(
+      keyed.mock.requests.map((r) => [r.path, r.body.model]),
+      [
+        ["/openai/eu/v1/chat/completions", "fail-mini"],
+        ["/openai/us/v1/chat/completions", "gpt-4o-mini"],
+      ]
+    );
+  } finally {
+    await keyed.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
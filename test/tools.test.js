@@ -0,0 +1,208 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { startProxy, writeKeys, parseSSE, tmpDir } = require("./helpers");
+const { createToolTurn } = require("../lib/tools");
+
+let proxy;
+let dir;
+let webhook;
+const hooked = []; // bodies the webhook tool received
+
+before(async () => {
+  webhook = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      hooked.push(JSON.parse(raw));
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ order: "shipped" }));
+    });
+  });
+  await new Promise((r) => webhook.listen(0, "127.0.0.1", r));
+
+  dir = tmpDir();
+  fs.writeFileSync(
+    path.join(dir, "echo.js"),
+    "module.exports = async (args) => ({ echoed: args.q });"
+  );
+  fs.writeFileSync(
+    path.join(dir, "slow.js"),
+    "module.exports = { run: () => new Promise((r) => setTimeout(r, 1000)) };"
+  );
+  fs.writeFileSync(
+    path.join(dir, "tools.json"),
+    JSON.stringify({
+      tools: {
+        echo: { description: "Echo", module: "./echo.js" },
+        slow: { module: "./slow.js", timeoutMs: 50 },
+        lookup_order: {
+          webhook: {
+            url: `http://127.0.0.1:${webhook.address().port}/`,
+            headers: { "X-Tool-Secret": "abc" },
+          },
+        },
+      },
+    })
+  );
+  proxy = await startProxy({
+    TOOLS_FILE: path.join(dir, "tools.json"),
+    TOOL_MAX_ROUNDS: "2",
+  });
+});
+after(async () => {
+  await proxy.close();
+  await new Promise((r) => webhook.close(r));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+beforeEach(() => proxy.mock.reset());
+
+const messages = [{ role: "user", content: "where is 42?" }];
+
+test("runs server tools and returns only the final answer", async () => {
+  const res = await proxy.post("/v1/chat/completions", {
+    model: "gpt-4o",
+    messages,
+    server_tools: ["echo"],
+    mock: "tools",
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  const { message, finish_reason } = body.choices[0];
+  assert.equal(message.content, 'Tool said: {"echoed":"where is 42?"}');
+  assert.equal(message.tool_calls, undefined);
+  assert.equal(finish_reason, "stop");
+
+  const [first, second] = proxy.mock.requests;
+  assert.equal(first.body.tools[0].function.name, "echo");
+  assert.equal(first.body.server_tools, undefined);
+  assert.deepEqual(
+    second.body.messages.slice(-2).map((m) => m.role),
+    ["assistant", "tool"]
+  );
+});
+
+test("streams the final answer with optional progress events", async () => {
+  const res = await proxy.post("/chat/completions", {
+    model: "gpt-4o",
+    messages,
+    server_tools: ["lookup_order"],
+    tool_progress: true,
+    mock: "tools",
+  });
+  assert.equal(res.status, 200);
+  const sse = parseSSE(await res.text());
+  assert.equal(sse.data.at(-1), "[DONE]");
+  const chunks = sse.data.slice(0, -1).map((d) => JSON.parse(d));
+  assert.ok(chunks.every((c) => !c.choices[0]?.delta?.tool_calls));
+  const content = chunks.map((c) => c.choices[0]?.delta?.content || "");
+  assert.equal(content.join(""), 'Tool said: {"order":"shipped"}');
+  assert.deepEqual(
+    sse.events.map((e) => JSON.parse(e.data).status),
+    ["running", "done"]
+  );
+  assert.deepEqual(hooked.at(-1), {
+    name: "lookup_order",
+    arguments: { q: "where is 42?" },
+  });
+});
+
+test("a tool that times out hands the model an error", async () => {
+  const res = await proxy.post("/chat/completions", {
+    messages,
+    server_tools: ["slow"],
+    tool_progress: true,
+    mock: "tools",
+  });
+  const sse = parseSSE(await res.text());
+  assert.equal(JSON.parse(sse.events.at(-1).data).status, "failed");
+  const tool = proxy.mock.requests[1].body.messages.at(-1);
+  assert.match(tool.content, /timed out after 50ms/);
+});
+
+test("TOOL_MAX_ROUNDS forces an answer", async () => {
+  const res = await proxy.post("/v1/chat/completions", {
+    model: "gpt-4o",
+    messages,
+    server_tools: true,
+    mock: "tools-loop",
+  });
+  const body = await res.json();
+  assert.equal(body.choices[0].message.content, "Hello from gpt-4o");
+  assert.equal(proxy.mock.requests.length, 3);
+  assert.equal(proxy.mock.requests[2].body.tool_choice, "none");
+});
+
+test("unknown or clashing tools are rejected", async () => {
+  let res = await proxy.post("/chat/completions", {
+    messages,
+    server_tools: ["nope"],
+  });
+  assert.equal(res.status, 400);
+  res = await proxy.post("/chat/completions", {
+    messages,
+    server_tools: ["echo"],
+    tools: [{ type: "function", function: { name: "echo" } }],
+  });
+  assert.equal(res.status, 400);
+  assert.equal(proxy.mock.requests.length, 0);
+});
+
+test("per-key tool allow-lists", async () => {
+  const keyed = await startProxy({
+    AUTH_DISABLED: "false",
+    TOOLS_FILE: path.join(dir, "tools.json"),
+    PROXY_KEYS_FILE: writeKeys(dir, [
+      { id: "web", secret: "ldp_web", tools: ["lookup_*"] },
+    ]),
+  });
+  try {
+    const auth = { Authorization: "Bearer ldp_web" };
+    const denied = await keyed.post(
+      "/chat/completions",
+      { messages, server_tools: ["echo"] },
+      auth
+    );
+    assert.equal(denied.status, 403);
+    assert.match((await denied.json()).detail, /tool echo/);
+
+    const res = await keyed.post(
+      "/v1/chat/completions",
+      { messages, server_tools: true },
+      auth
+    );
+    assert.equal(res.status, 200);
+    const offered = keyed.mock.requests[0].body.tools;
+    assert.deepEqual(
+      offered.map((t) => t.function.name),
+      ["lookup_order"]
+    );
+  } finally {
+    await keyed.close();
+  }
+});
+
+test("mixed turns pass the client's own calls through", () => {
+  const turn = createToolTurn((name) => name === "echo");
+  const chunk = (delta, finish = null) => ({
+    choices: [{ index: 0, delta, finish_reason: finish }],
+  });
+  const out = [
+    chunk({
+      role: "assistant",
+      tool_calls: [
+        { index: 0, id: "a", function: { name: "echo", arguments: "{}" } },
+        { index: 1, id: "b", function: { name: "mine", arguments: "{}" } },
+      ],
+    }),
+    chunk({}, "tool_calls"),
+  ].map(turn.accept);
+  assert.deepEqual(
+    out[0].choices[0].delta.tool_calls.map((c) => c.id),
+    ["b"]
+  );
+  assert.equal(out[1].choices[0].finish_reason, "tool_calls");
+  assert.deepEqual(turn.serverCalls(), []);
+});
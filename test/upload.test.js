@@ -0,0 +1,179 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startProxy, tmpDir } = require("./helpers");
+const { sniffMime } = require("../lib/uploads");
+
+const PDF = "%PDF-1.4\n%\u00e2\u00e3\n";
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({ UPLOAD_MAX_BYTES: "1024" });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+function upload(route, filename, { type = "text/plain", data = "hello" } = {}) {
+  const form = new FormData();
+  form.append("file", new Blob([data], { type }), filename);
+  return proxy.fetch(route, { method: "POST", body: form });
+}
+
+test("POST /upload returns { attachmentId, file }", async () => {
+  const res = await upload("/upload", "notes.txt");
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    attachmentId: "att-1",
+    file: { name: "notes.txt", mimeType: "text/plain", sizeInBytes: 5 },
+  });
+  assert.match(proxy.mock.requests[0].raw, /filename="notes.txt"/);
+  assert.match(proxy.mock.requests[0].raw, /\r\n\r\nhello\r\n/);
+});
+
+for (const [shape, id] of [
+  ["id", "att-id"],
+  ["nested", "att-nested"],
+  ["result", "att-result"],
+]) {
+  test(`POST /upload normalises a "${shape}" response`, async () => {
+    const res = await upload("/upload", `shape-${shape}.txt`, { data: shape });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).attachmentId, id);
+  });
+}
+
+test("POST /upload fails when upstream returns no attachment id", async () => {
+  const res = await upload("/upload", "shape-none.txt", { data: "none" });
+  assert.equal(res.status, 500);
+  assert.equal(
+    (await res.json()).message,
+    "No attachmentId in upload response"
+  );
+});
+
+test("POST /upload fails when upstream returns non-JSON", async () => {
+  const res = await upload("/upload", "shape-text.txt", { data: "text" });
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).rawResponse, "not json");
+});
+
+test("POST /upload names generic blobs after their sniffed type", async () => {
+  const res = await upload("/upload", "blob", {
+    type: "application/octet-stream",
+    data: PDF,
+  });
+  const body = await res.json();
+  assert.equal(body.file.name, "file.pdf");
+  assert.equal(body.file.mimeType, "application/pdf");
+  assert.match(proxy.mock.requests[0].raw, /filename="file.pdf"/);
+  assert.match(proxy.mock.requests[0].raw, /Content-Type: application\/pdf/);
+});
+
+test("POST /upload rejects content that does not match an allowed type", async () => {
+  const res = await upload("/upload", "report.pdf", {
+    type: "application/pdf",
+    data: Buffer.from("4d5a900003000000", "hex"),
+  });
+  assert.equal(res.status, 415);
+  const body = await res.json();
+  assert.equal(body.declaredType, "application/pdf");
+  assert.equal(body.detectedType, "application/octet-stream");
+  assert.equal(proxy.mock.requests.length, 0);
+});
+
+test("POST /upload refuses files over the size limit", async () => {
+  const res = await upload("/upload", "big.txt", {
+    data: "x".repeat(2048),
+  });
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).limit, 1024);
+  assert.equal(proxy.mock.requests.length, 0);
+});
+
+test("POST /upload refuses more files than allowed", async () => {
+  const form = new FormData();
+  form.append("file", new Blob(["a"], { type: "text/plain" }), "a.txt");
+  form.append("file", new Blob(["b"], { type: "text/plain" }), "b.txt");
+  const res = await proxy.fetch("/upload", { method: "POST", body: form });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).message, "Too many files");
+});
+
+test("POST /upload without a file is a 400", async () => {
+  const res = await proxy.fetch("/upload", {
+    method: "POST",
+    body: new FormData(),
+  });
+  assert.equal(res.status, 400);
+});
+
+test("POST /upload-image rejects non-images", async () => {
+  const res = await upload("/upload-image", "notes.txt");
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).detectedType, "text/plain");
+});
+
+test("POST /upload-image does not trust a declared image type", async () => {
+  const res = await upload("/upload-image", "pic.png", { type: "image/png" });
+  assert.equal(res.status, 415);
+});
+
+test("POST /upload-image reports missing Azure configuration", async () => {
+  const res = await upload("/upload-image", "pic.png", {
+    type: "image/png",
+    data: PNG,
+  });
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).message, "Azure Storage not configured");
+});
+
+test("sniffMime tells Office formats apart by their zip entries", () => {
+  const zip = (entry) =>
+    Buffer.concat([Buffer.from("504b0304", "hex"), Buffer.from(entry)]);
+  assert.match(sniffMime(zip("word/document.xml")), /wordprocessingml/);
+  assert.match(sniffMime(zip("xl/workbook.xml")), /spreadsheetml/);
+  assert.equal(sniffMime(zip("evil.exe")), "application/zip");
+  assert.equal(
+    sniffMime(Buffer.from("a,b\n1,2\n"), { filename: "x.csv" }),
+    "text/csv"
+  );
+});
+
+test("UPLOAD_SCANNER can reject uploads or fail closed", async () => {
+  const dir = tmpDir();
+  const scannerFile = path.join(dir, "scanner.js");
+  fs.writeFileSync(
+    scannerFile,
+    `module.exports = async (file) => {
+      if (file.originalname.includes("broken")) throw new Error("offline");
+      if (fs.readFileSync(file.path, "utf8").includes("EICAR")) {
+        return { clean: false, reason: "Eicar-Test-Signature" };
+      }
+      return { clean: true };
+    };
+    const fs = require("fs");`
+  );
+  const scanned = await startProxy({ UPLOAD_SCANNER: `module:${scannerFile}` });
+  try {
+    const form = (name, data) => {
+      const f = new FormData();
+      f.append("file", new Blob([data], { type: "text/plain" }), name);
+      return { method: "POST", body: f };
+    };
+    const ok = await scanned.fetch("/upload", form("ok.txt", "fine"));
+    assert.equal(ok.status, 200);
+
+    const bad = await scanned.fetch("/upload", form("x.txt", "EICAR test"));
+    assert.equal(bad.status, 422);
+    assert.equal((await bad.json()).detail, "Eicar-Test-Signature");
+
+    const down = await scanned.fetch("/upload", form("broken.txt", "fine"));
+    assert.equal(down.status, 503);
+    assert.equal(scanned.mock.requests.length, 1);
+  } finally {
+    await scanned.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
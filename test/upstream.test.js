@@ -0,0 +1,266 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const { createUpstream } = require("../lib/upstream");
+const { createKeyPool } = require("../lib/tenants");
+const { startMockLangdock } = require("./mock-langdock");
+const { sleep } = require("./helpers");
+
+let mock;
+before(async () => {
+  mock = await startMockLangdock();
+});
+after(() => mock.close());
+
+const CHAT = "/openai/eu/v1/chat/completions";
+const chat = (upstream, mockScenario, opts = {}) =>
+  upstream.request(CHAT, {
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model: "gpt-4o", messages: [], mock: mockScenario }),
+    ...opts,
+  });
+
+// A breaker that opens on the first failure and half-opens right after
+async function halfOpen() {
+  const upstream = createUpstream({
+    keys: createKeyPool(["test-key"]),
+    baseUrl: mock.url,
+    retries: 0,
+    breakerThreshold: 1,
+    breakerCooldownMs: 20,
+  });
+  assert.equal((await chat(upstream, "error-503")).status, 503);
+  await assert.rejects(chat(upstream), { code: "circuit_open" });
+  await sleep(30);
+  assert.equal(upstream.breakerFor(CHAT).state, "half-open");
+  return upstream;
+}
+
+test("an aborted half-open trial does not leave the circuit stuck", async () => {
+  const upstream = await halfOpen();
+  await assert.rejects(chat(upstream, "ok", { signal: AbortSignal.abort() }), {
+    name: "AbortError",
+  });
+  const res = await chat(upstream, "ok");
+  assert.equal(res.status, 200);
+  assert.equal(upstream.breakerFor(CHAT).state, "closed");
+});
+
+test("a half-open trial without an upstream key is given back", async () => {
+  const upstream = await halfOpen();
+  await assert.rejects(chat(upstream, "ok", { keys: createKeyPool([]) }), {
+    code: "no_upstream_key",
+  });
+  assert.equal((await chat(upstream, "ok")).status, 200);
+});
+
+// Local server answering its nth request with handlers[n] (the last one
+// repeats); `hits` counts the requests it saw
+async function scripted(...handlers) {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    handlers[Math.min(hits++, handlers.length - 1)](req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    get hits() {
+      return hits;
+    },
+    close: () =>
+      new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      }),
+  };
+}
+const reply =
+  (status, headers = {}) =>
+  (req, res) => {
+    res.writeHead(status, headers);
+    res.end("{}");
+  };
+
+// An upstream against `url` recording each attempt's status or error code
+function recorded(url, opts = {}) {
+  const attempts = [];
+  const upstream = createUpstream({
+    keys: createKeyPool(["test-key"]),
+    baseUrl: url,
+    backoffMs: 40,
+    onAttempt: ({ status, code }) => attempts.push(status ?? code),
+    ...opts,
+  });
+  return { upstream, attempts };
+}
+
+test("failed attempts are retried with exponential backoff", async () => {
+  const server = await scripted(reply(429), reply(429), reply(200));
+  try {
+    const { upstream, attempts } = recorded(server.url);
+    const started = Date.now();
+    assert.equal((await chat(upstream)).status, 200);
+    assert.deepEqual(attempts, [429, 429, 200]);
+    // jittered into [20, 40] then [40, 80]
+    assert.ok(Date.now() - started >= 60);
+  } finally {
+    await server.close();
+  }
+});
+
+test("the last failure is returned once retries run out", async () => {
+  const server = await scripted(reply(429));
+  try {
+    const { upstream, attempts } = recorded(server.url, { retries: 1 });
+    assert.equal((await chat(upstream)).status, 429);
+    assert.deepEqual(attempts, [429, 429]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("Retry-After sets the delay before the retry", async () => {
+  const server = await scripted(reply(503, { "Retry-After": "1" }), reply(200));
+  try {
+    const { upstream, attempts } = recorded(server.url, { backoffMs: 1 });
+    const started = Date.now();
+    assert.equal((await chat(upstream)).status, 200);
+    assert.deepEqual(attempts, [503, 200]);
+    assert.ok(Date.now() - started >= 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a Retry-After beyond the cap is passed on without waiting", async () => {
+  const server = await scripted(reply(503, { "Retry-After": "60" }));
+  try {
+    const { upstream, attempts } = recorded(server.url);
+    const started = Date.now();
+    const res = await chat(upstream);
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get("retry-after"), "60");
+    assert.deepEqual(attempts, [503]);
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test("refused connections are retried", async () => {
+  const server = await scripted(reply(200));
+  const { url } = server;
+  await server.close(); // nothing listens on the port any more
+  const { upstream, attempts } = recorded(url, { backoffMs: 1 });
+  await assert.rejects(chat(upstream), { code: "ECONNREFUSED", status: 502 });
+  assert.deepEqual(attempts, ["ECONNREFUSED", "ECONNREFUSED", "ECONNREFUSED"]);
+});
+
+test("a handshake that never completes hits the connect timeout", async () => {
+  // accepts TCP but never answers the TLS hello
+  const sockets = new Set();
+  const server = net.createServer((socket) => sockets.add(socket));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const { upstream, attempts } = recorded(
+      `https://127.0.0.1:${server.address().port}`,
+      { retries: 1, backoffMs: 1, connectTimeoutMs: 50 }
+    );
+    await assert.rejects(chat(upstream), { code: "ECONNECTTIMEOUT" });
+    assert.deepEqual(attempts, ["ECONNECTTIMEOUT", "ECONNECTTIMEOUT"]);
+    assert.equal(sockets.size, 2);
+  } finally {
+    for (const socket of sockets) socket.destroy();
+    await new Promise((done) => server.close(done));
+  }
+});
+
+test("an upstream that never answers hits the first-byte timeout", async () => {
+  const server = await scripted(() => {}); // never responds
+  try {
+    const { upstream, attempts } = recorded(server.url, {
+      retries: 0,
+      firstByteTimeoutMs: 50,
+    });
+    const started = Date.now();
+    await assert.rejects(chat(upstream), { code: "EFIRSTBYTETIMEOUT" });
+    assert.deepEqual(attempts, ["EFIRSTBYTETIMEOUT"]);
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test("the breaker opens after repeated failures and fails fast", async () => {
+  const server = await scripted(reply(500));
+  try {
+    const { upstream } = recorded(server.url, {
+      retries: 0,
+      breakerThreshold: 3,
+      breakerCooldownMs: 60000,
+    });
+    for (let i = 0; i < 3; i++)
+      assert.equal((await chat(upstream)).status, 500);
+    assert.equal(upstream.breakerFor(CHAT).state, "open");
+
+    const started = Date.now();
+    await assert.rejects(chat(upstream), {
+      name: "UpstreamError",
+      status: 503,
+      code: "circuit_open",
+      retryAfter: 60,
+    });
+    assert.ok(Date.now() - started < 100);
+    assert.equal(server.hits, 3);
+    // other services keep their own breaker
+    assert.equal(upstream.breakerFor("/assistant/v1/chat").state, "closed");
+  } finally {
+    await server.close();
+  }
+});
+
+test("a POST that may have reached the upstream is not retried", async () => {
+  const reset = (req, res) => res.socket.destroy();
+  const silent = () => {};
+  for (const [handler, outcome] of [
+    [reply(502), 502],
+    [reply(503), 503],
+    [reply(504), 504],
+    [reset, "ECONNRESET"],
+    [silent, "EFIRSTBYTETIMEOUT"],
+  ]) {
+    const server = await scripted(handler, reply(200));
+    try {
+      const { upstream, attempts } = recorded(server.url, {
+        backoffMs: 1,
+        firstByteTimeoutMs: 50,
+      });
+      const result = await chat(upstream).then(
+        (res) => res.status,
+        (err) => err.code
+      );
+      assert.equal(result, outcome);
+      assert.deepEqual(attempts, [outcome]);
+      assert.equal(server.hits, 1);
+    } finally {
+      await server.close();
+    }
+  }
+});
+
+test("a GET is retried on any transient failure", async () => {
+  const reset = (req, res) => res.socket.destroy();
+  const server = await scripted(reset, reply(502), reply(200));
+  try {
+    const { upstream, attempts } = recorded(server.url, { backoffMs: 1 });
+    const res = await upstream.request("/openai/eu/v1/models", {
+      method: "GET",
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(attempts, ["ECONNRESET", 502, 200]);
+  } finally {
+    await server.close();
+  }
+});
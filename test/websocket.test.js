@@ -0,0 +1,161 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { WebSocket } = require("ws");
+const { startProxy, writeKeys, tmpDir } = require("./helpers");
+
+let proxy;
+before(async () => {
+  proxy = await startProxy({ ALLOW_ORIGIN: "https://app.example.com" });
+});
+after(() => proxy.close());
+beforeEach(() => proxy.mock.reset());
+
+const messages = [{ role: "user", content: "hi" }];
+const ASSISTANT_ID = "123e4567-e89b-12d3-a456-426614174000";
+
+// Resolves with { send, next, close } once upgraded, or { status, body }
+// when the upgrade is refused
+function connect(target, path = "/ws", headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(target.url.replace(/^http/, "ws") + path, {
+      headers,
+    });
+    ws.on("unexpected-response", (_req, res) => {
+      let raw = "";
+      res.on("data", (c) => (raw += c));
+      res.on("end", () => resolve({ status: res.statusCode, body: raw }));
+    });
+    ws.on("error", reject);
+    const received = [];
+    const waiting = [];
+    ws.on("message", (data) => {
+      received.push(JSON.parse(data.toString("utf8")));
+      waiting.splice(0).forEach((w) => w());
+    });
+    ws.on("open", () =>
+      resolve({
+        status: 101,
+        ws,
+        received,
+        send: (msg) => ws.send(JSON.stringify(msg)),
+        // Resolves with the first received message matching pred
+        async next(pred) {
+          for (;;) {
+            const hit = received.find(pred);
+            if (hit) return hit;
+            await new Promise((r) => waiting.push(r));
+          }
+        },
+        close: () => ws.terminate(),
+      })
+    );
+  });
+}
+
+const textOf = (ws, id) =>
+  ws.received
+    .filter((m) => m.id === id && m.type === "chunk")
+    .map((m) => m.data.choices[0]?.delta?.content || "")
+    .join("");
+
+test("binary messages close the socket", async () => {
+  const client = await connect(proxy);
+  const [code] = await new Promise((resolve) => {
+    client.ws.on("close", (...args) => resolve(args));
+    client.ws.send(Buffer.from("{}"));
+  });
+  assert.equal(code, 1003);
+});
+
+test("multiplexes chat and assistant streams over one socket", async () => {
+  const ws = await connect(proxy);
+  assert.equal(ws.status, 101);
+  ws.send({ id: "c", type: "chat", body: { model: "gpt-4o", messages } });
+  ws.send({
+    id: "a",
+    type: "assistant",
+    body: { assistantId: ASSISTANT_ID, messages },
+  });
+  await ws.next((m) => m.id === "c" && m.type === "done");
+  await ws.next((m) => m.id === "a" && m.type === "done");
+  ws.close();
+
+  assert.equal(textOf(ws, "c"), "Hello from gpt-4o");
+  assert.equal(textOf(ws, "a"), "Hello world");
+  assert.equal(proxy.mock.requests.length, 2);
+});
+
+test("errors come back tagged with the request id", async () => {
+  const ws = await connect(proxy);
+  ws.send({ id: "x", type: "chat", body: { messages, mock: "error-400" } });
+  ws.send({ id: "y", type: "embeddings", body: {} });
+  ws.send({ type: "chat", body: {} });
+  const x = await ws.next((m) => m.id === "x");
+  const y = await ws.next((m) => m.id === "y");
+  const anon = await ws.next((m) => m.id === null);
+  ws.close();
+  assert.equal(x.type, "error");
+  assert.equal(x.status, 400);
+  assert.equal(y.status, 400);
+  assert.match(anon.error.detail, /string id/);
+});
+
+test("cancel stops one request and leaves the others running", async () => {
+  const ws = await connect(proxy);
+  ws.send({ id: "slow", type: "chat", body: { messages, mock: "slow" } });
+  await ws.next((m) => m.id === "slow" && m.type === "chunk");
+  ws.send({ id: "slow", type: "cancel" });
+  await ws.next((m) => m.id === "slow" && m.type === "cancelled");
+
+  ws.send({ id: "fast", type: "chat", body: { messages } });
+  await ws.next((m) => m.id === "fast" && m.type === "done");
+  ws.close();
+  const slow = ws.received.filter((m) => m.id === "slow");
+  assert.equal(slow.at(-1).type, "cancelled");
+  assert.ok(!slow.some((m) => m.type === "done"));
+});
+
+test("the upgrade checks origin and path", async () => {
+  let res = await connect(proxy, "/ws", { Origin: "https://evil.example" });
+  assert.equal(res.status, 403);
+  res = await connect(proxy, "/ws", { Origin: "https://app.example.com" });
+  assert.equal(res.status, 101);
+  res.close();
+  res = await connect(proxy, "/nope");
+  assert.equal(res.status, 404);
+});
+
+test("keys authenticate the socket and scope every request", async () => {
+  const dir = tmpDir();
+  const keyed = await startProxy({
+    AUTH_DISABLED: "false",
+    PROXY_KEYS_FILE: writeKeys(dir, [
+      { id: "web", secret: "ldp_web", routes: ["/ws", "/chat/completions"] },
+      { id: "batch", secret: "ldp_batch", routes: ["/chat/completions"] },
+    ]),
+  });
+  try {
+    let res = await connect(keyed);
+    assert.equal(res.status, 401);
+    res = await connect(keyed, "/ws?api_key=ldp_batch");
+    assert.equal(res.status, 403);
+
+    const ws = await connect(keyed, "/ws?api_key=ldp_web");
+    assert.equal(ws.status, 101);
+    ws.send({ id: "1", type: "chat", body: { messages } });
+    ws.send({
+      id: "2",
+      type: "assistant",
+      body: { assistantId: ASSISTANT_ID, messages },
+    });
+    await ws.next((m) => m.id === "1" && m.type === "done");
+    const denied = await ws.next((m) => m.id === "2");
+    ws.close();
+    assert.equal(denied.status, 403);
+    assert.match(denied.error.detail, /\/assistant/);
+  } finally {
+    await keyed.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});